@@ -4,8 +4,12 @@ import AwaitLock from 'await-lock'
 import { promisifyAll } from 'bluebird'
 import express from 'express'
 
+import DigestMailer from './digest-mailer'
+import FeedImporter from './feed-importer'
+import PostScheduler from './post-scheduler'
 import routesInit from './routes'
 import PubsubListener from './pubsub-listener'
+import WebhookDispatcher from './webhook-dispatcher'
 
 
 let app = null
@@ -32,6 +36,22 @@ export async function getSingleton() {
 
     _app.pubsub = new PubsubListener(server, _app)
 
+    if (_app.config.importedFeeds.enabled) {
+      _app.feedImporter = new FeedImporter(_app)
+    }
+
+    if (_app.config.scheduledPosts.enabled) {
+      _app.postScheduler = new PostScheduler(_app)
+    }
+
+    if (_app.config.emailDigest.enabled) {
+      _app.digestMailer = new DigestMailer(_app)
+    }
+
+    if (_app.config.webhooks.enabled) {
+      _app.webhookDispatcher = new WebhookDispatcher(_app)
+    }
+
     const port = (process.env.PEPYATKA_SERVER_PORT || _app.get('port'))
     await server.listenAsync(port)
 
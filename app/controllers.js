@@ -1,10 +1,18 @@
+export AccessTokensController from './controllers/api/v1/AccessTokensController'
 export AttachmentsController from './controllers/api/v1/AttachmentsController'
 export BookmarkletController from './controllers/api/v1/BookmarkletController'
 export CommentsController from './controllers/api/v1/CommentsController'
+export DraftsController from './controllers/api/v1/DraftsController'
 export FeedFactoriesController from './controllers/api/v1/FeedFactoriesController'
 export GroupsController from './controllers/api/v1/GroupsController'
+export ImportedFeedsController from './controllers/api/v1/ImportedFeedsController'
+export NotificationsController from './controllers/api/v1/NotificationsController'
+export OAuthController from './controllers/api/v1/OAuthController'
 export PasswordsController from './controllers/api/v1/PasswordsController'
 export PostsController from './controllers/api/v1/PostsController'
+export SearchController from './controllers/api/v1/SearchController'
 export SessionController from './controllers/api/v1/SessionController'
+export StreamController from './controllers/api/v1/StreamController'
 export TimelinesController from './controllers/api/v1/TimelinesController'
 export UsersController from './controllers/api/v1/UsersController'
+export WebhooksController from './controllers/api/v1/WebhooksController'
@@ -0,0 +1,67 @@
+import { AccessToken, AccessTokenSerializer, dbAdapter } from '../../../models'
+import exceptions, { NotFoundException } from '../../../support/exceptions'
+
+
+export default class AccessTokensController {
+  static async index(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const accessTokenIds = await dbAdapter.getUserAccessTokenIds(req.user.id)
+      const accessTokens = await dbAdapter.getAccessTokensByIds(accessTokenIds)
+
+      const jsons = await Promise.all(accessTokens.map(accessToken => new AccessTokenSerializer(accessToken).promiseToJSON()))
+      res.jsonp({ accessTokens: jsons.map(json => json.accessTokens), scopes: AccessToken.SCOPES })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async create(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const params = req.body.accessToken || {}
+
+      const accessToken = new AccessToken({
+        userId: req.user.id,
+        name:   params.name,
+        scopes: params.scopes
+      })
+
+      await accessToken.create()
+
+      const json = await new AccessTokenSerializer(accessToken).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroy(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const accessToken = await dbAdapter.getAccessTokenById(req.params.accessTokenId)
+
+      if (null === accessToken || accessToken.userId !== req.user.id) {
+        throw new NotFoundException("Can't find access token")
+      }
+
+      await accessToken.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
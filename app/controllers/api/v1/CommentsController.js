@@ -1,6 +1,6 @@
 import monitor from 'monitor-dog'
 
-import { dbAdapter, CommentSerializer, PubSub } from '../../../models'
+import { dbAdapter, CommentSerializer, HistorySerializer, PubSub } from '../../../models'
 import exceptions, { ForbiddenException, NotFoundException } from '../../../support/exceptions'
 
 
@@ -16,7 +16,8 @@ export default class CommentsController {
 
       var newComment = req.user.newComment({
         body: req.body.comment.body,
-        postId: req.body.comment.postId
+        postId: req.body.comment.postId,
+        parentCommentId: req.body.comment.parentCommentId
       })
 
       let timelines = await newComment.create()
@@ -67,6 +68,83 @@ export default class CommentsController {
     }
   }
 
+  static async revisions(req, res) {
+    try {
+      const comment = await dbAdapter.getCommentById(req.params.commentId)
+
+      if (null === comment) {
+        throw new NotFoundException("Can't find comment")
+      }
+
+      const post = await comment.getPost()
+      const userId = req.user ? req.user.id : null
+      const valid = post && (await post.canShow(userId))
+
+      if (!valid) {
+        throw new NotFoundException("Can't find comment")
+      }
+
+      if (req.user) {
+        const banIds = await req.user.getBanIds()
+
+        if (banIds.indexOf(comment.userId) >= 0) {
+          throw new NotFoundException("Can't find comment")
+        }
+      }
+
+      const history = {
+        id: comment.id,
+        revisions: await comment.getRevisions()
+      }
+
+      const json = await new HistorySerializer(history).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async like(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const comment = await dbAdapter.getCommentById(req.params.commentId)
+
+      if (null === comment) {
+        throw new NotFoundException("Can't find comment")
+      }
+
+      await comment.addLike(req.user)
+      res.status(200).send({})
+
+      await PubSub.newCommentLike(comment, req.user.id)
+      monitor.increment('comments.likes')
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async unlike(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const comment = await dbAdapter.getCommentById(req.params.commentId)
+
+      if (null === comment) {
+        throw new NotFoundException("Can't find comment")
+      }
+
+      await comment.removeLike(req.user)
+      res.status(200).send({})
+
+      monitor.increment('comments.unlikes')
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async destroy(req, res) {
     if (!req.user)
       return res.status(401).jsonp({ err: 'Not found' })
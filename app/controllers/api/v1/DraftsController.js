@@ -0,0 +1,146 @@
+import _ from 'lodash'
+
+import { dbAdapter, Draft, DraftSerializer, PostSerializer } from '../../../models'
+import exceptions, { NotFoundException } from '../../../support/exceptions'
+
+
+/**
+ * Returns ids of the timelines the draft will be posted to, or undefined
+ * if the feeds are not given in the request
+ */
+async function getTimelineIds(req) {
+  const meta = req.body.meta || {}
+
+  if (_.isUndefined(meta.feeds)) {
+    return undefined
+  }
+
+  const feeds = _.isArray(meta.feeds) ? meta.feeds : [meta.feeds]
+
+  return req.user.getPostTimelineIds(_.compact(feeds))
+}
+
+async function getOwnDraft(req) {
+  const draft = await dbAdapter.getDraftById(req.params.draftId)
+
+  if (null === draft || draft.userId !== req.user.id) {
+    throw new NotFoundException("Can't find draft")
+  }
+
+  return draft
+}
+
+export default class DraftsController {
+  static async index(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const draftIds = await dbAdapter.getUserDraftIds(req.user.id)
+      const drafts = await dbAdapter.getDraftsByIds(draftIds)
+
+      const jsons = await Promise.all(drafts.map(draft => new DraftSerializer(draft).promiseToJSON()))
+      res.jsonp({ drafts: jsons.map(json => json.drafts) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async create(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const params = req.body.draft || {}
+      const draft = new Draft({
+        userId: req.user.id,
+        body: params.body,
+        timelineIds: await getTimelineIds(req),
+        attachmentIds: params.attachments
+      })
+
+      await draft.create()
+
+      const json = await new DraftSerializer(draft).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async show(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const draft = await getOwnDraft(req)
+
+      const json = await new DraftSerializer(draft).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async update(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const draft = await getOwnDraft(req)
+      const params = req.body.draft || {}
+
+      await draft.update({
+        body: params.body,
+        timelineIds: await getTimelineIds(req),
+        attachmentIds: params.attachments
+      })
+
+      const json = await new DraftSerializer(draft).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroy(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const draft = await getOwnDraft(req)
+      await draft.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async publish(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const draft = await getOwnDraft(req)
+      const post = await draft.publish()
+
+      const json = await new PostSerializer(post).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
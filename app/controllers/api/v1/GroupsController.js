@@ -110,9 +110,9 @@ export default class GroupsController {
       }
 
       if (newStatus) {
-        await group.addAdministrator(newAdmin.id)
+        await group.addAdministrator(newAdmin.id, req.user.id)
       } else {
-        await group.removeAdministrator(newAdmin.id)
+        await group.removeAdministrator(newAdmin.id, req.user.id)
       }
 
       res.jsonp({ err: null, status: 'success' })
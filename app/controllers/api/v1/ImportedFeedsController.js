@@ -0,0 +1,73 @@
+import { dbAdapter, ImportedFeed, ImportedFeedSerializer } from '../../../models'
+import exceptions, { ForbiddenException, NotFoundException } from '../../../support/exceptions'
+
+
+export default class ImportedFeedsController {
+  static async index(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const feedIds = await dbAdapter.getUserImportedFeedIds(req.user.id)
+      const feeds = await dbAdapter.getImportedFeedsByIds(feedIds)
+
+      const jsons = await Promise.all(feeds.map(feed => new ImportedFeedSerializer(feed).promiseToJSON()))
+      res.jsonp({ importedFeeds: jsons.map(json => json.importedFeeds) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async create(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const params = req.body.importedFeed || {}
+      const feed = new ImportedFeed({
+        userId: req.user.id,
+        url: params.url
+      })
+
+      await feed.create()
+
+      // Import current entries right away, so the user can see whether
+      // the feed works
+      await feed.poll()
+
+      const json = await new ImportedFeedSerializer(feed).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroy(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const feed = await dbAdapter.getImportedFeedById(req.params.feedId)
+
+      if (null === feed) {
+        throw new NotFoundException("Can't find imported feed")
+      }
+
+      if (feed.userId !== req.user.id) {
+        throw new ForbiddenException("You can't remove another user's imported feed")
+      }
+
+      await feed.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
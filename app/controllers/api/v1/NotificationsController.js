@@ -0,0 +1,50 @@
+import _ from 'lodash'
+
+import { dbAdapter, Notification, NotificationCenterSerializer } from '../../../models'
+import exceptions, { BadRequestException } from '../../../support/exceptions'
+
+
+export default class NotificationsController {
+  static async index(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const offset = parseInt(req.query.offset, 10) || 0
+      const limit = parseInt(req.query.limit, 10) || 30
+
+      const notificationIds = await dbAdapter.getUserNotificationIds(req.user.id, offset, limit)
+      const notifications = await dbAdapter.getNotificationsByIds(notificationIds)
+      const unreadCount = await dbAdapter.getUnreadNotificationsCount(req.user.id)
+
+      const json = await new NotificationCenterSerializer({ notifications }).promiseToJSON()
+      res.jsonp(_.extend(json, { unreadCount }))
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async markRead(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const notificationIds = req.body.notifications
+
+      if (!_.isUndefined(notificationIds) && !(_.isArray(notificationIds) && _.every(notificationIds, _.isString))) {
+        throw new BadRequestException('"notifications" should be an array of strings')
+      }
+
+      await Notification.markRead(req.user.id, notificationIds)
+      const unreadCount = await dbAdapter.getUnreadNotificationsCount(req.user.id)
+
+      res.jsonp({ err: null, status: 'success', unreadCount })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
@@ -0,0 +1,268 @@
+import url from 'url'
+
+import _ from 'lodash'
+
+import { AccessToken, dbAdapter, OAuthAuthorization, OAuthAuthorizationSerializer, OAuthClient, OAuthClientSerializer } from '../../../models'
+import exceptions, { BadRequestException, NotFoundException, OAuthException } from '../../../support/exceptions'
+
+
+/**
+ * Checks parameters of the authorization request (RFC 6749, section
+ * 4.1.1, with PKCE of RFC 7636). Errors are not redirected to the
+ * client: the consent page shows them.
+ */
+async function parseAuthorizationRequest(params) {
+  const client = params.client_id ? await dbAdapter.getOAuthClientById(params.client_id) : null
+
+  if (null === client) {
+    throw new BadRequestException('Unknown client_id')
+  }
+
+  const redirectUri = params.redirect_uri
+
+  if (!client.hasRedirectUri(redirectUri)) {
+    throw new BadRequestException('redirect_uri is not registered for the client')
+  }
+
+  if (params.response_type !== 'code') {
+    throw new BadRequestException('Only "code" response_type is supported')
+  }
+
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    throw new BadRequestException('code_challenge with "S256" code_challenge_method is required')
+  }
+
+  const scopes = _.uniq(_.compact((params.scope || 'read').split(' ')))
+
+  if (_.difference(scopes, AccessToken.SCOPES).length > 0) {
+    throw new BadRequestException(`scope must be a space-separated list of: ${AccessToken.SCOPES.join(', ')}`)
+  }
+
+  return { client, redirectUri, scopes, state: params.state, codeChallenge: params.code_challenge }
+}
+
+function buildRedirectUri(redirectUri, params) {
+  const parsed = url.parse(redirectUri, true)
+
+  delete parsed.search
+  parsed.query = _.extend(parsed.query, _.omit(params, _.isUndefined))
+
+  return url.format(parsed)
+}
+
+/**
+ * Client credentials come in the body or in the Basic authorization
+ * header (RFC 6749, section 2.3.1)
+ */
+async function authenticateClient(req) {
+  let clientId = req.body.client_id
+  let clientSecret = req.body.client_secret
+
+  const basic = /^Basic (.+)$/.exec(req.headers['authorization'] || '')
+
+  if (basic) {
+    const [id, secret] = new Buffer(basic[1], 'base64').toString().split(':')
+
+    clientId = decodeURIComponent(id)
+    clientSecret = decodeURIComponent(secret || '')
+  }
+
+  const client = clientId ? await dbAdapter.getOAuthClientById(clientId) : null
+
+  if (null === client || !client.validSecret(clientSecret)) {
+    throw new OAuthException('invalid_client', 'Client authentication failed')
+  }
+
+  return client
+}
+
+export default class OAuthController {
+  static async clients(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const clientIds = await dbAdapter.getUserOAuthClientIds(req.user.id)
+      const clients = await dbAdapter.getOAuthClientsByIds(clientIds)
+
+      const jsons = await Promise.all(clients.map(client => new OAuthClientSerializer(client).promiseToJSON()))
+      res.jsonp({ oauthClients: jsons.map(json => json.oauthClients) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async createClient(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const params = req.body.client || {}
+
+      const client = new OAuthClient({
+        userId:         req.user.id,
+        name:           params.name,
+        redirectUris:   params.redirectUris,
+        isConfidential: params.isConfidential
+      })
+
+      await client.create()
+
+      const json = await new OAuthClientSerializer(client).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroyClient(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const client = await dbAdapter.getOAuthClientById(req.params.clientId)
+
+      if (null === client || client.userId !== req.user.id) {
+        throw new NotFoundException("Can't find application")
+      }
+
+      await client.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Validates the authorization request for the consent page and tells
+   * what the client asks for
+   */
+  static async authorizeInfo(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const { client, scopes } = await parseAuthorizationRequest(req.query)
+      const authorizationId = await dbAdapter.getUserOAuthAuthorizationId(req.user.id, client.id)
+      const authorization = authorizationId ? await dbAdapter.getOAuthAuthorizationById(authorizationId) : null
+
+      res.jsonp({
+        client:        { id: client.id, name: client.name },
+        scopes,
+        grantedScopes: authorization ? authorization.scopes : []
+      })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Records the decision of the user and returns the URI to redirect
+   * them to: with the authorization code or with the access_denied error
+   */
+  static async authorize(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const { client, redirectUri, scopes, state, codeChallenge } = await parseAuthorizationRequest(req.body)
+
+      let params
+
+      if (req.body.approve === true || req.body.approve === '1') {
+        const authorization = await OAuthAuthorization.grant(req.user.id, client.id, scopes)
+        const code = await authorization.createCode(redirectUri, codeChallenge)
+
+        params = { code, state }
+      } else {
+        params = { error: 'access_denied', state }
+      }
+
+      res.jsonp({ redirectUri: buildRedirectUri(redirectUri, params) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Token endpoint for the authorization_code and refresh_token grants,
+   * responds in the format of RFC 6749, section 5
+   */
+  static async token(req, res) {
+    res.setHeader('Cache-Control', 'no-store')
+    res.setHeader('Pragma', 'no-cache')
+
+    try {
+      const client = await authenticateClient(req)
+      let authorization
+
+      switch (req.body.grant_type) {
+        case 'authorization_code':
+          authorization = await OAuthAuthorization.exchangeCode(client, req.body.code, req.body.redirect_uri, req.body.code_verifier)
+          break
+
+        case 'refresh_token':
+          authorization = await OAuthAuthorization.exchangeRefreshToken(client, req.body.refresh_token)
+          break
+
+        default:
+          throw new OAuthException('unsupported_grant_type', 'Only authorization_code and refresh_token grants are supported')
+      }
+
+      const { accessToken, refreshToken, expiresIn } = await authorization.issueTokens()
+
+      res.jsonp({
+        access_token:  accessToken,
+        token_type:    'Bearer',
+        expires_in:    expiresIn,
+        refresh_token: refreshToken,
+        scope:         authorization.scopes.join(' ')
+      })
+    } catch (e) {
+      if (e instanceof OAuthException) {
+        res.status(e.status).jsonp({ error: e.error, error_description: e.message })
+        return
+      }
+
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Applications the current user has authorized
+   */
+  static async authorizations(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const authorizationIds = await dbAdapter.getUserOAuthAuthorizationIds(req.user.id)
+      const authorizations = await dbAdapter.getOAuthAuthorizationsByIds(authorizationIds)
+
+      const jsons = await Promise.all(_.sortBy(authorizations, 'createdAt').map(authorization => new OAuthAuthorizationSerializer(authorization).promiseToJSON()))
+      res.jsonp({ oauthAuthorizations: jsons.map(json => json.oauthAuthorizations) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroyAuthorization(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const authorization = await dbAdapter.getOAuthAuthorizationById(req.params.authorizationId)
+
+      if (null === authorization || authorization.userId !== req.user.id) {
+        throw new NotFoundException("Can't find authorized application")
+      }
+
+      await authorization.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import { dbAdapter } from '../../../models'
 import { UserMailer } from '../../../mailers'
 import exceptions, { NotFoundException } from '../../../support/exceptions'
+import { hitRateLimit } from '../../../support/rateLimits'
 
 
 export default class PasswordsController {
@@ -13,6 +14,9 @@ export default class PasswordsController {
     }
 
     try {
+      // unknown emails count too, not to tell them from the known ones
+      await hitRateLimit('passwordResetByEmail', email.toLowerCase())
+
       const user = await dbAdapter.getUserByEmail(email)
 
       if (null === user) {
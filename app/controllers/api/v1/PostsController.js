@@ -1,9 +1,44 @@
 import _ from 'lodash'
 
-import { dbAdapter, PostSerializer, PubSub as pubSub } from '../../../models'
+import { dbAdapter, HistorySerializer, PostSerializer, PubSub as pubSub, ScheduledPostsSerializer } from '../../../models'
 import exceptions, { ForbiddenException, NotFoundException } from '../../../support/exceptions'
 
 
+/**
+ * Loads the post and checks that the user (or anonymous, if the user is
+ * null) can read it
+ */
+async function getReadablePost(postId, user, params) {
+  const userId = user ? user.id : null
+  const post = await dbAdapter.getPostById(postId, params)
+
+  if (null === post) {
+    throw new NotFoundException("Can't find post");
+  }
+
+  var valid = await post.canShow(userId)
+
+  // this is a private post
+  if (!valid)
+    throw new ForbiddenException("Not found")
+
+  if (user) {
+    let author = await dbAdapter.getUserById(post.userId)
+    let banIds = await author.getBanIds()
+
+    if (banIds.indexOf(user.id) >= 0)
+      throw new ForbiddenException("This user has prevented you from seeing their posts")
+
+    const yourBanIds = await user.getBanIds()
+
+    if (yourBanIds.indexOf(author.id) >= 0)
+      throw new ForbiddenException("You have blocked this user and do not want to see their posts")
+  }
+
+  return post
+}
+
+
 export default class PostsController {
   static async create(req, res) {
     if (!req.user) {
@@ -26,38 +61,14 @@ export default class PostsController {
     const commentsDisabled = (req.body.meta.commentsDisabled ? '1' : '0')
 
     try {
-      let promises = feeds.map(async (username) => {
-        let feed = await dbAdapter.getFeedOwnerByUsername(username)
-
-        if (null === feed) {
-          throw new NotFoundException(`Feed "${username}" is not found`)
-        }
-
-        await feed.validateCanPost(req.user)
-
-        // we are going to publish this message to posts feed if
-        // it's my home feed or group's feed, otherwise this is a
-        // private message that goes to its own feed(s)
-        if (
-          (feed.isUser() && feed.id == req.user.id) ||
-          !feed.isUser()
-        ) {
-          return feed.getPostsTimelineId()
-        }
-
-        // private post goes to sendee and sender
-        return await Promise.all([
-          feed.getDirectsTimelineId(),
-          req.user.getDirectsTimelineId()
-        ])
-      })
-      let timelineIds = _.flatten(await Promise.all(promises))
+      let timelineIds = await req.user.getPostTimelineIds(feeds)
 
       let newPost = await req.user.newPost({
         body: req.body.post.body,
         attachments: req.body.post.attachments,
         timelineIds: timelineIds,
-        commentsDisabled: commentsDisabled
+        commentsDisabled: commentsDisabled,
+        publishAt: req.body.post.publishAt
       })
 
       await newPost.create()
@@ -69,6 +80,23 @@ export default class PostsController {
     }
   }
 
+  static async scheduled(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const postIds = await dbAdapter.getUserScheduledPostIds(req.user.id)
+      const posts = await dbAdapter.getPostsByIds(postIds, { currentUser: req.user.id })
+
+      const json = await new ScheduledPostsSerializer({ posts }).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async update(req, res) {
     if (!req.user)
       return res.status(401).jsonp({ err: 'Not found' })
@@ -95,38 +123,31 @@ export default class PostsController {
   static async show(req, res) {
     try {
       var userId = req.user ? req.user.id : null
-      const post = await dbAdapter.getPostById(req.params.postId, {
+      const post = await getReadablePost(req.params.postId, req.user, {
         maxComments: req.query.maxComments,
         maxLikes: req.query.maxLikes,
         currentUser: userId
       })
 
-      if (null === post) {
-        throw new NotFoundException("Can't find post");
-      }
-
-      var valid = await post.canShow(userId)
-
-      // this is a private post
-      if (!valid)
-        throw new ForbiddenException("Not found")
-
-      if (req.user) {
-        let author = await dbAdapter.getUserById(post.userId)
-        let banIds = await author.getBanIds()
+      var json = new PostSerializer(post).promiseToJSON()
 
-        if (banIds.indexOf(req.user.id) >= 0)
-          throw new ForbiddenException("This user has prevented you from seeing their posts")
+      res.jsonp(await json)
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
 
-        const yourBanIds = await req.user.getBanIds()
+  static async revisions(req, res) {
+    try {
+      const post = await getReadablePost(req.params.postId, req.user)
 
-        if (yourBanIds.indexOf(author.id) >= 0)
-          throw new ForbiddenException("You have blocked this user and do not want to see their posts")
+      const history = {
+        id: post.id,
+        revisions: await post.getRevisions()
       }
 
-      var json = new PostSerializer(post).promiseToJSON()
-
-      res.jsonp(await json)
+      const json = await new HistorySerializer(history).promiseToJSON()
+      res.jsonp(json)
     } catch(e) {
       exceptions.reportError(res)(e)
     }
@@ -175,6 +196,60 @@ export default class PostsController {
     }
   }
 
+  static async addReaction(req, res) {
+    if (req.params.emoji === 'like') {
+      await PostsController.like(req, res)
+      return
+    }
+
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const post = await dbAdapter.getPostById(req.params.postId)
+
+      if (null === post) {
+        throw new NotFoundException("Can't find post");
+      }
+
+      await post.addReaction(req.user, req.params.emoji)
+      res.status(200).send({})
+
+      await pubSub.newReaction(post, req.user.id, req.params.emoji)
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async removeReaction(req, res) {
+    if (req.params.emoji === 'like') {
+      await PostsController.unlike(req, res)
+      return
+    }
+
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const post = await dbAdapter.getPostById(req.params.postId)
+
+      if (null === post) {
+        throw new NotFoundException("Can't find post");
+      }
+
+      await post.removeReaction(req.user, req.params.emoji)
+      res.status(200).send({})
+
+      await pubSub.removeReaction(post, req.user.id, req.params.emoji)
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async destroy(req, res) {
     if (!req.user)
       return res.status(401).jsonp({ err: 'Not found' })
@@ -233,6 +308,21 @@ export default class PostsController {
     }
   }
 
+  static async markRead(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const post = await getReadablePost(req.params.postId, req.user)
+      await post.markAsRead(req.user.id)
+
+      const unreadDirectsCount = await req.user.getUnreadDirectsCount()
+      res.jsonp({ unreadDirectsCount })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async disableComments(req, res) {
     if (!req.user)
       return res.status(401).jsonp({ err: 'Unauthorized' })
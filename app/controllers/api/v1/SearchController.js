@@ -0,0 +1,23 @@
+import { Search, SearchSerializer } from '../../../models'
+import exceptions from '../../../support/exceptions'
+
+
+export default class SearchController {
+  static async search(req, res) {
+    try {
+      const search = new Search({
+        query: req.query.q,
+        offset: req.query.offset,
+        limit: req.query.limit,
+        currentUser: req.user ? req.user.id : null
+      })
+
+      await search.getPosts()
+
+      const json = await new SearchSerializer(search).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
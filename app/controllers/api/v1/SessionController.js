@@ -1,16 +1,53 @@
+import crypto from 'crypto'
+
 import passport from "passport"
-import jwt from "jsonwebtoken"
 import _ from "lodash"
+import monitor from 'monitor-dog'
 
 import { load as configLoader } from "../../../../config/config"
-import { UserSerializer } from "../../../models"
+import { dbAdapter, Session, SessionSerializer, UserSerializer } from "../../../models"
+import exceptions, { BadRequestException, NotFoundException } from '../../../support/exceptions'
+import { checkRateLimit, hitRateLimit, resetRateLimit } from '../../../support/rateLimits'
 
 
 let config = configLoader()
 
+const sendAuthToken = async (req, res, user) => {
+  const authToken = await Session.start(user, req)
+
+  const json = await new UserSerializer(user).promiseToJSON()
+  res.jsonp(_.extend(json, { authToken: authToken }))
+}
+
 export default class SessionController {
-  static create(req, res) {
-    passport.authenticate('local', function(err, user, msg) {
+  /**
+   * Signs in with username and password. Users with two-factor
+   * authentication get a twoFactorToken instead of the authToken, to
+   * exchange it for the authToken along with their code at
+   * POST /v1/session/twoFactor.
+   *
+   * Too many failed attempts lock the username out for a while, even
+   * for the right password.
+   */
+  static async create(req, res) {
+    const username = String(req.body.username || '').trim().toLowerCase()
+
+    try {
+      await checkRateLimit('signInFailures', username)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+      return
+    }
+
+    passport.authenticate('local', async function(err, user, msg) {
+      if (err || user === false) {
+        try {
+          await hitRateLimit('signInFailures', username)
+        } catch (e) {
+          return exceptions.reportError(res)(e)
+        }
+      }
+
       if (err) {
         return res.status(401).jsonp({ err: err.message })
       }
@@ -23,12 +60,127 @@ export default class SessionController {
         return res.status(401).jsonp({ err: msg })
       }
 
-      var secret = config.secret
-      var authToken = jwt.sign({ userId: user.id }, secret)
+      try {
+        if (await user.isTwoFactorEnabled()) {
+          const twoFactorToken = crypto.randomBytes(32).toString('hex')
+          await dbAdapter.createTwoFactorChallenge(twoFactorToken, user.id, config.twoFactor.challengeTTL)
 
-      new UserSerializer(user).toJSON(function(err, json) {
-        return res.jsonp(_.extend(json, { authToken: authToken }))
-      })
+          return res.status(401).jsonp({
+            err: 'Two-factor authentication code is required',
+            twoFactorRequired: true,
+            twoFactorToken
+          })
+        }
+
+        await resetRateLimit('signInFailures', username)
+        await sendAuthToken(req, res, user)
+      } catch (e) {
+        exceptions.reportError(res)(e)
+      }
     })(req, res)
   }
+
+  static async confirmTwoFactor(req, res) {
+    try {
+      const token = req.body.twoFactorToken
+
+      if (!token) {
+        throw new BadRequestException('twoFactorToken is required')
+      }
+
+      const challenge = await dbAdapter.getTwoFactorChallenge(token)
+
+      if (!challenge) {
+        return res.status(401).jsonp({ err: 'Your sign-in attempt has expired, please sign in again' })
+      }
+
+      const user = await dbAdapter.getUserById(challenge.userId)
+
+      // a new challenge is just a password away, so codes count as
+      // sign-in attempts too
+      await checkRateLimit('signInFailures', user.username)
+
+      const valid = await user.verifyTwoFactorCode(req.body.code)
+
+      if (!valid) {
+        await hitRateLimit('signInFailures', user.username)
+
+        const attempts = await dbAdapter.addTwoFactorChallengeAttempt(token)
+
+        if (attempts >= config.twoFactor.maxChallengeAttempts) {
+          await dbAdapter.deleteTwoFactorChallenge(token)
+        }
+
+        monitor.increment('users.two-factor-failures')
+        return res.status(401).jsonp({ err: 'Invalid two-factor authentication code' })
+      }
+
+      // the challenge might have been used by a concurrent request
+      const deleted = await dbAdapter.deleteTwoFactorChallenge(token)
+
+      if (deleted !== 1) {
+        return res.status(401).jsonp({ err: 'Your sign-in attempt has expired, please sign in again' })
+      }
+
+      await resetRateLimit('signInFailures', user.username)
+      await sendAuthToken(req, res, user)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Sessions of the current user, the most recent first
+   */
+  static async index(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const sessions = await req.user.getSessions()
+      const currentSessionId = req.authSession ? req.authSession.id : null
+      const jsons = await Promise.all(sessions.map(session => new SessionSerializer(session).promiseToJSON()))
+
+      res.jsonp({
+        sessions: jsons.map(json => ({ ...json.sessions, isCurrent: json.sessions.id === currentSessionId }))
+      })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroy(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const session = await dbAdapter.getSessionById(req.params.sessionId)
+
+      if (null === session || session.userId !== req.user.id) {
+        throw new NotFoundException("Can't find session")
+      }
+
+      await session.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Signs the current user out everywhere, this session included
+   */
+  static async destroyAll(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      await req.user.revokeAuthTokens()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
 }
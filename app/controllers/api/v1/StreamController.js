@@ -0,0 +1,53 @@
+import _ from 'lodash'
+
+import exceptions, { BadRequestException, ForbiddenException } from '../../../support/exceptions'
+
+
+// ids might be given as a comma-separated list or as repeated parameters
+const parseIds = (value) => {
+  if (_.isUndefined(value)) {
+    return []
+  }
+
+  return _.compact(_.flatten([value]).join(',').split(','))
+}
+
+export default class StreamController {
+  /**
+   * Server-Sent Events alternative to socket.io: streams the events of
+   * the given timelines and posts, and notifications of the current user
+   */
+  static async stream(req, res) {
+    try {
+      const timelineIds = parseIds(req.query.timelines)
+      const postIds = parseIds(req.query.posts)
+
+      const rooms = [
+        ...timelineIds.map(id => `timeline:${id}`),
+        ...postIds.map(id => `post:${id}`)
+      ]
+
+      if (req.user) {
+        rooms.push(`user:${req.user.id}`)
+      }
+
+      if (rooms.length === 0) {
+        throw new BadRequestException('"timelines" or "posts" should be given')
+      }
+
+      const userId = req.user ? req.user.id : null
+      const flags = await Promise.all(rooms.map(room => req.app.pubsub.canJoin(userId, room)))
+
+      if (!_.every(flags)) {
+        throw new ForbiddenException('You can not read some of the requested timelines or posts')
+      }
+
+      await req.app.pubsub.eventStream.connect(req, res, rooms, req.headers['last-event-id'])
+    } catch (e) {
+      // errors of the stream itself are handled by EventStream
+      if (!res.headersSent) {
+        exceptions.reportError(res)(e)
+      }
+    }
+  }
+}
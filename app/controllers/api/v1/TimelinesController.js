@@ -1,5 +1,85 @@
-import { dbAdapter, TimelineSerializer } from '../../../models'
-import exceptions, { NotFoundException } from '../../../support/exceptions'
+import fs from 'fs'
+
+import { promisifyAll } from 'bluebird'
+import ejs from 'ejs'
+import _ from 'lodash'
+
+import { dbAdapter, Hashtag, TimelineSerializer } from '../../../models'
+import exceptions, { ForbiddenException, NotFoundException } from '../../../support/exceptions'
+import { load as configLoader } from "../../../../config/config"
+
+
+promisifyAll(fs)
+let config = configLoader()
+
+const FEED_FORMATS = {
+  atom: 'application/atom+xml',
+  rss:  'application/rss+xml'
+}
+
+/**
+ * Renders Posts timeline of a user or a group as Atom or RSS 2.0 document
+ */
+async function renderFeed(req, res, format) {
+  const username = req.params.username
+  const feedOwner = await dbAdapter.getFeedOwnerByUsername(username)
+
+  if (null === feedOwner) {
+    throw new NotFoundException(`Feed "${username}" is not found`)
+  }
+
+  const currentUser = req.user ? req.user.id : null
+  const timeline = await feedOwner.getPostsTimeline({
+    offset: req.query.offset,
+    limit: req.query.limit,
+    currentUser
+  })
+
+  const valid = await timeline.canShow(currentUser)
+
+  if (!valid) {
+    throw new ForbiddenException(`Feed "${username}" is private`)
+  }
+
+  const items = await Promise.all(timeline.posts.map(async (post) => {
+    const [author, attachments] = await Promise.all([post.getCreatedBy(), post.getAttachments()])
+
+    const enclosures = await Promise.all(attachments.map(async (attachment) => {
+      return {
+        url:    await attachment.getUrl(),
+        type:   attachment.mimeType || 'application/octet-stream',
+        length: attachment.fileSize || 0
+      }
+    }))
+
+    return {
+      title: _.trunc(post.body.split('\n')[0], 100),
+      body: post.body,
+      link: `${config.origin}/${author.username}/${post.id}`,
+      createdAt: parseInt(post.createdAt, 10),
+      updatedAt: parseInt(post.updatedAt, 10),
+      author: {
+        username: author.username,
+        screenName: author.screenName,
+        link: `${config.origin}/${author.username}`
+      },
+      enclosures
+    }
+  }))
+
+  const feed = {
+    title: feedOwner.screenName,
+    url: `${config.host}/v1/timelines/${feedOwner.username}/feed.${format}`,
+    link: `${config.origin}/${feedOwner.username}`,
+    updatedAt: items.length > 0 ? _.max(items.map(item => item.updatedAt)) : parseInt(feedOwner.updatedAt, 10),
+    items
+  }
+
+  const template = await fs.readFileAsync(`${config.appRoot}/app/scripts/views/feeds/${format}.ejs`, 'utf8')
+
+  res.type(FEED_FORMATS[format])
+  res.send(ejs.render(template, { feed }))
+}
 
 
 export default class TimelineController {
@@ -15,6 +95,8 @@ export default class TimelineController {
       let timeline = await user.getRiverOfNewsTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: user.id
       })
 
@@ -33,9 +115,45 @@ export default class TimelineController {
 
     try {
       const user = req.user
-      const timeline = await user.getDirectsTimeline({
+      const params = {
+        offset: req.query.offset,
+        limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
+        currentUser: user.id
+      }
+
+      let timeline
+
+      if (req.query.unread === '1') {
+        // posts and cursors come from the unread list, the Directs
+        // timeline is loaded for its name and id only
+        timeline = await dbAdapter.getTimelineById(await user.getDirectsTimelineId())
+        _.extend(timeline, await user.getUnreadDirectPosts(params))
+      } else {
+        timeline = await user.getDirectsTimeline(params)
+      }
+
+      let json = await new TimelineSerializer(timeline).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async mentions(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found', status: 'fail' })
+      return
+    }
+
+    try {
+      const user = req.user
+      const timeline = await user.getMentionsTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: user.id
       })
 
@@ -46,6 +164,26 @@ export default class TimelineController {
     }
   }
 
+  static async tag(req, res) {
+    try {
+      const hashtag = new Hashtag({
+        name: req.params.tag,
+        offset: req.query.offset,
+        limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
+        currentUser: req.user ? req.user.id : null
+      })
+
+      await hashtag.getPosts()
+
+      let json = await new TimelineSerializer(hashtag).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async posts(req, res) {
     try {
       var username = req.params.username
@@ -60,6 +198,8 @@ export default class TimelineController {
       var timeline = await user.getPostsTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: currentUser
       })
 
@@ -70,6 +210,22 @@ export default class TimelineController {
     }
   }
 
+  static async atom(req, res) {
+    try {
+      await renderFeed(req, res, 'atom')
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async rss(req, res) {
+    try {
+      await renderFeed(req, res, 'rss')
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
   static async likes(req, res) {
     try {
       var username = req.params.username
@@ -84,6 +240,8 @@ export default class TimelineController {
       var timeline = await user.getLikesTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: currentUser
       })
 
@@ -108,6 +266,8 @@ export default class TimelineController {
       var timeline = await user.getCommentsTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: currentUser
       })
 
@@ -130,6 +290,8 @@ export default class TimelineController {
       let timeline = await user.getMyDiscussionsTimeline({
         offset: req.query.offset,
         limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
         currentUser: req.user ? req.user.id : null
       })
 
@@ -1,10 +1,10 @@
 import formidable from 'formidable'
-import jwt from 'jsonwebtoken'
 import _ from 'lodash'
 import monitor from 'monitor-dog'
 
-import { dbAdapter, MyProfileSerializer, SubscriberSerializer, SubscriptionSerializer, User, UserSerializer } from '../../../models'
-import exceptions, { NotFoundException } from '../../../support/exceptions'
+import { dbAdapter, MyProfileSerializer, Session, SubscriberSerializer, SubscriptionSerializer, User, UserSerializer } from '../../../models'
+import exceptions, { BadRequestException, ForbiddenException, NotFoundException } from '../../../support/exceptions'
+import { hitRateLimit } from '../../../support/rateLimits'
 import { load as configLoader } from "../../../../config/config"
 import recaptchaVerify from '../../../../lib/recaptcha'
 
@@ -32,6 +32,10 @@ export default class UsersController {
       var user = new User(params)
       await user.create(false)
 
+      if (user.email) {
+        await user.sendEmailVerification(user.email)
+      }
+
       try {
         const onboardingUser = await dbAdapter.getFeedOwnerByUsername(config.onboardingUsername)
 
@@ -44,8 +48,7 @@ export default class UsersController {
         // if onboarding username is not found, just pass
       }
 
-      var secret = config.secret
-      var authToken = jwt.sign({ userId: user.id }, secret)
+      var authToken = await Session.start(user, req)
 
       var json = await new MyProfileSerializer(user).promiseToJSON()
       res.jsonp(_.extend(json, { authToken: authToken }))
@@ -81,8 +84,7 @@ export default class UsersController {
         // if onboarding username is not found, just pass
       }
 
-      var secret = config.secret
-      var authToken = jwt.sign({ userId: user.id }, secret)
+      var authToken = await Session.start(user, req)
 
       var json = await new MyProfileSerializer(user).promiseToJSON()
       res.jsonp(_.extend(json, { authToken: authToken }))
@@ -350,13 +352,18 @@ export default class UsersController {
     if (!req.user || req.user.id != req.params.userId)
       return res.status(401).jsonp({ err: 'Not found' })
 
-    var attrs = _.reduce(['screenName', 'email', 'isPrivate', 'description'], function(acc, key) {
+    var attrs = _.reduce(['screenName', 'email', 'isPrivate', 'description', 'emailNotifications'], function(acc, key) {
       if (key in req.body.user)
         acc[key] = req.body.user[key]
       return acc
     }, {})
 
     try {
+      // changes of the email are verified by mail
+      if (_.isString(attrs.email) && attrs.email.trim() && attrs.email.trim() != req.user.email) {
+        await hitRateLimit('emailVerificationByUser', req.user.id)
+      }
+
       var user = await req.user.update(attrs)
       var json = await new MyProfileSerializer(user).promiseToJSON()
       res.jsonp(json)
@@ -375,7 +382,104 @@ export default class UsersController {
       if (!valid)
         throw new Error('Your old password is not valid')
       await req.user.updatePassword(req.body.password, req.body.passwordConfirmation)
-      return res.jsonp({ message: 'Your password has been changed' })
+
+      // the old tokens, including the one of this request, do not work anymore
+      var authToken = await Session.start(req.user, req)
+      return res.jsonp({ message: 'Your password has been changed', authToken })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async enrollTwoFactor(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const { secret, otpauthUrl } = await req.user.enrollTwoFactor()
+      res.jsonp({ secret, otpauthUrl })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async confirmTwoFactor(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const recoveryCodes = await req.user.confirmTwoFactor(req.body.code)
+      res.jsonp({ recoveryCodes })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async regenerateRecoveryCodes(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const valid = await req.user.verifyTwoFactorCode(req.body.code)
+      if (!valid)
+        throw new ForbiddenException('Invalid two-factor authentication code')
+
+      const recoveryCodes = await req.user.regenerateRecoveryCodes()
+      res.jsonp({ recoveryCodes })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async disableTwoFactor(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const validPassword = await req.user.validPassword(req.body.password || '')
+      if (!validPassword)
+        throw new ForbiddenException('Your password is not valid')
+
+      const validCode = await req.user.verifyTwoFactorCode(req.body.code)
+      if (!validCode)
+        throw new ForbiddenException('Invalid two-factor authentication code')
+
+      await req.user.disableTwoFactor()
+      res.jsonp({ message: 'Two-factor authentication has been disabled' })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  /**
+   * Sends the verification link again: to the pending email if there is
+   * one, to the current email otherwise
+   */
+  static async sendEmailVerification(req, res) {
+    if (!req.user)
+      return res.status(401).jsonp({ err: 'Not found' })
+
+    try {
+      const email = req.user.pendingEmail || req.user.email
+
+      if (!email)
+        throw new BadRequestException('Please set your email address first')
+      if (email === req.user.email && req.user.isEmailVerified())
+        throw new BadRequestException('Your email address is already verified')
+
+      await hitRateLimit('emailVerificationByUser', req.user.id)
+      await req.user.sendEmailVerification(email)
+
+      res.jsonp({ message: `We will send a verification link to ${email} in a moment` })
+    } catch(e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async verifyEmail(req, res) {
+    try {
+      const user = await User.verifyEmail(req.body.token)
+      res.jsonp({ message: `Your email address ${user.email} has been verified` })
     } catch(e) {
       exceptions.reportError(res)(e)
     }
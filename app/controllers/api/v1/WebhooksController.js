@@ -0,0 +1,116 @@
+import { dbAdapter, Webhook, WebhookDeliverySerializer, WebhookSerializer } from '../../../models'
+import exceptions, { ForbiddenException, NotFoundException } from '../../../support/exceptions'
+
+
+/**
+ * Returns the feed a webhook is registered for: the user's own feed or
+ * a group the user administers
+ */
+async function getManagedFeed(req, username) {
+  if (!username) {
+    return req.user
+  }
+
+  const feed = await dbAdapter.getFeedOwnerByUsername(username)
+
+  if (null === feed) {
+    throw new NotFoundException(`Feed "${username}" is not found`)
+  }
+
+  const adminIds = await feed.getAdministratorIds()
+
+  if (adminIds.indexOf(req.user.id) === -1) {
+    throw new ForbiddenException("You can't add webhooks to this feed")
+  }
+
+  return feed
+}
+
+async function getOwnWebhook(req) {
+  const webhook = await dbAdapter.getWebhookById(req.params.webhookId)
+
+  if (null === webhook || webhook.userId !== req.user.id) {
+    throw new NotFoundException("Can't find webhook")
+  }
+
+  return webhook
+}
+
+export default class WebhooksController {
+  static async index(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const webhookIds = await dbAdapter.getUserWebhookIds(req.user.id)
+      const webhooks = await dbAdapter.getWebhooksByIds(webhookIds)
+
+      const jsons = await Promise.all(webhooks.map(webhook => new WebhookSerializer(webhook).promiseToJSON()))
+      res.jsonp({ webhooks: jsons.map(json => json.webhooks) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async create(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const params = req.body.webhook || {}
+      const feed = await getManagedFeed(req, params.feed)
+
+      const webhook = new Webhook({
+        userId: req.user.id,
+        feedId: feed.id,
+        url: params.url,
+        events: params.events
+      })
+
+      await webhook.create()
+
+      const json = await new WebhookSerializer(webhook).promiseToJSON()
+      res.jsonp(json)
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async destroy(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const webhook = await getOwnWebhook(req)
+      await webhook.destroy()
+
+      res.jsonp({})
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+
+  static async deliveries(req, res) {
+    if (!req.user) {
+      res.status(401).jsonp({ err: 'Not found' })
+      return
+    }
+
+    try {
+      const webhook = await getOwnWebhook(req)
+      const deliveryIds = await dbAdapter.getWebhookDeliveryIds(webhook.id)
+      const deliveries = await dbAdapter.getWebhookDeliveriesByIds(deliveryIds)
+
+      const jsons = await Promise.all(deliveries.map(delivery => new WebhookDeliverySerializer(delivery).promiseToJSON()))
+      res.jsonp({ deliveries: jsons.map(json => json.deliveries) })
+    } catch (e) {
+      exceptions.reportError(res)(e)
+    }
+  }
+}
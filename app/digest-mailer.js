@@ -0,0 +1,89 @@
+import { dbAdapter } from './models'
+import { UserMailer } from './mailers'
+
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Sends daily digests to the users who have subscribed to them. Checks
+ * whose digest is due every `config.emailDigest.checkInterval` milliseconds.
+ */
+export default class DigestMailer {
+  constructor(app) {
+    this.app = app
+    this.isRunning = false
+
+    this.timer = setInterval(this.sendDueDigests.bind(this), app.config.emailDigest.checkInterval)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+  }
+
+  async sendDueDigests(time = new Date().getTime()) {
+    if (this.isRunning) {
+      return 0
+    }
+
+    this.isRunning = true
+
+    let count = 0
+
+    try {
+      const userIds = await dbAdapter.getDigestSubscriberIds()
+
+      for (let userId of userIds) {
+        const user = await dbAdapter.getUserById(userId)
+
+        if (null === user || !user.wantsEmailNotification('dailyDigest')) {
+          continue
+        }
+
+        const sentAt = parseInt(user.digestSentAt, 10) || (time - DAY)
+
+        if (time - sentAt < DAY) {
+          continue
+        }
+
+        try {
+          if (await this.sendDigest(user, sentAt, time)) {
+            count++
+          }
+        } catch (e) {
+          this.app.logger.error(`failed to send digest to user ${userId}`, e)
+        }
+      }
+
+      if (count > 0) {
+        this.app.logger.info(`sent ${count} daily digests`)
+      }
+    } catch (e) {
+      this.app.logger.error('digest mailer error', e)
+    } finally {
+      this.isRunning = false
+    }
+
+    return count
+  }
+
+  /**
+   * Sends digest of the posts since the previous one. Nothing is sent
+   * if there is nothing new, but the day is counted as covered anyway.
+   */
+  async sendDigest(user, since, time) {
+    const posts = await user.getDigestPosts(since, this.app.config.emailDigest.maxPosts)
+
+    await dbAdapter.updateUser(user.id, { digestSentAt: time.toString() })
+
+    if (posts.length === 0) {
+      return false
+    }
+
+    const authors = await dbAdapter.getUsersByIds(posts.map(post => post.userId))
+    const entries = posts.map((post, i) => ({ post, author: authors[i] }))
+
+    await UserMailer.dailyDigest(user, { user, entries })
+
+    return true
+  }
+}
@@ -0,0 +1,136 @@
+import _ from 'lodash'
+
+
+/**
+ * Delivers realtime events to Server-Sent Events clients. PubsubListener
+ * publishes here everything it emits to socket.io rooms. Reconnecting
+ * clients get the events they have missed since their Last-Event-ID
+ * from the event log of the rooms.
+ */
+export default class EventStream {
+  constructor(app, listener) {
+    this.app = app
+    this.listener = listener
+    this.clients = []
+  }
+
+  /**
+   * Streams events of the rooms to the response until the client
+   * disconnects. Events newer than lastEventId are replayed first.
+   */
+  async connect(req, res, rooms, lastEventId) {
+    // 'close' might come while we are replaying the events
+    let isClosed = false
+    req.on('close', () => { isClosed = true })
+
+    const client = {
+      userId: req.user ? req.user.id : null,
+      sessionId: req.authSession ? req.authSession.id : null,
+      rooms,
+      res
+    }
+
+    res.writeHead(200, {
+      'Content-Type':      'text/event-stream',
+      'Cache-Control':     'no-cache',
+      'Connection':        'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.write(`retry: ${this.app.config.eventStream.retryInterval}\n\n`)
+
+    let cursor = parseInt(lastEventId, 10)
+
+    try {
+      // events published while we are replaying get into the log too,
+      // so repeat until the client has caught up
+      while (cursor) {
+        const missedEvents = await this.listener.getMissedEvents(rooms, cursor)
+
+        if (missedEvents.length === 0) {
+          break
+        }
+
+        for (let event of missedEvents) {
+          await this.send(client, event)
+          cursor = event.id
+        }
+      }
+    } catch (e) {
+      // the response is streaming already, so the error can not be sent
+      this.app.logger.error('failed to replay missed events', e)
+      this.disconnect(client)
+      return
+    }
+
+    if (isClosed) {
+      return
+    }
+
+    // skip live events which have been replayed already
+    client.replayedEventId = cursor
+    client.heartbeat = setInterval(() => res.write(':\n\n'), this.app.config.eventStream.heartbeatInterval)
+    this.clients.push(client)
+
+    req.on('close', () => this.disconnect(client))
+  }
+
+  /**
+   * Stops streaming to the client
+   */
+  disconnect(client) {
+    clearInterval(client.heartbeat)
+    this.clients = this.clients.filter(c => c !== client)
+    client.res.end()
+  }
+
+  /**
+   * Disconnects the clients of the session, or of all the sessions of
+   * the user if sessionId is not given
+   */
+  disconnectSessions(userId, sessionId) {
+    this.clients
+      .filter(client => client.userId === userId && (!sessionId || client.sessionId === sessionId))
+      .forEach(client => this.disconnect(client))
+  }
+
+  async publish(event) {
+    const clients = this.clients.filter(client => !(event.id <= client.replayedEventId))
+
+    await Promise.all(clients.map(client => this.send(client, event)))
+  }
+
+  /**
+   * Removes the clients of the user (or of everyone if userId is not
+   * given) from the rooms they may not read anymore. Only the given
+   * rooms are checked, if any.
+   */
+  async recheckRooms(userId, roomsToCheck = null) {
+    const clients = this.clients.filter(client => !userId || client.userId === userId)
+
+    await Promise.all(clients.map(async (client) => {
+      const rooms = roomsToCheck ? _.intersection(client.rooms, roomsToCheck) : client.rooms
+      const flags = await Promise.all(rooms.map(room => this.listener.canJoin(client.userId, room)))
+      const deniedRooms = rooms.filter((room, i) => !flags[i])
+
+      client.rooms = _.difference(client.rooms, deniedRooms)
+
+      deniedRooms.forEach((room) => {
+        const [channel, id] = room.split(':')
+        client.res.write(`event: subscribe:error\ndata: ${JSON.stringify({ channel, id, message: 'Access denied' })}\n\n`)
+      })
+    }))
+  }
+
+  async send(client, event) {
+    if (client.rooms.indexOf(event.room) === -1) {
+      return
+    }
+
+    if (!(await this.listener.canReceive(client.userId, event))) {
+      return
+    }
+
+    const id = event.id ? `id: ${event.id}\n` : ''
+    client.res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event.json)}\n\n`)
+  }
+}
@@ -0,0 +1,52 @@
+import { dbAdapter } from './models'
+
+
+/**
+ * Polls all the imported feeds every `config.importedFeeds.pollInterval`
+ * milliseconds. Feeds are polled one by one, and a new round is not started
+ * until the previous one is finished.
+ */
+export default class FeedImporter {
+  constructor(app) {
+    this.app = app
+    this.isRunning = false
+
+    this.timer = setInterval(this.pollAll.bind(this), app.config.importedFeeds.pollInterval)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+  }
+
+  async pollAll() {
+    if (this.isRunning) {
+      return
+    }
+
+    this.isRunning = true
+
+    try {
+      const feedIds = await dbAdapter.getAllImportedFeedIds()
+
+      for (let feedId of feedIds) {
+        const feed = await dbAdapter.getImportedFeedById(feedId)
+
+        if (null === feed) {
+          continue
+        }
+
+        const posts = await feed.poll()
+
+        if (feed.lastError) {
+          this.app.logger.warn(`failed to import feed ${feed.url}: ${feed.pollError.message}`)
+        } else if (posts.length > 0) {
+          this.app.logger.info(`imported ${posts.length} posts from ${feed.url}`)
+        }
+      }
+    } catch (e) {
+      this.app.logger.error('feed importer error', e)
+    } finally {
+      this.isRunning = false
+    }
+  }
+}
@@ -4,10 +4,48 @@ import { load as configLoader } from '../../config/config'
 
 let config = configLoader()
 
+const VIEWS_PATH = `${config.appRoot}/app/scripts/views/mailer`
+
 export default class UserMailer{
   static async resetPassword(user, locals) {
     var subject = config.mailer.resetPasswordMailSubject
 
-    await Mailer.sendMail(user, subject, locals, `${config.appRoot}/app/scripts/views/mailer/resetPassword.ejs`)
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/resetPassword.ejs`)
+  }
+
+  static async emailVerification(user, locals) {
+    const subject = config.mailer.emailVerificationMailSubject
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/emailVerification.ejs`)
+  }
+
+  static async emailChanged(user, locals) {
+    const subject = config.mailer.emailChangedMailSubject
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/emailChanged.ejs`)
+  }
+
+  static async directMessage(user, locals) {
+    const subject = `Direct message from ${locals.author.screenName}`
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/directMessage.ejs`)
+  }
+
+  static async subscriptionRequest(user, locals) {
+    const subject = `${locals.actor.screenName} wants to subscribe to you`
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/subscriptionRequest.ejs`)
+  }
+
+  static async comment(user, locals) {
+    const subject = `${locals.actor.screenName} commented on your post`
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/comment.ejs`)
+  }
+
+  static async dailyDigest(user, locals) {
+    const subject = config.mailer.dailyDigestMailSubject
+
+    await Mailer.sendMail(user, subject, locals, `${VIEWS_PATH}/dailyDigest.ejs`)
   }
 }
@@ -3,27 +3,51 @@ import { DbAdapter } from './support/DbAdapter'
 import { PubSubAdapter } from './support/PubSubAdapter'
 import pubSub from './pubsub'
 
+import { addModel as accessTokenModel } from './models/access_token'
 import { addModel as attachmentModel } from './models/attachment'
 import { addModel as commentModel } from './models/comment'
+import { addModel as draftModel } from './models/draft'
 import { addModel as groupModel } from './models/group'
+import { addModel as hashtagModel } from './models/hashtag'
+import { addModel as importedFeedModel } from './models/imported_feed'
+import { addModel as notificationModel } from './models/notification'
+import { addModel as oauthAuthorizationModel } from './models/oauth_authorization'
+import { addModel as oauthClientModel } from './models/oauth_client'
 import { addModel as postModel } from './models/post'
+import { addModel as searchModel } from './models/search'
+import { addModel as sessionModel } from './models/session'
 import { addModel as statsModel } from './models/stats'
 import { addModel as timelineModel } from './models/timeline'
 import { addModel as userModel } from './models/user'
+import { addModel as webhookModel } from './models/webhook'
 
+import { addSerializer as accessTokenSerializer } from './serializers/v1/AccessTokenSerializer'
 import { addSerializer as adminSerializer } from './serializers/v1/AdminSerializer'
 import { addSerializer as attachmentSerializer } from './serializers/v1/AttachmentSerializer'
 import { addSerializer as commentSerializer } from './serializers/v1/CommentSerializer'
+import { addSerializer as draftSerializer } from './serializers/v1/DraftSerializer'
 import { addSerializer as groupSerializer } from './serializers/v1/GroupSerializer'
+import { addSerializer as historySerializer } from './serializers/v1/HistorySerializer'
+import { addSerializer as importedFeedSerializer } from './serializers/v1/ImportedFeedSerializer'
 import { addSerializer as likeSerializer } from './serializers/v1/LikeSerializer'
 import { addSerializer as myProfileSerializer } from './serializers/v1/MyProfileSerializer'
+import { addSerializer as notificationSerializer } from './serializers/v1/NotificationSerializer'
+import { addSerializer as notificationCenterSerializer } from './serializers/v1/NotificationCenterSerializer'
+import { addSerializer as oauthAuthorizationSerializer } from './serializers/v1/OAuthAuthorizationSerializer'
+import { addSerializer as oauthClientSerializer } from './serializers/v1/OAuthClientSerializer'
 import { addSerializer as postSerializer } from './serializers/v1/PostSerializer'
 import { addSerializer as pubsubCommentSerializer } from './serializers/v1/PubsubCommentSerializer'
+import { addSerializer as revisionSerializer } from './serializers/v1/RevisionSerializer'
+import { addSerializer as scheduledPostsSerializer } from './serializers/v1/ScheduledPostsSerializer'
+import { addSerializer as searchSerializer } from './serializers/v1/SearchSerializer'
+import { addSerializer as sessionSerializer } from './serializers/v1/SessionSerializer'
 import { addSerializer as subscriberSerializer } from './serializers/v1/SubscriberSerializer'
 import { addSerializer as subscriptionSerializer } from './serializers/v1/SubscriptionSerializer'
 import { addSerializer as subscriptionRequestSerializer } from './serializers/v1/SubscriptionRequestSerializer'
 import { addSerializer as timelineSerializer } from './serializers/v1/TimelineSerializer'
 import { addSerializer as userSerializer } from './serializers/v1/UserSerializer'
+import { addSerializer as webhookSerializer } from './serializers/v1/WebhookSerializer'
+import { addSerializer as webhookDeliverySerializer } from './serializers/v1/WebhookDeliverySerializer'
 
 
 // Be careful: order of exports is important.
@@ -43,6 +67,16 @@ export const Timeline      = timelineModel(dbAdapter)
 export const Attachment    = attachmentModel(dbAdapter)
 export const Comment       = commentModel(dbAdapter)
 export const Stats         = statsModel(dbAdapter)
+export const Search        = searchModel(dbAdapter)
+export const ImportedFeed  = importedFeedModel(dbAdapter)
+export const Draft         = draftModel(dbAdapter)
+export const Hashtag       = hashtagModel(dbAdapter)
+export const Notification  = notificationModel(dbAdapter)
+export const Webhook       = webhookModel(dbAdapter)
+export const Session       = sessionModel(dbAdapter)
+export const AccessToken   = accessTokenModel(dbAdapter)
+export const OAuthClient   = oauthClientModel(dbAdapter)
+export const OAuthAuthorization = oauthAuthorizationModel(dbAdapter)
 
 export const AdminSerializer               = adminSerializer()
 export const UserSerializer                = userSerializer()
@@ -57,3 +91,17 @@ export const CommentSerializer             = commentSerializer()
 export const PubsubCommentSerializer       = pubsubCommentSerializer()
 export const PostSerializer                = postSerializer()
 export const TimelineSerializer            = timelineSerializer()
+export const SearchSerializer              = searchSerializer()
+export const ImportedFeedSerializer        = importedFeedSerializer()
+export const RevisionSerializer            = revisionSerializer()
+export const HistorySerializer             = historySerializer()
+export const ScheduledPostsSerializer      = scheduledPostsSerializer()
+export const DraftSerializer               = draftSerializer()
+export const NotificationSerializer        = notificationSerializer()
+export const NotificationCenterSerializer  = notificationCenterSerializer()
+export const WebhookSerializer             = webhookSerializer()
+export const WebhookDeliverySerializer     = webhookDeliverySerializer()
+export const SessionSerializer             = sessionSerializer()
+export const AccessTokenSerializer         = accessTokenSerializer()
+export const OAuthClientSerializer         = oauthClientSerializer()
+export const OAuthAuthorizationSerializer  = oauthAuthorizationSerializer()
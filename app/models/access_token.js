@@ -0,0 +1,127 @@
+import crypto from 'crypto'
+
+import { promisifyAll } from 'bluebird'
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+
+import { BadRequestException } from '../support/exceptions'
+import { touch } from '../support/touch'
+
+
+promisifyAll(crypto)
+
+// tells access tokens from session JWTs
+const TOKEN_PREFIX = 'pat_'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+export function addModel(dbAdapter) {
+  /**
+   * Named personal access token for bots and scripts. It gives access to
+   * the actions allowed by its scopes only (see support/scopes). Only a
+   * hash of the token is stored, the token itself is shown once.
+   * @constructor
+   */
+  var AccessToken = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.name = params.name
+    this.scopes = _.isString(params.scopes) ? _.compact(params.scopes.split(',')) : params.scopes
+    this.tokenHash = params.tokenHash
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.lastUsedAt, 10))
+      this.lastUsedAt = params.lastUsedAt
+  }
+
+  AccessToken.className = AccessToken
+  AccessToken.namespace = "access_token"
+
+  AccessToken.SCOPES = ['read', 'post', 'comment', 'like', 'manage-subscriptions']
+
+  Object.defineProperty(AccessToken.prototype, 'name', {
+    get: function() { return this.name_ },
+    set: function(newValue) {
+      newValue ? this.name_ = newValue.trim() : this.name_ = ''
+    }
+  })
+
+  AccessToken.isAccessToken = function(token) {
+    return _.startsWith(token, TOKEN_PREFIX)
+  }
+
+  /**
+   * Returns { user, accessToken } of the token or throws if the token is
+   * not valid
+   */
+  AccessToken.authenticate = async function(token) {
+    const accessToken = await dbAdapter.getAccessTokenByHash(hashToken(token))
+
+    if (!accessToken) {
+      throw new Error('the access token is not valid')
+    }
+
+    const user = await dbAdapter.getUserById(accessToken.userId)
+
+    if (!user) {
+      throw new Error(`user ${accessToken.userId} is not found`)
+    }
+
+    await accessToken.touch()
+
+    return { user, accessToken }
+  }
+
+  AccessToken.prototype.validate = async function() {
+    if (this.name.length === 0 || this.name.length > 100) {
+      throw new BadRequestException("Access token name must be 1 to 100 characters long")
+    }
+
+    if (!_.isArray(this.scopes) || this.scopes.length === 0 || _.difference(this.scopes, AccessToken.SCOPES).length > 0) {
+      throw new BadRequestException(`Access token scopes must be a non-empty list of: ${AccessToken.SCOPES.join(', ')}`)
+    }
+
+    if (!this.userId || this.userId.length === 0) {
+      throw new Error("Invalid")
+    }
+  }
+
+  AccessToken.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.scopes = _.uniq(this.scopes || [])
+
+    await this.validate()
+
+    const buf = await crypto.randomBytesAsync(32)
+    this.token = TOKEN_PREFIX + buf.toString('hex')
+    this.tokenHash = hashToken(this.token)
+
+    this.id = await dbAdapter.createAccessToken({
+      userId:    this.userId,
+      name:      this.name,
+      scopes:    this.scopes.join(','),
+      tokenHash: this.tokenHash,
+      createdAt: this.createdAt.toString()
+    })
+
+    monitor.increment('access-tokens.creates')
+
+    return this
+  }
+
+  AccessToken.prototype.destroy = async function() {
+    await dbAdapter.deleteAccessToken(this.id, this.userId, this.tokenHash)
+    monitor.increment('access-tokens.destroys')
+  }
+
+  AccessToken.prototype.hasScope = function(scope) {
+    return this.scopes.indexOf(scope) !== -1
+  }
+
+  AccessToken.prototype.touch = function() {
+    return touch(this, lastUsedAt => dbAdapter.updateAccessToken(this.id, { lastUsedAt }))
+  }
+
+  return AccessToken
+}
@@ -52,6 +52,7 @@ export function addModel(dbAdapter) {
 
     this.userId = params.userId
     this.postId = params.postId
+    this.draftId = params.draftId // set while attachment is used by a draft
 
     if (parseInt(params.createdAt, 10))
       this.createdAt = params.createdAt
@@ -1,6 +1,10 @@
 import _ from 'lodash'
 
-import { PubSub as pubSub } from '../models'
+import { Notification, Post, PubSub as pubSub } from '../models'
+import { addRevisionDiffs } from '../support/diff'
+import { BadRequestException, ForbiddenException } from '../support/exceptions'
+import { getMentionedUsernames } from '../support/mentions'
+import { getWords } from '../support/search'
 
 
 export function addModel(dbAdapter) {
@@ -12,10 +16,22 @@ export function addModel(dbAdapter) {
     this.body = params.body
     this.userId = params.userId
     this.postId = params.postId
+    this.parentCommentId = params.parentCommentId || ''
+    this.isDeleted = params.isDeleted
+    this.currentUser = params.currentUser
+
+    if (params.maxLikes != 'all') {
+      this.maxLikes = parseInt(params.maxLikes, 10) || 4
+    } else {
+      this.maxLikes = params.maxLikes
+    }
+
     if (parseInt(params.createdAt, 10))
       this.createdAt = params.createdAt
     if (parseInt(params.updatedAt, 10))
       this.updatedAt = params.updatedAt
+    if (parseInt(params.editedAt, 10))
+      this.editedAt = params.editedAt
   }
 
   Comment.className = Comment
@@ -39,6 +55,18 @@ export function addModel(dbAdapter) {
     if (!valid) {
       throw new Error("Invalid")
     }
+
+    if (this.parentCommentId) {
+      const parent = await dbAdapter.getCommentById(this.parentCommentId)
+
+      if (null === parent || parent.postId !== this.postId) {
+        throw new BadRequestException("Can't find parent comment in this post")
+      }
+
+      if (parent.isDeleted === '1') {
+        throw new ForbiddenException("You can't reply to a deleted comment")
+      }
+    }
   }
 
   Comment.prototype.create = async function() {
@@ -55,10 +83,26 @@ export function addModel(dbAdapter) {
       'updatedAt': this.updatedAt.toString()
     }
 
+    if (this.parentCommentId) {
+      payload.parentCommentId = this.parentCommentId
+    }
+
     this.id = await dbAdapter.createComment(payload)
+    await this.updateSearchIndex()
+
+    if (this.parentCommentId) {
+      await dbAdapter.addReplyToComment(this.parentCommentId, this.id)
+    }
 
     let post = await dbAdapter.getPostById(this.postId)
     let timelines = await post.addComment(this)
+    await post.markDirectAsUnread(this.userId)
+
+    await post.notifyMentionedUsers(getMentionedUsernames(this.body), this.userId)
+
+    if (this.userId !== post.userId) {
+      await Notification.notify({ userId: post.userId, type: 'comment', actorId: this.userId, postId: post.id, commentId: this.id })
+    }
 
     let stats = await dbAdapter.getStatsById(this.userId)
     await stats.addComment()
@@ -67,6 +111,8 @@ export function addModel(dbAdapter) {
   }
 
   Comment.prototype.update = async function(params) {
+    const previousBody = this.body
+
     this.updatedAt = new Date().getTime()
     this.body = params.body
 
@@ -76,32 +122,103 @@ export function addModel(dbAdapter) {
       'body':      this.body,
       'updatedAt': this.updatedAt.toString()
     }
+
+    if (this.body !== previousBody) {
+      this.editedAt = this.updatedAt
+      payload.editedAt = this.editedAt.toString()
+
+      await dbAdapter.addCommentRevision(this.id, {
+        'userId':    this.userId,
+        'body':      previousBody,
+        'createdAt': this.editedAt.toString()
+      })
+    }
+
     await dbAdapter.updateComment(this.id, payload)
+    await this.updateSearchIndex()
 
     await pubSub.updateComment(this.id)
 
+    const addedUsernames = _.difference(getMentionedUsernames(this.body), getMentionedUsernames(previousBody))
+
+    if (addedUsernames.length > 0) {
+      const post = await this.getPost()
+      await post.notifyMentionedUsers(addedUsernames, this.userId)
+    }
+
     return this
   }
 
+  /**
+   * Brings search index in line with the current body of the comment
+   */
+  Comment.prototype.updateSearchIndex = async function() {
+    const oldWords = await dbAdapter.getCommentSearchWords(this.id)
+    const newWords = getWords(this.body)
+
+    await Promise.all([
+      dbAdapter.removeCommentSearchWords(this.id, _.difference(oldWords, newWords)),
+      dbAdapter.addCommentSearchWords(this.id, this.createdAt, _.difference(newWords, oldWords))
+    ])
+  }
+
+  Comment.prototype.removeFromSearchIndex = async function() {
+    const words = await dbAdapter.getCommentSearchWords(this.id)
+    await dbAdapter.removeCommentSearchWords(this.id, words)
+  }
+
+  Comment.prototype.getMentions = function() {
+    return Post.getMentionEntities(this.body)
+  }
+
   Comment.prototype.getPost = function() {
     return dbAdapter.getPostById(this.postId)
   }
 
-  Comment.prototype.destroy = async function() {
-    await pubSub.destroyComment(this.id, this.postId)
-    await dbAdapter.deleteComment(this.id)
-    await dbAdapter.removeCommentFromPost(this.postId, this.id)
+  /**
+   * Removes the comment. A comment which has replies is replaced with
+   * a tombstone (a comment without body and author), so the replies stay
+   * attached to their thread. Pass `force` to remove it anyway (e.g. when
+   * the whole post is being removed).
+   */
+  Comment.prototype.destroy = async function(params = {}) {
+    const wasDeleted = (this.isDeleted === '1')
+    const authorId = this.userId
+    const repliesCount = await dbAdapter.getCommentRepliesCount(this.id)
+
+    if (repliesCount > 0 && !params.force) {
+      await this.markAsDeleted()
+    } else {
+      await pubSub.destroyComment(this.id, this.postId)
+      await this.removeFromSearchIndex()
+      await Promise.all([
+        dbAdapter.deleteComment(this.id),
+        dbAdapter.deleteCommentReplies(this.id),
+        dbAdapter.deleteCommentLikes(this.id),
+        dbAdapter.deleteCommentRevisions(this.id)
+      ])
+      await dbAdapter.removeCommentFromPost(this.postId, this.id)
+
+      if (!params.force) {
+        await this.detachFromParent()
+      }
+    }
+
+    // tombstone has no author to clean up after
+    if (wasDeleted) {
+      return true
+    }
 
     // look for comment from this user in this post
     // if this is was the last one remove this post from user's comments timeline
     let post = await dbAdapter.getPostById(this.postId)
     let comments = await post.getComments()
 
-    if (_.any(comments, 'userId', this.userId)) {
+    if (_.any(comments, 'userId', authorId)) {
       return true
     }
 
-    let user = await dbAdapter.getUserById(this.userId)
+    let user = await dbAdapter.getUserById(authorId)
     let timelineId = await user.getCommentsTimelineId()
 
     await Promise.all([
@@ -109,14 +226,130 @@ export function addModel(dbAdapter) {
       dbAdapter.deletePostUsageInTimeline(this.postId, timelineId)
     ])
 
-    let stats = await dbAdapter.getStatsById(this.userId)
+    let stats = await dbAdapter.getStatsById(authorId)
     let res = await stats.removeComment()
     return res
   }
 
+  Comment.prototype.markAsDeleted = async function() {
+    this.body = ''
+    this.userId = ''
+    this.isDeleted = '1'
+    this.updatedAt = new Date().getTime()
+
+    await this.removeFromSearchIndex()
+    await dbAdapter.deleteCommentLikes(this.id)
+    await dbAdapter.deleteCommentRevisions(this.id)
+    await dbAdapter.updateComment(this.id, {
+      'body':      this.body,
+      'userId':    this.userId,
+      'isDeleted': this.isDeleted,
+      'updatedAt': this.updatedAt.toString()
+    })
+
+    await pubSub.updateComment(this.id)
+  }
+
+  /**
+   * Removes the comment from replies of its parent. The parent tombstone
+   * is not needed anymore when its last reply is gone.
+   */
+  Comment.prototype.detachFromParent = async function() {
+    if (!this.parentCommentId) {
+      return
+    }
+
+    await dbAdapter.removeReplyFromComment(this.parentCommentId, this.id)
+
+    const parent = await dbAdapter.getCommentById(this.parentCommentId)
+
+    if (parent && parent.isDeleted === '1') {
+      await parent.destroy()
+    }
+  }
+
+  /**
+   * Returns previous versions of the comment body, see Post#getRevisions
+   */
+  Comment.prototype.getRevisions = async function() {
+    const revisions = await dbAdapter.getCommentRevisions(this.id)
+    return addRevisionDiffs(revisions, this.body)
+  }
+
   Comment.prototype.getCreatedBy = function() {
     return dbAdapter.getUserById(this.userId)
   }
 
+  Comment.prototype.addLike = async function(user) {
+    await user.validateCanLikeComment(this)
+    await dbAdapter.createUserCommentLike(this.id, user.id)
+  }
+
+  Comment.prototype.removeLike = async function(user) {
+    await user.validateCanUnLikeComment(this)
+    await dbAdapter.removeUserCommentLike(this.id, user.id)
+
+    await pubSub.removeCommentLike(this, user.id)
+  }
+
+  /**
+   * Returns ids of users who liked the comment (up to `maxLikes` of them).
+   * The current user always goes first.
+   */
+  Comment.prototype.getLikeIds = async function() {
+    let likeIds = await dbAdapter.getCommentLikesRange(this.id, 0, -1)
+
+    let from = likeIds.indexOf(this.currentUser)
+
+    if (from > 0) {
+      likeIds.splice(0, 0, likeIds.splice(from, 1)[0])
+    }
+
+    if (likeIds.length > this.maxLikes && this.maxLikes != 'all') {
+      this.omittedLikes = likeIds.length - this.maxLikes
+      likeIds = likeIds.slice(0, this.maxLikes)
+    } else {
+      this.omittedLikes = 0
+    }
+
+    this.likeIds = likeIds
+
+    return this.likeIds
+  }
+
+  Comment.prototype.getOmittedLikes = async function() {
+    let length = await dbAdapter.getCommentLikesCount(this.id)
+
+    if (length > this.maxLikes && this.maxLikes != 'all') {
+      this.omittedLikes = length - this.maxLikes
+    } else {
+      this.omittedLikes = 0
+    }
+
+    return this.omittedLikes
+  }
+
+  Comment.prototype.getLikes = async function() {
+    let banIds = []
+
+    if (this.currentUser) {
+      let user = await dbAdapter.getUserById(this.currentUser)
+
+      if (user) {
+        banIds = await user.getBanIds()
+      }
+    }
+
+    let userIds = (await this.getLikeIds())
+      .filter(userId => (banIds.indexOf(userId) === -1))
+
+    let users = await dbAdapter.getUsersByIds(userIds)
+
+    // filter non-existant likers
+    this.likes = users.filter(Boolean)
+
+    return this.likes
+  }
+
   return Comment
 }
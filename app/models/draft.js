@@ -0,0 +1,205 @@
+import monitor from 'monitor-dog'
+import GraphemeBreaker from 'grapheme-breaker'
+import _ from 'lodash'
+
+import { BadRequestException } from '../support/exceptions'
+
+
+export function addModel(dbAdapter) {
+  /**
+   * Unfinished post which is kept by the server until the author
+   * publishes it
+   * @constructor
+   */
+  var Draft = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.body = params.body
+    this.timelineIds = params.timelineIds
+    this.attachmentIds = params.attachmentIds
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.updatedAt, 10))
+      this.updatedAt = params.updatedAt
+  }
+
+  Draft.className = Draft
+  Draft.namespace = "draft"
+
+  Object.defineProperty(Draft.prototype, 'body', {
+    get: function() { return this.body_ },
+    set: function(newValue) {
+      newValue ? this.body_ = newValue.trim() : this.body_ = ''
+    }
+  })
+
+  Draft.prototype.validate = async function() {
+    if (!this.userId || this.userId.length === 0) {
+      throw new Error("Invalid")
+    }
+
+    const len = GraphemeBreaker.countBreaks(this.body)
+
+    if (len > 1500) {
+      throw new BadRequestException("Maximum post-length is 1500 graphemes")
+    }
+
+    // only the author's attachments which are not posted yet can be used
+    const attachments = await dbAdapter.getAttachmentsByIds(this.attachmentIds || [])
+
+    const valid = _.every(attachments, attachment => attachment.userId === this.userId
+                                                  && !attachment.postId
+                                                  && (!attachment.draftId || attachment.draftId === this.id))
+
+    if (!valid) {
+      throw new BadRequestException("Invalid attachment")
+    }
+  }
+
+  Draft.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.updatedAt = new Date().getTime()
+    this.timelineIds = this.timelineIds || []
+    this.attachmentIds = this.attachmentIds || []
+
+    await this.validate()
+
+    this.id = await dbAdapter.createDraft({
+      userId:    this.userId,
+      body:      this.body,
+      createdAt: this.createdAt.toString(),
+      updatedAt: this.updatedAt.toString()
+    })
+
+    await Promise.all([
+      dbAdapter.setDraftTimelineIds(this.id, this.timelineIds),
+      dbAdapter.setDraftAttachmentIds(this.id, this.attachmentIds),
+      this.linkAttachments(this.attachmentIds)
+    ])
+
+    monitor.increment('drafts.creates')
+
+    return this
+  }
+
+  /**
+   * Updates the given fields of the draft. Timelines and attachments
+   * are left as is unless new lists are passed.
+   */
+  Draft.prototype.update = async function(params) {
+    const oldAttachmentIds = await this.getAttachmentIds()
+
+    this.updatedAt = new Date().getTime()
+
+    if (!_.isUndefined(params.body)) {
+      this.body = params.body
+    }
+
+    if (!_.isUndefined(params.timelineIds)) {
+      this.timelineIds = params.timelineIds
+    }
+
+    if (!_.isUndefined(params.attachmentIds)) {
+      this.attachmentIds = params.attachmentIds
+    }
+
+    await this.validate()
+
+    const promises = [
+      dbAdapter.updateDraft(this.id, this.userId, {
+        body:      this.body,
+        updatedAt: this.updatedAt.toString()
+      })
+    ]
+
+    if (!_.isUndefined(params.timelineIds)) {
+      promises.push(dbAdapter.setDraftTimelineIds(this.id, this.timelineIds))
+    }
+
+    if (!_.isUndefined(params.attachmentIds)) {
+      promises.push(
+        dbAdapter.setDraftAttachmentIds(this.id, this.attachmentIds),
+        this.unlinkAttachments(_.difference(oldAttachmentIds, this.attachmentIds)),
+        this.linkAttachments(_.difference(this.attachmentIds, oldAttachmentIds))
+      )
+    }
+
+    await Promise.all(promises)
+
+    return this
+  }
+
+  Draft.prototype.destroy = async function() {
+    const attachmentIds = await this.getAttachmentIds()
+
+    await Promise.all([
+      this.unlinkAttachments(attachmentIds),
+      dbAdapter.deleteDraft(this.id, this.userId)
+    ])
+
+    monitor.increment('drafts.destroys')
+  }
+
+  /**
+   * Creates a post from the draft and removes the draft. Permissions are
+   * checked again, as the author might have lost access to some of the
+   * feeds since the draft was saved.
+   */
+  Draft.prototype.publish = async function() {
+    const user = await this.getUser()
+    const timelineIds = await this.getTimelineIds()
+    const attachmentIds = await this.getAttachmentIds()
+
+    await user.validateCanPostToTimelines(timelineIds)
+
+    const post = await user.newPost({
+      body: this.body,
+      attachments: attachmentIds,
+      timelineIds: timelineIds
+    })
+
+    await post.create()
+    await this.destroy()
+
+    monitor.increment('drafts.publishes')
+
+    return post
+  }
+
+  // Marks attachments as used by the draft, so they are not treated as
+  // orphans while they are not linked to any post
+  Draft.prototype.linkAttachments = function(attachmentIds) {
+    return Promise.all(attachmentIds.map(attachmentId => dbAdapter.setAttachmentDraftId(attachmentId, this.id)))
+  }
+
+  Draft.prototype.unlinkAttachments = function(attachmentIds) {
+    return Promise.all(attachmentIds.map(attachmentId => dbAdapter.setAttachmentDraftId(attachmentId, '')))
+  }
+
+  Draft.prototype.getUser = function() {
+    return dbAdapter.getUserById(this.userId)
+  }
+
+  Draft.prototype.getTimelineIds = async function() {
+    this.timelineIds = await dbAdapter.getDraftTimelineIds(this.id)
+    return this.timelineIds
+  }
+
+  Draft.prototype.getAttachmentIds = async function() {
+    this.attachmentIds = await dbAdapter.getDraftAttachmentIds(this.id)
+    return this.attachmentIds
+  }
+
+  Draft.prototype.getAttachments = async function() {
+    const attachmentIds = await this.getAttachmentIds()
+    return dbAdapter.getAttachmentsByIds(attachmentIds)
+  }
+
+  Draft.prototype.getPostedTo = async function() {
+    const timelineIds = await this.getTimelineIds()
+    return dbAdapter.getTimelinesByIds(timelineIds)
+  }
+
+  return Draft
+}
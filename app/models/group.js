@@ -2,7 +2,7 @@ import { inherits } from "util"
 
 import _ from 'lodash'
 
-import { Stats, User } from '../models'
+import { Notification, Stats, User } from '../models'
 import { ForbiddenException } from '../support/exceptions'
 
 
@@ -159,11 +159,21 @@ export function addModel(dbAdapter) {
     return res
   }
 
-  Group.prototype.addAdministrator = function(feedId) {
-    return dbAdapter.addAdministratorToGroup(this.id, feedId)
+  /**
+   * The new administrator is notified if the change is made by someone
+   * else, whose id is passed as actorId
+   */
+  Group.prototype.addAdministrator = async function(feedId, actorId) {
+    const result = await dbAdapter.addAdministratorToGroup(this.id, feedId)
+
+    if (actorId && actorId !== feedId) {
+      await Notification.notify({ userId: feedId, type: 'group_admin_promoted', actorId, groupId: this.id })
+    }
+
+    return result
   }
 
-  Group.prototype.removeAdministrator = async function(feedId) {
+  Group.prototype.removeAdministrator = async function(feedId, actorId) {
     let adminIds = await this.getAdministratorIds()
 
     if (adminIds.indexOf(feedId) == -1) {
@@ -174,7 +184,13 @@ export function addModel(dbAdapter) {
       throw new Error("Cannot remove last administrator")
     }
 
-    return dbAdapter.removeAdministratorFromGroup(this.id, feedId)
+    const result = await dbAdapter.removeAdministratorFromGroup(this.id, feedId)
+
+    if (actorId && actorId !== feedId) {
+      await Notification.notify({ userId: feedId, type: 'group_admin_demoted', actorId, groupId: this.id })
+    }
+
+    return result
   }
 
   Group.prototype.getAdministratorIds = async function() {
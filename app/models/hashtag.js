@@ -0,0 +1,49 @@
+import _ from 'lodash'
+
+import { Timeline } from '../models'
+import { BadRequestException } from '../support/exceptions'
+import { normalizeHashtag } from '../support/hashtags'
+
+
+export function addModel(dbAdapter) {
+  /**
+   * Posts tagged with the hashtag as seen by the current user. It has
+   * name, posts and cursors like a timeline, so it is serialized as
+   * a timeline.
+   * @constructor
+   */
+  var Hashtag = function(params) {
+    this.name = normalizeHashtag(params.name)
+    this.offset = parseInt(params.offset, 10) || 0
+    this.limit = parseInt(params.limit, 10) || 30
+    this.before = params.before
+    this.after = params.after
+    this.currentUser = params.currentUser
+  }
+
+  Hashtag.className = Hashtag
+  Hashtag.namespace = "hashtag"
+
+  /**
+   * Pages by offset or by cursors, which encode the time the post was
+   * tagged at
+   */
+  Hashtag.prototype.getPosts = async function() {
+    if (this.name.length === 0) {
+      throw new BadRequestException("Hashtag cannot be blank")
+    }
+
+    const postsSet = {
+      getRange: (startIndex, finishIndex) => dbAdapter.getHashtagPostsRangeWithScores(this.name, startIndex, finishIndex),
+      getCountWithScore: (score) => dbAdapter.getHashtagPostsCountWithScore(this.name, score),
+      getBeforeScore: (score, limit) => dbAdapter.getHashtagPostsBeforeScore(this.name, score, limit),
+      getAfterScore: (score, limit) => dbAdapter.getHashtagPostsAfterScore(this.name, score, limit)
+    }
+
+    _.extend(this, await Timeline.readVisiblePostsPage(postsSet, this))
+
+    return this.posts
+  }
+
+  return Hashtag
+}
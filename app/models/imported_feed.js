@@ -0,0 +1,204 @@
+import url from 'url'
+
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+
+import { load as configLoader } from "../../config/config"
+import { BadRequestException, ForbiddenException } from '../support/exceptions'
+import { parseFeed } from '../support/feedParser'
+import { fetchPublicUrl, isPublicUrl } from '../support/publicUrls'
+
+
+let config = configLoader()
+
+export function addModel(dbAdapter) {
+  /**
+   * External RSS/Atom feed whose entries are periodically imported as
+   * posts of the user
+   * @constructor
+   */
+  var ImportedFeed = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.url = params.url
+    this.title = params.title || ''
+    this.lastError = params.lastError || ''
+
+    if (parseInt(params.lastPolledAt, 10))
+      this.lastPolledAt = params.lastPolledAt
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.updatedAt, 10))
+      this.updatedAt = params.updatedAt
+  }
+
+  ImportedFeed.className = ImportedFeed
+  ImportedFeed.namespace = "imported_feed"
+
+  Object.defineProperty(ImportedFeed.prototype, 'url', {
+    get: function() { return this.url_ },
+    set: function(newValue) {
+      newValue ? this.url_ = newValue.trim() : this.url_ = ''
+    }
+  })
+
+  ImportedFeed.prototype.validate = async function() {
+    const protocol = url.parse(this.url).protocol
+
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new BadRequestException("Feed URL must be an absolute http(s) URL")
+    }
+
+    if (!await isPublicUrl(this.url)) {
+      throw new BadRequestException("Feed URL must point to a public host")
+    }
+
+    if (!this.userId || this.userId.length === 0) {
+      throw new Error("Invalid")
+    }
+  }
+
+  ImportedFeed.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.updatedAt = new Date().getTime()
+
+    await this.validate()
+
+    const feedIds = await dbAdapter.getUserImportedFeedIds(this.userId)
+
+    if (feedIds.length >= config.importedFeeds.maxFeedsPerUser) {
+      throw new ForbiddenException(`You can't import more than ${config.importedFeeds.maxFeedsPerUser} feeds`)
+    }
+
+    const feeds = await dbAdapter.getImportedFeedsByIds(feedIds)
+
+    if (_.any(feeds, feed => feed.url === this.url)) {
+      throw new BadRequestException("This feed is already imported")
+    }
+
+    this.id = await dbAdapter.createImportedFeed({
+      userId:    this.userId,
+      url:       this.url,
+      title:     this.title,
+      createdAt: this.createdAt.toString(),
+      updatedAt: this.updatedAt.toString()
+    })
+
+    monitor.increment('imported-feeds.creates')
+
+    return this
+  }
+
+  ImportedFeed.prototype.destroy = async function() {
+    await dbAdapter.deleteImportedFeed(this.id, this.userId)
+
+    monitor.increment('imported-feeds.destroys')
+  }
+
+  ImportedFeed.prototype.getUser = function() {
+    return dbAdapter.getUserById(this.userId)
+  }
+
+  /**
+   * Fetches the feed and creates posts for entries which were not imported
+   * yet. Redirects are not followed. Fetch and parse errors are not thrown,
+   * so a broken feed does not stop the importer. The user sees a generic
+   * lastError, the original error is kept in pollError for logs.
+   *
+   * Returns the list of created posts.
+   */
+  ImportedFeed.prototype.poll = async function() {
+    let posts = []
+
+    try {
+      const response = await fetchPublicUrl(this.url, {
+        timeout: config.importedFeeds.timeout,
+        size: config.importedFeeds.maxSize
+      })
+
+      if (!response.ok) {
+        throw new Error(`Unexpected response status: ${response.status}`)
+      }
+
+      const feed = parseFeed(await response.text())
+
+      if (feed.title) {
+        this.title = feed.title
+      }
+
+      posts = await this.importEntries(feed.entries)
+      this.pollError = null
+      this.lastError = ''
+    } catch (e) {
+      this.pollError = e
+      this.lastError = "Can't fetch or parse the feed"
+    }
+
+    this.lastPolledAt = new Date().getTime()
+
+    await dbAdapter.updateImportedFeed(this.id, {
+      title:        this.title,
+      lastError:    this.lastError,
+      lastPolledAt: this.lastPolledAt.toString()
+    })
+
+    return posts
+  }
+
+  ImportedFeed.prototype.importEntries = async function(entries) {
+    const user = await this.getUser()
+
+    if (!user) {
+      return []
+    }
+
+    // Feeds usually list the newest entries first. Take the most recent
+    // ones and post them in chronological order
+    entries = _.sortBy(entries.reverse(), entry => entry.publishedAt || 0)
+    entries = _.takeRight(entries, config.importedFeeds.maxEntriesPerPoll)
+
+    const posts = []
+
+    for (let entry of entries) {
+      const isNew = await dbAdapter.addImportedFeedGuid(this.id, entry.guid)
+
+      if (!isNew) {
+        continue
+      }
+
+      const body = getEntryBody(entry)
+
+      if (body.length === 0) {
+        continue
+      }
+
+      try {
+        const post = await user.newPost({ body })
+        await post.create()
+
+        posts.push(post)
+      } catch (e) {
+        await dbAdapter.removeImportedFeedGuid(this.id, entry.guid)
+        throw e
+      }
+    }
+
+    return posts
+  }
+
+  function getEntryBody(entry) {
+    const text = entry.title || entry.text
+    const link = entry.link || ''
+    const maxTextLength = 1000
+
+    if (!text) {
+      return link
+    }
+
+    const truncatedText = _.trunc(text, { length: maxTextLength, separator: /\s/ })
+
+    return link ? `${truncatedText} - ${link}` : truncatedText
+  }
+
+  return ImportedFeed
+}
@@ -0,0 +1,177 @@
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+import logger from 'winston'
+
+import { UserMailer } from '../mailers'
+import { PubSub as pubSub } from '../models'
+
+
+// Notifications which are also sent by email to the users who have
+// opted in: preference name and UserMailer method
+const EMAILS = {
+  subscription_request: { preference: 'subscriptionRequests', method: 'subscriptionRequest' },
+  comment:              { preference: 'comments',             method: 'comment' }
+}
+
+
+export function addModel(dbAdapter) {
+  /**
+   * Record of an event which is shown to the user in the notification
+   * center. The user is a recipient, the actor is a user who caused
+   * the event.
+   * @constructor
+   */
+  var Notification = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.type = params.type
+    this.actorId = params.actorId || ''
+    this.targetUserId = params.targetUserId || ''
+    this.postId = params.postId || ''
+    this.commentId = params.commentId || ''
+    this.groupId = params.groupId || ''
+    this.isRead = params.isRead === '1' ? '1' : '0'
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+  }
+
+  Notification.className = Notification
+  Notification.namespace = "notification"
+
+  Notification.TYPES = [
+    'subscription_request', 'subscription_request_approved',
+    'like', 'comment',
+    'group_admin_promoted', 'group_admin_demoted',
+    'banned_user', 'unbanned_user'
+  ]
+
+  /**
+   * Creates a notification unless the recipient has banned the actor.
+   * The email is sent in background, so SMTP does not slow down the
+   * request which caused the notification.
+   */
+  Notification.notify = async function(params) {
+    if (params.actorId && params.actorId !== params.userId) {
+      const banIds = await dbAdapter.getUserBansIds(params.userId)
+
+      if (banIds.indexOf(params.actorId) >= 0) {
+        return null
+      }
+    }
+
+    const notification = new Notification(params)
+    await notification.create()
+    notification.sendEmail()
+      .catch(e => logger.error(`failed to email notification ${notification.id}`, e))
+
+    return notification
+  }
+
+  /**
+   * Marks the given notifications of the user as read, or all of them
+   * if no ids are given. Returns ids of the notifications which were
+   * unread.
+   */
+  Notification.markRead = async function(userId, notificationIds) {
+    const unreadIds = await dbAdapter.getUnreadNotificationIds(userId)
+    const ids = _.isUndefined(notificationIds) ? unreadIds : _.intersection(unreadIds, notificationIds)
+
+    if (ids.length > 0) {
+      await dbAdapter.markNotificationsAsRead(userId, ids)
+      await pubSub.readNotifications(userId)
+    }
+
+    return ids
+  }
+
+  Notification.prototype.validate = function() {
+    if (!this.userId || this.userId.length === 0) {
+      throw new Error("Invalid")
+    }
+
+    if (Notification.TYPES.indexOf(this.type) === -1) {
+      throw new Error("Invalid notification type")
+    }
+  }
+
+  Notification.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+
+    this.validate()
+
+    this.id = await dbAdapter.createNotification({
+      userId:       this.userId,
+      type:         this.type,
+      actorId:      this.actorId,
+      targetUserId: this.targetUserId,
+      postId:       this.postId,
+      commentId:    this.commentId,
+      groupId:      this.groupId,
+      isRead:       this.isRead,
+      createdAt:    this.createdAt.toString()
+    })
+
+    await pubSub.newNotification(this.userId, this.id)
+
+    monitor.increment('notifications.creates')
+
+    return this
+  }
+
+  /**
+   * Sends the notification by email if the recipient wants it. Returns
+   * true if the email was sent.
+   */
+  Notification.prototype.sendEmail = async function() {
+    const email = EMAILS[this.type]
+
+    if (!email) {
+      return false
+    }
+
+    const user = await dbAdapter.getUserById(this.userId)
+
+    if (null === user || !user.wantsEmailNotification(email.preference)) {
+      return false
+    }
+
+    const [actor, post, comment] = await Promise.all([
+      this.getActor(),
+      this.postId ? dbAdapter.getPostById(this.postId) : null,
+      this.commentId ? dbAdapter.getCommentById(this.commentId) : null
+    ])
+
+    await UserMailer[email.method](user, { user, actor, post, comment })
+
+    monitor.increment('notifications.emails')
+
+    return true
+  }
+
+  Notification.prototype.getActor = function() {
+    if (!this.actorId) {
+      return Promise.resolve(null)
+    }
+
+    return dbAdapter.getFeedOwnerById(this.actorId)
+  }
+
+  Notification.prototype.getTargetUser = function() {
+    if (!this.targetUserId) {
+      return Promise.resolve(null)
+    }
+
+    return dbAdapter.getFeedOwnerById(this.targetUserId)
+  }
+
+  Notification.prototype.getGroup = function() {
+    if (!this.groupId) {
+      return Promise.resolve(null)
+    }
+
+    return dbAdapter.getFeedOwnerById(this.groupId)
+  }
+
+  return Notification
+}
@@ -0,0 +1,180 @@
+import crypto from 'crypto'
+
+import { promisifyAll } from 'bluebird'
+import jwt from 'jsonwebtoken'
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+
+import { load as configLoader } from "../../config/config"
+import { OAuthException } from '../support/exceptions'
+
+
+promisifyAll(crypto)
+
+let config = configLoader()
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+const generateToken = async () => {
+  const buf = await crypto.randomBytesAsync(32)
+  return buf.toString('hex')
+}
+
+export function addModel(dbAdapter) {
+  /**
+   * Consent of a user to let an OAuth2 client act on their behalf within
+   * the scopes (the same as of personal access tokens). Access tokens of
+   * the client are JWTs which refer to the authorization, so they stop
+   * working as soon as the user revokes it.
+   * @constructor
+   */
+  var OAuthAuthorization = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.clientId = params.clientId
+    this.scopes = _.isString(params.scopes) ? _.compact(params.scopes.split(',')) : params.scopes
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.updatedAt, 10))
+      this.updatedAt = params.updatedAt
+  }
+
+  OAuthAuthorization.className = OAuthAuthorization
+  OAuthAuthorization.namespace = "oauth_authorization"
+
+  /**
+   * Records the consent of the user. Scopes granted to the client earlier
+   * are kept.
+   */
+  OAuthAuthorization.grant = async function(userId, clientId, scopes) {
+    const now = new Date().getTime()
+    const authorizationId = await dbAdapter.getUserOAuthAuthorizationId(userId, clientId)
+    const authorization = authorizationId ? await dbAdapter.getOAuthAuthorizationById(authorizationId) : null
+
+    if (authorization) {
+      authorization.scopes = _.union(authorization.scopes, scopes)
+      authorization.updatedAt = now
+
+      await dbAdapter.updateOAuthAuthorization(authorization.id, {
+        scopes:    authorization.scopes.join(','),
+        updatedAt: now.toString()
+      })
+
+      return authorization
+    }
+
+    const newAuthorization = new OAuthAuthorization({ userId, clientId, scopes, createdAt: now, updatedAt: now })
+
+    newAuthorization.id = await dbAdapter.createOAuthAuthorization({
+      userId,
+      clientId,
+      scopes:    scopes.join(','),
+      createdAt: now.toString(),
+      updatedAt: now.toString()
+    })
+
+    monitor.increment('oauth.authorizations.creates')
+
+    return newAuthorization
+  }
+
+  /**
+   * Returns the authorization the code has been issued for. Codes can be
+   * exchanged once, by the same client and with the PKCE verifier of the
+   * challenge given to the authorization endpoint.
+   */
+  OAuthAuthorization.exchangeCode = async function(client, code, redirectUri, codeVerifier) {
+    const codeHash = hashToken(code || '')
+    const grant = await dbAdapter.getOAuthCode(codeHash)
+
+    // the code might have been used by a concurrent request
+    if (!grant || !(await dbAdapter.deleteOAuthCode(codeHash))) {
+      throw new OAuthException('invalid_grant', 'The authorization code is not valid or has expired')
+    }
+
+    if (grant.clientId !== client.id || grant.redirectUri !== redirectUri) {
+      throw new OAuthException('invalid_grant', 'The authorization code was issued to another client or redirect URI')
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(codeVerifier || '').digest())
+
+    if (challenge !== grant.codeChallenge) {
+      throw new OAuthException('invalid_grant', 'The code verifier does not match the code challenge')
+    }
+
+    const authorization = await dbAdapter.getOAuthAuthorizationById(grant.authorizationId)
+
+    if (!authorization) {
+      throw new OAuthException('invalid_grant', 'The authorization has been revoked')
+    }
+
+    return authorization
+  }
+
+  /**
+   * Returns the authorization of the refresh token. Refresh tokens are
+   * rotated: each one can be used once.
+   */
+  OAuthAuthorization.exchangeRefreshToken = async function(client, refreshToken) {
+    const tokenHash = hashToken(refreshToken || '')
+    const grant = await dbAdapter.getOAuthRefreshToken(tokenHash)
+
+    if (!grant || !(await dbAdapter.deleteOAuthRefreshToken(tokenHash, grant.authorizationId))) {
+      throw new OAuthException('invalid_grant', 'The refresh token is not valid or has expired')
+    }
+
+    const authorization = await dbAdapter.getOAuthAuthorizationById(grant.authorizationId)
+
+    if (!authorization || authorization.clientId !== client.id) {
+      throw new OAuthException('invalid_grant', 'The authorization has been revoked')
+    }
+
+    return authorization
+  }
+
+  OAuthAuthorization.prototype.createCode = async function(redirectUri, codeChallenge) {
+    const code = await generateToken()
+
+    await dbAdapter.createOAuthCode(hashToken(code), {
+      authorizationId: this.id,
+      clientId:        this.clientId,
+      redirectUri,
+      codeChallenge
+    }, config.oauth.codeTTL)
+
+    return code
+  }
+
+  OAuthAuthorization.prototype.issueTokens = async function() {
+    const now = Math.floor(new Date().getTime() / 1000)
+    const expiresIn = config.oauth.accessTokenTTL
+
+    const accessToken = jwt.sign({ userId: this.userId, authorizationId: this.id, exp: now + expiresIn }, config.secret)
+    const refreshToken = await generateToken()
+
+    await dbAdapter.createOAuthRefreshToken(hashToken(refreshToken), this.id, config.oauth.refreshTokenTTL)
+
+    monitor.increment('oauth.tokens.issues')
+
+    return { accessToken, refreshToken, expiresIn }
+  }
+
+  OAuthAuthorization.prototype.hasScope = function(scope) {
+    return this.scopes.indexOf(scope) !== -1
+  }
+
+  OAuthAuthorization.prototype.getClientName = async function() {
+    const client = await dbAdapter.getOAuthClientById(this.clientId)
+    return client ? client.name : null
+  }
+
+  OAuthAuthorization.prototype.destroy = async function() {
+    await dbAdapter.deleteOAuthAuthorization(this.id, this.userId, this.clientId)
+    monitor.increment('oauth.authorizations.destroys')
+  }
+
+  return OAuthAuthorization
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto'
+import url from 'url'
+
+import { promisifyAll } from 'bluebird'
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+
+import { BadRequestException } from '../support/exceptions'
+
+
+promisifyAll(crypto)
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+// schemes which run code or read local files wherever the browser is sent
+const FORBIDDEN_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'file:', 'blob:', 'about:']
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1']
+
+/**
+ * Redirect URIs of RFC 8252: https, http for loopback hosts only, or
+ * a private-use scheme of a native app, which has a dot in it
+ * (a reverse domain name, like com.example.app:/callback)
+ */
+const isValidRedirectUri = (redirectUri) => {
+  if (!_.isString(redirectUri) || /[\s\u0000-\u001f]/.test(redirectUri)) {
+    return false
+  }
+
+  const { protocol, hostname, hash } = url.parse(redirectUri)
+
+  if (!protocol || hash || FORBIDDEN_SCHEMES.indexOf(protocol.toLowerCase()) !== -1) {
+    return false
+  }
+
+  switch (protocol.toLowerCase()) {
+    case 'https:':
+      return !!hostname
+    case 'http:':
+      return LOOPBACK_HOSTS.indexOf(hostname) !== -1
+    default:
+      return /^[a-z][a-z0-9+\-]*\.[a-z0-9+\-.]+:$/i.test(protocol)
+  }
+}
+
+export function addModel(dbAdapter) {
+  /**
+   * Third-party application which signs users in with OAuth2. Public
+   * clients (mobile and browser apps) can not keep a secret, they are
+   * trusted by PKCE alone. Confidential clients also authenticate with
+   * their secret, which is shown once.
+   * @constructor
+   */
+  var OAuthClient = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.name = params.name
+    this.redirectUris = _.isString(params.redirectUris) ? _.compact(params.redirectUris.split(' ')) : params.redirectUris
+    this.isConfidential = params.isConfidential === true || params.isConfidential === '1'
+    this.secretHash = params.secretHash
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+  }
+
+  OAuthClient.className = OAuthClient
+  OAuthClient.namespace = "oauth_client"
+
+  Object.defineProperty(OAuthClient.prototype, 'name', {
+    get: function() { return this.name_ },
+    set: function(newValue) {
+      newValue ? this.name_ = newValue.trim() : this.name_ = ''
+    }
+  })
+
+  OAuthClient.prototype.validate = async function() {
+    if (this.name.length === 0 || this.name.length > 100) {
+      throw new BadRequestException("Application name must be 1 to 100 characters long")
+    }
+
+    if (!_.isArray(this.redirectUris) || this.redirectUris.length === 0) {
+      throw new BadRequestException("Application must have at least one redirect URI")
+    }
+
+    for (let redirectUri of this.redirectUris) {
+      if (!isValidRedirectUri(redirectUri)) {
+        throw new BadRequestException(`Invalid redirect URI: ${redirectUri}`)
+      }
+    }
+
+    if (!this.userId || this.userId.length === 0) {
+      throw new Error("Invalid")
+    }
+  }
+
+  OAuthClient.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.redirectUris = _.uniq(this.redirectUris || [])
+
+    await this.validate()
+
+    const payload = {
+      userId:         this.userId,
+      name:           this.name,
+      redirectUris:   this.redirectUris.join(' '),
+      isConfidential: this.isConfidential ? '1' : '0',
+      createdAt:      this.createdAt.toString()
+    }
+
+    if (this.isConfidential) {
+      const buf = await crypto.randomBytesAsync(32)
+      this.secret = buf.toString('hex')
+      this.secretHash = payload.secretHash = hashSecret(this.secret)
+    }
+
+    this.id = await dbAdapter.createOAuthClient(payload)
+
+    monitor.increment('oauth.clients.creates')
+
+    return this
+  }
+
+  /**
+   * Revokes all authorizations of the application too
+   */
+  OAuthClient.prototype.destroy = async function() {
+    const authorizationIds = await dbAdapter.getOAuthClientAuthorizationIds(this.id)
+    const authorizations = await dbAdapter.getOAuthAuthorizationsByIds(authorizationIds)
+
+    await Promise.all(authorizations.map(authorization => authorization.destroy()))
+    await dbAdapter.deleteOAuthClient(this.id, this.userId)
+
+    monitor.increment('oauth.clients.destroys')
+  }
+
+  OAuthClient.prototype.hasRedirectUri = function(redirectUri) {
+    return this.redirectUris.indexOf(redirectUri) !== -1
+  }
+
+  OAuthClient.prototype.validSecret = function(secret) {
+    if (!this.isConfidential) {
+      return true
+    }
+
+    return _.isString(secret) && hashSecret(secret) === this.secretHash
+  }
+
+  return OAuthClient
+}
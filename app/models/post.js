@@ -1,8 +1,19 @@
 import monitor from 'monitor-dog'
 import GraphemeBreaker from 'grapheme-breaker'
 import _ from 'lodash'
+import logger from 'winston'
 
-import { Timeline, PubSub as pubSub } from '../models'
+import { load as configLoader } from "../../config/config"
+import { UserMailer } from '../mailers'
+import { Notification, Timeline, PubSub as pubSub } from '../models'
+import { addRevisionDiffs } from '../support/diff'
+import { BadRequestException, ForbiddenException } from '../support/exceptions'
+import { getHashtags } from '../support/hashtags'
+import { getMentions, getMentionedUsernames } from '../support/mentions'
+import { getWords } from '../support/search'
+
+
+let config = configLoader()
 
 
 export function addModel(dbAdapter) {
@@ -26,6 +37,15 @@ export function addModel(dbAdapter) {
       this.updatedAt = params.updatedAt
     }
 
+    if (parseInt(params.editedAt, 10)) {
+      this.editedAt = params.editedAt
+    }
+
+    // pending post will be published by the scheduler at this time
+    if (params.publishAt) {
+      this.publishAt = params.publishAt
+    }
+
     if (params.maxComments != 'all') {
       this.maxComments = parseInt(params.maxComments, 10) || 2
     } else {
@@ -66,13 +86,30 @@ export function addModel(dbAdapter) {
     }
   }
 
+  Post.prototype.validatePublishAt = function() {
+    const publishAt = Number(this.publishAt)
+
+    if (!_.isFinite(publishAt) || publishAt <= new Date().getTime()) {
+      throw new BadRequestException("publishAt must be a timestamp in the future")
+    }
+
+    this.publishAt = Math.floor(publishAt)
+  }
+
+  Post.prototype.isScheduled = function() {
+    return !!this.publishAt
+  }
+
   Post.prototype.create = async function() {
     this.createdAt = new Date().getTime()
     this.updatedAt = new Date().getTime()
 
     await this.validate()
 
-    var timer = monitor.timer('posts.create-time')
+    if (this.isScheduled()) {
+      this.validatePublishAt()
+      return this.schedule()
+    }
 
     let payload = {
       'body': this.body,
@@ -90,22 +127,234 @@ export function addModel(dbAdapter) {
       this.savePostedTo()
     ])
 
-    await Timeline.publishPost(this)
-    var stats = await dbAdapter.getStatsById(this.userId)
-    await stats.addPost()
+    await this.distribute()
+
+    return this
+  }
+
+  /**
+   * Counts and indexes the post, adds it to the timelines and notifies
+   * those it is meant for. New posts get here right away, pending ones
+   * when they are published. The scheduler passes a step() which skips
+   * the steps done by an earlier attempt. Returns false if the post has
+   * been deleted meanwhile.
+   */
+  Post.prototype.distribute = async function(step = (name, action) => action()) {
+    var timer = monitor.timer('posts.create-time')
+
+    // counted right away, as deleting a published post uncounts it
+    await step('stats', async () => {
+      const stats = await dbAdapter.getStatsById(this.userId)
+      await stats.addPost()
+    })
+
+    await Promise.all([
+      this.updateSearchIndex(),
+      this.updateHashtagIndex()
+    ])
+
+    // the author might have deleted a pending post while it was being published
+    if (!await dbAdapter.existsPost(this.id)) {
+      return false
+    }
+
+    await step('timelines', () => Timeline.publishPost(this))
+    await step('mentions', () => this.notifyMentionedUsers(getMentionedUsernames(this.body), this.userId))
+    await step('emails', async () => { this.sendDirectMessageEmails() })
+    await step('unread', () => this.markDirectAsUnread(this.userId))
 
     timer.stop()
     monitor.increment('posts.creates')
 
+    return true
+  }
+
+  /**
+   * Saves the post as pending: it is not added to any timeline until
+   * the scheduler calls publish()
+   */
+  Post.prototype.schedule = async function() {
+    let payload = {
+      'body': this.body,
+      'userId': this.userId,
+      'createdAt': this.createdAt.toString(),
+      'updatedAt': this.updatedAt.toString(),
+      'commentsDisabled': this.commentsDisabled,
+      'publishAt': this.publishAt.toString()
+    }
+    this.id = await dbAdapter.createPost(payload)
+
+    await Promise.all([
+      this.linkAttachments(),
+      this.savePostedTo()
+    ])
+
+    await dbAdapter.schedulePost(this.id, this.userId, this.publishAt)
+
+    monitor.increment('posts.schedules')
+
     return this
   }
 
+  /**
+   * Publishes pending post to the timelines it was posted to. Returns false
+   * if the post was published, cancelled or deleted by someone else in the
+   * meantime.
+   *
+   * If the author can't post to these timelines anymore, the post stays
+   * pending in their list (so they can edit or delete it) and is not
+   * retried. If publishing fails for another reason, the post is queued
+   * again in `config.scheduledPosts.retryDelay`: it is not pending anymore,
+   * and the retry skips the steps which are done already. Either way the
+   * error is thrown.
+   */
+  Post.prototype.publish = async function() {
+    const publishAt = this.publishAt
+    const unscheduled = await dbAdapter.unschedulePost(this.id, this.userId)
+
+    if (!unscheduled) {
+      return false
+    }
+
+    // the permissions are checked before publishing starts, a retry only
+    // finishes it
+    if (this.isScheduled()) {
+      try {
+        const author = await dbAdapter.getUserById(this.userId)
+        await author.validateCanPostToTimelines(await this.getPostedToIds())
+      } catch (e) {
+        await dbAdapter.addUserScheduledPost(this.id, this.userId, publishAt)
+        throw e
+      }
+    }
+
+    try {
+      return await this.publishScheduled()
+    } catch (e) {
+      await dbAdapter.queueScheduledPost(this.id, new Date().getTime() + config.scheduledPosts.retryDelay)
+      throw e
+    }
+  }
+
+  Post.prototype.publishScheduled = async function() {
+    if (!await dbAdapter.existsPost(this.id)) {
+      return false
+    }
+
+    // the post is not pending from now on, so that it is deleted as a
+    // published one
+    if (this.isScheduled()) {
+      this.createdAt = new Date().getTime()
+      this.updatedAt = new Date().getTime()
+      this.publishAt = null
+
+      await dbAdapter.updatePost(this.id, {
+        'createdAt': this.createdAt.toString(),
+        'updatedAt': this.updatedAt.toString(),
+        'publishAt': ''
+      })
+    }
+
+    this.timelineIds = await this.getPostedToIds()
+
+    const doneSteps = await dbAdapter.getPostPublishedSteps(this.id)
+    const step = async (name, action) => {
+      if (!_.includes(doneSteps, name)) {
+        await action()
+        await dbAdapter.addPostPublishedStep(this.id, name)
+      }
+    }
+
+    const isPublished = await this.distribute(step)
+    await dbAdapter.deletePostPublishedSteps(this.id)
+
+    return isPublished
+  }
+
+  /**
+   * Emails the post to recipients of the direct message who have opted in.
+   * SMTP is slow, so it is not waited for and failures are only logged.
+   */
+  Post.prototype.sendDirectMessageEmails = function() {
+    return this._sendDirectMessageEmails()
+      .catch(e => logger.error(`failed to email direct message ${this.id}`, e))
+  }
+
+  Post.prototype._sendDirectMessageEmails = async function() {
+    const timelines = await this.getPostedTo()
+    const recipientIds = timelines
+      .filter(timeline => timeline.isDirects() && timeline.userId !== this.userId)
+      .map(timeline => timeline.userId)
+
+    if (recipientIds.length === 0) {
+      return
+    }
+
+    const [author, recipients] = await Promise.all([
+      dbAdapter.getUserById(this.userId),
+      dbAdapter.getUsersByIds(recipientIds)
+    ])
+
+    await Promise.all(recipients.map(async (recipient) => {
+      if (recipient.wantsEmailNotification('directs')) {
+        await UserMailer.directMessage(recipient, { user: recipient, author, post: this })
+      }
+    }))
+  }
+
+  /**
+   * Users whose Directs timelines the post is in, the author included
+   */
+  Post.prototype.getDirectParticipantIds = async function() {
+    const timelines = await this.getPostedTo()
+
+    return _.uniq(timelines
+      .filter(timeline => timeline.isDirects())
+      .map(timeline => timeline.userId))
+  }
+
+  /**
+   * A direct post becomes unread for all its participants except the one
+   * who has posted or commented it
+   */
+  Post.prototype.markDirectAsUnread = async function(actorId) {
+    const participantIds = await this.getDirectParticipantIds()
+
+    if (participantIds.length === 0) {
+      return
+    }
+
+    const time = new Date().getTime()
+    const promises = [dbAdapter.markDirectPostAsUnread(_.without(participantIds, actorId), this.id, time)]
+
+    if (participantIds.indexOf(actorId) >= 0) {
+      promises.push(dbAdapter.markDirectPostAsRead(actorId, this.id, time))
+    }
+
+    await Promise.all(promises)
+  }
+
+  Post.prototype.markAsRead = async function(userId) {
+    const participantIds = await this.getDirectParticipantIds()
+
+    if (participantIds.indexOf(userId) === -1) {
+      throw new ForbiddenException("You can only mark direct messages you take part in as read")
+    }
+
+    await dbAdapter.markDirectPostAsRead(userId, this.id, new Date().getTime())
+
+    monitor.increment('posts.direct-reads')
+  }
+
   Post.prototype.savePostedTo = function() {
+    this.postedToPromise = null
     return dbAdapter.createPostPostedTo(this.id, this.timelineIds)
   }
 
   Post.prototype.update = async function(params) {
     // Reflect post changes and validate
+    const previousBody = this.body
+
     this.updatedAt = new Date().getTime()
     this.body = params.body
     await this.validate()
@@ -121,6 +370,18 @@ export function addModel(dbAdapter) {
       'body':      this.body,
       'updatedAt': this.updatedAt.toString()
     }
+
+    if (this.body !== previousBody) {
+      this.editedAt = this.updatedAt
+      payload.editedAt = this.editedAt.toString()
+
+      await dbAdapter.addPostRevision(this.id, {
+        'userId':    this.userId,
+        'body':      previousBody,
+        'createdAt': this.editedAt.toString()
+      })
+    }
+
     await dbAdapter.updatePost(this.id, payload)
 
     // Update post attachments in DB
@@ -129,12 +390,140 @@ export function addModel(dbAdapter) {
       this.unlinkAttachments(removedAttachments)
     ])
 
+    // pending post is indexed when it is published
+    if (!this.isScheduled()) {
+      await Promise.all([
+        this.updateSearchIndex(),
+        this.updateHashtagIndex()
+      ])
+    }
+
     // Finally, publish changes
     await pubSub.updatePost(this.id)
 
+    // pending post notifies everyone mentioned when it is published
+    if (!this.isScheduled()) {
+      const addedUsernames = _.difference(getMentionedUsernames(this.body), getMentionedUsernames(previousBody))
+      await this.notifyMentionedUsers(addedUsernames, this.userId)
+    }
+
     return this
   }
 
+  /**
+   * Brings search index in line with the current body of the post
+   */
+  Post.prototype.updateSearchIndex = async function() {
+    const oldWords = await dbAdapter.getPostSearchWords(this.id)
+    const newWords = getWords(this.body)
+
+    await Promise.all([
+      dbAdapter.removePostSearchWords(this.id, _.difference(oldWords, newWords)),
+      dbAdapter.addPostSearchWords(this.id, this.createdAt, _.difference(newWords, oldWords))
+    ])
+  }
+
+  Post.prototype.removeFromSearchIndex = async function() {
+    const words = await dbAdapter.getPostSearchWords(this.id)
+    await dbAdapter.removePostSearchWords(this.id, words)
+  }
+
+  /**
+   * Brings hashtag index in line with the current body of the post
+   */
+  Post.prototype.updateHashtagIndex = async function() {
+    const oldTags = await dbAdapter.getPostHashtags(this.id)
+    const newTags = getHashtags(this.body)
+
+    await Promise.all([
+      dbAdapter.removePostHashtags(this.id, _.difference(oldTags, newTags)),
+      dbAdapter.addPostHashtags(this.id, this.createdAt, _.difference(newTags, oldTags))
+    ])
+  }
+
+  Post.prototype.removeFromHashtagIndex = async function() {
+    const tags = await dbAdapter.getPostHashtags(this.id)
+    await dbAdapter.removePostHashtags(this.id, tags)
+  }
+
+  /**
+   * Resolves @username references in text into mention entities:
+   * [{id, username, offset, length}]. References to unknown users and
+   * groups are skipped.
+   */
+  Post.getMentionEntities = async function(text) {
+    const mentions = getMentions(text)
+    const usernames = _.uniq(mentions.map(mention => mention.username))
+    const feeds = await Promise.all(usernames.map(username => dbAdapter.getFeedOwnerByUsername(username)))
+
+    const feedsByUsername = _.zipObject(usernames, feeds)
+
+    return mentions
+      .filter(mention => feedsByUsername[mention.username])
+      .map(mention => ({ id: feedsByUsername[mention.username].id, ...mention }))
+  }
+
+  Post.prototype.getMentions = function() {
+    return Post.getMentionEntities(this.body)
+  }
+
+  /**
+   * Adds the post to "Mentions" timelines of the mentioned users and
+   * notifies them. The author, groups, users who can't read the post and
+   * users who are banned by (or have banned) the author are skipped.
+   */
+  Post.prototype.notifyMentionedUsers = async function(usernames, authorId) {
+    if (usernames.length === 0) {
+      return
+    }
+
+    const author = await dbAdapter.getUserById(authorId)
+    const authorBanIds = await author.getBanIds()
+
+    const feeds = await Promise.all(usernames.map(username => dbAdapter.getFeedOwnerByUsername(username)))
+    const users = feeds.filter(feed => feed && feed.isUser() && feed.id !== authorId)
+
+    const currentTime = new Date().getTime()
+
+    await Promise.all(users.map(async (user) => {
+      if (authorBanIds.indexOf(user.id) >= 0) {
+        return
+      }
+
+      const banIds = await user.getBanIds()
+
+      if (banIds.indexOf(authorId) >= 0) {
+        return
+      }
+
+      const canShow = await this.canShow(user.id)
+
+      if (!canShow) {
+        return
+      }
+
+      const timelineId = await user.getMentionsTimelineId()
+
+      await Promise.all([
+        dbAdapter.addPostToTimeline(timelineId, currentTime, this.id),
+        dbAdapter.createPostUsageInTimeline(this.id, timelineId)
+      ])
+
+      await pubSub.newMention(this.id, timelineId)
+    }))
+  }
+
+  /**
+   * Returns previous versions of the post body from the oldest to the newest
+   * one. Every revision has the body which was replaced, id of the user who
+   * edited it, the time of the edit and the diff against the body which
+   * replaced it.
+   */
+  Post.prototype.getRevisions = async function() {
+    const revisions = await dbAdapter.getPostRevisions(this.id)
+    return addRevisionDiffs(revisions, this.body)
+  }
+
   Post.prototype.setCommentsDisabled = async function(newValue) {
     // Reflect post changes
     this.commentsDisabled = newValue
@@ -154,7 +543,7 @@ export function addModel(dbAdapter) {
   Post.prototype.destroy = async function() {
     // remove all comments
     const comments = await this.getComments()
-    await Promise.all(comments.map(comment => comment.destroy()))
+    await Promise.all(comments.map(comment => comment.destroy({ force: true })))
 
     // decrement likes counter for users who liked this post
     const userIds = await this.getLikeIds()
@@ -162,6 +551,7 @@ export function addModel(dbAdapter) {
     await Promise.all(likesStatObjects.map(stat => stat.removeLike()))
 
     const timelineIds = await this.getTimelineIds()
+    const participantIds = await this.getDirectParticipantIds()
     const deleteFromTimelinesPromise = Promise.all(timelineIds.map(async (timelineId) => {
       await Promise.all([
         dbAdapter.deletePostUsageInTimeline(this.id, timelineId),
@@ -173,7 +563,18 @@ export function addModel(dbAdapter) {
       deleteFromTimelinesPromise,
       dbAdapter.deletePostPostedTo(this.id),  // delete posted to key
       dbAdapter.deletePostLikes(this.id),
-      dbAdapter.deletePostComments(this.id)
+      dbAdapter.deletePostReactions(this.id),
+      dbAdapter.deletePostRevisions(this.id),
+      dbAdapter.deletePostComments(this.id),
+      dbAdapter.deleteDirectPostReads(this.id, participantIds),
+      this.removeFromSearchIndex(),
+      this.removeFromHashtagIndex()
+    ])
+
+    // a post which failed to publish is queued for a retry too
+    await Promise.all([
+      dbAdapter.unschedulePost(this.id, this.userId),
+      dbAdapter.deletePostPublishedSteps(this.id)
     ])
 
     await dbAdapter.deletePost(this.id)
@@ -181,8 +582,11 @@ export function addModel(dbAdapter) {
 
     await pubSub.destroyPost(this.id, timelineIds)
 
-    const authorStats = await dbAdapter.getStatsById(this.userId)
-    await authorStats.removePost()
+    // pending posts are not counted in stats yet
+    if (!this.isScheduled()) {
+      const authorStats = await dbAdapter.getStatsById(this.userId)
+      await authorStats.removePost()
+    }
 
     monitor.increment('posts.destroys')
   }
@@ -234,7 +638,20 @@ export function addModel(dbAdapter) {
     return this.timelineIds
   }
 
-  Post.prototype.getPostedTo = async function() {
+  /**
+   * Timelines the post is posted to. They do not change once the post is
+   * saved, and the serializer needs them for several fields of the post
+   * (postedTo, isUnread, readReceipts), so they are loaded once
+   */
+  Post.prototype.getPostedTo = function() {
+    if (!this.postedToPromise) {
+      this.postedToPromise = this.loadPostedTo()
+    }
+
+    return this.postedToPromise
+  }
+
+  Post.prototype.loadPostedTo = async function() {
     var timelineIds = await this.getPostedToIds()
     this.postedTo = await dbAdapter.getTimelinesByIds(timelineIds)
 
@@ -392,7 +809,7 @@ export function addModel(dbAdapter) {
     }
 
     let commentIds = await this.getCommentIds()
-    let comments = await dbAdapter.getCommentsByIds(commentIds)
+    let comments = await dbAdapter.getCommentsByIds(commentIds, { currentUser: this.currentUser })
 
     this.comments = comments.filter(comment => (banIds.indexOf(comment.userId) === -1))
 
@@ -575,6 +992,10 @@ export function addModel(dbAdapter) {
 
     await Promise.all(promises)
 
+    if (user.id !== this.userId) {
+      await Notification.notify({ userId: this.userId, type: 'like', actorId: user.id, postId: this.id })
+    }
+
     timer.stop()
     monitor.increment('posts.likes')
     monitor.increment('posts.reactions')
@@ -603,6 +1024,116 @@ export function addModel(dbAdapter) {
     return stats.removeLike()
   }
 
+  Post.prototype.addReaction = async function(user, emoji) {
+    await user.validateCanAddReaction(this, emoji)
+    await dbAdapter.createUserPostReaction(this.id, emoji, user.id)
+
+    monitor.increment('posts.reactions')
+  }
+
+  Post.prototype.removeReaction = async function(user, emoji) {
+    await user.validateCanRemoveReaction(this, emoji)
+    await dbAdapter.removeUserPostReaction(this.id, emoji, user.id)
+
+    monitor.increment('posts.unreactions')
+  }
+
+  /**
+   * Returns list of {emoji, count}. Likes are reported as 'like' reaction
+   * and go first, the rest follow the order of `config.reactions.emoji`
+   */
+  Post.prototype.getReactions = async function() {
+    const emojiList = await this.getReactionEmoji()
+
+    const counts = await Promise.all(emojiList.map((emoji) => {
+      if (emoji === 'like') {
+        return dbAdapter.getPostLikesCount(this.id)
+      }
+
+      return dbAdapter.getPostReactionsCount(this.id, emoji)
+    }))
+
+    this.reactions = emojiList
+      .map((emoji, i) => ({ emoji, count: counts[i] }))
+      .filter(reaction => reaction.count > 0)
+
+    return this.reactions
+  }
+
+  Post.prototype.getMyReactions = async function() {
+    if (!this.currentUser) {
+      return []
+    }
+
+    const emojiList = await this.getReactionEmoji()
+
+    const flags = await Promise.all(emojiList.map((emoji) => {
+      if (emoji === 'like') {
+        return dbAdapter.hasUserLikedPost(this.currentUser, this.id)
+      }
+
+      return dbAdapter.hasUserReactedToPost(this.currentUser, this.id, emoji)
+    }))
+
+    this.myReactions = emojiList.filter((emoji, i) => flags[i])
+
+    return this.myReactions
+  }
+
+  /**
+   * Returns true if the current user has not read the direct post or its
+   * latest comments yet, and null otherwise
+   */
+  Post.prototype.getIsUnread = async function() {
+    if (!this.currentUser) {
+      return null
+    }
+
+    const participantIds = await this.getDirectParticipantIds()
+
+    if (participantIds.indexOf(this.currentUser) === -1) {
+      return null
+    }
+
+    const isUnread = await dbAdapter.isDirectPostUnread(this.currentUser, this.id)
+
+    return isUnread || null
+  }
+
+  /**
+   * Only the author of a direct post knows when its recipients have read
+   * it: [{ user, readAt }], readAt is null if the recipient has not read
+   * the post or its latest comments yet
+   */
+  Post.prototype.getReadReceipts = async function() {
+    if (!this.currentUser || this.currentUser !== this.userId) {
+      return null
+    }
+
+    const recipientIds = _.without(await this.getDirectParticipantIds(), this.userId)
+
+    if (recipientIds.length === 0) {
+      return null
+    }
+
+    const [reads, flags] = await Promise.all([
+      dbAdapter.getDirectPostReads(this.id),
+      Promise.all(recipientIds.map(userId => dbAdapter.isDirectPostUnread(userId, this.id)))
+    ])
+
+    return recipientIds.map((userId, i) => ({
+      user:   userId,
+      readAt: flags[i] ? null : (reads[userId] || null)
+    }))
+  }
+
+  Post.prototype.getReactionEmoji = async function() {
+    const usedEmoji = await dbAdapter.getPostReactionEmoji(this.id)
+
+    // emoji which were removed from config are shown after the allowed ones
+    return _.uniq(['like', ...config.reactions.emoji, ...usedEmoji])
+  }
+
   Post.prototype.getCreatedBy = function() {
     return dbAdapter.getUserById(this.userId)
   }
@@ -627,6 +1158,10 @@ export function addModel(dbAdapter) {
   }
 
   Post.prototype.canShow = async function(userId) {
+    // nobody but the author knows about pending post
+    if (this.isScheduled())
+      return this.userId === userId
+
     var timelines = await this.getPostedTo()
 
     var arr = await Promise.all(timelines.map(async function(timeline) {
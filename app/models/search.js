@@ -0,0 +1,231 @@
+import _ from 'lodash'
+
+import { Timeline } from '../models'
+import { BadRequestException } from '../support/exceptions'
+import { normalizePhrase, parseQuery } from '../support/search'
+
+
+const MATCHES_PAGE_SIZE = 100
+
+/**
+ * Reads matches by pages of `MATCHES_PAGE_SIZE`, so that only the
+ * records which are needed for the requested page are loaded.
+ * readPage(offset, limit) returns [id, time] pairs, the most recent
+ * first, and filter(pairs) turns them into [postId, time] matches.
+ */
+class MatchReader {
+  constructor(readPage, filter, close) {
+    this.readPage = readPage
+    this.filter = filter
+    this.close = close
+    this.offset = 0
+    this.matches = []
+    this.isDone = false
+  }
+
+  async peek() {
+    while (this.matches.length === 0 && !this.isDone) {
+      const pairs = await this.readPage(this.offset, MATCHES_PAGE_SIZE)
+
+      this.offset += pairs.length
+      this.isDone = pairs.length < MATCHES_PAGE_SIZE
+      this.matches = await this.filter(pairs)
+    }
+
+    return this.matches[0] || null
+  }
+
+  shift() {
+    return this.matches.shift()
+  }
+}
+
+
+export function addModel(dbAdapter) {
+  /**
+   * Search results for the given query as seen by the current user
+   * @constructor
+   */
+  var Search = function(params) {
+    this.query = (params.query || '').trim()
+    this.offset = parseInt(params.offset, 10) || 0
+    this.limit = parseInt(params.limit, 10) || 30
+    this.currentUser = params.currentUser
+  }
+
+  Search.className = Search
+  Search.namespace = "search"
+
+  Search.prototype.getPosts = async function() {
+    const query = parseQuery(this.query)
+
+    if (query.words.length === 0 && !query.from && !query.in) {
+      throw new BadRequestException("Search query cannot be blank")
+    }
+
+    let author = null
+    let timelineId = null
+
+    if (query.from) {
+      author = await dbAdapter.getFeedOwnerByUsername(query.from)
+
+      if (null === author || !author.isUser()) {
+        this.posts = []
+        return this.posts
+      }
+    }
+
+    if (query.in) {
+      const feed = await dbAdapter.getFeedOwnerByUsername(query.in)
+
+      if (null === feed) {
+        this.posts = []
+        return this.posts
+      }
+
+      timelineId = await feed.getPostsTimelineId()
+    }
+
+    const readers = [this.getPostMatchReader(query, author, timelineId)]
+
+    if (query.words.length > 0) {
+      readers.push(this.getCommentMatchReader(query, author, timelineId))
+    }
+
+    try {
+      this.posts = await this.readVisiblePosts(readers)
+    } finally {
+      await Promise.all(readers.map(reader => reader.close()))
+    }
+
+    return this.posts
+  }
+
+  /**
+   * Merges matches of the readers, the most recent first, and checks
+   * posts by pages until there are enough visible ones
+   */
+  Search.prototype.readVisiblePosts = async function(readers) {
+    const seenPostIds = {}
+    let visiblePosts = []
+    let postIds = []
+
+    for (;;) {
+      const heads = await Promise.all(readers.map(reader => reader.peek()))
+      const i = _.findIndex(heads, head => head && _.every(heads, other => !other || other[1] <= head[1]))
+
+      if (i < 0 || postIds.length >= this.limit) {
+        const posts = await Timeline.getVisiblePosts(postIds, this.currentUser, 0, this.limit)
+        visiblePosts = visiblePosts.concat(posts)
+        postIds = []
+      }
+
+      if (i < 0 || visiblePosts.length >= this.offset + this.limit) {
+        break
+      }
+
+      const [postId] = readers[i].shift()
+
+      if (!seenPostIds[postId]) {
+        seenPostIds[postId] = true
+        postIds.push(postId)
+      }
+    }
+
+    return visiblePosts.slice(this.offset, this.offset + this.limit)
+  }
+
+  /**
+   * Reads [postId, time] pairs of posts whose bodies match the query
+   */
+  Search.prototype.getPostMatchReader = function(query, author, timelineId) {
+    let results = null
+
+    const readPage = async (offset, limit) => {
+      if (query.words.length > 0) {
+        results = results || await dbAdapter.searchPostIds(query.words, timelineId)
+        return dbAdapter.getSearchResultsPage(results, offset, limit)
+      }
+
+      // only operators are given, so all the posts of the feed match
+      if (!timelineId) {
+        timelineId = await author.getPostsTimelineId()
+      }
+
+      return dbAdapter.getTimelinePostsRangeWithScores(timelineId, offset, offset + limit - 1)
+    }
+
+    const filter = async (matches) => {
+      if (!author && query.phrases.length === 0) {
+        return matches
+      }
+
+      const posts = await dbAdapter.getPostsByIds(matches.map(([postId]) => postId))
+
+      return matches.filter((match, i) => {
+        const post = posts[i]
+
+        if (!_.isString(post.userId)) {
+          return false
+        }
+
+        if (author && post.userId !== author.id) {
+          return false
+        }
+
+        return containsPhrases(post.body, query.phrases)
+      })
+    }
+
+    const close = () => results ? dbAdapter.deleteSearchResults(results) : Promise.resolve()
+
+    return new MatchReader(readPage, filter, close)
+  }
+
+  /**
+   * Reads [postId, time] pairs of posts which have comments matching
+   * the query
+   */
+  Search.prototype.getCommentMatchReader = function(query, author, timelineId) {
+    let results = null
+
+    const readPage = async (offset, limit) => {
+      results = results || await dbAdapter.searchCommentIds(query.words)
+      return dbAdapter.getSearchResultsPage(results, offset, limit)
+    }
+
+    const filter = async (matches) => {
+      let comments = await dbAdapter.getCommentsByIds(matches.map(([commentId]) => commentId))
+
+      comments = comments.filter((comment) => {
+        if (!_.isString(comment.postId)) {
+          return false
+        }
+
+        if (author && comment.userId !== author.id) {
+          return false
+        }
+
+        return containsPhrases(comment.body, query.phrases)
+      })
+
+      if (timelineId) {
+        const flags = await Promise.all(comments.map(comment => dbAdapter.isPostPresentInTimeline(timelineId, comment.postId)))
+        comments = comments.filter((comment, i) => flags[i])
+      }
+
+      return comments.map(comment => [comment.postId, parseFloat(comment.createdAt)])
+    }
+
+    const close = () => results ? dbAdapter.deleteSearchResults(results) : Promise.resolve()
+
+    return new MatchReader(readPage, filter, close)
+  }
+
+  function containsPhrases(text, phrases) {
+    const normalizedText = normalizePhrase(text || '')
+    return _.every(phrases, phrase => normalizedText.indexOf(phrase) >= 0)
+  }
+
+  return Search
+}
@@ -0,0 +1,130 @@
+import { promisifyAll } from 'bluebird'
+import jwt from 'jsonwebtoken'
+import monitor from 'monitor-dog'
+
+import { load as configLoader } from "../../config/config"
+import { PubSub as pubSub } from '../models'
+import { touch } from '../support/touch'
+
+
+promisifyAll(jwt)
+
+let config = configLoader()
+
+export function addModel(dbAdapter) {
+  /**
+   * Server-side record of a sign-in. Auth tokens refer to their sessions,
+   * so a token stops working once its session is deleted or has not been
+   * used for `config.sessions.ttl`.
+   * @constructor
+   */
+  var Session = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.userAgent = params.userAgent || ''
+    this.ip = params.ip || ''
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.lastUsedAt, 10))
+      this.lastUsedAt = params.lastUsedAt
+  }
+
+  Session.className = Session
+  Session.namespace = "session"
+
+  /**
+   * Starts a session of the user signing in with the request and returns
+   * its auth token
+   */
+  Session.start = async function(user, req) {
+    const session = new Session({
+      userId:    user.id,
+      userAgent: req.headers['user-agent'],
+      ip:        req.ip
+    })
+
+    await session.create()
+
+    return session.getAuthToken()
+  }
+
+  /**
+   * Returns { user, session, authorization } of the auth token. Tokens
+   * issued to OAuth clients have an authorization instead of a session.
+   * Tokens issued before sessions were introduced have neither: they are
+   * valid until the user revokes all their tokens.
+   */
+  Session.authenticate = async function(authToken) {
+    const decoded = await jwt.verifyAsync(authToken, config.secret)
+    const user = await dbAdapter.getUserById(decoded.userId)
+
+    if (!user) {
+      throw new Error(`user ${decoded.userId} is not found`)
+    }
+
+    if (decoded.authorizationId) {
+      const authorization = await dbAdapter.getOAuthAuthorizationById(decoded.authorizationId)
+
+      if (!authorization || authorization.userId !== user.id) {
+        throw new Error('the OAuth authorization has been revoked')
+      }
+
+      return { user, session: null, authorization }
+    }
+
+    if (!decoded.sessionId) {
+      if (user.authTokensRevokedAt && !(decoded.iat * 1000 >= parseInt(user.authTokensRevokedAt, 10))) {
+        throw new Error('the token has been revoked')
+      }
+
+      return { user, session: null }
+    }
+
+    const session = await dbAdapter.getSessionById(decoded.sessionId)
+
+    if (!session || session.userId !== user.id) {
+      throw new Error('the session has expired or has been revoked')
+    }
+
+    await session.touch()
+
+    return { user, session }
+  }
+
+  Session.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.lastUsedAt = this.createdAt
+
+    this.id = await dbAdapter.createSession({
+      userId:     this.userId,
+      userAgent:  this.userAgent,
+      ip:         this.ip,
+      createdAt:  this.createdAt.toString(),
+      lastUsedAt: this.lastUsedAt.toString()
+    }, config.sessions.ttl)
+
+    monitor.increment('sessions.creates')
+
+    return this
+  }
+
+  Session.prototype.getAuthToken = function() {
+    return jwt.sign({ userId: this.userId, sessionId: this.id }, config.secret)
+  }
+
+  /**
+   * Prolongs the session as it is being used
+   */
+  Session.prototype.touch = function() {
+    return touch(this, lastUsedAt => dbAdapter.updateSession(this.id, { lastUsedAt }, config.sessions.ttl))
+  }
+
+  Session.prototype.destroy = async function() {
+    await dbAdapter.deleteSession(this.id, this.userId)
+    await pubSub.revokeSessions(this.userId, this.id)
+    monitor.increment('sessions.destroys')
+  }
+
+  return Session
+}
@@ -1,6 +1,7 @@
 import _ from 'lodash'
 
 import { PubSub as pubSub } from '../models'
+import { BadRequestException } from '../support/exceptions'
 
 
 export function addModel(dbAdapter) {
@@ -17,6 +18,8 @@ export function addModel(dbAdapter) {
       this.updatedAt = params.updatedAt
     this.offset = parseInt(params.offset, 10) || 0
     this.limit = parseInt(params.limit, 10) || 30
+    this.before = params.before
+    this.after = params.after
     this.currentUser = params.currentUser
   }
 
@@ -30,6 +33,32 @@ export function addModel(dbAdapter) {
     }
   })
 
+  /**
+   * Cursors are opaque for clients: they encode the position of a post
+   * in the timeline's sorted set, i.e. its score (updatedAt) and its id
+   * (to break ties between posts with the same score).
+   */
+  Timeline.encodeCursor = function(score, postId) {
+    return new Buffer(`${score}:${postId}`).toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '')
+  }
+
+  Timeline.decodeCursor = function(cursor) {
+    const decoded = new Buffer(cursor, 'base64').toString()
+    const pos = decoded.indexOf(':')
+
+    const score = parseInt(decoded.substr(0, pos), 10)
+    const postId = decoded.substr(pos + 1)
+
+    if (pos < 1 || !_.isFinite(score) || postId.length === 0) {
+      throw new BadRequestException('Invalid cursor')
+    }
+
+    return { score, postId }
+  }
+
   /**
    * Adds the specified post to all timelines where it needs to appear
    * (the timelines of the feeds to which it is posted, the River of News
@@ -65,6 +94,132 @@ export function addModel(dbAdapter) {
     await pubSub.newPost(post.id)
   }
 
+  /**
+   * Applies the same privacy and ban rules as Timeline#getPosts to the list
+   * of post ids which is not a timeline (search results, hashtags) and
+   * returns the requested page of posts the current user can read
+   */
+  Timeline.getVisiblePosts = async function(postIds, currentUser, offset, limit) {
+    const reader = currentUser ? (await dbAdapter.getUserById(currentUser)) : null
+    const banIds = reader ? (await reader.getBanIds()) : []
+
+    let visiblePosts = []
+
+    for (let chunk of _.chunk(postIds, limit)) {
+      let posts = await dbAdapter.getPostsByIds(chunk, { currentUser: currentUser })
+      posts = posts.filter(post => _.isString(post.userId))
+
+      const flags = await Promise.all(posts.map(async (post) => {
+        if (post.userId === currentUser) {
+          return true
+        }
+
+        if (banIds.indexOf(post.userId) >= 0) {
+          return false
+        }
+
+        const author = await dbAdapter.getUserById(post.userId)
+        const reverseBanIds = author ? (await author.getBanIds()) : []
+
+        if (reverseBanIds.indexOf(currentUser) >= 0) {
+          return false
+        }
+
+        return post.canShow(currentUser)
+      }))
+
+      visiblePosts = visiblePosts.concat(posts.filter((post, i) => flags[i]))
+
+      if (visiblePosts.length >= offset + limit) {
+        break
+      }
+    }
+
+    return visiblePosts.slice(offset, offset + limit)
+  }
+
+  /**
+   * Pages visible posts of a sorted set which is not a timeline (hashtag,
+   * unread directs) like timelines are paged: by offset or by `before`
+   * and `after` cursors. The set is read by bounded batches until the
+   * page is full, since some posts may be hidden from the current user.
+   * postsSet has the same methods as DbAdapter has for timeline posts:
+   * getRange(startIndex, finishIndex), getCountWithScore(score),
+   * getBeforeScore(score, limit) and getAfterScore(score, limit), all of
+   * them returning [postId, score] pairs. Returns
+   * {posts, prevCursor, nextCursor}.
+   */
+  Timeline.readVisiblePostsPage = async function(postsSet, params) {
+    const offset = (params.before || params.after) ? 0 : (parseInt(params.offset, 10) || 0)
+    const limit = parseInt(params.limit, 10) || 30
+    const { before, after, currentUser } = params
+
+    let cursor = (before || after) ? Timeline.decodeCursor(before || after) : null
+    let startIndex = 0
+    const scores = {}
+    let posts = []
+
+    for (;;) {
+      let entries
+
+      if (cursor) {
+        entries = await readPostsByCursor(postsSet, cursor, !!after, limit)
+      } else {
+        entries = await postsSet.getRange(startIndex, startIndex + limit - 1)
+        startIndex += entries.length
+      }
+
+      _.extend(scores, _.zipObject(entries))
+      posts = posts.concat(await Timeline.getVisiblePosts(entries.map(([postId]) => postId), currentUser, 0, limit))
+
+      if (entries.length < limit || posts.length >= offset + limit) {
+        break
+      }
+
+      if (cursor) {
+        const [postId, score] = _.last(entries)
+        cursor = { score, postId }
+      }
+    }
+
+    posts = posts.slice(offset, offset + limit)
+
+    if (after) {
+      posts.reverse()
+    }
+
+    if (posts.length === 0) {
+      // nothing new yet, client should keep polling with the same cursor
+      return { posts, prevCursor: after || null, nextCursor: null }
+    }
+
+    const first = _.first(posts)
+    const last = _.last(posts)
+
+    return {
+      posts,
+      prevCursor: Timeline.encodeCursor(scores[first.id], first.id),
+      nextCursor: (after || posts.length >= limit) ? Timeline.encodeCursor(scores[last.id], last.id) : null
+    }
+  }
+
+  /**
+   * Returns up to `limit` [postId, score] pairs which are older (or newer,
+   * if `isAfter`) than the cursor, the closest to cursor first. Posts with
+   * the same score are ordered by id, as in Timeline#getPostIdsByCursor.
+   */
+  async function readPostsByCursor(postsSet, { score, postId }, isAfter, limit) {
+    const sameScoreCount = await postsSet.getCountWithScore(score)
+
+    if (isAfter) {
+      const entries = await postsSet.getAfterScore(score, limit + sameScoreCount)
+      return entries.filter(([id, postScore]) => postScore > score || id > postId).slice(0, limit)
+    }
+
+    const entries = await postsSet.getBeforeScore(score, limit + sameScoreCount)
+    return entries.filter(([id, postScore]) => postScore < score || id < postId).slice(0, limit)
+  }
+
   Timeline.prototype.validate = async function() {
     const valid = this.name
       && this.name.length > 0
@@ -126,11 +281,77 @@ export function addModel(dbAdapter) {
     if (!valid)
       return []
 
-    this.postIds = await dbAdapter.getTimelinePostsRange(this.id, offset, offset + limit - 1)
+    if (this.before || this.after) {
+      this.postIds = await this.getPostIdsByCursor(limit)
+    } else {
+      this.postIds = await dbAdapter.getTimelinePostsRange(this.id, offset, offset + limit - 1)
+    }
+
+    await this.updateCursors(limit)
 
     return this.postIds
   }
 
+  /**
+   * Returns up to `limit` post ids which are older (`before`) or newer
+   * (`after`) than the post encoded in cursor. Unlike offsets, cursors
+   * are not affected by posts which were added to the timeline since
+   * the previous page was requested.
+   */
+  Timeline.prototype.getPostIdsByCursor = async function(limit) {
+    const { score, postId } = Timeline.decodeCursor(this.before || this.after)
+
+    // posts with the same score are ordered by id, so we might have to
+    // skip some of them
+    const sameScoreCount = await dbAdapter.getTimelinePostsCountWithScore(this.id, score)
+
+    if (this.before) {
+      const posts = await dbAdapter.getTimelinePostsBeforeScore(this.id, score, limit + sameScoreCount)
+
+      return posts
+        .filter(([id, postScore]) => (postScore < score || id < postId))
+        .slice(0, limit)
+        .map(([id]) => id)
+    }
+
+    const posts = await dbAdapter.getTimelinePostsAfterScore(this.id, score, limit + sameScoreCount)
+
+    // we need posts which are the closest to cursor, but timelines
+    // are always returned newest first
+    return posts
+      .filter(([id, postScore]) => (postScore > score || id > postId))
+      .slice(0, limit)
+      .map(([id]) => id)
+      .reverse()
+  }
+
+  Timeline.prototype.updateCursors = async function(limit) {
+    this.nextCursor = null
+    this.prevCursor = null
+
+    if (this.postIds.length === 0) {
+      // nothing new yet, client should keep polling with the same cursor
+      if (this.after)
+        this.prevCursor = this.after
+
+      return
+    }
+
+    const firstId = _.first(this.postIds)
+    const lastId = _.last(this.postIds)
+
+    const [firstScore, lastScore] = await Promise.all([
+      dbAdapter.getTimelinePostScore(this.id, firstId),
+      dbAdapter.getTimelinePostScore(this.id, lastId)
+    ])
+
+    this.prevCursor = Timeline.encodeCursor(firstScore, firstId)
+
+    // there always are older posts when we are paging towards newer ones
+    if (this.after || (limit > 0 && this.postIds.length >= limit))
+      this.nextCursor = Timeline.encodeCursor(lastScore, lastId)
+  }
+
   Timeline.prototype.getPostIdsByScore = async function(min, max) {
     this.postIds = await dbAdapter.getTimelinePostsInTimeInterval(this.id, min, max)
     return this.postIds
@@ -11,7 +11,9 @@ import uuid from 'uuid'
 
 import { load as configLoader } from "../../config/config"
 import { BadRequestException, ForbiddenException, NotFoundException } from '../support/exceptions'
-import { Attachment, Comment, Post, Stats, Timeline } from '../models'
+import * as totp from '../support/totp'
+import { UserMailer } from '../mailers'
+import { Attachment, Comment, Notification, Post, PubSub as pubSub, Stats, Timeline } from '../models'
 
 
 promisifyAll(bcrypt)
@@ -20,6 +22,12 @@ promisifyAll(gm)
 
 let config = configLoader()
 
+// recovery codes are case- and dash-insensitive
+const hashRecoveryCode = (code) => {
+  const normalizedCode = `${code}`.toLowerCase().replace(/[^0-9a-z]/g, '')
+  return crypto.createHash('sha256').update(normalizedCode).digest('hex')
+}
+
 exports.addModel = function(dbAdapter) {
   /**
    * @constructor
@@ -31,6 +39,10 @@ exports.addModel = function(dbAdapter) {
     this.username = params.username
     this.screenName = params.screenName
     this.email = params.email
+    this.pendingEmail = params.pendingEmail || ''
+    this.emailVerificationToken = params.emailVerificationToken
+    if (parseInt(params.emailVerifiedAt, 10))
+      this.emailVerifiedAt = params.emailVerifiedAt
     this.description = params.description || ''
 
     if (!_.isUndefined(params.hashedPassword)) {
@@ -40,8 +52,11 @@ exports.addModel = function(dbAdapter) {
     }
 
     this.isPrivate = params.isPrivate
+    this.emailNotifications = _.mapValues(User.EMAIL_NOTIFICATION_FIELDS, (field) => params[field] === '1' ? '1' : '0')
+    this.digestSentAt = params.digestSentAt
     this.resetPasswordToken = params.resetPasswordToken
     this.resetPasswordSentAt = params.resetPasswordSentAt
+    this.authTokensRevokedAt = params.authTokensRevokedAt
     if (parseInt(params.createdAt, 10))
       this.createdAt = params.createdAt
     if (parseInt(params.updatedAt, 10))
@@ -70,6 +85,15 @@ exports.addModel = function(dbAdapter) {
   User.PROFILE_PICTURE_SIZE_MEDIUM = 50
   User.PROFILE_PICTURE_SIZE_SMALL = 25
 
+  // Email notifications are opt-in. Each preference is stored in its own
+  // field of the user record.
+  User.EMAIL_NOTIFICATION_FIELDS = {
+    directs:              'emailOnDirects',
+    subscriptionRequests: 'emailOnSubscriptionRequests',
+    comments:             'emailOnComments',
+    dailyDigest:          'emailDailyDigest'
+  }
+
   Object.defineProperty(User.prototype, 'username', {
     get: function() { return this.username_ },
     set: function(newValue) {
@@ -121,6 +145,10 @@ exports.addModel = function(dbAdapter) {
   }
 
   User.prototype.newPost = async function(attrs) {
+    if (!config.emailVerification.allowUnverifiedToPost && !this.isEmailVerified()) {
+      throw new ForbiddenException('Please verify your email address to post')
+    }
+
     attrs.userId = this.id
     if (!attrs.timelineIds || !attrs.timelineIds[0]) {
       let timelineId = await this.getPostsTimelineId()
@@ -157,6 +185,95 @@ exports.addModel = function(dbAdapter) {
     return this.resetPasswordToken
   }
 
+  User.prototype.isEmailVerified = function() {
+    return !!this.email && !!this.emailVerifiedAt
+  }
+
+  User.prototype.getEmailVerified = async function() {
+    return this.isEmailVerified()
+  }
+
+  /**
+   * Mails a verification link to the address. The address becomes the
+   * (verified) email of the user only when the link is followed. Links
+   * sent earlier stop working.
+   */
+  User.prototype.sendEmailVerification = async function(email) {
+    const buf = await crypto.randomBytesAsync(32)
+    const token = buf.toString('hex')
+    const oldToken = this.emailVerificationToken
+
+    await dbAdapter.createEmailVerificationToken(token, this.id, email, config.emailVerification.tokenTTL)
+    this.emailVerificationToken = token
+
+    const promises = [
+      dbAdapter.updateUser(this.id, { emailVerificationToken: token })
+    ]
+
+    if (oldToken) {
+      promises.push(dbAdapter.deleteEmailVerificationToken(oldToken))
+    }
+
+    await Promise.all(promises)
+
+    await UserMailer.emailVerification({ screenName: this.screenName, email }, { user: this, email, token })
+  }
+
+  /**
+   * Verifies the address the token has been sent to and returns the user.
+   * A pending address replaces the email, and the previous address gets
+   * notified of the change.
+   */
+  User.verifyEmail = async function(token) {
+    const verification = token ? await dbAdapter.getEmailVerificationToken(token) : null
+    const user = verification ? await dbAdapter.getUserById(verification.userId) : null
+    const email = verification ? verification.email : null
+
+    // the email might have been changed since the token was sent
+    if (!user || user.emailVerificationToken !== token || (email !== user.email && email !== user.pendingEmail)) {
+      throw new NotFoundException('The verification link is not valid or has expired')
+    }
+
+    const oldEmail = user.email
+    const emailChanged = email !== oldEmail
+
+    if (emailChanged && !(await User.emailIsValid(email))) {
+      throw new BadRequestException('The email address is already taken')
+    }
+
+    user.email = email
+    user.pendingEmail = ''
+    user.emailVerificationToken = ''
+    user.emailVerifiedAt = new Date().getTime()
+
+    const promises = [
+      dbAdapter.updateUser(user.id, {
+        email,
+        pendingEmail:           '',
+        emailVerificationToken: '',
+        emailVerifiedAt:        user.emailVerifiedAt.toString()
+      }),
+      dbAdapter.deleteEmailVerificationToken(token)
+    ]
+
+    if (emailChanged) {
+      if (oldEmail) {
+        promises.push(user.dropIndexForEmail(oldEmail))
+      }
+      promises.push(user.createEmailIndex())
+    }
+
+    await Promise.all(promises)
+
+    if (emailChanged && oldEmail) {
+      await UserMailer.emailChanged({ screenName: user.screenName, email: oldEmail }, { user, oldEmail, newEmail: email })
+    }
+
+    monitor.increment('users.email-verifications')
+
+    return user
+  }
+
   User.prototype.generateResetPasswordToken = async function() {
     let buf = await crypto.randomBytesAsync(48)
     return buf.toString('hex')
@@ -166,6 +283,113 @@ exports.addModel = function(dbAdapter) {
     return bcrypt.compareAsync(clearPassword, this.hashedPassword)
   }
 
+  User.prototype.isTwoFactorEnabled = async function() {
+    const twoFactor = await dbAdapter.getUserTwoFactor(this.id)
+    return !!twoFactor && twoFactor.enabled === '1'
+  }
+
+  User.prototype.getTwoFactorEnabled = function() {
+    return this.isTwoFactorEnabled()
+  }
+
+  /**
+   * Starts 2FA enrollment: the new secret is used only after the user
+   * has confirmed it with a code from their authenticator app
+   */
+  User.prototype.enrollTwoFactor = async function() {
+    if (await this.isTwoFactorEnabled()) {
+      throw new BadRequestException("Two-factor authentication is already enabled")
+    }
+
+    const secret = totp.generateSecret()
+    await dbAdapter.updateUserTwoFactor(this.id, { secret, enabled: '0', lastUsedStep: 0 })
+
+    return {
+      secret,
+      otpauthUrl: totp.getOtpauthUrl(secret, this.username, config.twoFactor.issuer)
+    }
+  }
+
+  /**
+   * Enables 2FA and returns recovery codes
+   */
+  User.prototype.confirmTwoFactor = async function(code) {
+    const twoFactor = await dbAdapter.getUserTwoFactor(this.id)
+
+    if (!twoFactor) {
+      throw new BadRequestException("Two-factor authentication enrollment has not been started")
+    }
+
+    if (twoFactor.enabled === '1') {
+      throw new BadRequestException("Two-factor authentication is already enabled")
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, code, new Date().getTime())
+
+    if (step === null) {
+      throw new BadRequestException("Invalid two-factor authentication code")
+    }
+
+    await dbAdapter.useUserTwoFactorStep(this.id, step, totp.CODE_LIFETIME)
+    await dbAdapter.updateUserTwoFactor(this.id, { enabled: '1', lastUsedStep: step })
+    monitor.increment('users.two-factor-enabled')
+
+    return this.regenerateRecoveryCodes()
+  }
+
+  User.prototype.disableTwoFactor = async function() {
+    await dbAdapter.deleteUserTwoFactor(this.id)
+    monitor.increment('users.two-factor-disabled')
+  }
+
+  /**
+   * Replaces recovery codes of the user with new ones. Only hashes of the
+   * codes are stored, so they are shown to the user just once.
+   */
+  User.prototype.regenerateRecoveryCodes = async function() {
+    const codes = await Promise.all(_.range(config.twoFactor.recoveryCodesCount).map(async () => {
+      const buf = await crypto.randomBytesAsync(5)
+      const hex = buf.toString('hex')
+
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    }))
+
+    await dbAdapter.replaceUserRecoveryCodes(this.id, codes.map(hashRecoveryCode))
+
+    return codes
+  }
+
+  /**
+   * Checks a code from the authenticator app or a recovery code. Both
+   * can be used only once: recovery codes are deleted, and app codes of
+   * the same or earlier time steps are not accepted anymore. The step is
+   * claimed atomically, lastUsedStep only turns away the earlier ones.
+   */
+  User.prototype.verifyTwoFactorCode = async function(code) {
+    const twoFactor = await dbAdapter.getUserTwoFactor(this.id)
+
+    if (!twoFactor || twoFactor.enabled !== '1' || !code) {
+      return false
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, code, new Date().getTime())
+
+    if (step !== null) {
+      if (step <= parseInt(twoFactor.lastUsedStep, 10)) {
+        return false
+      }
+
+      if (!await dbAdapter.useUserTwoFactorStep(this.id, step, totp.CODE_LIFETIME)) {
+        return false
+      }
+
+      await dbAdapter.updateUserTwoFactor(this.id, { lastUsedStep: step })
+      return true
+    }
+
+    return dbAdapter.deleteUserRecoveryCode(this.id, hashRecoveryCode(code))
+  }
+
   User.prototype.isValidEmail = async function() {
     return User.emailIsValid(this.email)
   }
@@ -312,6 +536,8 @@ exports.addModel = function(dbAdapter) {
   User.prototype.update = async function(params) {
     var hasChanges = false
       , emailChanged = false
+      , pendingEmailChanged = false
+      , madePrivate = false
       , oldEmail = ""
 
     if (params.hasOwnProperty('screenName') && params.screenName != this.screenName) {
@@ -323,16 +549,32 @@ exports.addModel = function(dbAdapter) {
       hasChanges = true
     }
 
-    if (params.hasOwnProperty('email') && params.email != this.email) {
-      if (!(await User.emailIsValid(params.email))) {
-        throw new Error("Invalid email")
-      }
+    if (params.hasOwnProperty('email') && _.isString(params.email)) {
+      const email = params.email.trim()
 
-      oldEmail = this.email
-      this.email = params.email
+      if (email != this.email) {
+        if (!(await User.emailIsValid(email))) {
+          throw new Error("Invalid email")
+        }
 
-      hasChanges = true
-      emailChanged = true
+        if (email.length > 0) {
+          // the new address stays pending until it is verified
+          this.pendingEmail = email
+          pendingEmailChanged = true
+        } else {
+          oldEmail = this.email
+          this.email = email
+          this.pendingEmail = ''
+          this.emailVerifiedAt = null
+          emailChanged = true
+        }
+
+        hasChanges = true
+      } else if (this.pendingEmail) {
+        // the change is cancelled
+        this.pendingEmail = ''
+        hasChanges = true
+      }
     }
 
     if (params.hasOwnProperty('isPrivate') && params.isPrivate != this.isPrivate) {
@@ -346,6 +588,7 @@ exports.addModel = function(dbAdapter) {
       else if (params.isPrivate === '0' && this.isPrivate === '1')
         await this.subscribeNonFriends()
 
+      madePrivate = params.isPrivate === '1'
       this.isPrivate = params.isPrivate
       hasChanges = true
     }
@@ -359,21 +602,52 @@ exports.addModel = function(dbAdapter) {
       hasChanges = true
     }
 
+    let digestChanged = false
+
+    if (params.hasOwnProperty('emailNotifications')) {
+      const preferences = params.emailNotifications
+
+      if (!_.isObject(preferences) || _.any(preferences, (value, key) => !User.EMAIL_NOTIFICATION_FIELDS[key] || (value !== '0' && value !== '1'))) {
+        throw new Error("Invalid email notification preferences")
+      }
+
+      const newPreferences = _.mapValues(this.emailNotifications, (value, key) => _.has(preferences, key) ? preferences[key] : value)
+
+      if (!_.isEqual(newPreferences, this.emailNotifications)) {
+        digestChanged = newPreferences.dailyDigest !== this.emailNotifications.dailyDigest
+
+        this.emailNotifications = newPreferences
+        hasChanges = true
+      }
+    }
+
     if (hasChanges) {
       this.updatedAt = new Date().getTime()
 
       var payload = {
         'screenName': this.screenName,
         'email': this.email,
+        'pendingEmail': this.pendingEmail,
+        'emailVerifiedAt': this.emailVerifiedAt ? this.emailVerifiedAt.toString() : '',
         'isPrivate': this.isPrivate,
         'description': this.description,
         'updatedAt': this.updatedAt.toString()
       }
 
+      _.each(User.EMAIL_NOTIFICATION_FIELDS, (field, key) => {
+        payload[field] = this.emailNotifications[key]
+      })
+
       var promises = [
         dbAdapter.updateUser(this.id, payload)
       ]
 
+      if (digestChanged) {
+        promises.push(this.emailNotifications.dailyDigest === '1'
+                      ? dbAdapter.addDigestSubscriber(this.id)
+                      : dbAdapter.removeDigestSubscriber(this.id))
+      }
+
       if (emailChanged) {
         if (oldEmail != "") {
           promises.push(this.dropIndexForEmail(oldEmail))
@@ -386,9 +660,71 @@ exports.addModel = function(dbAdapter) {
       await Promise.all(promises)
     }
 
+    if (pendingEmailChanged) {
+      await this.sendEmailVerification(this.pendingEmail)
+    }
+
+    if (emailChanged && oldEmail != "") {
+      await UserMailer.emailChanged({ screenName: this.screenName, email: oldEmail }, { user: this, oldEmail, newEmail: this.email })
+    }
+
+    if (madePrivate) {
+      await pubSub.makeFeedPrivate(this.id)
+    }
+
     return this
   }
 
+  // nothing is mailed to addresses which have not been verified, as anyone
+  // could have given them
+  User.prototype.wantsEmailNotification = function(type) {
+    return this.isEmailVerified() && this.emailNotifications[type] === '1'
+  }
+
+  /**
+   * Returns the most liked and commented posts which have appeared in
+   * the River of News since the given time. Own posts, hidden posts and
+   * posts the user has already liked or commented are skipped as seen.
+   */
+  User.prototype.getDigestPosts = async function(since, limit) {
+    const [riverOfNewsId, hidesId, commentsId, likesId] = await Promise.all([
+      this.getRiverOfNewsTimelineId(),
+      this.getHidesTimelineId(),
+      this.getCommentsTimelineId(),
+      this.getLikesTimelineId()
+    ])
+
+    const postIds = await dbAdapter.getTimelinePostsInTimeInterval(riverOfNewsId, '+inf', `(${since}`)
+    const posts = await dbAdapter.getPostsByIds(postIds)
+    const banIds = await this.getBanIds()
+
+    const unseen = await Promise.all(posts.map(async (post) => {
+      if (!_.isString(post.userId) || post.userId === this.id || banIds.indexOf(post.userId) >= 0) {
+        return null
+      }
+
+      const seen = await Promise.all([hidesId, commentsId, likesId].map(timelineId => dbAdapter.isPostPresentInTimeline(timelineId, post.id)))
+
+      if (_.any(seen) || !await post.canShow(this.id)) {
+        return null
+      }
+
+      const [likesCount, commentsCount] = await Promise.all([
+        dbAdapter.getPostLikesCount(post.id),
+        dbAdapter.getPostCommentsCount(post.id)
+      ])
+
+      return { post, score: likesCount + commentsCount }
+    }))
+
+    return _(unseen)
+      .compact()
+      .sortByOrder(['score'], ['desc'])
+      .take(limit)
+      .pluck('post')
+      .value()
+  }
+
   User.prototype.subscribeNonFriends = async function() {
     // NOTE: this method is super ineffective as it iterates all posts
     // and then all comments in user's timeline, we could make it more
@@ -509,6 +845,7 @@ exports.addModel = function(dbAdapter) {
       this.hashedPassword = await bcrypt.hashAsync(password, 10)
 
       await dbAdapter.setUserPassword(this.id, this.updatedAt, this.hashedPassword)
+      await this.revokeAuthTokens()
 
       return this
     } catch(e) {
@@ -516,6 +853,42 @@ exports.addModel = function(dbAdapter) {
     }
   }
 
+  /**
+   * Signs the user out everywhere: deletes all their sessions, revokes
+   * the OAuth authorizations (so the apps lose their access and refresh
+   * tokens and have to ask again) and invalidates auth tokens issued
+   * before sessions were introduced. Personal access tokens are kept,
+   * the user manages them on their own.
+   */
+  User.prototype.revokeAuthTokens = async function() {
+    this.authTokensRevokedAt = new Date().getTime()
+
+    const authorizationIds = await dbAdapter.getUserOAuthAuthorizationIds(this.id)
+    const authorizations = await dbAdapter.getOAuthAuthorizationsByIds(authorizationIds)
+
+    await Promise.all([
+      dbAdapter.updateUser(this.id, { authTokensRevokedAt: this.authTokensRevokedAt.toString() }),
+      dbAdapter.deleteUserSessions(this.id),
+      ...authorizations.map(authorization => authorization.destroy())
+    ])
+
+    await pubSub.revokeSessions(this.id)
+  }
+
+  /**
+   * Sessions of the user, the most recent first. Ids of the expired ones
+   * are cleaned up here.
+   */
+  User.prototype.getSessions = async function() {
+    const sessionIds = await dbAdapter.getUserSessionIds(this.id)
+    const sessions = await dbAdapter.getSessionsByIds(sessionIds)
+
+    const expiredIds = _.difference(sessionIds, sessions.map(session => session.id))
+    await Promise.all(expiredIds.map(sessionId => dbAdapter.deleteSession(sessionId, this.id)))
+
+    return sessions
+  }
+
   User.prototype.getAdministratorIds = async function() {
     return [this.id]
   }
@@ -541,7 +914,10 @@ exports.addModel = function(dbAdapter) {
 
     await dbAdapter.createMergedPostsTimeline(myDiscussionsTimelineId, commentsId, likesId)
 
-    return dbAdapter.getTimelineById(myDiscussionsTimelineId, params)
+    let timeline = await dbAdapter.getTimelineById(myDiscussionsTimelineId, params)
+    timeline.posts = await timeline.getPosts(timeline.offset, timeline.limit)
+
+    return timeline
   }
 
   User.prototype.getGenericTimelineId = async function(name, params) {
@@ -642,6 +1018,35 @@ exports.addModel = function(dbAdapter) {
     return this.getGenericTimeline('Directs', params)
   }
 
+  /**
+   * Direct posts which have new posts or comments the user has not read
+   * yet, the most recently active first. Paged like a timeline, cursors
+   * encode the time of the latest activity. Returns
+   * {posts, prevCursor, nextCursor}.
+   */
+  User.prototype.getUnreadDirectPosts = async function(params) {
+    const postsSet = {
+      getRange: (startIndex, finishIndex) => dbAdapter.getUnreadDirectPostsRangeWithScores(this.id, startIndex, finishIndex),
+      getCountWithScore: (score) => dbAdapter.getUnreadDirectPostsCountWithScore(this.id, score),
+      getBeforeScore: (score, limit) => dbAdapter.getUnreadDirectPostsBeforeScore(this.id, score, limit),
+      getAfterScore: (score, limit) => dbAdapter.getUnreadDirectPostsAfterScore(this.id, score, limit)
+    }
+
+    return Timeline.readVisiblePostsPage(postsSet, { ...params, currentUser: this.id })
+  }
+
+  User.prototype.getUnreadDirectsCount = function() {
+    return dbAdapter.getUnreadDirectsCount(this.id)
+  }
+
+  User.prototype.getMentionsTimelineId = function(params) {
+    return this.getGenericTimelineId('Mentions', params)
+  }
+
+  User.prototype.getMentionsTimeline = function(params) {
+    return this.getGenericTimeline('Mentions', params)
+  }
+
   User.prototype.getTimelineIds = async function() {
     let timelineIds = await dbAdapter.getUserTimelinesIds(this.id)
     return timelineIds || {}
@@ -731,6 +1136,12 @@ exports.addModel = function(dbAdapter) {
     if (requestIds.indexOf(user.id) >= 0)
       promises.push(this.rejectSubscriptionRequest(user.id))
     await Promise.all(promises)
+    await pubSub.banUser(user.id)
+
+    // the banned user is not notified, so the record is only kept for
+    // the history of the one who banned and is read from the start
+    await Notification.notify({ userId: this.id, type: 'banned_user', actorId: this.id, targetUserId: user.id, isRead: '1' })
+
     return 1
   }
 
@@ -742,7 +1153,11 @@ exports.addModel = function(dbAdapter) {
     }
 
     monitor.increment('users.unbans')
-    return dbAdapter.deleteUserBan(this.id, user.id)
+    const result = await dbAdapter.deleteUserBan(this.id, user.id)
+
+    await Notification.notify({ userId: this.id, type: 'unbanned_user', actorId: this.id, targetUserId: user.id, isRead: '1' })
+
+    return result
   }
 
   // Subscribe to user-owner of a given `timelineId`
@@ -928,6 +1343,62 @@ exports.addModel = function(dbAdapter) {
          + this.getProfilePictureFilename(this.profilePictureUuid, User.PROFILE_PICTURE_SIZE_MEDIUM)
   }
 
+  /**
+   * Resolves names of the feeds this user is posting to into ids of the
+   * timelines the post should be added to.
+   */
+  User.prototype.getPostTimelineIds = async function(feedNames) {
+    let promises = feedNames.map(async (username) => {
+      let feed = await dbAdapter.getFeedOwnerByUsername(username)
+
+      if (null === feed) {
+        throw new NotFoundException(`Feed "${username}" is not found`)
+      }
+
+      await feed.validateCanPost(this)
+
+      // we are going to publish this message to posts feed if
+      // it's my home feed or group's feed, otherwise this is a
+      // private message that goes to its own feed(s)
+      if (
+        (feed.isUser() && feed.id == this.id) ||
+        !feed.isUser()
+      ) {
+        return feed.getPostsTimelineId()
+      }
+
+      // private post goes to sendee and sender
+      return await Promise.all([
+        feed.getDirectsTimelineId(),
+        this.getDirectsTimelineId()
+      ])
+    })
+
+    return _.uniq(_.flatten(await Promise.all(promises)))
+  }
+
+  /**
+   * Checks if this user can still post to the timelines which were
+   * resolved by getPostTimelineIds some time ago.
+   */
+  User.prototype.validateCanPostToTimelines = async function(timelineIds) {
+    const timelines = await dbAdapter.getTimelinesByIds(timelineIds)
+
+    await Promise.all(timelines.map(async (timeline) => {
+      if (!_.isString(timeline.userId) || (!timeline.isPosts() && !timeline.isDirects())) {
+        throw new NotFoundException("Feed is not found")
+      }
+
+      const feed = await timeline.getUser()
+
+      if (timeline.isPosts() && feed.isUser() && feed.id !== this.id) {
+        throw new ForbiddenException("You can't post to another user's feed")
+      }
+
+      await feed.validateCanPost(this)
+    }))
+  }
+
   /**
    * Checks if the specified user can post to the timeline of this user.
    */
@@ -1000,11 +1471,17 @@ exports.addModel = function(dbAdapter) {
     if (!valid)
       throw new NotFoundException("Not found")
 
+    if (post.isScheduled())
+      throw new ForbiddenException("You can't comment on a post that is not published yet")
+
     if (post.commentsDisabled === '1' && post.userId !== this.id)
       throw new ForbiddenException("Comments disabled")
   }
 
   User.prototype.validateCanLikeOrUnlikePost = async function(action, post) {
+    if (post.isScheduled())
+      throw new ForbiddenException("You can't like a post that is not published yet")
+
     const userLikedPost = await dbAdapter.hasUserLikedPost(this.id, post.id)
 
     if (userLikedPost && action == 'like')
@@ -1019,6 +1496,66 @@ exports.addModel = function(dbAdapter) {
       throw new Error("Not found")
   }
 
+  User.prototype.validateCanAddReaction = function(post, emoji) {
+    return this.validateCanAddOrRemoveReaction('add', post, emoji)
+  }
+
+  User.prototype.validateCanRemoveReaction = function(post, emoji) {
+    return this.validateCanAddOrRemoveReaction('remove', post, emoji)
+  }
+
+  User.prototype.validateCanAddOrRemoveReaction = async function(action, post, emoji) {
+    // a reaction removed from the config still can be taken back
+    if (config.reactions.emoji.indexOf(emoji) == -1 && action == 'add')
+      throw new BadRequestException(`Unknown reaction: ${emoji}`)
+
+    if (post.isScheduled())
+      throw new ForbiddenException("You can't react to a post that is not published yet")
+
+    const userReacted = await dbAdapter.hasUserReactedToPost(this.id, post.id, emoji)
+
+    if (userReacted && action == 'add')
+      throw new ForbiddenException("You can't add reaction that you have already added")
+
+    if (!userReacted && action == 'remove')
+      throw new ForbiddenException("You can't remove reaction that you haven't yet added")
+
+    const valid = await post.canShow(this.id)
+
+    if (!valid)
+      throw new NotFoundException("Can't find post")
+  }
+
+  User.prototype.validateCanLikeComment = function(comment) {
+    return this.validateCanLikeOrUnlikeComment('like', comment)
+  }
+
+  User.prototype.validateCanUnLikeComment = function(comment) {
+    return this.validateCanLikeOrUnlikeComment('unlike', comment)
+  }
+
+  User.prototype.validateCanLikeOrUnlikeComment = async function(action, comment) {
+    if (comment.isDeleted === '1')
+      throw new ForbiddenException("You can't like deleted comment")
+
+    if (comment.userId === this.id && action == 'like')
+      throw new ForbiddenException("You can't like your own comment")
+
+    const userLikedComment = await dbAdapter.hasUserLikedComment(this.id, comment.id)
+
+    if (userLikedComment && action == 'like')
+      throw new ForbiddenException("You can't like comment that you have already liked")
+
+    if (!userLikedComment && action == 'unlike')
+      throw new ForbiddenException("You can't un-like comment that you haven't yet liked")
+
+    const post = await comment.getPost()
+    const valid = post && (await post.canShow(this.id))
+
+    if (!valid)
+      throw new NotFoundException("Can't find comment")
+  }
+
   User.prototype.updateLastActivityAt = async function() {
     if (!this.isUser()) {
       // update group lastActivity for all subscribers
@@ -1034,10 +1571,14 @@ exports.addModel = function(dbAdapter) {
     await this.validateCanSendSubscriptionRequest(userId)
 
     var currentTime = new Date().getTime()
-    return await Promise.all([
+    const result = await Promise.all([
       dbAdapter.createUserSubscriptionRequest(this.id, currentTime, userId),
       dbAdapter.createUserSubscriptionPendingRequest(this.id, currentTime, userId)
     ])
+
+    await Notification.notify({ userId, type: 'subscription_request', actorId: this.id })
+
+    return result
   }
 
   User.prototype.acceptSubscriptionRequest = async function(userId) {
@@ -1051,7 +1592,11 @@ exports.addModel = function(dbAdapter) {
     var timelineId = await this.getPostsTimelineId()
 
     var user = await dbAdapter.getUserById(userId)
-    return user.subscribeTo(timelineId)
+    const result = await user.subscribeTo(timelineId)
+
+    await Notification.notify({ userId, type: 'subscription_request_approved', actorId: this.id })
+
+    return result
   }
 
   User.prototype.rejectSubscriptionRequest = async function(userId) {
@@ -0,0 +1,266 @@
+import crypto from 'crypto'
+import url from 'url'
+
+import { promisifyAll } from 'bluebird'
+import monitor from 'monitor-dog'
+import _ from 'lodash'
+
+import { load as configLoader } from "../../config/config"
+import { BadRequestException, ForbiddenException } from '../support/exceptions'
+import { PubSubAdapter } from '../support/PubSubAdapter'
+import { fetchPublicUrl, isPublicUrl } from '../support/publicUrls'
+
+
+promisifyAll(crypto)
+
+let config = configLoader()
+
+const { CHANNEL_NAMES } = PubSubAdapter
+
+export function addModel(dbAdapter) {
+  /**
+   * URL which receives events of a feed as signed JSON POST requests.
+   * Users register webhooks for their own feeds and for the groups they
+   * administer.
+   * @constructor
+   */
+  var Webhook = function(params) {
+    this.id = params.id
+    this.userId = params.userId
+    this.feedId = params.feedId
+    this.url = params.url
+    this.events = _.isString(params.events) ? _.compact(params.events.split(',')) : params.events
+    // shown to the user only when the webhook is created, loaded
+    // webhooks keep the secret for signing only
+    this.signingSecret = params.secret
+
+    if (parseInt(params.createdAt, 10))
+      this.createdAt = params.createdAt
+    if (parseInt(params.updatedAt, 10))
+      this.updatedAt = params.updatedAt
+  }
+
+  Webhook.className = Webhook
+  Webhook.namespace = "webhook"
+
+  Webhook.EVENTS = [
+    CHANNEL_NAMES.POST_CREATED, CHANNEL_NAMES.POST_UPDATED, CHANNEL_NAMES.POST_DESTROYED,
+    CHANNEL_NAMES.COMMENT_CREATED, CHANNEL_NAMES.COMMENT_UPDATED, CHANNEL_NAMES.COMMENT_DESTROYED,
+    CHANNEL_NAMES.LIKE_ADDED, CHANNEL_NAMES.LIKE_REMOVED
+  ]
+
+  Object.defineProperty(Webhook.prototype, 'url', {
+    get: function() { return this.url_ },
+    set: function(newValue) {
+      newValue ? this.url_ = newValue.trim() : this.url_ = ''
+    }
+  })
+
+  /**
+   * Queues deliveries of the event to the webhooks of the given feeds.
+   * If the event is about a post, only webhooks of users who can read
+   * the post get it. Event data is built by getData() only if there is
+   * someone to send it to.
+   */
+  Webhook.trigger = async function(event, feedIds, getData, post) {
+    const webhookIds = _.flatten(await Promise.all(_.uniq(feedIds).map(feedId => dbAdapter.getFeedWebhookIds(feedId))))
+
+    if (webhookIds.length === 0) {
+      return
+    }
+
+    let webhooks = await dbAdapter.getWebhooksByIds(webhookIds)
+    webhooks = webhooks.filter(webhook => webhook.events.indexOf(event) >= 0)
+
+    const flags = await Promise.all(webhooks.map(webhook => webhook.canReceive(post)))
+    webhooks = webhooks.filter((webhook, i) => flags[i])
+
+    if (webhooks.length === 0) {
+      return
+    }
+
+    const data = await getData()
+
+    await Promise.all(webhooks.map(webhook => webhook.enqueue(event, data)))
+  }
+
+  Webhook.prototype.validate = async function() {
+    const protocol = url.parse(this.url).protocol
+
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new BadRequestException("Webhook URL must be an absolute http(s) URL")
+    }
+
+    if (!await isPublicUrl(this.url)) {
+      throw new BadRequestException("Webhook URL must point to a public host")
+    }
+
+    if (!_.isArray(this.events) || this.events.length === 0 || _.difference(this.events, Webhook.EVENTS).length > 0) {
+      throw new BadRequestException(`Webhook events must be a non-empty list of: ${Webhook.EVENTS.join(', ')}`)
+    }
+
+    if (!this.userId || this.userId.length === 0 || !this.feedId || this.feedId.length === 0) {
+      throw new Error("Invalid")
+    }
+  }
+
+  Webhook.prototype.create = async function() {
+    this.createdAt = new Date().getTime()
+    this.updatedAt = new Date().getTime()
+    this.events = _.isUndefined(this.events) ? Webhook.EVENTS : _.uniq(this.events)
+
+    await this.validate()
+
+    const webhookIds = await dbAdapter.getFeedWebhookIds(this.feedId)
+
+    if (webhookIds.length >= config.webhooks.maxPerFeed) {
+      throw new ForbiddenException(`You can't add more than ${config.webhooks.maxPerFeed} webhooks to a feed`)
+    }
+
+    const secret = await crypto.randomBytesAsync(32)
+    this.signingSecret = secret.toString('hex')
+    this.secret = this.signingSecret
+
+    this.id = await dbAdapter.createWebhook({
+      userId:    this.userId,
+      feedId:    this.feedId,
+      url:       this.url,
+      events:    this.events.join(','),
+      secret:    this.signingSecret,
+      createdAt: this.createdAt.toString(),
+      updatedAt: this.updatedAt.toString()
+    })
+
+    monitor.increment('webhooks.creates')
+
+    return this
+  }
+
+  Webhook.prototype.destroy = async function() {
+    const deliveryIds = await dbAdapter.getWebhookDeliveryIds(this.id)
+
+    await Promise.all([
+      dbAdapter.deleteWebhookDeliveries(this.id, deliveryIds),
+      dbAdapter.deleteWebhook(this.id, this.userId, this.feedId)
+    ])
+
+    monitor.increment('webhooks.destroys')
+  }
+
+  /**
+   * The owner must still manage the feed and be able to read the post
+   */
+  Webhook.prototype.canReceive = async function(post) {
+    if (this.feedId !== this.userId) {
+      const feed = await dbAdapter.getFeedOwnerById(this.feedId)
+      const adminIds = feed ? await feed.getAdministratorIds() : []
+
+      if (adminIds.indexOf(this.userId) === -1) {
+        return false
+      }
+    }
+
+    if (!post) {
+      return true
+    }
+
+    return post.canShow(this.userId)
+  }
+
+  Webhook.prototype.enqueue = async function(event, data) {
+    const time = new Date().getTime()
+
+    const payload = JSON.stringify({
+      event,
+      webhookId: this.id,
+      createdAt: time.toString(),
+      data
+    })
+
+    const deliveryId = await dbAdapter.createWebhookDelivery(this.id, {
+      webhookId: this.id,
+      event,
+      payload,
+      status:    'pending',
+      attempts:  '0',
+      createdAt: time.toString(),
+      updatedAt: time.toString()
+    })
+
+    await Promise.all([
+      dbAdapter.queueWebhookDelivery(deliveryId, time),
+      dbAdapter.trimWebhookDeliveries(this.id, config.webhooks.logSize)
+    ])
+  }
+
+  Webhook.prototype.sign = function(payload) {
+    return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('hex')
+  }
+
+  /**
+   * Sends the delivery once, if the host is still public, and does not
+   * follow redirects. Failed deliveries are queued again with
+   * exponential backoff until `config.webhooks.maxAttempts` is reached.
+   * Returns true if the delivery succeeded.
+   */
+  Webhook.prototype.deliver = async function(delivery) {
+    const attempts = (parseInt(delivery.attempts, 10) || 0) + 1
+    let responseStatus = ''
+    let lastError = ''
+
+    try {
+      const response = await fetchPublicUrl(this.url, {
+        method: 'POST',
+        body: delivery.payload,
+        timeout: config.webhooks.timeout,
+        headers: {
+          'Content-Type':         'application/json',
+          'X-FreeFeed-Event':     delivery.event,
+          'X-FreeFeed-Delivery':  delivery.id,
+          'X-FreeFeed-Signature': `sha256=${this.sign(delivery.payload)}`
+        }
+      })
+
+      responseStatus = response.status.toString()
+
+      if (!response.ok) {
+        lastError = `Unexpected response status: ${response.status}`
+      }
+
+      // the body is of no use, but the socket is not freed until it is read
+      try {
+        await response.text()
+      } catch (e) {
+        // the status is known already
+      }
+    } catch (e) {
+      lastError = e.message
+    }
+
+    const time = new Date().getTime()
+    let status = 'delivered'
+
+    if (lastError) {
+      status = attempts < config.webhooks.maxAttempts ? 'pending' : 'failed'
+    }
+
+    await dbAdapter.updateWebhookDelivery(delivery.id, {
+      status,
+      attempts:  attempts.toString(),
+      responseStatus,
+      lastError,
+      updatedAt: time.toString()
+    })
+
+    if (status === 'pending') {
+      const delay = config.webhooks.retryDelay * Math.pow(2, attempts - 1)
+      await dbAdapter.queueWebhookDelivery(delivery.id, time + delay)
+    }
+
+    monitor.increment(`webhooks.deliveries.${status}`)
+
+    return status === 'delivered'
+  }
+
+  return Webhook
+}
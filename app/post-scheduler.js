@@ -0,0 +1,59 @@
+import { dbAdapter } from './models'
+
+
+/**
+ * Publishes pending posts whose time has come. Checks the schedule every
+ * `config.scheduledPosts.checkInterval` milliseconds.
+ */
+export default class PostScheduler {
+  constructor(app) {
+    this.app = app
+    this.isRunning = false
+
+    this.timer = setInterval(this.publishDuePosts.bind(this), app.config.scheduledPosts.checkInterval)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+  }
+
+  async publishDuePosts(time = new Date().getTime()) {
+    if (this.isRunning) {
+      return 0
+    }
+
+    this.isRunning = true
+
+    let count = 0
+
+    try {
+      const postIds = await dbAdapter.getDueScheduledPostIds(time, this.app.config.scheduledPosts.batchSize)
+
+      for (let postId of postIds) {
+        const post = await dbAdapter.getPostById(postId)
+
+        if (null === post) {
+          continue
+        }
+
+        try {
+          if (await post.publish()) {
+            count++
+          }
+        } catch (e) {
+          this.app.logger.error(`failed to publish scheduled post ${postId}`, e)
+        }
+      }
+
+      if (count > 0) {
+        this.app.logger.info(`published ${count} scheduled posts`)
+      }
+    } catch (e) {
+      this.app.logger.error('post scheduler error', e)
+    } finally {
+      this.isRunning = false
+    }
+
+    return count
+  }
+}
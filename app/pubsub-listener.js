@@ -1,16 +1,13 @@
-import { promisifyAll } from 'bluebird'
 import { createClient as createRedisClient } from 'redis'
 import _ from 'lodash'
 import IoServer from 'socket.io'
 import redis_adapter from 'socket.io-redis'
-import jwt from 'jsonwebtoken'
 
-import { dbAdapter, LikeSerializer, PostSerializer, PubsubCommentSerializer } from './models'
+import { dbAdapter, LikeSerializer, NotificationSerializer, PostSerializer, PubSub as pubSub, PubsubCommentSerializer, Session } from './models'
 import { load as configLoader } from '../config/config'
+import EventStream from './event-stream'
 
 
-promisifyAll(jwt)
-
 export default class PubsubListener {
   constructor(server, app) {
     this.app = app
@@ -32,45 +29,124 @@ export default class PubsubListener {
     this.io.sockets.on('error', function(err) { app.logger.error('socket.io error', err) })
     this.io.sockets.on('connection', this.onConnect.bind(this))
 
+    this.eventStream = new EventStream(app, this)
+
+    this.messageRoutes = {
+      'post:new':         this.onPostNew.bind(this),
+      'post:update':      this.onPostUpdate.bind(this),
+      'post:destroy':     this.onPostDestroy.bind(this),
+      'post:hide':        this.onPostHide.bind(this),
+      'post:unhide':      this.onPostUnhide.bind(this),
+
+      'comment:new':      this.onCommentNew.bind(this),
+      'comment:update':   this.onCommentUpdate.bind(this),
+      'comment:destroy':  this.onCommentDestroy.bind(this),
+
+      'like:new':         this.onLikeNew.bind(this),
+      'like:remove':      this.onLikeRemove.bind(this),
+
+      'comment_like:new':    this.onCommentLikeNew.bind(this),
+      'comment_like:remove': this.onCommentLikeRemove.bind(this),
+
+      'reaction:new':     this.onReactionNew.bind(this),
+      'reaction:remove':  this.onReactionRemove.bind(this),
+
+      'notification:new':  this.onNotificationNew.bind(this),
+      'notification:read': this.onNotificationRead.bind(this),
+
+      'access:change':     this.onAccessChange.bind(this)
+    }
+
     var redisClient = createRedisClient(config.redis.port, config.redis.host, {})
     redisClient.on('error', function(err) { app.logger.error('redis error', err) })
     redisClient.subscribe('post:new', 'post:destroy', 'post:update',
       'comment:new', 'comment:destroy', 'comment:update',
-      'like:new', 'like:remove', 'post:hide', 'post:unhide')
+      'like:new', 'like:remove', 'post:hide', 'post:unhide',
+      'comment_like:new', 'comment_like:remove', 'reaction:new', 'reaction:remove',
+      'notification:new', 'notification:read', 'access:change')
 
     redisClient.on('message', this.onRedisMessage.bind(this))
   }
 
   async onConnect(socket) {
     let authToken = socket.handshake.query.token
-    const config = configLoader()
-    let secret = config.secret
     let logger = this.app.logger
 
     try {
-      let decoded = await jwt.verifyAsync(authToken, secret)
-      socket.user = await dbAdapter.getUserById(decoded.userId)
+      const { user, session, authorization } = await Session.authenticate(authToken)
+
+      if (authorization && !authorization.hasScope('read')) {
+        throw new Error('the OAuth client may not read')
+      }
+
+      socket.user = user
+      socket.sessionId = session ? session.id : null
     } catch(e) {
       socket.user = { id: null }
     }
 
-    socket.on('subscribe', function(data) {
-      for (let channel of Object.keys(data)) {
-        if (data[channel]) {
-          data[channel].forEach(function(id) {
-            if (id) {
-              logger.info('User has subscribed to ' + id + ' ' + channel)
+    // data might include id of the last received event, then the events
+    // missed since then are replayed before the live ones
+    socket.on('subscribe', async (data) => {
+      if (!_.isPlainObject(data)) {
+        socket.emit('subscribe:error', { message: 'Subscription should be an object' })
+        return
+      }
 
-              socket.join(channel + ':' + id)
+      let userId = socket.user ? socket.user.id : null
+      let sinceEventId = parseInt(data.since, 10)
+      let rooms = []
+
+      let channels = Object.keys(data).filter(channel => channel !== 'since' && data[channel])
+      let invalidChannels = channels.filter(channel => !_.isArray(data[channel]))
+
+      invalidChannels.forEach((channel) => {
+        socket.emit('subscribe:error', { channel, message: 'Ids should be an array' })
+      })
+
+      for (let channel of _.difference(channels, invalidChannels)) {
+        await Promise.all(data[channel].map(async (id) => {
+          if (id) {
+            let room = channel + ':' + id
+
+            try {
+              if (!(await this.canJoin(userId, room))) {
+                socket.emit('subscribe:error', { channel, id, message: 'Access denied' })
+                return
+              }
+            } catch (e) {
+              logger.error('subscribe error', e)
+              return
             }
-          })
+
+            logger.info('User has subscribed to ' + id + ' ' + channel)
+
+            rooms.push(room)
+          }
+        }))
+      }
+
+      if (sinceEventId) {
+        try {
+          let lastEventId = await this.replayEvents(socket, rooms, sinceEventId)
+
+          socket.replayedEventIds = socket.replayedEventIds || {}
+          rooms.forEach((room) => { socket.replayedEventIds[room] = lastEventId })
+        } catch (e) {
+          logger.error('replay error', e)
         }
       }
+
+      rooms.forEach(room => socket.join(room))
     })
 
     socket.on('unsubscribe', function(data) {
+      if (!_.isPlainObject(data)) {
+        return
+      }
+
       for (let channel of Object.keys(data)) {
-        if (data[channel]) {
+        if (_.isArray(data[channel])) {
           data[channel].forEach(function(id) {
             if (id) {
               logger.info('User has unsubscribed from ' + id + ' ' + channel)
@@ -83,83 +159,238 @@ export default class PubsubListener {
     })
   }
 
+  /**
+   * Checks that the user may read the timeline, the post or the
+   * notifications the room is about. Timelines other than Posts, Likes
+   * and Comments are personal and available only to their owners.
+   */
+  async canJoin(userId, room) {
+    let [channel, id] = room.split(':')
+
+    if (channel === 'timeline') {
+      let timeline = await dbAdapter.getTimelineById(id)
+
+      if (!timeline) {
+        return false
+      }
+
+      if (!(timeline.isPosts() || timeline.isLikes() || timeline.isComments())) {
+        return timeline.userId === userId
+      }
+
+      return timeline.canShow(userId)
+    }
+
+    if (channel === 'post') {
+      let post = await dbAdapter.getPostById(id)
+      return !!post && post.canShow(userId)
+    }
+
+    if (channel === 'user') {
+      return !!userId && id === userId
+    }
+
+    return false
+  }
+
+  /**
+   * Removes the sockets and the event stream clients of the user (or of
+   * everyone if userId is not given) from the rooms they may not read
+   * anymore. Only the given rooms are checked, if any.
+   */
+  async recheckRooms(sockets, userId, roomsToCheck = null) {
+    let socketIds = Object.keys(sockets.connected).filter((socketId) => {
+      let user = sockets.connected[socketId].user
+      return !userId || (user && user.id === userId)
+    })
+
+    await Promise.all(socketIds.map(async (socketId) => {
+      let socket = sockets.connected[socketId]
+      let socketUserId = socket.user ? socket.user.id : null
+      let rooms = socket.rooms.filter(room => room !== socket.id && (!roomsToCheck || roomsToCheck.indexOf(room) >= 0))
+
+      await Promise.all(rooms.map(async (room) => {
+        if (!(await this.canJoin(socketUserId, room))) {
+          let [channel, id] = room.split(':')
+
+          socket.leave(room)
+          socket.emit('subscribe:error', { channel, id, message: 'Access denied' })
+        }
+      }))
+    }))
+
+    await this.eventStream.recheckRooms(userId, roomsToCheck)
+  }
+
+  /**
+   * Disconnects the sockets and the event stream clients of the session,
+   * or of all the sessions of the user if sessionId is not given
+   */
+  disconnectSessions(sockets, userId, sessionId) {
+    Object.keys(sockets.connected)
+      .map(socketId => sockets.connected[socketId])
+      .filter(socket => socket.user && socket.user.id === userId && (!sessionId || socket.sessionId === sessionId))
+      .forEach(socket => socket.disconnect(true))
+
+    this.eventStream.disconnectSessions(userId, sessionId)
+  }
+
+  /**
+   * Returns the rooms whose readers depend on the privacy of the feed:
+   * its Posts, Likes and Comments timelines and the joined rooms of the
+   * posts which are posted to the feed
+   */
+  async getFeedRooms(feedId) {
+    let feed = await dbAdapter.getFeedOwnerById(feedId)
+
+    if (!feed) {
+      return []
+    }
+
+    let timelineIds = await Promise.all([feed.getPostsTimelineId(), feed.getLikesTimelineId(), feed.getCommentsTimelineId()])
+
+    let joinedRooms = _.union(Object.keys(this.io.sockets.adapter.rooms), ...this.eventStream.clients.map(client => client.rooms))
+    let postRooms = joinedRooms.filter(room => room.split(':')[0] === 'post')
+    let flags = await Promise.all(postRooms.map(room => dbAdapter.isPostPresentInTimeline(timelineIds[0], room.split(':')[1])))
+
+    return timelineIds
+      .map(timelineId => `timeline:${timelineId}`)
+      .concat(postRooms.filter((room, i) => flags[i]))
+  }
+
   onRedisMessage(channel, msg) {
-    const messageRoutes = {
-      'post:new':         this.onPostNew.bind(this),
-      'post:update':      this.onPostUpdate.bind(this),
-      'post:destroy':     this.onPostDestroy.bind(this),
-      'post:hide':        this.onPostHide.bind(this),
-      'post:unhide':      this.onPostUnhide.bind(this),
+    this.renderEvents(channel, JSON.parse(msg))
+      .then(events => Promise.all(events.map(event => this.emitEvent(this.io.sockets, event))))
+      .catch(e => { this.app.logger.error('onRedisMessage error', e )})
+  }
 
-      'comment:new':      this.onCommentNew.bind(this),
-      'comment:update':   this.onCommentUpdate.bind(this),
-      'comment:destroy':  this.onCommentDestroy.bind(this),
+  async renderEvents(channel, data) {
+    let events = await this.messageRoutes[channel](data)
+    return events.map(event => ({ ...event, id: data.eventId }))
+  }
 
-      'like:new':         this.onLikeNew.bind(this),
-      'like:remove':      this.onLikeRemove.bind(this)
+  /**
+   * Events of a post are sent only to those who can read the post. Room
+   * of a user is private: other users might join it, but only sockets
+   * of that user receive the events.
+   */
+  async canReceive(userId, event) {
+    if (event.userId) {
+      return event.userId === userId
+    }
+
+    if (event.isPublic) {
+      return true
     }
 
-    messageRoutes[channel](
-      this.io.sockets,
-      JSON.parse(msg)
-    ).catch(e => { this.app.logger.error('onRedisMessage error', e )})
+    if (!event.post) {
+      this.app.logger.error('post is null in canReceive')
+      return false
+    }
+
+    return event.post.canShow(userId)
   }
 
-  async validateAndEmitMessage(sockets, room, type, json, post) {
-    if (!(room in sockets.adapter.rooms)) {
+  async emitEvent(sockets, event) {
+    await this.eventStream.publish(event)
+
+    if (!(event.room in sockets.adapter.rooms)) {
       return
     }
 
-    let clientIds = Object.keys(sockets.adapter.rooms[room])
+    let clientIds = Object.keys(sockets.adapter.rooms[event.room])
 
     await Promise.all(clientIds.map(async (clientId) => {
       let socket = sockets.connected[clientId]
-      let user = socket.user
-      let logger = this.app.logger
 
-      if (!post) {
-        logger.error('post is null in validateAndEmitMessage')
-        return
-      }
-      if (!user) {
-        logger.error('user is null in validateAndEmitMessage')
+      // the event has been replayed to the socket already
+      if (socket && socket.replayedEventIds && event.id <= socket.replayedEventIds[event.room]) {
         return
       }
 
-      let valid = await post.canShow(user.id)
+      await this.emitEventToSocket(socket, event)
+    }))
+  }
+
+  async emitEventToSocket(socket, event) {
+    if (!socket || !socket.user) {
+      this.app.logger.error('user is null in emitEventToSocket')
+      return
+    }
 
-      if (valid)
-        socket.emit(type, json)
+    if (await this.canReceive(socket.user.id, event)) {
+      socket.emit(event.type, { ...event.json, eventId: event.id })
+    }
+  }
+
+  /**
+   * Returns events of the rooms which were published after the given
+   * event id, in order. Events are rendered again from the logged
+   * messages, so they reflect the current state of posts and comments.
+   */
+  async getMissedEvents(rooms, sinceEventId) {
+    let logs = await Promise.all(rooms.map(room => pubSub.getMissedEvents(room, sinceEventId)))
+
+    // a message might be logged in several rooms
+    let messages = _.sortBy(_.uniq(_.flatten(logs), message => message.data.eventId), message => message.data.eventId)
+
+    let events = await Promise.all(messages.map(async (message) => {
+      try {
+        return await this.renderEvents(message.channel, message.data)
+      } catch (e) {
+        // the post or the comment might be removed already
+        return []
+      }
     }))
+
+    return _.flatten(events).filter(event => rooms.indexOf(event.room) >= 0)
   }
 
-  // Message-handlers follow
-  async onPostDestroy(sockets, data) {
-    let post = await dbAdapter.getPostById(data.postId)
-    let json = { meta: { postId: data.postId } }
+  /**
+   * Sends the missed events of the rooms to the socket. Events published
+   * meanwhile are logged too, so repeats until the socket has caught up.
+   * Returns id of the last replayed event.
+   */
+  async replayEvents(socket, rooms, sinceEventId) {
+    let cursor = sinceEventId
+
+    for (;;) {
+      let events = await this.getMissedEvents(rooms, cursor)
 
-    sockets.in('timeline:' + data.timelineId).emit('post:destroy', json)
-    sockets.in('post:' + data.postId).emit('post:destroy', json)
+      if (events.length === 0) {
+        return cursor
+      }
 
+      for (let event of events) {
+        await this.emitEventToSocket(socket, event)
+        cursor = event.id
+      }
+    }
+  }
+
+  // Message-handlers follow
+  async onPostDestroy(data) {
+    // the post is removed already, so there is nothing to check
+    let json = { meta: { postId: data.postId } }
     let type = 'post:destroy'
-    let room = `timeline:${data.timelineId}`
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
 
-    room = `post:${data.postId}`
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [
+      { room: `timeline:${data.timelineId}`, type, json, isPublic: true },
+      { room: `post:${data.postId}`, type, json, isPublic: true }
+    ]
   }
 
-  async onPostNew(sockets, data) {
+  async onPostNew(data) {
     let post = await dbAdapter.getPostById(data.postId)
     let json = await new PostSerializer(post).promiseToJSON()
 
     let type = 'post:new'
     let room = `timeline:${data.timelineId}`
 
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onPostUpdate(sockets, data) {
+  async onPostUpdate(data) {
     let post = await dbAdapter.getPostById(data.postId)
     let json = await new PostSerializer(post).promiseToJSON()
 
@@ -171,15 +402,15 @@ export default class PubsubListener {
     } else {
       room = `post:${data.postId}`
     }
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onCommentNew(sockets, data) {
+  async onCommentNew(data) {
     let comment = await dbAdapter.getCommentById(data.commentId)
 
     if (!comment) {
       // might be outdated event
-      return
+      return []
     }
 
     let post = await dbAdapter.getPostById(comment.postId)
@@ -194,10 +425,10 @@ export default class PubsubListener {
       room = `post:${data.postId}`
     }
 
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onCommentUpdate(sockets, data) {
+  async onCommentUpdate(data) {
     let comment = await dbAdapter.getCommentById(data.commentId)
     let post = await dbAdapter.getPostById(comment.postId)
     let json = await new PubsubCommentSerializer(comment).promiseToJSON()
@@ -211,10 +442,10 @@ export default class PubsubListener {
       room = `post:${data.postId}`
     }
 
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onCommentDestroy(sockets, data) {
+  async onCommentDestroy(data) {
     let json = { postId: data.postId, commentId: data.commentId }
     let post = await dbAdapter.getPostById(data.postId)
     
@@ -225,10 +456,10 @@ export default class PubsubListener {
     } else {
       room = `post:${data.postId}`
     }
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onLikeNew(sockets, data) {
+  async onLikeNew(data) {
     let user = await dbAdapter.getUserById(data.userId)
     let json = await new LikeSerializer(user).promiseToJSON()
     let post = await dbAdapter.getPostById(data.postId)
@@ -242,10 +473,10 @@ export default class PubsubListener {
       room = `post:${data.postId}`
     }
 
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
   }
 
-  async onLikeRemove(sockets, data) {
+  async onLikeRemove(data) {
     let json = { meta: { userId: data.userId, postId: data.postId } }
     let post = await dbAdapter.getPostById(data.postId)
 
@@ -258,20 +489,118 @@ export default class PubsubListener {
       room = `post:${data.postId}`
     }
 
-    await this.validateAndEmitMessage(sockets, room, type, json, post)
+    return [{ room, type, json, post }]
+  }
+
+  async onCommentLikeNew(data) {
+    let user = await dbAdapter.getUserById(data.userId)
+    let json = await new LikeSerializer(user).promiseToJSON()
+    let post = await dbAdapter.getPostById(data.postId)
+    json.meta = { postId: data.postId, commentId: data.commentId }
+
+    let type = 'comment_like:new'
+    let room
+    if (data.timelineId) {
+      room = `timeline:${data.timelineId}`
+    } else {
+      room = `post:${data.postId}`
+    }
+
+    return [{ room, type, json, post }]
+  }
+
+  async onCommentLikeRemove(data) {
+    let json = { meta: { userId: data.userId, postId: data.postId, commentId: data.commentId } }
+    let post = await dbAdapter.getPostById(data.postId)
+
+    let type = 'comment_like:remove'
+    let room
+
+    if (data.timelineId) {
+      room = `timeline:${data.timelineId}`
+    } else {
+      room = `post:${data.postId}`
+    }
+
+    return [{ room, type, json, post }]
+  }
+
+  async onReactionNew(data) {
+    let user = await dbAdapter.getUserById(data.userId)
+    let json = await new LikeSerializer(user).promiseToJSON()
+    let post = await dbAdapter.getPostById(data.postId)
+    json.meta = { postId: data.postId, emoji: data.emoji }
+
+    let type = 'reaction:new'
+    let room
+    if (data.timelineId) {
+      room = `timeline:${data.timelineId}`
+    } else {
+      room = `post:${data.postId}`
+    }
+
+    return [{ room, type, json, post }]
+  }
+
+  async onReactionRemove(data) {
+    let json = { meta: { userId: data.userId, postId: data.postId, emoji: data.emoji } }
+    let post = await dbAdapter.getPostById(data.postId)
+
+    let type = 'reaction:remove'
+    let room
+
+    if (data.timelineId) {
+      room = `timeline:${data.timelineId}`
+    } else {
+      room = `post:${data.postId}`
+    }
+
+    return [{ room, type, json, post }]
+  }
+
+  async onNotificationNew(data) {
+    let notification = await dbAdapter.getNotificationById(data.notificationId)
+
+    if (!notification) {
+      return []
+    }
+
+    let json = await new NotificationSerializer(notification).promiseToJSON()
+    json.unreadCount = await dbAdapter.getUnreadNotificationsCount(data.userId)
+
+    return [{ room: `user:${data.userId}`, type: 'notification:new', json, userId: data.userId }]
+  }
+
+  async onNotificationRead(data) {
+    let unreadCount = await dbAdapter.getUnreadNotificationsCount(data.userId)
+
+    return [{ room: `user:${data.userId}`, type: 'notification:read', json: { unreadCount }, userId: data.userId }]
+  }
+
+  async onAccessChange(data) {
+    if (data.isSignOut) {
+      this.disconnectSessions(this.io.sockets, data.userId, data.sessionId)
+    } else if (data.feedId) {
+      let rooms = await this.getFeedRooms(data.feedId)
+      await this.recheckRooms(this.io.sockets, null, rooms)
+    } else {
+      await this.recheckRooms(this.io.sockets, data.userId)
+    }
+
+    return []
   }
 
-  async onPostHide(sockets, data) {
+  async onPostHide(data) {
     // NOTE: posts are hidden only on RiverOfNews timeline so this
     // event won't leak any personal information
     let json = { meta: { postId: data.postId } }
-    sockets.in('timeline:' + data.timelineId).emit('post:hide', json)
+    return [{ room: `timeline:${data.timelineId}`, type: 'post:hide', json, isPublic: true }]
   }
 
-  async onPostUnhide(sockets, data) {
+  async onPostUnhide(data) {
     // NOTE: posts are hidden only on RiverOfNews timeline so this
     // event won't leak any personal information
     let json = { meta: { postId: data.postId } }
-    sockets.in('timeline:' + data.timelineId).emit('post:unhide', json)
+    return [{ room: `timeline:${data.timelineId}`, type: 'post:unhide', json, isPublic: true }]
   }
 }
@@ -1,4 +1,10 @@
-import { dbAdapter } from './models'
+import logger from 'winston'
+
+import { dbAdapter, LikeSerializer, PostSerializer, PubsubCommentSerializer, Webhook } from './models'
+import { PubSubAdapter } from './support/PubSubAdapter'
+
+
+const { CHANNEL_NAMES } = PubSubAdapter
 
 
 export default class pubSub {
@@ -20,6 +26,14 @@ export default class pubSub {
     })
 
     await Promise.all(promises)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.POST_CREATED, post, () => new PostSerializer(post).promiseToJSON())
+  }
+
+  // post is shown in the "Mentions" timeline as a new one
+  async newMention(postId, timelineId) {
+    let payload = JSON.stringify({ postId, timelineId })
+    await this.publisher.postCreated(payload)
   }
 
   async destroyPost(postId, timelineIds) {
@@ -29,6 +43,10 @@ export default class pubSub {
     })
 
     await Promise.all(promises)
+
+    // the post is removed already, so only owners of the feeds get it
+    let timelines = await dbAdapter.getTimelinesByIds(timelineIds)
+    await this.triggerWebhooks(CHANNEL_NAMES.POST_DESTROYED, null, () => ({ meta: { postId } }), timelines)
   }
 
   async updatePost(postId) {
@@ -44,6 +62,8 @@ export default class pubSub {
 
     let payload = JSON.stringify({ postId})
     await this.publisher.postUpdated(payload)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.POST_UPDATED, post, () => new PostSerializer(post).promiseToJSON())
   }
 
   async newComment(comment, timelines) {
@@ -60,6 +80,8 @@ export default class pubSub {
 
     let payload = JSON.stringify({ postId: post.id, commentId: comment.id })
     await this.publisher.commentCreated(payload)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.COMMENT_CREATED, post, () => new PubsubCommentSerializer(comment).promiseToJSON())
   }
 
   async destroyComment(commentId, postId) {
@@ -74,6 +96,8 @@ export default class pubSub {
     })
 
     await Promise.all(promises)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.COMMENT_DESTROYED, post, () => ({ postId, commentId }))
   }
 
   async updateComment(commentId) {
@@ -90,6 +114,8 @@ export default class pubSub {
     })
 
     await Promise.all(promises)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.COMMENT_UPDATED, post, () => new PubsubCommentSerializer(comment).promiseToJSON())
   }
 
   async newLike(post, userId, timelines) {
@@ -106,6 +132,14 @@ export default class pubSub {
 
     let payload = JSON.stringify({ userId, postId: post.id })
     await this.publisher.likeAdded(payload)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.LIKE_ADDED, post, async () => {
+      let user = await dbAdapter.getUserById(userId)
+      let json = await new LikeSerializer(user).promiseToJSON()
+      json.meta = { postId: post.id }
+
+      return json
+    })
   }
 
   async removeLike(postId, userId) {
@@ -121,6 +155,106 @@ export default class pubSub {
 
     let payload = JSON.stringify({ userId, postId })
     await this.publisher.likeRemoved(payload)
+
+    await this.triggerWebhooks(CHANNEL_NAMES.LIKE_REMOVED, post, () => ({ meta: { userId, postId } }))
+  }
+
+  async newReaction(post, userId, emoji) {
+    await this.publishReactionEvent('reactionAdded', post, userId, emoji)
+  }
+
+  async removeReaction(post, userId, emoji) {
+    await this.publishReactionEvent('reactionRemoved', post, userId, emoji)
+  }
+
+  async publishReactionEvent(method, post, userId, emoji) {
+    var timelineIds = await post.getTimelineIds()
+
+    var promises = timelineIds.map(async (timelineId) => {
+      let payload = JSON.stringify({ timelineId, userId, postId: post.id, emoji })
+      await this.publisher[method](payload)
+    })
+
+    await Promise.all(promises)
+
+    let payload = JSON.stringify({ userId, postId: post.id, emoji })
+    await this.publisher[method](payload)
+  }
+
+  async newCommentLike(comment, userId) {
+    await this.publishCommentLikeEvent('commentLikeAdded', comment, userId)
+  }
+
+  async removeCommentLike(comment, userId) {
+    await this.publishCommentLikeEvent('commentLikeRemoved', comment, userId)
+  }
+
+  async publishCommentLikeEvent(method, comment, userId) {
+    var post = await comment.getPost()
+    var timelineIds = await post.getTimelineIds()
+
+    var promises = timelineIds.map(async (timelineId) => {
+      let payload = JSON.stringify({ timelineId, userId, postId: post.id, commentId: comment.id })
+      await this.publisher[method](payload)
+    })
+
+    await Promise.all(promises)
+
+    let payload = JSON.stringify({ userId, postId: post.id, commentId: comment.id })
+    await this.publisher[method](payload)
+  }
+
+  async newNotification(userId, notificationId) {
+    let payload = JSON.stringify({ userId, notificationId })
+    await this.publisher.notificationCreated(payload)
+  }
+
+  async readNotifications(userId) {
+    let payload = JSON.stringify({ userId })
+    await this.publisher.notificationsRead(payload)
+  }
+
+  // realtime subscriptions of the banned user are checked again
+  async banUser(bannedUserId) {
+    let payload = JSON.stringify({ userId: bannedUserId })
+    await this.publisher.accessChanged(payload)
+  }
+
+  // realtime subscriptions of everyone to the feed and its posts are
+  // checked again
+  async makeFeedPrivate(feedId) {
+    let payload = JSON.stringify({ feedId })
+    await this.publisher.accessChanged(payload)
+  }
+
+  // realtime connections of the session (or of all the sessions of the
+  // user if sessionId is not given) are closed
+  async revokeSessions(userId, sessionId = null) {
+    let payload = JSON.stringify({ userId, sessionId, isSignOut: true })
+    await this.publisher.accessChanged(payload)
+  }
+
+  getMissedEvents(room, sinceEventId) {
+    return this.publisher.getRoomEvents(room, sinceEventId)
+  }
+
+  /**
+   * Webhooks are registered for feeds, so events go to the webhooks of
+   * the feeds the post is posted to
+   */
+  async triggerWebhooks(event, post, getData, timelines) {
+    // callers might have responded already, so failing webhooks are only
+    // logged
+    try {
+      if (!timelines) {
+        timelines = await post.getPostedTo()
+      }
+
+      let feedIds = timelines.filter(timeline => timeline.isPosts()).map(timeline => timeline.userId)
+      await Webhook.trigger(event, feedIds, getData, post)
+    } catch (e) {
+      logger.error(`failed to trigger ${event} webhooks`, e)
+    }
   }
 
   async hidePost(userId, postId) {
@@ -1,9 +1,7 @@
-import { promisifyAll } from 'bluebird'
-import jwt from 'jsonwebtoken'
 import express from 'express'
 
-import { load as configLoader } from '../config/config'
-import { dbAdapter } from './models'
+import { AccessToken, Session } from './models'
+import { rateLimit } from './support/rateLimits'
 
 import SessionRoute from './routes/api/v1/SessionRoute'
 import BookmarkletRoute from './routes/api/v1/BookmarkletRoute'
@@ -14,24 +12,48 @@ import AttachmentsRoute from './routes/api/v1/AttachmentsRoute'
 import CommentsRoute from './routes/api/v1/CommentsRoute'
 import GroupsRoute from './routes/api/v1/GroupsRoute'
 import PasswordsRoute from './routes/api/v1/PasswordsRoute'
+import SearchRoute from './routes/api/v1/SearchRoute'
+import ImportedFeedsRoute from './routes/api/v1/ImportedFeedsRoute'
+import DraftsRoute from './routes/api/v1/DraftsRoute'
+import NotificationsRoute from './routes/api/v1/NotificationsRoute'
+import WebhooksRoute from './routes/api/v1/WebhooksRoute'
+import StreamRoute from './routes/api/v1/StreamRoute'
+import SessionsRoute from './routes/api/v1/SessionsRoute'
+import AccessTokensRoute from './routes/api/v1/AccessTokensRoute'
+import OAuthRoute from './routes/api/v1/OAuthRoute'
 
 
-const config = configLoader()
-promisifyAll(jwt)
-
 export default function(app) {
   const findUser = async (req, res, next) => {
+    var bearer = /^Bearer (.+)$/.exec(req.headers['authorization'] || '')
     var authToken = req.headers['x-authentication-token']
+      || (bearer && bearer[1])
       || req.body.authToken
       || req.query.authToken
 
     if (authToken) {
       try {
-        let decoded = await jwt.verifyAsync(authToken, config.secret)
-        let user = await dbAdapter.getUserById(decoded.userId)
+        if (AccessToken.isAccessToken(authToken)) {
+          if (authToken !== req.headers['x-authentication-token']) {
+            throw new Error('access tokens are accepted in the X-Authentication-Token header only')
+          }
+
+          // the owner becomes req.user in requireScope
+          const { user, accessToken } = await AccessToken.authenticate(authToken)
 
-        if (user) {
-          req.user = user
+          req.accessToken = accessToken
+          req.accessTokenOwner = user
+        } else {
+          const { user, session, authorization } = await Session.authenticate(authToken)
+
+          // OAuth clients are limited by scopes like access tokens
+          if (authorization) {
+            req.accessToken = authorization
+            req.accessTokenOwner = user
+          } else {
+            req.user = user
+            req.authSession = session
+          }
         }
       } catch(e) {
         app.logger.info(`invalid token. the user will be treated as anonymous: ${e.message}`)
@@ -41,6 +63,16 @@ export default function(app) {
     next()
   }
 
+  // the general limit applies to signed in users and to tokens, each
+  // token has a limit of its own
+  const getRateLimitId = (req) => {
+    if (req.accessToken) {
+      return `token:${req.accessToken.id}`
+    }
+
+    return req.user ? `user:${req.user.id}` : null
+  }
+
   app.use(express.static(__dirname + '/../public'))
 
   // unauthenticated routes
@@ -52,6 +84,7 @@ export default function(app) {
 
   // [at least optionally] authenticated routes
   app.all('/*', findUser)
+  app.all('/*', rateLimit('api', getRateLimitId))
   BookmarkletRoute(app)
   UsersRoute(app)
   GroupsRoute(app)
@@ -59,4 +92,13 @@ export default function(app) {
   PostsRoute(app)
   AttachmentsRoute(app)
   CommentsRoute(app)
+  SearchRoute(app)
+  ImportedFeedsRoute(app)
+  DraftsRoute(app)
+  NotificationsRoute(app)
+  WebhooksRoute(app)
+  StreamRoute(app)
+  SessionsRoute(app)
+  AccessTokensRoute(app)
+  OAuthRoute(app)
 }
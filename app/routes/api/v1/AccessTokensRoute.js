@@ -0,0 +1,8 @@
+import { AccessTokensController } from '../../../controllers'
+
+
+export default function addRoutes(app) {
+  app.get(   '/v1/accessTokens',                AccessTokensController.index)
+  app.post(  '/v1/accessTokens',                AccessTokensController.create)
+  app.delete('/v1/accessTokens/:accessTokenId', AccessTokensController.destroy)
+}
@@ -1,8 +1,9 @@
 import { AttachmentsController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
   const controller = new AttachmentsController(app)
 
-  app.post('/v1/attachments', controller.create)
+  app.post('/v1/attachments', requireScope('post'), controller.create)
 }
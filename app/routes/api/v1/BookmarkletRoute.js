@@ -1,6 +1,7 @@
 import { BookmarkletController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
-  app.post('/v1/bookmarklet', BookmarkletController.create)
+  app.post('/v1/bookmarklet', requireScope('post'), BookmarkletController.create)
 }
@@ -1,8 +1,12 @@
 import { CommentsController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
-  app.post(  '/v1/comments',            CommentsController.create)
-  app.put(   '/v1/comments/:commentId', CommentsController.update)
-  app.delete('/v1/comments/:commentId', CommentsController.destroy)
+  app.post(  '/v1/comments',                   requireScope('comment'), CommentsController.create)
+  app.put(   '/v1/comments/:commentId',        requireScope('comment'), CommentsController.update)
+  app.delete('/v1/comments/:commentId',        requireScope('comment'), CommentsController.destroy)
+  app.post(  '/v1/comments/:commentId/like',   requireScope('like'),    CommentsController.like)
+  app.post(  '/v1/comments/:commentId/unlike', requireScope('like'),    CommentsController.unlike)
+  app.get(   '/v1/comments/:commentId/revisions', requireScope('read'),    CommentsController.revisions)
 }
@@ -0,0 +1,12 @@
+import { DraftsController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
+
+
+export default function addRoutes(app) {
+  app.get(   '/v1/drafts',                  requireScope('read'), DraftsController.index)
+  app.post(  '/v1/drafts',                  requireScope('post'), DraftsController.create)
+  app.get(   '/v1/drafts/:draftId',         requireScope('read'), DraftsController.show)
+  app.put(   '/v1/drafts/:draftId',         requireScope('post'), DraftsController.update)
+  app.delete('/v1/drafts/:draftId',         requireScope('post'), DraftsController.destroy)
+  app.post(  '/v1/drafts/:draftId/publish', requireScope('post'), DraftsController.publish)
+}
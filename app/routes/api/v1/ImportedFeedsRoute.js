@@ -0,0 +1,8 @@
+import { ImportedFeedsController } from '../../../controllers'
+
+
+export default function addRoutes(app) {
+  app.get('/v1/importedFeeds',            ImportedFeedsController.index)
+  app.post('/v1/importedFeeds',           ImportedFeedsController.create)
+  app.delete('/v1/importedFeeds/:feedId', ImportedFeedsController.destroy)
+}
@@ -0,0 +1,8 @@
+import { NotificationsController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
+
+
+export default function addRoutes(app) {
+  app.get( '/v1/notifications',          requireScope('read'), NotificationsController.index)
+  app.post('/v1/notifications/markRead', requireScope('read'), NotificationsController.markRead)
+}
@@ -0,0 +1,13 @@
+import { OAuthController } from '../../../controllers'
+
+
+export default function addRoutes(app) {
+  app.get(   '/v1/oauth/clients',                         OAuthController.clients)
+  app.post(  '/v1/oauth/clients',                         OAuthController.createClient)
+  app.delete('/v1/oauth/clients/:clientId',               OAuthController.destroyClient)
+  app.get(   '/v1/oauth/authorize',                       OAuthController.authorizeInfo)
+  app.post(  '/v1/oauth/authorize',                       OAuthController.authorize)
+  app.post(  '/v1/oauth/token',                           OAuthController.token)
+  app.get(   '/v1/oauth/authorizations',                  OAuthController.authorizations)
+  app.delete('/v1/oauth/authorizations/:authorizationId', OAuthController.destroyAuthorization)
+}
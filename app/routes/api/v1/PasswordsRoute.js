@@ -1,7 +1,8 @@
 import { PasswordsController } from '../../../controllers'
+import { rateLimit } from '../../../support/rateLimits'
 
 
 export default function addRoutes(app) {
-  app.post('/v1/passwords',                     PasswordsController.create)
+  app.post('/v1/passwords',                     rateLimit('passwordResetByIp', req => req.ip), PasswordsController.create)
   app.put( '/v1/passwords/:resetPasswordToken', PasswordsController.update)
 }
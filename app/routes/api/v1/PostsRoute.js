@@ -1,15 +1,21 @@
 import { PostsController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
-  app.post(  '/v1/posts',                PostsController.create)
-  app.get(   '/v1/posts/:postId',        PostsController.show)
-  app.put(   '/v1/posts/:postId',        PostsController.update)
-  app.delete('/v1/posts/:postId',        PostsController.destroy)
-  app.post(  '/v1/posts/:postId/like',   PostsController.like)
-  app.post(  '/v1/posts/:postId/unlike', PostsController.unlike)
-  app.post(  '/v1/posts/:postId/hide',   PostsController.hide)
-  app.post(  '/v1/posts/:postId/unhide', PostsController.unhide)
-  app.post(  '/v1/posts/:postId/disableComments', PostsController.disableComments)
-  app.post(  '/v1/posts/:postId/enableComments',  PostsController.enableComments)
+  app.post(  '/v1/posts',                requireScope('post'), PostsController.create)
+  app.get(   '/v1/posts/scheduled',      requireScope('read'), PostsController.scheduled)
+  app.get(   '/v1/posts/:postId',        requireScope('read'), PostsController.show)
+  app.put(   '/v1/posts/:postId',        requireScope('post'), PostsController.update)
+  app.delete('/v1/posts/:postId',        requireScope('post'), PostsController.destroy)
+  app.post(  '/v1/posts/:postId/like',   requireScope('like'), PostsController.like)
+  app.post(  '/v1/posts/:postId/unlike', requireScope('like'), PostsController.unlike)
+  app.post(  '/v1/posts/:postId/hide',   requireScope('post'), PostsController.hide)
+  app.post(  '/v1/posts/:postId/unhide', requireScope('post'), PostsController.unhide)
+  app.post(  '/v1/posts/:postId/markRead', requireScope('read'), PostsController.markRead)
+  app.post(  '/v1/posts/:postId/disableComments', requireScope('post'), PostsController.disableComments)
+  app.post(  '/v1/posts/:postId/enableComments',  requireScope('post'), PostsController.enableComments)
+  app.get(   '/v1/posts/:postId/revisions',       requireScope('read'), PostsController.revisions)
+  app.post(  '/v1/posts/:postId/reactions/:emoji', requireScope('like'), PostsController.addReaction)
+  app.delete('/v1/posts/:postId/reactions/:emoji', requireScope('like'), PostsController.removeReaction)
 }
@@ -0,0 +1,7 @@
+import { SearchController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
+
+
+export default function addRoutes(app) {
+  app.get('/v1/search', requireScope('read'), SearchController.search)
+}
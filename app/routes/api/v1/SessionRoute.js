@@ -1,6 +1,10 @@
 import { SessionController } from '../../../controllers'
+import { rateLimit } from '../../../support/rateLimits'
 
 
 export default function addRoutes(app) {
-  app.post('/v1/session', SessionController.create)
+  const limitByIp = rateLimit('signInByIp', req => req.ip)
+
+  app.post('/v1/session',           limitByIp, SessionController.create)
+  app.post('/v1/session/twoFactor', limitByIp, SessionController.confirmTwoFactor)
 }
@@ -0,0 +1,8 @@
+import { SessionController } from '../../../controllers'
+
+
+export default function addRoutes(app) {
+  app.get(   '/v1/sessions',            SessionController.index)
+  app.delete('/v1/sessions',            SessionController.destroyAll)
+  app.delete('/v1/sessions/:sessionId', SessionController.destroy)
+}
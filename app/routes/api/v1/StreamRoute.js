@@ -0,0 +1,7 @@
+import { StreamController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
+
+
+export default function addRoutes(app) {
+  app.get('/v1/stream', requireScope('read'), StreamController.stream)
+}
@@ -1,11 +1,16 @@
 import { TimelinesController } from '../../../controllers'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
-  app.get('/v1/timelines/home',               TimelinesController.home)
-  app.get('/v1/timelines/filter/discussions', TimelinesController.myDiscussions)
-  app.get('/v1/timelines/filter/directs',     TimelinesController.directs)
-  app.get('/v1/timelines/:username',          TimelinesController.posts)
-  app.get('/v1/timelines/:username/likes',    TimelinesController.likes)
-  app.get('/v1/timelines/:username/comments', TimelinesController.comments)
+  app.get('/v1/timelines/home',                requireScope('read'), TimelinesController.home)
+  app.get('/v1/timelines/filter/discussions',  requireScope('read'), TimelinesController.myDiscussions)
+  app.get('/v1/timelines/filter/directs',      requireScope('read'), TimelinesController.directs)
+  app.get('/v1/timelines/filter/mentions',     requireScope('read'), TimelinesController.mentions)
+  app.get('/v1/timelines/tag/:tag',            requireScope('read'), TimelinesController.tag)
+  app.get('/v1/timelines/:username',           requireScope('read'), TimelinesController.posts)
+  app.get('/v1/timelines/:username/feed.atom', requireScope('read'), TimelinesController.atom)
+  app.get('/v1/timelines/:username/feed.rss',  requireScope('read'), TimelinesController.rss)
+  app.get('/v1/timelines/:username/likes',     requireScope('read'), TimelinesController.likes)
+  app.get('/v1/timelines/:username/comments',  requireScope('read'), TimelinesController.comments)
 }
@@ -1,24 +1,32 @@
 import { FeedFactoriesController, UsersController } from '../../../controllers'
+import { rateLimit } from '../../../support/rateLimits'
+import { requireScope } from '../../../support/scopes'
 
 
 export default function addRoutes(app) {
-  app.post('/v1/users',                          UsersController.create)
+  app.post('/v1/users',                          rateLimit('signUpByIp', req => req.ip), UsersController.create)
   app.post('/v1/users/sudo',                     UsersController.sudoCreate)
-  app.post('/v1/users/acceptRequest/:username',  UsersController.acceptRequest)
-  app.post('/v1/users/rejectRequest/:username',  UsersController.rejectRequest)
+  app.post('/v1/users/acceptRequest/:username',  requireScope('manage-subscriptions'), UsersController.acceptRequest)
+  app.post('/v1/users/rejectRequest/:username',  requireScope('manage-subscriptions'), UsersController.rejectRequest)
   // NOTE: this is going to change and be more consistent when we
   // introduce groups management
-  app.post('/v1/users/:username/unsubscribeFromMe', UsersController.unsubscribeUser)
-  app.post('/v1/users/:username/sendRequest',    UsersController.sendRequest)
-  app.get( '/v1/users/whoami',                   UsersController.whoami)
-  app.get( '/v1/users/:username',                UsersController.show)
+  app.post('/v1/users/:username/unsubscribeFromMe', requireScope('manage-subscriptions'), UsersController.unsubscribeUser)
+  app.post('/v1/users/:username/sendRequest',    requireScope('manage-subscriptions'), UsersController.sendRequest)
+  app.get( '/v1/users/whoami',                   requireScope('read'),                 UsersController.whoami)
+  app.get( '/v1/users/:username',                requireScope('read'),                 UsersController.show)
   app.put( '/v1/users/updatePassword',           UsersController.updatePassword)
   app.post('/v1/users/updateProfilePicture',     UsersController.updateProfilePicture)
+  app.post('/v1/users/twoFactor',                UsersController.enrollTwoFactor)
+  app.post('/v1/users/twoFactor/confirm',        UsersController.confirmTwoFactor)
+  app.post('/v1/users/twoFactor/recoveryCodes',  UsersController.regenerateRecoveryCodes)
+  app.post('/v1/users/twoFactor/disable',        UsersController.disableTwoFactor)
+  app.post('/v1/users/emailVerification',        UsersController.sendEmailVerification)
+  app.post('/v1/users/emailVerification/confirm', UsersController.verifyEmail)
   app.put( '/v1/users/:userId',                  FeedFactoriesController.update)
-  app.post('/v1/users/:username/ban',            UsersController.ban)
-  app.post('/v1/users/:username/unban',          UsersController.unban)
-  app.post('/v1/users/:username/subscribe',      UsersController.subscribe)
-  app.post('/v1/users/:username/unsubscribe',    UsersController.unsubscribe)
-  app.get( '/v1/users/:username/subscribers',    UsersController.subscribers)
-  app.get( '/v1/users/:username/subscriptions',  UsersController.subscriptions)
+  app.post('/v1/users/:username/ban',            requireScope('manage-subscriptions'), UsersController.ban)
+  app.post('/v1/users/:username/unban',          requireScope('manage-subscriptions'), UsersController.unban)
+  app.post('/v1/users/:username/subscribe',      requireScope('manage-subscriptions'), UsersController.subscribe)
+  app.post('/v1/users/:username/unsubscribe',    requireScope('manage-subscriptions'), UsersController.unsubscribe)
+  app.get( '/v1/users/:username/subscribers',    requireScope('read'),                 UsersController.subscribers)
+  app.get( '/v1/users/:username/subscriptions',  requireScope('read'),                 UsersController.subscriptions)
 }
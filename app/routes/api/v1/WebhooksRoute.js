@@ -0,0 +1,9 @@
+import { WebhooksController } from '../../../controllers'
+
+
+export default function addRoutes(app) {
+  app.get(   '/v1/webhooks',                       WebhooksController.index)
+  app.post(  '/v1/webhooks',                       WebhooksController.create)
+  app.delete('/v1/webhooks/:webhookId',            WebhooksController.destroy)
+  app.get(   '/v1/webhooks/:webhookId/deliveries', WebhooksController.deliveries)
+}
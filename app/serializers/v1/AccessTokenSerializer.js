@@ -0,0 +1,9 @@
+import { Serializer } from "../../models"
+
+
+// the token itself is there only right after it has been created
+export function addSerializer() {
+  return new Serializer("accessTokens", {
+    select: ['id', 'name', 'scopes', 'token', 'createdAt', 'lastUsedAt']
+  })
+}
@@ -3,7 +3,8 @@ import { Serializer, UserSerializer } from '../../models'
 
 export function addSerializer() {
   return new Serializer("comments", {
-    select: ['id', 'body', 'createdAt', 'updatedAt', 'createdBy'],
-    createdBy: { through: UserSerializer, embed: true }
+    select: ['id', 'body', 'createdAt', 'updatedAt', 'editedAt', 'createdBy', 'parentCommentId', 'isDeleted', 'likes', 'omittedLikes', 'mentions'],
+    createdBy: { through: UserSerializer, embed: true },
+    likes: { through: UserSerializer, embed: true }
   })
 }
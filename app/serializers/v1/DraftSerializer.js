@@ -0,0 +1,10 @@
+import { Serializer, AttachmentSerializer, SubscriptionSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("drafts", {
+    select: ['id', 'body', 'attachments', 'postedTo', 'createdAt', 'updatedAt'],
+    attachments: { through: AttachmentSerializer, embed: true },
+    postedTo: { through: SubscriptionSerializer, embed: true }
+  })
+}
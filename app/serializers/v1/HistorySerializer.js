@@ -0,0 +1,9 @@
+import { Serializer, RevisionSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("history", {
+    select: ['id', 'revisions'],
+    revisions: { through: RevisionSerializer, embed: true }
+  })
+}
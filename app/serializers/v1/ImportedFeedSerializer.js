@@ -0,0 +1,8 @@
+import { Serializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("importedFeeds", {
+    select: ['id', 'url', 'title', 'lastPolledAt', 'lastError', 'createdAt', 'updatedAt']
+  })
+}
@@ -3,11 +3,13 @@ import { Serializer, AdminSerializer, SubscriptionSerializer, SubscriptionReques
 
 export function addSerializer() {
   return new Serializer('users', {
-    select: ['id', 'username', 'type', 'screenName', 'email', 'statistics',
+    select: ['id', 'username', 'type', 'screenName', 'email', 'pendingEmail',
+             'emailVerified', 'statistics',
              'subscriptions', 'profilePictureLargeUrl', 'profilePictureMediumUrl',
              'banIds', 'subscribers', 'isPrivate', 'pendingSubscriptionRequests',
              'subscriptionRequests', 'description',
-             'administrators'],
+             'administrators', 'emailNotifications', 'unreadDirectsCount',
+             'twoFactorEnabled'],
     subscriptions: { through: SubscriptionSerializer, embed: true },
     subscribers: { through: SubscriberSerializer },
     pendingSubscriptionRequests: { through: SubscriptionRequestSerializer, embed: true },
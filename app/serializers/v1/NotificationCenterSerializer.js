@@ -0,0 +1,9 @@
+import { Serializer, NotificationSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("notificationCenter", {
+    select: ['notifications'],
+    notifications: { through: NotificationSerializer, embed: true }
+  })
+}
@@ -0,0 +1,11 @@
+import { Serializer, UserSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("notifications", {
+    select: ['id', 'type', 'isRead', 'createdAt', 'actor', 'targetUser', 'group', 'postId', 'commentId'],
+    actor: { through: UserSerializer, embed: true },
+    targetUser: { through: UserSerializer, embed: true },
+    group: { through: UserSerializer, embed: true }
+  })
+}
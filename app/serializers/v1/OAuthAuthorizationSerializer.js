@@ -0,0 +1,8 @@
+import { Serializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("oauthAuthorizations", {
+    select: ['id', 'clientId', 'clientName', 'scopes', 'createdAt', 'updatedAt']
+  })
+}
@@ -0,0 +1,9 @@
+import { Serializer } from "../../models"
+
+
+// the secret is there only right after the client has been registered
+export function addSerializer() {
+  return new Serializer("oauthClients", {
+    select: ['id', 'name', 'redirectUris', 'isConfidential', 'secret', 'createdAt']
+  })
+}
@@ -3,7 +3,7 @@ import { Serializer, AttachmentSerializer, CommentSerializer, SubscriptionSerial
 
 export function addSerializer() {
   return new Serializer("posts", {
-    select: ['id', 'body', 'attachments', 'createdBy', 'comments', 'createdAt', 'updatedAt', 'updatedAt', 'likes', 'isHidden', 'omittedComments', 'omittedLikes', 'postedTo', 'commentsDisabled'],
+    select: ['id', 'body', 'attachments', 'createdBy', 'comments', 'createdAt', 'updatedAt', 'updatedAt', 'editedAt', 'likes', 'isHidden', 'omittedComments', 'omittedLikes', 'postedTo', 'commentsDisabled', 'reactions', 'myReactions', 'publishAt', 'mentions', 'isUnread', 'readReceipts'],
     attachments: { through: AttachmentSerializer, embed: true },
     createdBy: { through: UserSerializer, embed: true },
     comments: { through: CommentSerializer, embed: true },
@@ -3,7 +3,7 @@ import { Serializer, UserSerializer } from "../../models"
 
 export function addSerializer() {
   return new Serializer("comments", {
-    select: ['id', 'body', 'createdAt', 'updatedAt', 'createdBy', 'postId'],
+    select: ['id', 'body', 'createdAt', 'updatedAt', 'editedAt', 'createdBy', 'postId', 'parentCommentId', 'isDeleted', 'mentions'],
     createdBy: { through: UserSerializer, embed: true }
   })
 }
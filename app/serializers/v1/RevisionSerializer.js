@@ -0,0 +1,9 @@
+import { Serializer, UserSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("revisions", {
+    select: ['id', 'body', 'diff', 'createdAt', 'createdBy'],
+    createdBy: { through: UserSerializer, embed: true }
+  })
+}
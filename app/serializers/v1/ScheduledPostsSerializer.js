@@ -0,0 +1,9 @@
+import { Serializer, PostSerializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("scheduled", {
+    select: ['posts'],
+    posts: { through: PostSerializer, embed: true }
+  })
+}
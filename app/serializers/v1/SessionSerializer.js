@@ -0,0 +1,8 @@
+import { Serializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("sessions", {
+    select: ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt']
+  })
+}
@@ -3,7 +3,7 @@ import { Serializer, SubscriberSerializer, PostSerializer, UserSerializer } from
 
 export function addSerializer() {
   return new Serializer("timelines", {
-    select: ['name', 'id', 'posts', 'user', 'subscribers'],
+    select: ['name', 'id', 'posts', 'user', 'subscribers', 'nextCursor', 'prevCursor'],
     posts: { through: PostSerializer, embed: true },
     user: { through: UserSerializer, embed: true },
     subscribers: { through: SubscriberSerializer, embed: true }
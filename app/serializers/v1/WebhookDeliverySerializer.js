@@ -0,0 +1,8 @@
+import { Serializer } from "../../models"
+
+
+export function addSerializer() {
+  return new Serializer("deliveries", {
+    select: ['id', 'event', 'status', 'attempts', 'responseStatus', 'lastError', 'createdAt', 'updatedAt']
+  })
+}
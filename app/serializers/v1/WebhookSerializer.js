@@ -0,0 +1,9 @@
+import { Serializer } from "../../models"
+
+
+// the secret is there only right after the webhook has been created
+export function addSerializer() {
+  return new Serializer("webhooks", {
+    select: ['id', 'feedId', 'url', 'events', 'secret', 'createdAt', 'updatedAt']
+  })
+}
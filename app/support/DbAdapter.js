@@ -1,7 +1,7 @@
 import { default as uuid } from 'uuid'
-import { each, isString } from 'lodash'
+import { chunk, each, isString } from 'lodash'
 
-import { Attachment, Comment, Group, Post, Stats, Timeline, User } from '../models'
+import { AccessToken, Attachment, Comment, Draft, Group, ImportedFeed, Notification, OAuthAuthorization, OAuthClient, Post, Session, Stats, Timeline, User, Webhook } from '../models'
 
 
 export const mkKey = (keys) => {
@@ -250,6 +250,10 @@ export class DbAdapter {
     return this._updateRecord(mkKey(['post', postId]), payload)
   }
 
+  existsPost(postId) {
+    return this._existsRecord(mkKey(['post', postId]))
+  }
+
   async getPostById(id, params) {
     const attrs = await this.findRecordById('post', id)
 
@@ -312,6 +316,41 @@ export class DbAdapter {
 
   ///////////
 
+  createUserPostReaction(postId, emoji, userId) {
+    let now = new Date().getTime()
+
+    return Promise.all([
+      this._addElementToSortedSet(mkKey(['post', postId, 'reactions', emoji]), now, userId),
+      this._addElementToSet(mkKey(['post', postId, 'reactions']), emoji)
+    ])
+  }
+
+  removeUserPostReaction(postId, emoji, userId) {
+    return this._removeElementFromSortedSet(mkKey(['post', postId, 'reactions', emoji]), userId)
+  }
+
+  async hasUserReactedToPost(userId, postId, emoji) {
+    let score = await this._getSortedSetElementScore(mkKey(['post', postId, 'reactions', emoji]), userId)
+    return score && score >= 0
+  }
+
+  getPostReactionEmoji(postId) {
+    return this._getSetElements(mkKey(['post', postId, 'reactions']))
+  }
+
+  getPostReactionsCount(postId, emoji) {
+    return this._getSortedSetElementsCount(mkKey(['post', postId, 'reactions', emoji]))
+  }
+
+  async deletePostReactions(postId) {
+    const emojiList = await this.getPostReactionEmoji(postId)
+
+    await Promise.all(emojiList.map(emoji => this._deleteRecord(mkKey(['post', postId, 'reactions', emoji]))))
+    await this._deleteRecord(mkKey(['post', postId, 'reactions']))
+  }
+
+  ///////////
+
   createPostUsageInTimeline(postId, timelineId) {
     return this._addElementToSet(mkKey(['post', postId, 'timelines']), timelineId)
   }
@@ -399,6 +438,414 @@ export class DbAdapter {
     return this._deleteRecord(mkKey(['reset', token, 'uid']))
   }
 
+  ///////////////////////////////////////////////////
+  // Email verification tokens
+  ///////////////////////////////////////////////////
+
+  async createEmailVerificationToken(token, userId, email, expireAfter) {
+    const key = mkKey(['email_verification', token])
+
+    await this._createRecord(key, { userId, email })
+    await this.database.expireAsync(key, expireAfter)
+  }
+
+  getEmailVerificationToken(token) {
+    return this._getRecord(mkKey(['email_verification', token]))
+  }
+
+  // returns 1 if the token has been there
+  deleteEmailVerificationToken(token) {
+    return this._deleteRecord(mkKey(['email_verification', token]))
+  }
+
+  ///////////////////////////////////////////////////
+  // Two-factor authentication
+  ///////////////////////////////////////////////////
+
+  // { secret, enabled, lastUsedStep }
+  getUserTwoFactor(userId) {
+    return this._getRecord(mkKey(['user', userId, 'two_factor']))
+  }
+
+  updateUserTwoFactor(userId, payload) {
+    return this._updateRecord(mkKey(['user', userId, 'two_factor']), payload)
+  }
+
+  // returns true if the step has not been used yet. The step is marked
+  // as used in the same command, so concurrent requests can not both get it
+  async useUserTwoFactorStep(userId, step, expireAfter) {
+    const key = mkKey(['user', userId, 'totp_step', `${step}`])
+    const result = await this.database.setAsync(key, '1', 'NX', 'EX', expireAfter)
+
+    return result === 'OK'
+  }
+
+  deleteUserTwoFactor(userId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['user', userId, 'two_factor'])),
+      this._deleteRecord(mkKey(['user', userId, 'recovery_codes']))
+    ])
+  }
+
+  async replaceUserRecoveryCodes(userId, hashedCodes) {
+    const key = mkKey(['user', userId, 'recovery_codes'])
+
+    await this._deleteRecord(key)
+    await this.database.saddAsync(key, hashedCodes)
+  }
+
+  // returns true if the code has been there
+  async deleteUserRecoveryCode(userId, hashedCode) {
+    const removed = await this._removeElementFromSet(mkKey(['user', userId, 'recovery_codes']), hashedCode)
+    return removed === 1
+  }
+
+  getUserRecoveryCodesCount(userId) {
+    return this._getSetElementsCount(mkKey(['user', userId, 'recovery_codes']))
+  }
+
+  async createTwoFactorChallenge(token, userId, expireAfter) {
+    const key = mkKey(['two_factor_challenge', token])
+
+    await this._createRecord(key, { userId, attempts: 0 })
+    await this.database.expireAsync(key, expireAfter)
+  }
+
+  getTwoFactorChallenge(token) {
+    return this._getRecord(mkKey(['two_factor_challenge', token]))
+  }
+
+  // returns the number of attempts made so far
+  addTwoFactorChallengeAttempt(token) {
+    return this.database.hincrbyAsync(mkKey(['two_factor_challenge', token]), 'attempts', 1)
+  }
+
+  deleteTwoFactorChallenge(token) {
+    return this._deleteRecord(mkKey(['two_factor_challenge', token]))
+  }
+
+  ///////////////////////////////////////////////////
+  // Sessions
+  ///////////////////////////////////////////////////
+
+  async createSession(payload, expireAfter) {
+    let sessionId  = uuid.v4()
+    let sessionKey = mkKey(['session', sessionId])
+
+    await this._createRecord(sessionKey, payload)
+    await Promise.all([
+      this.database.expireAsync(sessionKey, expireAfter),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'sessions']), payload.createdAt, sessionId)
+    ])
+
+    return sessionId
+  }
+
+  async getSessionById(id) {
+    const attrs = await this.findRecordById('session', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(Session, attrs, id)
+  }
+
+  // expired sessions are skipped
+  async getSessionsByIds(ids) {
+    const responses = await this.findRecordsByIds('session', ids)
+
+    return responses
+      .map((attrs, i) => attrs ? DbAdapter.initObject(Session, attrs, ids[i]) : null)
+      .filter(session => session !== null)
+  }
+
+  // the most recent sessions go first, expired ones might be there too
+  getUserSessionIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'sessions']))
+  }
+
+  async updateSession(sessionId, payload, expireAfter) {
+    let sessionKey = mkKey(['session', sessionId])
+
+    await this._updateRecord(sessionKey, payload)
+    await this.database.expireAsync(sessionKey, expireAfter)
+  }
+
+  deleteSession(sessionId, userId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['session', sessionId])),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'sessions']), sessionId)
+    ])
+  }
+
+  async deleteUserSessions(userId) {
+    const sessionIds = await this.getUserSessionIds(userId)
+
+    await Promise.all([
+      ...sessionIds.map(sessionId => this._deleteRecord(mkKey(['session', sessionId]))),
+      this._deleteRecord(mkKey(['user', userId, 'sessions']))
+    ])
+  }
+
+  ///////////////////////////////////////////////////
+  // Access tokens
+  ///////////////////////////////////////////////////
+
+  async createAccessToken(payload) {
+    let accessTokenId  = uuid.v4()
+    let accessTokenKey = mkKey(['access_token', accessTokenId])
+    let exists         = await this._existsRecord(accessTokenKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    await Promise.all([
+      this._createRecord(accessTokenKey, payload),
+      this._setIndexValue(mkKey(['access_token_hash', payload.tokenHash]), accessTokenId),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'access_tokens']), payload.createdAt, accessTokenId)
+    ])
+
+    return accessTokenId
+  }
+
+  async getAccessTokenById(id) {
+    const attrs = await this.findRecordById('access_token', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(AccessToken, attrs, id)
+  }
+
+  async getAccessTokenByHash(tokenHash) {
+    const accessTokenId = await this._getIndexValue(mkKey(['access_token_hash', tokenHash]))
+
+    if (!accessTokenId) {
+      return null
+    }
+
+    return this.getAccessTokenById(accessTokenId)
+  }
+
+  async getAccessTokensByIds(ids) {
+    const responses = await this.findRecordsByIds('access_token', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(AccessToken, attrs, ids[i]))
+
+    return objects
+  }
+
+  // the most recent tokens go first
+  getUserAccessTokenIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'access_tokens']))
+  }
+
+  updateAccessToken(accessTokenId, payload) {
+    return this._updateRecord(mkKey(['access_token', accessTokenId]), payload)
+  }
+
+  deleteAccessToken(accessTokenId, userId, tokenHash) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['access_token', accessTokenId])),
+      this._deleteRecord(mkKey(['access_token_hash', tokenHash])),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'access_tokens']), accessTokenId)
+    ])
+  }
+
+  ///////////////////////////////////////////////////
+  // OAuth
+  ///////////////////////////////////////////////////
+
+  async createOAuthClient(payload) {
+    let clientId  = uuid.v4()
+    let clientKey = mkKey(['oauth_client', clientId])
+    let exists    = await this._existsRecord(clientKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    await Promise.all([
+      this._createRecord(clientKey, payload),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'oauth_clients']), payload.createdAt, clientId)
+    ])
+
+    return clientId
+  }
+
+  async getOAuthClientById(id) {
+    const attrs = await this.findRecordById('oauth_client', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(OAuthClient, attrs, id)
+  }
+
+  async getOAuthClientsByIds(ids) {
+    const responses = await this.findRecordsByIds('oauth_client', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(OAuthClient, attrs, ids[i]))
+
+    return objects
+  }
+
+  // clients registered by the user, the most recent go first
+  getUserOAuthClientIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'oauth_clients']))
+  }
+
+  deleteOAuthClient(clientId, userId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['oauth_client', clientId])),
+      this._deleteRecord(mkKey(['oauth_client', clientId, 'authorizations'])),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'oauth_clients']), clientId)
+    ])
+  }
+
+  ///////////
+
+  async createOAuthAuthorization(payload) {
+    let authorizationId  = uuid.v4()
+    let authorizationKey = mkKey(['oauth_authorization', authorizationId])
+
+    await Promise.all([
+      this._createRecord(authorizationKey, payload),
+      this.database.hsetAsync(mkKey(['user', payload.userId, 'oauth_authorizations']), payload.clientId, authorizationId),
+      this._addElementToSet(mkKey(['oauth_client', payload.clientId, 'authorizations']), authorizationId)
+    ])
+
+    return authorizationId
+  }
+
+  async getOAuthAuthorizationById(id) {
+    const attrs = await this.findRecordById('oauth_authorization', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(OAuthAuthorization, attrs, id)
+  }
+
+  async getOAuthAuthorizationsByIds(ids) {
+    const responses = await this.findRecordsByIds('oauth_authorization', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(OAuthAuthorization, attrs, ids[i]))
+
+    return objects
+  }
+
+  getUserOAuthAuthorizationId(userId, clientId) {
+    return this.database.hgetAsync(mkKey(['user', userId, 'oauth_authorizations']), clientId)
+  }
+
+  getUserOAuthAuthorizationIds(userId) {
+    return this.database.hvalsAsync(mkKey(['user', userId, 'oauth_authorizations']))
+  }
+
+  getOAuthClientAuthorizationIds(clientId) {
+    return this._getSetElements(mkKey(['oauth_client', clientId, 'authorizations']))
+  }
+
+  updateOAuthAuthorization(authorizationId, payload) {
+    return this._updateRecord(mkKey(['oauth_authorization', authorizationId]), payload)
+  }
+
+  async deleteOAuthAuthorization(authorizationId, userId, clientId) {
+    const refreshTokensKey = mkKey(['oauth_authorization', authorizationId, 'refresh_tokens'])
+    const tokenHashes = await this._getSetElements(refreshTokensKey)
+
+    await Promise.all([
+      ...tokenHashes.map(tokenHash => this._deleteRecord(mkKey(['oauth_refresh_token', tokenHash]))),
+      this._deleteRecord(refreshTokensKey),
+      this._deleteRecord(mkKey(['oauth_authorization', authorizationId])),
+      this.database.hdelAsync(mkKey(['user', userId, 'oauth_authorizations']), clientId),
+      this._removeElementFromSet(mkKey(['oauth_client', clientId, 'authorizations']), authorizationId)
+    ])
+  }
+
+  ///////////
+
+  async createOAuthCode(codeHash, payload, expireAfter) {
+    const key = mkKey(['oauth_code', codeHash])
+
+    await this._createRecord(key, payload)
+    await this.database.expireAsync(key, expireAfter)
+  }
+
+  getOAuthCode(codeHash) {
+    return this._getRecord(mkKey(['oauth_code', codeHash]))
+  }
+
+  // returns 1 if the code has been there
+  deleteOAuthCode(codeHash) {
+    return this._deleteRecord(mkKey(['oauth_code', codeHash]))
+  }
+
+  async createOAuthRefreshToken(tokenHash, authorizationId, expireAfter) {
+    const key = mkKey(['oauth_refresh_token', tokenHash])
+
+    await this._createRecord(key, { authorizationId })
+    await Promise.all([
+      this.database.expireAsync(key, expireAfter),
+      this._addElementToSet(mkKey(['oauth_authorization', authorizationId, 'refresh_tokens']), tokenHash)
+    ])
+  }
+
+  getOAuthRefreshToken(tokenHash) {
+    return this._getRecord(mkKey(['oauth_refresh_token', tokenHash]))
+  }
+
+  // returns 1 if the token has been there
+  async deleteOAuthRefreshToken(tokenHash, authorizationId) {
+    const [deleted] = await Promise.all([
+      this._deleteRecord(mkKey(['oauth_refresh_token', tokenHash])),
+      this._removeElementFromSet(mkKey(['oauth_authorization', authorizationId, 'refresh_tokens']), tokenHash)
+    ])
+
+    return deleted
+  }
+
+  ///////////////////////////////////////////////////
+  // Rate limits
+  ///////////////////////////////////////////////////
+
+  // returns the number of hits within the window, this one included
+  async addRateLimitHit(name, id, window) {
+    const key = mkKey(['rate_limit', name, id])
+
+    // the window starts with the first hit. The counter is created with
+    // its expiry in the same transaction, so it can not be left without one
+    const [, hits] = await this.database.multi()
+      .set(key, 0, 'EX', window, 'NX')
+      .incr(key)
+      .execAsync()
+
+    return hits
+  }
+
+  // returns the number of seconds till the end of the window
+  async getRateLimitWindowTTL(name, id) {
+    const ttl = await this.database.ttlAsync(mkKey(['rate_limit', name, id]))
+    return Math.max(ttl, 0)
+  }
+
+  deleteRateLimitHits(name, id) {
+    return this._deleteRecord(mkKey(['rate_limit', name, id]))
+  }
+
+  setRateLimitLockout(name, id, expireAfter) {
+    return this.database.setexAsync(mkKey(['rate_limit_lockout', name, id]), expireAfter, '1')
+  }
+
+  // returns the number of seconds till the end of the lockout, 0 if there is none
+  async getRateLimitLockoutTTL(name, id) {
+    const ttl = await this.database.ttlAsync(mkKey(['rate_limit_lockout', name, id]))
+    return Math.max(ttl, 0)
+  }
+
   ///////////////////////////////////////////////////
   // Subscription requests
   ///////////////////////////////////////////////////
@@ -570,6 +1017,27 @@ export class DbAdapter {
     return this._getSortedSetElements(mkKey(['timeline', timelineId, 'posts']), startIndex, finishIndex)
   }
 
+  // [postId, score] pairs, the most recent posts go first
+  getTimelinePostsRangeWithScores(timelineId, startIndex, finishIndex) {
+    return this._getSortedSetElementsWithScores(mkKey(['timeline', timelineId, 'posts']), startIndex, finishIndex)
+  }
+
+  getTimelinePostScore(timelineId, postId) {
+    return this._getSortedSetElementScore(mkKey(['timeline', timelineId, 'posts']), postId)
+  }
+
+  getTimelinePostsCountWithScore(timelineId, score) {
+    return this.database.zcountAsync(mkKey(['timeline', timelineId, 'posts']), score, score)
+  }
+
+  getTimelinePostsBeforeScore(timelineId, score, limit) {
+    return this._getSortedSetElementsWithScoresByScore(mkKey(['timeline', timelineId, 'posts']), score, '-inf', limit)
+  }
+
+  getTimelinePostsAfterScore(timelineId, score, limit) {
+    return this._getSortedSetElementsWithScoresByScoreAscending(mkKey(['timeline', timelineId, 'posts']), score, '+inf', limit)
+  }
+
   getTimelinePostsInTimeInterval(timelineId, timeIntervalStart, timeIntervalEnd) {
     return this.database.zrevrangebyscoreAsync(mkKey(['timeline', timelineId, 'posts']), timeIntervalStart, timeIntervalEnd)
   }
@@ -717,6 +1185,52 @@ export class DbAdapter {
     return this._deleteRecord(mkKey(['comment', commentId]))
   }
 
+  ///////////
+
+  getCommentRepliesCount(commentId) {
+    return this._getListElementsCount(mkKey(['comment', commentId, 'replies']))
+  }
+
+  addReplyToComment(commentId, replyId) {
+    return this._addElementToList(mkKey(['comment', commentId, 'replies']), replyId)
+  }
+
+  removeReplyFromComment(commentId, replyId) {
+    return this._removeOneElementFromList(mkKey(['comment', commentId, 'replies']), replyId)
+  }
+
+  deleteCommentReplies(commentId) {
+    return this._deleteRecord(mkKey(['comment', commentId, 'replies']))
+  }
+
+  ///////////
+
+  createUserCommentLike(commentId, userId) {
+    let now = new Date().getTime()
+    return this._addElementToSortedSet(mkKey(['comment', commentId, 'likes']), now, userId)
+  }
+
+  getCommentLikesCount(commentId) {
+    return this._getSortedSetElementsCount(mkKey(['comment', commentId, 'likes']))
+  }
+
+  getCommentLikesRange(commentId, fromIndex, toIndex) {
+    return this._getSortedSetElements(mkKey(['comment', commentId, 'likes']), fromIndex, toIndex)
+  }
+
+  async hasUserLikedComment(userId, commentId) {
+    let score = await this._getSortedSetElementScore(mkKey(['comment', commentId, 'likes']), userId)
+    return score && score >= 0
+  }
+
+  removeUserCommentLike(commentId, userId) {
+    return this._removeElementFromSortedSet(mkKey(['comment', commentId, 'likes']), userId)
+  }
+
+  deleteCommentLikes(commentId) {
+    return this._deleteRecord(mkKey(['comment', commentId, 'likes']))
+  }
+
   ///////////////////////////////////////////////////
   // Attachments
   ///////////////////////////////////////////////////
@@ -755,6 +1269,13 @@ export class DbAdapter {
     return this._updateRecord(mkKey(['attachment', attachmentId]), payload)
   }
 
+  setAttachmentDraftId(attachmentId, draftId) {
+    let payload = {
+      'draftId': draftId
+    }
+    return this._updateRecord(mkKey(['attachment', attachmentId]), payload)
+  }
+
   setAttachmentPostId(attachmentId, postId) {
     let payload = {
       'postId': postId
@@ -763,19 +1284,712 @@ export class DbAdapter {
   }
 
   ///////////////////////////////////////////////////
-  // Timeline utils
+  // Scheduled posts
   ///////////////////////////////////////////////////
 
+  schedulePost(postId, userId, publishAt) {
+    return Promise.all([
+      this.queueScheduledPost(postId, publishAt),
+      this.addUserScheduledPost(postId, userId, publishAt)
+    ])
+  }
 
-  _getTimelinesIntersectionPosts(key) {
-    return this.database.zrangeAsync(key, 0, -1)
+  // the scheduler publishes the post at `time`
+  queueScheduledPost(postId, time) {
+    return this._addElementToSortedSet(mkKey(['scheduled_posts']), time, postId)
   }
 
-  ///////////////////////////////////////////////////
-  // AbstractModel
-  ///////////////////////////////////////////////////
+  // the author sees the post among their pending posts
+  addUserScheduledPost(postId, userId, publishAt) {
+    return this._addElementToSortedSet(mkKey(['user', userId, 'scheduled_posts']), publishAt, postId)
+  }
 
-  findRecordById(modelName, modelId) {
+  /**
+   * Returns true if the post was removed from the schedule by this call.
+   * Both the scheduler and the author may try to unschedule the same post,
+   * only one of them succeeds.
+   */
+  async unschedulePost(postId, userId) {
+    const [removed] = await Promise.all([
+      this._removeElementFromSortedSet(mkKey(['scheduled_posts']), postId),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'scheduled_posts']), postId)
+    ])
+
+    return removed === 1
+  }
+
+  // steps of publishing which are done, a retry skips them
+  getPostPublishedSteps(postId) {
+    return this._getSetElements(mkKey(['post', postId, 'published_steps']))
+  }
+
+  addPostPublishedStep(postId, step) {
+    return this._addElementToSet(mkKey(['post', postId, 'published_steps']), step)
+  }
+
+  deletePostPublishedSteps(postId) {
+    return this._deleteRecord(mkKey(['post', postId, 'published_steps']))
+  }
+
+  async getDueScheduledPostIds(time, limit) {
+    const pairs = await this._getSortedSetElementsWithScoresByScoreAscending(mkKey(['scheduled_posts']), '-inf', time, limit)
+    return pairs.map(([postId]) => postId)
+  }
+
+  async getUserScheduledPostIds(userId) {
+    const pairs = await this._getSortedSetElementsWithScoresByScoreAscending(mkKey(['user', userId, 'scheduled_posts']), '-inf', '+inf', -1)
+    return pairs.map(([postId]) => postId)
+  }
+
+  ///////////////////////////////////////////////////
+  // Revisions
+  ///////////////////////////////////////////////////
+
+  addPostRevision(postId, payload) {
+    return this._addRevision('post', postId, payload)
+  }
+
+  getPostRevisions(postId) {
+    return this._getRevisions('post', postId)
+  }
+
+  deletePostRevisions(postId) {
+    return this._deleteRevisions('post', postId)
+  }
+
+  addCommentRevision(commentId, payload) {
+    return this._addRevision('comment', commentId, payload)
+  }
+
+  getCommentRevisions(commentId) {
+    return this._getRevisions('comment', commentId)
+  }
+
+  deleteCommentRevisions(commentId) {
+    return this._deleteRevisions('comment', commentId)
+  }
+
+  async _addRevision(modelName, modelId, payload) {
+    const revisionId = uuid.v4()
+
+    await this._createRecord(mkKey([`${modelName}_revision`, revisionId]), payload)
+    await this._addElementToList(mkKey([modelName, modelId, 'revisions']), revisionId)
+
+    return revisionId
+  }
+
+  /**
+   * Returns revisions from the oldest to the newest one as plain objects,
+   * `createdBy` is the user who made the edit
+   */
+  async _getRevisions(modelName, modelId) {
+    const revisionIds = await this._getAllListElements(mkKey([modelName, modelId, 'revisions']))
+    const records = await this.findRecordsByIds(`${modelName}_revision`, revisionIds)
+
+    const revisions = records
+      .map((attrs, i) => attrs && { ...attrs, id: revisionIds[i] })
+      .filter(Boolean)
+
+    const users = await this.getUsersByIds(revisions.map(revision => revision.userId))
+
+    return revisions.map((revision, i) => ({ ...revision, createdBy: users[i] }))
+  }
+
+  async _deleteRevisions(modelName, modelId) {
+    const listKey = mkKey([modelName, modelId, 'revisions'])
+    const revisionIds = await this._getAllListElements(listKey)
+
+    await Promise.all(revisionIds.map(revisionId => this._deleteRecord(mkKey([`${modelName}_revision`, revisionId]))))
+    await this._deleteRecord(listKey)
+  }
+
+  ///////////////////////////////////////////////////
+  // Imported feeds
+  ///////////////////////////////////////////////////
+
+  async createImportedFeed(payload) {
+    let feedId  = uuid.v4()
+    let feedKey = mkKey(['imported_feed', feedId])
+    let exists  = await this._existsRecord(feedKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    await Promise.all([
+      this._createRecord(feedKey, payload),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'imported_feeds']), payload.createdAt, feedId),
+      this._addElementToSet('imported_feeds', feedId)
+    ])
+
+    return feedId
+  }
+
+  async getImportedFeedById(id, params) {
+    const attrs = await this.findRecordById('imported_feed', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(ImportedFeed, attrs, id, params)
+  }
+
+  async getImportedFeedsByIds(ids, params) {
+    const responses = await this.findRecordsByIds('imported_feed', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(ImportedFeed, attrs, ids[i], params))
+
+    return objects
+  }
+
+  getUserImportedFeedIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'imported_feeds']))
+  }
+
+  getAllImportedFeedIds() {
+    return this._getSetElements('imported_feeds')
+  }
+
+  updateImportedFeed(feedId, payload) {
+    return this._updateRecord(mkKey(['imported_feed', feedId]), payload)
+  }
+
+  deleteImportedFeed(feedId, userId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['imported_feed', feedId])),
+      this._deleteRecord(mkKey(['imported_feed', feedId, 'guids'])),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'imported_feeds']), feedId),
+      this._removeElementFromSet('imported_feeds', feedId)
+    ])
+  }
+
+  /**
+   * Returns true if the GUID was not seen before. Checking and marking
+   * is done at once, so concurrent polls do not import the same entry twice.
+   */
+  async addImportedFeedGuid(feedId, guid) {
+    const added = await this._addElementToSet(mkKey(['imported_feed', feedId, 'guids']), guid)
+    return added === 1
+  }
+
+  removeImportedFeedGuid(feedId, guid) {
+    return this._removeElementFromSet(mkKey(['imported_feed', feedId, 'guids']), guid)
+  }
+
+  ///////////////////////////////////////////////////
+  // Drafts
+  ///////////////////////////////////////////////////
+
+  async createDraft(payload) {
+    let draftId  = uuid.v4()
+    let draftKey = mkKey(['draft', draftId])
+    let exists   = await this._existsRecord(draftKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    await Promise.all([
+      this._createRecord(draftKey, payload),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'drafts']), payload.updatedAt, draftId)
+    ])
+
+    return draftId
+  }
+
+  async getDraftById(id, params) {
+    const attrs = await this.findRecordById('draft', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(Draft, attrs, id, params)
+  }
+
+  async getDraftsByIds(ids, params) {
+    const responses = await this.findRecordsByIds('draft', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(Draft, attrs, ids[i], params))
+
+    return objects
+  }
+
+  // the most recently updated drafts go first
+  getUserDraftIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'drafts']))
+  }
+
+  updateDraft(draftId, userId, payload) {
+    return Promise.all([
+      this._updateRecord(mkKey(['draft', draftId]), payload),
+      this._addElementToSortedSet(mkKey(['user', userId, 'drafts']), payload.updatedAt, draftId)
+    ])
+  }
+
+  deleteDraft(draftId, userId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['draft', draftId])),
+      this._deleteRecord(mkKey(['draft', draftId, 'timelines'])),
+      this._deleteRecord(mkKey(['draft', draftId, 'attachments'])),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'drafts']), draftId)
+    ])
+  }
+
+  getDraftTimelineIds(draftId) {
+    return this._getAllListElements(mkKey(['draft', draftId, 'timelines']))
+  }
+
+  setDraftTimelineIds(draftId, timelineIds) {
+    return this._replaceListElements(mkKey(['draft', draftId, 'timelines']), timelineIds)
+  }
+
+  getDraftAttachmentIds(draftId) {
+    return this._getAllListElements(mkKey(['draft', draftId, 'attachments']))
+  }
+
+  setDraftAttachmentIds(draftId, attachmentIds) {
+    return this._replaceListElements(mkKey(['draft', draftId, 'attachments']), attachmentIds)
+  }
+
+  ///////////////////////////////////////////////////
+  // Notifications
+  ///////////////////////////////////////////////////
+
+  async createNotification(payload) {
+    let notificationId  = uuid.v4()
+    let notificationKey = mkKey(['notification', notificationId])
+    let exists          = await this._existsRecord(notificationKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    let promises = [
+      this._createRecord(notificationKey, payload),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'notifications']), payload.createdAt, notificationId)
+    ]
+
+    if (payload.isRead !== '1') {
+      promises.push(this._addElementToSet(mkKey(['user', payload.userId, 'unread_notifications']), notificationId))
+    }
+
+    await Promise.all(promises)
+
+    return notificationId
+  }
+
+  async getNotificationById(id, params) {
+    const attrs = await this.findRecordById('notification', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(Notification, attrs, id, params)
+  }
+
+  async getNotificationsByIds(ids, params) {
+    const responses = await this.findRecordsByIds('notification', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(Notification, attrs, ids[i], params))
+
+    return objects
+  }
+
+  // the most recent notifications go first
+  getUserNotificationIds(userId, offset, limit) {
+    return this._getSortedSetElements(mkKey(['user', userId, 'notifications']), offset, offset + limit - 1)
+  }
+
+  getUnreadNotificationIds(userId) {
+    return this._getSetElements(mkKey(['user', userId, 'unread_notifications']))
+  }
+
+  getUnreadNotificationsCount(userId) {
+    return this._getSetElementsCount(mkKey(['user', userId, 'unread_notifications']))
+  }
+
+  markNotificationsAsRead(userId, notificationIds) {
+    let promises = notificationIds.map(id => this._updateRecord(mkKey(['notification', id]), { isRead: '1' }))
+    promises.push(this._removeElementFromSet(mkKey(['user', userId, 'unread_notifications']), notificationIds))
+
+    return Promise.all(promises)
+  }
+
+  ///////////////////////////////////////////////////
+  // Direct messages
+  ///////////////////////////////////////////////////
+
+  markDirectPostAsUnread(userIds, postId, time) {
+    return Promise.all(userIds.map(userId => this._addElementToSortedSet(mkKey(['user', userId, 'unread_directs']), time, postId)))
+  }
+
+  markDirectPostAsRead(userId, postId, time) {
+    return Promise.all([
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'unread_directs']), postId),
+      this.database.hsetAsync(mkKey(['post', postId, 'direct_reads']), userId, time)
+    ])
+  }
+
+  // [postId, score] pairs, the most recently active posts go first
+  getUnreadDirectPostsRangeWithScores(userId, startIndex, finishIndex) {
+    return this._getSortedSetElementsWithScores(mkKey(['user', userId, 'unread_directs']), startIndex, finishIndex)
+  }
+
+  getUnreadDirectPostsCountWithScore(userId, score) {
+    return this.database.zcountAsync(mkKey(['user', userId, 'unread_directs']), score, score)
+  }
+
+  getUnreadDirectPostsBeforeScore(userId, score, limit) {
+    return this._getSortedSetElementsWithScoresByScore(mkKey(['user', userId, 'unread_directs']), score, '-inf', limit)
+  }
+
+  getUnreadDirectPostsAfterScore(userId, score, limit) {
+    return this._getSortedSetElementsWithScoresByScoreAscending(mkKey(['user', userId, 'unread_directs']), score, '+inf', limit)
+  }
+
+  getUnreadDirectsCount(userId) {
+    return this._getSortedSetElementsCount(mkKey(['user', userId, 'unread_directs']))
+  }
+
+  async isDirectPostUnread(userId, postId) {
+    const score = await this._getSortedSetElementScore(mkKey(['user', userId, 'unread_directs']), postId)
+    return score !== null
+  }
+
+  // userId => time of the latest read
+  async getDirectPostReads(postId) {
+    const reads = await this._getRecord(mkKey(['post', postId, 'direct_reads']))
+    return reads || {}
+  }
+
+  deleteDirectPostReads(postId, userIds) {
+    const promises = userIds.map(userId => this._removeElementFromSortedSet(mkKey(['user', userId, 'unread_directs']), postId))
+    promises.push(this._deleteRecord(mkKey(['post', postId, 'direct_reads'])))
+
+    return Promise.all(promises)
+  }
+
+  ///////////////////////////////////////////////////
+  // Email digest
+  ///////////////////////////////////////////////////
+
+  getDigestSubscriberIds() {
+    return this._getSetElements(mkKey(['email_digest', 'subscribers']))
+  }
+
+  addDigestSubscriber(userId) {
+    return this._addElementToSet(mkKey(['email_digest', 'subscribers']), userId)
+  }
+
+  removeDigestSubscriber(userId) {
+    return this._removeElementFromSet(mkKey(['email_digest', 'subscribers']), userId)
+  }
+
+  ///////////////////////////////////////////////////
+  // Webhooks
+  ///////////////////////////////////////////////////
+
+  async createWebhook(payload) {
+    let webhookId  = uuid.v4()
+    let webhookKey = mkKey(['webhook', webhookId])
+    let exists     = await this._existsRecord(webhookKey)
+
+    if (exists !== 0) {
+      throw new Error("Already exists")
+    }
+
+    await Promise.all([
+      this._createRecord(webhookKey, payload),
+      this._addElementToSet(mkKey(['feed', payload.feedId, 'webhooks']), webhookId),
+      this._addElementToSortedSet(mkKey(['user', payload.userId, 'webhooks']), payload.createdAt, webhookId)
+    ])
+
+    return webhookId
+  }
+
+  async getWebhookById(id, params) {
+    const attrs = await this.findRecordById('webhook', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return DbAdapter.initObject(Webhook, attrs, id, params)
+  }
+
+  async getWebhooksByIds(ids, params) {
+    const responses = await this.findRecordsByIds('webhook', ids)
+    const objects = responses.map((attrs, i) => DbAdapter.initObject(Webhook, attrs, ids[i], params))
+
+    return objects
+  }
+
+  // webhooks registered by the user, the most recent go first
+  getUserWebhookIds(userId) {
+    return this._getAllSortedSetElements(mkKey(['user', userId, 'webhooks']))
+  }
+
+  getFeedWebhookIds(feedId) {
+    return this._getSetElements(mkKey(['feed', feedId, 'webhooks']))
+  }
+
+  deleteWebhook(webhookId, userId, feedId) {
+    return Promise.all([
+      this._deleteRecord(mkKey(['webhook', webhookId])),
+      this._removeElementFromSet(mkKey(['feed', feedId, 'webhooks']), webhookId),
+      this._removeElementFromSortedSet(mkKey(['user', userId, 'webhooks']), webhookId)
+    ])
+  }
+
+  async createWebhookDelivery(webhookId, payload) {
+    let deliveryId = uuid.v4()
+
+    await Promise.all([
+      this._createRecord(mkKey(['webhook_delivery', deliveryId]), payload),
+      this._addElementToSortedSet(mkKey(['webhook', webhookId, 'deliveries']), payload.createdAt, deliveryId)
+    ])
+
+    return deliveryId
+  }
+
+  async getWebhookDeliveryById(id) {
+    const attrs = await this.findRecordById('webhook_delivery', id)
+
+    if (!attrs) {
+      return null
+    }
+
+    return { ...attrs, id }
+  }
+
+  async getWebhookDeliveriesByIds(ids) {
+    const responses = await this.findRecordsByIds('webhook_delivery', ids)
+
+    return responses
+      .map((attrs, i) => attrs ? { ...attrs, id: ids[i] } : null)
+      .filter(Boolean)
+  }
+
+  // the most recent deliveries go first
+  getWebhookDeliveryIds(webhookId) {
+    return this._getAllSortedSetElements(mkKey(['webhook', webhookId, 'deliveries']))
+  }
+
+  updateWebhookDelivery(deliveryId, payload) {
+    return this._updateRecord(mkKey(['webhook_delivery', deliveryId]), payload)
+  }
+
+  /**
+   * Keeps only the given number of the most recent deliveries in the log
+   */
+  async trimWebhookDeliveries(webhookId, size) {
+    const deliveryIds = await this._getSortedSetElements(mkKey(['webhook', webhookId, 'deliveries']), size, -1)
+    return this.deleteWebhookDeliveries(webhookId, deliveryIds)
+  }
+
+  deleteWebhookDeliveries(webhookId, deliveryIds) {
+    if (deliveryIds.length === 0) {
+      return Promise.resolve()
+    }
+
+    let promises = deliveryIds.map(deliveryId => this._deleteRecord(mkKey(['webhook_delivery', deliveryId])))
+    promises.push(
+      this._removeElementFromSortedSet(mkKey(['webhook', webhookId, 'deliveries']), deliveryIds),
+      this._removeElementFromSortedSet('webhook_deliveries', deliveryIds)
+    )
+
+    return Promise.all(promises)
+  }
+
+  queueWebhookDelivery(deliveryId, time) {
+    return this._addElementToSortedSet('webhook_deliveries', time, deliveryId)
+  }
+
+  /**
+   * Removes the delivery from the queue. Returns true if it was there,
+   * so only one dispatcher sends the delivery.
+   */
+  async unqueueWebhookDelivery(deliveryId) {
+    const removed = await this._removeElementFromSortedSet('webhook_deliveries', deliveryId)
+    return removed === 1
+  }
+
+  // the deliveries which should be sent by the given time, the oldest go first
+  async getDueWebhookDeliveryIds(time, limit) {
+    const pairs = await this._getSortedSetElementsWithScoresByScoreAscending('webhook_deliveries', '-inf', time, limit)
+    return pairs.map(([deliveryId]) => deliveryId)
+  }
+
+  ///////////////////////////////////////////////////
+  // Search index
+  ///////////////////////////////////////////////////
+
+  getPostSearchWords(postId) {
+    return this._getSetElements(mkKey(['post', postId, 'words']))
+  }
+
+  addPostSearchWords(postId, time, words) {
+    return this._addSearchWords('post', postId, time, words)
+  }
+
+  removePostSearchWords(postId, words) {
+    return this._removeSearchWords('post', postId, words)
+  }
+
+  getCommentSearchWords(commentId) {
+    return this._getSetElements(mkKey(['comment', commentId, 'words']))
+  }
+
+  addCommentSearchWords(commentId, time, words) {
+    return this._addSearchWords('comment', commentId, time, words)
+  }
+
+  removeCommentSearchWords(commentId, words) {
+    return this._removeSearchWords('comment', commentId, words)
+  }
+
+  /**
+   * Search results are read by pages with getSearchResultsPage(). Returns
+   * results of posts containing all the words, optionally limited to posts
+   * present in the specified timeline
+   */
+  searchPostIds(words, timelineId) {
+    let keys = words.map(word => mkKey(['search', word, 'posts']))
+    let weights = keys.map(() => 1)
+
+    if (timelineId) {
+      // zero weight keeps post creation time as a score
+      keys.push(mkKey(['timeline', timelineId, 'posts']))
+      weights.push(0)
+    }
+
+    return this._createSearchResults(keys, weights)
+  }
+
+  /**
+   * Returns results of comments containing all the words
+   */
+  searchCommentIds(words) {
+    let keys = words.map(word => mkKey(['search', word, 'comments']))
+    let weights = keys.map(() => 1)
+
+    return this._createSearchResults(keys, weights)
+  }
+
+  /**
+   * Returns up to `limit` [id, time] pairs of the results starting from
+   * `offset`, the most recent first
+   */
+  getSearchResultsPage(results, offset, limit) {
+    return this._getSortedSetElementsWithScores(results.key, offset, offset + limit - 1)
+  }
+
+  deleteSearchResults(results) {
+    return results.isTemporary ? this._deleteRecord(results.key) : Promise.resolve()
+  }
+
+  // a single word is read right from its index, several words are
+  // intersected into a temporary key, which expires if it is not
+  // deleted by deleteSearchResults()
+  async _createSearchResults(keys, weights) {
+    if (keys.length === 1) {
+      return { key: keys[0], isTemporary: false }
+    }
+
+    const key = mkKey(['search', 'random', uuid.v4()])
+
+    await this.database.multi()
+      .zinterstore(key, keys.length, ...keys, 'WEIGHTS', ...weights, 'AGGREGATE', 'MAX')
+      .expire(key, 60)
+      .execAsync()
+
+    return { key, isTemporary: true }
+  }
+
+  _addSearchWords(modelName, modelId, time, words) {
+    if (words.length === 0) {
+      return Promise.resolve()
+    }
+
+    let promises = words.map(word => this._addElementToSortedSet(mkKey(['search', word, `${modelName}s`]), time, modelId))
+    promises.push(this._addElementToSet(mkKey([modelName, modelId, 'words']), words))
+
+    return Promise.all(promises)
+  }
+
+  _removeSearchWords(modelName, modelId, words) {
+    if (words.length === 0) {
+      return Promise.resolve()
+    }
+
+    let promises = words.map(word => this._removeElementFromSortedSet(mkKey(['search', word, `${modelName}s`]), modelId))
+    promises.push(this._removeElementFromSet(mkKey([modelName, modelId, 'words']), words))
+
+    return Promise.all(promises)
+  }
+
+  ///////////////////////////////////////////////////
+  // Hashtags
+  ///////////////////////////////////////////////////
+
+  getPostHashtags(postId) {
+    return this._getSetElements(mkKey(['post', postId, 'hashtags']))
+  }
+
+  addPostHashtags(postId, time, tags) {
+    if (tags.length === 0) {
+      return Promise.resolve()
+    }
+
+    let promises = tags.map(tag => this._addElementToSortedSet(mkKey(['hashtag', tag, 'posts']), time, postId))
+    promises.push(this._addElementToSet(mkKey(['post', postId, 'hashtags']), tags))
+
+    return Promise.all(promises)
+  }
+
+  removePostHashtags(postId, tags) {
+    if (tags.length === 0) {
+      return Promise.resolve()
+    }
+
+    let promises = tags.map(tag => this._removeElementFromSortedSet(mkKey(['hashtag', tag, 'posts']), postId))
+    promises.push(this._removeElementFromSet(mkKey(['post', postId, 'hashtags']), tags))
+
+    return Promise.all(promises)
+  }
+
+  // Hashtag posts are read like timeline posts: [postId, score] pairs by
+  // index, the most recent first, or starting from the score
+  getHashtagPostsRangeWithScores(tag, startIndex, finishIndex) {
+    return this._getSortedSetElementsWithScores(mkKey(['hashtag', tag, 'posts']), startIndex, finishIndex)
+  }
+
+  getHashtagPostsCountWithScore(tag, score) {
+    return this.database.zcountAsync(mkKey(['hashtag', tag, 'posts']), score, score)
+  }
+
+  getHashtagPostsBeforeScore(tag, score, limit) {
+    return this._getSortedSetElementsWithScoresByScore(mkKey(['hashtag', tag, 'posts']), score, '-inf', limit)
+  }
+
+  getHashtagPostsAfterScore(tag, score, limit) {
+    return this._getSortedSetElementsWithScoresByScoreAscending(mkKey(['hashtag', tag, 'posts']), score, '+inf', limit)
+  }
+
+  ///////////////////////////////////////////////////
+  // Timeline utils
+  ///////////////////////////////////////////////////
+
+
+  _getTimelinesIntersectionPosts(key) {
+    return this.database.zrangeAsync(key, 0, -1)
+  }
+
+  ///////////////////////////////////////////////////
+  // AbstractModel
+  ///////////////////////////////////////////////////
+
+  findRecordById(modelName, modelId) {
     return this._getRecord(mkKey([modelName, modelId]))
   }
 
@@ -840,6 +2054,23 @@ export class DbAdapter {
     return this._getSortedSetElements(key, 0, -1)
   }
 
+  async _getSortedSetElementsWithScores(key, fromIndex, toIndex) {
+    const result = await this.database.zrevrangeAsync(key, fromIndex, toIndex, 'WITHSCORES')
+    return chunk(result, 2).map(([element, score]) => [element, parseFloat(score)])
+  }
+
+  // Both methods return [element, score] pairs: the first one starts from
+  // the highest score, the second one from the lowest
+  async _getSortedSetElementsWithScoresByScore(key, maxScore, minScore, limit) {
+    const result = await this.database.zrevrangebyscoreAsync(key, maxScore, minScore, 'WITHSCORES', 'LIMIT', 0, limit)
+    return chunk(result, 2).map(([element, score]) => [element, parseFloat(score)])
+  }
+
+  async _getSortedSetElementsWithScoresByScoreAscending(key, minScore, maxScore, limit) {
+    const result = await this.database.zrangebyscoreAsync(key, minScore, maxScore, 'WITHSCORES', 'LIMIT', 0, limit)
+    return chunk(result, 2).map(([element, score]) => [element, parseFloat(score)])
+  }
+
   _addElementToSortedSet(key, score, element) {
     return this.database.zaddAsync(key, score, element)
   }
@@ -892,6 +2123,16 @@ export class DbAdapter {
     return this.database.lremAsync(key, 0, element)
   }
 
+  _replaceListElements(key, elements) {
+    const multi = this.database.multi().del(key)
+
+    if (elements.length > 0) {
+      multi.rpush(key, elements)
+    }
+
+    return multi.execAsync()
+  }
+
   ///////////////////////////////////////////////////
 
   _normalizeUserEmail(email) {
@@ -1,3 +1,8 @@
+import { load as configLoader } from '../../config/config'
+
+
+const config = configLoader()
+
 const CHANNEL_NAMES = {
   POST_CREATED:      'post:new',
   POST_UPDATED:      'post:update',
@@ -8,7 +13,68 @@ const CHANNEL_NAMES = {
   COMMENT_UPDATED:   'comment:update',
   COMMENT_DESTROYED: 'comment:destroy',
   LIKE_ADDED:        'like:new',
-  LIKE_REMOVED:      'like:remove'
+  LIKE_REMOVED:      'like:remove',
+
+  COMMENT_LIKE_ADDED:   'comment_like:new',
+  COMMENT_LIKE_REMOVED: 'comment_like:remove',
+
+  REACTION_ADDED:    'reaction:new',
+  REACTION_REMOVED:  'reaction:remove',
+
+  NOTIFICATION_CREATED: 'notification:new',
+  NOTIFICATIONS_READ:   'notification:read',
+
+  ACCESS_CHANGED: 'access:change'
+}
+
+const LAST_EVENT_ID_KEY = 'pubsub:last_event_id'
+
+const roomEventsKey = (room) => `pubsub:room:${room}:events`
+
+// Takes the next eventId, logs the message to the rooms and publishes
+// it in one step, so that with several server processes the events
+// still get to the logs and to the clients in the order of their ids.
+//
+// KEYS: the last event id, then the logs of the rooms
+// ARGV: channel, the message data without eventId, log size and TTL
+const PUBLISH_LOGGED_SCRIPT = `
+  local eventId = redis.call('INCR', KEYS[1])
+  local data = '{"eventId":' .. eventId .. ',' .. string.sub(ARGV[2], 2)
+  local entry = '{"channel":' .. cjson.encode(ARGV[1]) .. ',"data":' .. data .. '}'
+
+  for i = 2, #KEYS do
+    redis.call('ZADD', KEYS[i], eventId, entry)
+    redis.call('ZREMRANGEBYRANK', KEYS[i], 0, -tonumber(ARGV[3]) - 1)
+    redis.call('EXPIRE', KEYS[i], ARGV[4])
+  end
+
+  return redis.call('PUBLISH', ARGV[1], data)
+`
+
+/**
+ * Returns realtime rooms which get the message, the way PubsubListener
+ * routes it
+ */
+function getRooms(channel, data) {
+  if (channel === CHANNEL_NAMES.NOTIFICATION_CREATED || channel === CHANNEL_NAMES.NOTIFICATIONS_READ) {
+    return [`user:${data.userId}`]
+  }
+
+  if (channel === CHANNEL_NAMES.ACCESS_CHANGED) {
+    return []
+  }
+
+  const rooms = []
+
+  if (data.timelineId) {
+    rooms.push(`timeline:${data.timelineId}`)
+  }
+
+  if (data.postId && (!data.timelineId || channel === CHANNEL_NAMES.POST_DESTROYED)) {
+    rooms.push(`post:${data.postId}`)
+  }
+
+  return rooms
 }
 
 export class PubSubAdapter {
@@ -64,8 +130,76 @@ export class PubSubAdapter {
 
   ///////////////////////////////////////////////////
 
-  _publish(channel, payload) {
-    return this.redisClient.publishAsync(channel, payload)
+  commentLikeAdded(payload) {
+    return this._publish(CHANNEL_NAMES.COMMENT_LIKE_ADDED, payload)
+  }
+
+  commentLikeRemoved(payload) {
+    return this._publish(CHANNEL_NAMES.COMMENT_LIKE_REMOVED, payload)
+  }
+
+  ///////////////////////////////////////////////////
+
+  reactionAdded(payload) {
+    return this._publish(CHANNEL_NAMES.REACTION_ADDED, payload)
+  }
+
+  reactionRemoved(payload) {
+    return this._publish(CHANNEL_NAMES.REACTION_REMOVED, payload)
+  }
+
+  ///////////////////////////////////////////////////
+
+  notificationCreated(payload) {
+    return this._publish(CHANNEL_NAMES.NOTIFICATION_CREATED, payload)
+  }
+
+  notificationsRead(payload) {
+    return this._publish(CHANNEL_NAMES.NOTIFICATIONS_READ, payload)
+  }
+
+  ///////////////////////////////////////////////////
+
+  accessChanged(payload) {
+    return this._publish(CHANNEL_NAMES.ACCESS_CHANGED, payload)
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Returns messages of the room published after the given event id,
+   * in order: [{ channel, data }, ...]
+   */
+  async getRoomEvents(room, sinceEventId) {
+    const messages = await this.redisClient.zrangebyscoreAsync(roomEventsKey(room), `(${sinceEventId}`, '+inf')
+    return messages.map(message => JSON.parse(message))
+  }
+
+  ///////////////////////////////////////////////////
+
+  /**
+   * Messages to realtime rooms get an eventId and are kept in the
+   * bounded logs of the rooms, so that reconnecting clients can get
+   * the events they have missed
+   */
+  async _publish(channel, payload) {
+    const data = JSON.parse(payload)
+    const rooms = getRooms(channel, data)
+
+    if (rooms.length === 0) {
+      return this.redisClient.publishAsync(channel, payload)
+    }
+
+    return this.redisClient.evalAsync(
+      PUBLISH_LOGGED_SCRIPT,
+      rooms.length + 1,
+      LAST_EVENT_ID_KEY,
+      ...rooms.map(roomEventsKey),
+      channel,
+      JSON.stringify(data),
+      config.eventLog.size,
+      config.eventLog.ttl
+    )
   }
 }
 
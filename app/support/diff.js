@@ -0,0 +1,103 @@
+// texts longer than this (in words and spaces, multiplied) are diffed as
+// a whole replacement, so that the table stays small
+const MAX_TABLE_SIZE = 1000000
+
+const tokenize = (text) => (text || '').match(/\s+|\S+/g) || []
+
+const addPart = (parts, type, tokens) => {
+  if (tokens.length === 0) {
+    return
+  }
+
+  const text = tokens.join('')
+  const last = parts[parts.length - 1]
+
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
+
+/**
+ * Word level diff of two texts as a list of {type, text} parts, where
+ * type is 'equal', 'delete' (the text is only in oldText) or 'insert'
+ * (the text is only in newText). Whitespace is kept, so equal and
+ * deleted parts make oldText, equal and inserted ones make newText.
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText)
+  const b = tokenize(newText)
+
+  let prefix = 0
+
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++
+  }
+
+  let suffix = 0
+
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++
+  }
+
+  const oldTokens = a.slice(prefix, a.length - suffix)
+  const newTokens = b.slice(prefix, b.length - suffix)
+  const parts = []
+
+  addPart(parts, 'equal', a.slice(0, prefix))
+
+  if (oldTokens.length * newTokens.length > MAX_TABLE_SIZE) {
+    addPart(parts, 'delete', oldTokens)
+    addPart(parts, 'insert', newTokens)
+  } else {
+    diffTokens(parts, oldTokens, newTokens)
+  }
+
+  addPart(parts, 'equal', a.slice(a.length - suffix))
+
+  return parts
+}
+
+// longest common subsequence, lengths[i][j] is the one of the
+// tokens starting from i and j
+function diffTokens(parts, a, b) {
+  const lengths = []
+
+  for (let i = a.length; i >= 0; i--) {
+    lengths[i] = new Uint32Array(b.length + 1)
+
+    for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+      lengths[i][j] = (a[i] === b[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  let i = 0
+  let j = 0
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      addPart(parts, 'equal', [a[i++]])
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      addPart(parts, 'delete', [a[i++]])
+    } else {
+      addPart(parts, 'insert', [b[j++]])
+    }
+  }
+
+  addPart(parts, 'delete', a.slice(i))
+  addPart(parts, 'insert', b.slice(j))
+}
+
+/**
+ * Adds the diff against the body which replaced it to every revision
+ * of the list, from the oldest to the newest one. The newest revision
+ * was replaced by the current body.
+ */
+export function addRevisionDiffs(revisions, currentBody) {
+  return revisions.map((revision, i) => {
+    const nextBody = (i + 1 < revisions.length) ? revisions[i + 1].body : currentBody
+    return { ...revision, diff: diffWords(revision.body, nextBody) }
+  })
+}
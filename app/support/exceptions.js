@@ -2,6 +2,9 @@ exports.reportError = function(res) {
   return function(err) {
     var status = err.status || 422
     var result = {}
+    if (err.retryAfter) {
+      res.set('Retry-After', err.retryAfter)
+    }
     if ('message' in err) {
       result.err = err.message
     }
@@ -32,3 +35,24 @@ exports.NotFoundException = function(message) {
   this.message = message || "Not found"
   this.status = 404
 }
+
+/**
+ * Error of the OAuth2 token endpoint, `error` is one of the codes
+ * defined in RFC 6749, section 5.2
+ * @constructor
+ */
+exports.OAuthException = function(error, message) {
+  this.error = error
+  this.message = message
+  this.status = error === 'invalid_client' ? 401 : 400
+}
+
+/**
+ * The client should wait for `retryAfter` seconds before trying again
+ * @constructor
+ */
+exports.TooManyRequestsException = function(retryAfter, message) {
+  this.message = message || "Too many requests, please try again later"
+  this.status = 429
+  this.retryAfter = retryAfter
+}
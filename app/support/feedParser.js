@@ -0,0 +1,166 @@
+import _ from 'lodash'
+
+
+const ENTITIES = {
+  amp:  '&',
+  lt:   '<',
+  gt:   '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = (entity[1].toLowerCase() === 'x')
+        ? parseInt(entity.substr(2), 16)
+        : parseInt(entity.substr(1), 10)
+
+      try {
+        return String.fromCodePoint(code)
+      } catch (e) {
+        return match
+      }
+    }
+
+    return ENTITIES[entity.toLowerCase()] || match
+  })
+}
+
+/**
+ * Returns text content of XML fragment: CDATA sections are taken as is,
+ * everything else is unescaped
+ */
+function getText(xml) {
+  const parts = xml.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+
+  return parts.map((part) => {
+    if (part.indexOf('<![CDATA[') === 0) {
+      return part.slice(9, -3)
+    }
+
+    return decodeEntities(part)
+  }).join('').trim()
+}
+
+function stripHtml(html) {
+  const text = html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+
+  return decodeEntities(text)
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+}
+
+function parseAttributes(text) {
+  const attributes = {}
+  const attributeRegex = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let match
+
+  while ((match = attributeRegex.exec(text || '')) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(_.isUndefined(match[2]) ? match[3] : match[2])
+  }
+
+  return attributes
+}
+
+/**
+ * Finds all the elements with the given tag name and returns their
+ * attributes and raw inner XML
+ */
+function getElements(xml, tagName) {
+  const elementRegex = new RegExp(`<${tagName}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tagName}\\s*>)`, 'gi')
+  const elements = []
+  let match
+
+  while ((match = elementRegex.exec(xml)) !== null) {
+    elements.push({
+      attributes: parseAttributes(match[1]),
+      content:    match[2] || ''
+    })
+  }
+
+  return elements
+}
+
+function getElementText(xml, ...tagNames) {
+  for (let tagName of tagNames) {
+    const element = getElements(xml, tagName)[0]
+
+    if (element) {
+      const text = getText(element.content)
+
+      if (text.length > 0) {
+        return text
+      }
+    }
+  }
+
+  return ''
+}
+
+function parseDate(text) {
+  const time = Date.parse(text)
+  return _.isNaN(time) ? null : time
+}
+
+function parseRssItem(xml) {
+  const link = getElementText(xml, 'link')
+
+  return {
+    guid:        getElementText(xml, 'guid') || link,
+    title:       stripHtml(getElementText(xml, 'title')),
+    link,
+    text:        stripHtml(getElementText(xml, 'description', 'content:encoded')),
+    publishedAt: parseDate(getElementText(xml, 'pubDate', 'dc:date'))
+  }
+}
+
+function parseAtomEntry(xml) {
+  const links = getElements(xml, 'link').map(element => element.attributes)
+  const alternate = _.find(links, attrs => !attrs.rel || attrs.rel === 'alternate')
+  const link = alternate ? (alternate.href || '') : ''
+
+  return {
+    guid:        getElementText(xml, 'id') || link,
+    title:       stripHtml(getElementText(xml, 'title')),
+    link,
+    text:        stripHtml(getElementText(xml, 'summary', 'content')),
+    publishedAt: parseDate(getElementText(xml, 'published', 'updated'))
+  }
+}
+
+/**
+ * Parses RSS 2.0 or Atom document. This is not a validating XML parser:
+ * it only extracts the fields we need to import feed entries as posts.
+ *
+ * Returns {title, entries} where every entry has guid, title, link, text
+ * (plain text, HTML is stripped) and publishedAt (timestamp or null).
+ * Entries without guid are skipped. Throws if document is neither RSS
+ * nor Atom.
+ */
+export function parseFeed(xml) {
+  xml = (xml || '').replace(/<!--[\s\S]*?-->/g, '')
+
+  let entries
+    , channel
+
+  if (/<feed[\s>]/.test(xml)) {
+    entries = getElements(xml, 'entry').map(element => parseAtomEntry(element.content))
+    channel = xml.replace(/<entry[\s>][\s\S]*?<\/entry\s*>/gi, '')
+  } else if (/<(rss|rdf:RDF)[\s>]/.test(xml)) {
+    entries = getElements(xml, 'item').map(element => parseRssItem(element.content))
+    channel = xml.replace(/<item[\s>][\s\S]*?<\/item\s*>/gi, '')
+  } else {
+    throw new Error('Unknown feed format')
+  }
+
+  return {
+    title: stripHtml(getElementText(channel, 'title')),
+    entries: entries.filter(entry => entry.guid.length > 0)
+  }
+}
@@ -0,0 +1,31 @@
+import _ from 'lodash'
+
+
+// Tags consist of the same characters as search words (see support/search),
+// "#" which is a part of a word, URL or HTML entity does not start a tag
+const HASHTAG_REGEX = /(^|[^#&/\w])#([\w\u00C0-\u1FFF\u2070-\u2FFF\u3040-\uFFFF]+)/g
+
+/**
+ * Returns unique lowercased hashtags (without "#") found in text. Tags
+ * consisting of digits only, like "#1", are not hashtags.
+ */
+export function getHashtags(text) {
+  const tags = []
+  let match
+
+  HASHTAG_REGEX.lastIndex = 0
+
+  while ((match = HASHTAG_REGEX.exec(text || '')) !== null) {
+    const tag = match[2].toLowerCase()
+
+    if (!/^[0-9_]+$/.test(tag)) {
+      tags.push(tag)
+    }
+  }
+
+  return _.uniq(tags)
+}
+
+export function normalizeHashtag(tag) {
+  return (tag || '').replace(/^#/, '').trim().toLowerCase()
+}
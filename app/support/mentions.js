@@ -0,0 +1,32 @@
+import _ from 'lodash'
+
+
+// "@" which is a part of a word or an email address does not start a mention.
+// Usernames of groups may contain dashes, but can't start or end with them.
+const MENTION_REGEX = /(^|[^\w@.-])@([a-z0-9]+(?:-[a-z0-9]+)*)/gi
+
+/**
+ * Finds @username references in text. Returns [{username, offset, length}]
+ * where username is lowercased, and offset and length point to the
+ * reference including "@" (in UTF-16 code units, as String#substr does).
+ */
+export function getMentions(text) {
+  const mentions = []
+  let match
+
+  MENTION_REGEX.lastIndex = 0
+
+  while ((match = MENTION_REGEX.exec(text || '')) !== null) {
+    mentions.push({
+      username: match[2].toLowerCase(),
+      offset:   match.index + match[1].length,
+      length:   match[2].length + 1
+    })
+  }
+
+  return mentions
+}
+
+export function getMentionedUsernames(text) {
+  return _.uniq(getMentions(text).map(mention => mention.username))
+}
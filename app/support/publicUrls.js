@@ -0,0 +1,149 @@
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import url from 'url'
+
+import { promisifyAll } from 'bluebird'
+import fetch from 'node-fetch'
+
+import { load as configLoader } from '../../config/config'
+
+
+promisifyAll(dns)
+
+let config = configLoader()
+
+// [address, prefix length] of loopback, private, link-local, multicast
+// and other special-purpose IPv4 networks
+const PRIVATE_IPV4_NETWORKS = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]
+
+const ipv4ToInt = (address) => address.split('.').reduce((result, octet) => result * 256 + parseInt(octet, 10), 0)
+
+const isPrivateIPv4 = (address) => {
+  const ip = ipv4ToInt(address)
+
+  return PRIVATE_IPV4_NETWORKS.some(([network, prefix]) => {
+    const size = Math.pow(2, 32 - prefix)
+    return Math.floor(ip / size) === Math.floor(ipv4ToInt(network) / size)
+  })
+}
+
+const isPrivateIPv6 = (address) => {
+  address = address.toLowerCase()
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address)
+
+  if (mapped) {
+    return isPrivateIPv4(mapped[1])
+  }
+
+  const first = parseInt(address.split(':')[0] || '0', 16)
+
+  return first < 0x100                  // ::, ::1 and other reserved ones
+    || (first & 0xfe00) === 0xfc00      // fc00::/7, unique local
+    || (first & 0xffc0) === 0xfe80      // fe80::/10, link-local
+    || (first & 0xffc0) === 0xfec0      // fec0::/10, site-local
+    || (first & 0xff00) === 0xff00      // ff00::/8, multicast
+}
+
+export function isPrivateAddress(address) {
+  switch (net.isIP(address)) {
+    case 4:
+      return isPrivateIPv4(address)
+    case 6:
+      return isPrivateIPv6(address)
+    default:
+      return true
+  }
+}
+
+/**
+ * Tells whether the http(s) URL points to a public host: all addresses
+ * of the host must be public. Hosts of config.outgoingRequests.allowedHosts
+ * are not checked.
+ */
+export async function isPublicUrl(urlString) {
+  const { protocol, hostname } = url.parse(urlString || '')
+
+  if ((protocol !== 'http:' && protocol !== 'https:') || !hostname) {
+    return false
+  }
+
+  if (config.outgoingRequests.allowedHosts.indexOf(hostname) !== -1) {
+    return true
+  }
+
+  let addresses
+
+  try {
+    addresses = await dns.lookupAsync(hostname.replace(/^\[|\]$/g, ''), { all: true })
+  } catch (e) {
+    return false
+  }
+
+  return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address))
+}
+
+/**
+ * dns.lookup() for sockets of requests to public hosts. The host is
+ * resolved again when the socket connects, so it fails on private
+ * addresses: otherwise the host could be rebound to an internal address
+ * after isPublicUrl() has checked it.
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err)
+      return
+    }
+
+    // `address` is a list if options.all is set
+    const addresses = Array.isArray(address) ? address : [{ address }]
+    const isAllowed = config.outgoingRequests.allowedHosts.indexOf(hostname) !== -1
+
+    if (!isAllowed && (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address)))) {
+      callback(new Error(`${hostname} does not resolve to a public address`))
+      return
+    }
+
+    callback(null, address, family)
+  })
+}
+
+const agents = {
+  'http:':  new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+}
+
+/**
+ * fetch() for URLs given by users. The host is checked right before the
+ * request and once more when the request connects to it, and redirects
+ * are not followed, since their targets would not be checked.
+ */
+export async function fetchPublicUrl(urlString, options = {}) {
+  if (!await isPublicUrl(urlString)) {
+    throw new Error('URL does not point to a public host')
+  }
+
+  const { protocol } = url.parse(urlString)
+
+  return fetch(urlString, { ...options, agent: agents[protocol], follow: 0 })
+}
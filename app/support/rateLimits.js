@@ -0,0 +1,84 @@
+import { dbAdapter } from '../models'
+import { load as configLoader } from '../../config/config'
+import exceptions, { TooManyRequestsException } from './exceptions'
+
+
+let config = configLoader()
+
+const getLimit = (name) => config.rateLimits.enabled ? config.rateLimits[name] : null
+
+/**
+ * Throws TooManyRequestsException while `id` is locked out of the
+ * `name` limit
+ */
+export async function checkRateLimit(name, id) {
+  const limit = getLimit(name)
+
+  if (!limit || !limit.lockout) {
+    return
+  }
+
+  const retryAfter = await dbAdapter.getRateLimitLockoutTTL(name, id)
+
+  if (retryAfter > 0) {
+    throw new TooManyRequestsException(retryAfter)
+  }
+}
+
+/**
+ * Counts a hit of `id` against the `name` limit of config.rateLimits.
+ * Once there are more than maxHits hits within the window, the id gets
+ * TooManyRequestsException till the end of the window or, if the limit
+ * has a lockout, for the lockout time.
+ */
+export async function hitRateLimit(name, id) {
+  const limit = getLimit(name)
+
+  if (!limit) {
+    return
+  }
+
+  await checkRateLimit(name, id)
+
+  const hits = await dbAdapter.addRateLimitHit(name, id, limit.window)
+
+  if (hits <= limit.maxHits) {
+    return
+  }
+
+  if (limit.lockout) {
+    await dbAdapter.setRateLimitLockout(name, id, limit.lockout)
+    await dbAdapter.deleteRateLimitHits(name, id)
+
+    throw new TooManyRequestsException(limit.lockout)
+  }
+
+  throw new TooManyRequestsException(await dbAdapter.getRateLimitWindowTTL(name, id))
+}
+
+export async function resetRateLimit(name, id) {
+  if (getLimit(name)) {
+    await dbAdapter.deleteRateLimitHits(name, id)
+  }
+}
+
+/**
+ * Counts every request against the `name` limit by the id which
+ * getId(req) returns. Requests without an id are not limited.
+ */
+export function rateLimit(name, getId) {
+  return async (req, res, next) => {
+    const id = getId(req)
+
+    if (id) {
+      try {
+        await hitRateLimit(name, id)
+      } catch (e) {
+        exceptions.reportError(res)(e)
+        return
+      }
+    }
+
+    next()
+  }
+}
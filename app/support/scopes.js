@@ -0,0 +1,23 @@
+import exceptions, { ForbiddenException } from './exceptions'
+
+
+/**
+ * Requests authenticated with personal access tokens or by OAuth clients
+ * reach the actions allowed by the scopes of the token only. Elsewhere
+ * the token owner is treated as anonymous, so actions which are not
+ * marked with a scope are never available to such tokens.
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.accessToken) {
+      if (!req.accessToken.hasScope(scope)) {
+        exceptions.reportError(res)(new ForbiddenException(`The access token does not have the "${scope}" scope`))
+        return
+      }
+
+      req.user = req.accessTokenOwner
+    }
+
+    next()
+  }
+}
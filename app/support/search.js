@@ -0,0 +1,72 @@
+import _ from 'lodash'
+
+
+// Anything except latin letters, digits, underscore and non-ASCII letters
+// (general and CJK punctuation are separators too)
+const WORD_SEPARATORS = /[^\w\u00C0-\u1FFF\u2070-\u2FFF\u3040-\uFFFF]+/
+
+/**
+ * Splits text into unique lowercased words which are used as keys of
+ * the search index
+ */
+export function getWords(text) {
+  if (!text) {
+    return []
+  }
+
+  const words = text.toLowerCase()
+    .split(WORD_SEPARATORS)
+    .filter(word => word.length > 0)
+
+  return _.uniq(words)
+}
+
+export function normalizePhrase(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Parses search query. The following syntax is supported:
+ *
+ *   kittens puppies   - posts and comments containing both words
+ *   "cute kittens"    - posts and comments containing the exact phrase
+ *   from:username     - only posts and comments written by this user
+ *   in:groupname      - only posts published to this group (or user) feed
+ */
+export function parseQuery(query) {
+  const result = {
+    words:   [],
+    phrases: [],
+    from:    null,
+    in:      null
+  }
+
+  const tokenRegex = /"([^"]*)"?|(\S+)/g
+  let match
+
+  while ((match = tokenRegex.exec(query || '')) !== null) {
+    if (!_.isUndefined(match[1])) {
+      const phrase = normalizePhrase(match[1])
+
+      if (phrase.length > 0) {
+        result.phrases.push(phrase)
+        result.words.push(...getWords(phrase))
+      }
+
+      continue
+    }
+
+    const operator = /^(from|in):(.+)$/i.exec(match[2])
+
+    if (operator) {
+      result[operator[1].toLowerCase()] = operator[2].toLowerCase()
+      continue
+    }
+
+    result.words.push(...getWords(match[2]))
+  }
+
+  result.words = _.uniq(result.words)
+
+  return result
+}
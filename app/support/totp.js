@@ -0,0 +1,110 @@
+import crypto from 'crypto'
+
+
+// RFC 6238 defaults, the only ones authenticator apps support reliably
+const TIME_STEP = 30 // s
+const DIGITS = 6
+const WINDOW = 1 // steps
+
+// a code is accepted for this long, so used codes should be remembered as long
+export const CODE_LIFETIME = (2 * WINDOW + 1) * TIME_STEP // s
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export function base32Encode(buffer) {
+  let output = ''
+  let bits = 0
+  let value = 0
+
+  for (let i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i]
+    bits += 8
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+export function base32Decode(text) {
+  const chars = text.toUpperCase().replace(/[\s=]/g, '')
+  const bytes = []
+  let bits = 0
+  let value = 0
+
+  for (let i = 0; i < chars.length; i++) {
+    const index = BASE32_ALPHABET.indexOf(chars[i])
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${chars[i]}`)
+    }
+
+    value = (value << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return new Buffer(bytes)
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Returns the otpauth:// URL which authenticator apps read from QR codes
+ */
+export function getOtpauthUrl(secret, accountName, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`
+}
+
+export function getTimeStep(time) {
+  return Math.floor(time / 1000 / TIME_STEP)
+}
+
+export function generateCode(secret, step) {
+  const counter = new Buffer(8).fill(0)
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0)
+  counter.writeUInt32BE(step % 0x100000000, 4)
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS)
+
+  return `000000${code}`.slice(-DIGITS)
+}
+
+/**
+ * Returns the time step the code belongs to, or null if the code is not
+ * valid. Codes of the adjacent steps are accepted too, as clocks of
+ * phones drift.
+ */
+export function verifyCode(secret, code, time, window = WINDOW) {
+  const normalizedCode = `${code}`.replace(/\s/g, '')
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalizedCode)) {
+    return null
+  }
+
+  const currentStep = getTimeStep(time)
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (generateCode(secret, step) === normalizedCode) {
+      return step
+    }
+  }
+
+  return null
+}
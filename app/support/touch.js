@@ -0,0 +1,17 @@
+// lastUsedAt of sessions and access tokens is not updated on every request
+const TOUCH_INTERVAL = 60 * 1000 // ms
+
+/**
+ * Sets lastUsedAt of the record to now and saves it with `save(lastUsedAt)`,
+ * unless the record has been touched within TOUCH_INTERVAL
+ */
+export async function touch(record, save) {
+  const now = new Date().getTime()
+
+  if (record.lastUsedAt && now - parseInt(record.lastUsedAt, 10) < TOUCH_INTERVAL) {
+    return
+  }
+
+  record.lastUsedAt = now
+  await save(now.toString())
+}
@@ -0,0 +1,65 @@
+import { dbAdapter } from './models'
+
+
+/**
+ * Sends queued webhook deliveries whose time has come, including
+ * retries of the failed ones. Checks the queue every
+ * `config.webhooks.checkInterval` milliseconds.
+ */
+export default class WebhookDispatcher {
+  constructor(app) {
+    this.app = app
+    this.isRunning = false
+
+    this.timer = setInterval(this.sendDueDeliveries.bind(this), app.config.webhooks.checkInterval)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+  }
+
+  async sendDueDeliveries(time = new Date().getTime()) {
+    if (this.isRunning) {
+      return 0
+    }
+
+    this.isRunning = true
+
+    let count = 0
+
+    try {
+      const deliveryIds = await dbAdapter.getDueWebhookDeliveryIds(time, this.app.config.webhooks.batchSize)
+
+      for (let deliveryId of deliveryIds) {
+        if (!await dbAdapter.unqueueWebhookDelivery(deliveryId)) {
+          continue
+        }
+
+        const delivery = await dbAdapter.getWebhookDeliveryById(deliveryId)
+        const webhook = delivery ? await dbAdapter.getWebhookById(delivery.webhookId) : null
+
+        if (null === webhook) {
+          continue
+        }
+
+        try {
+          if (await webhook.deliver(delivery)) {
+            count++
+          }
+        } catch (e) {
+          this.app.logger.error(`failed to send webhook delivery ${deliveryId}`, e)
+        }
+      }
+
+      if (count > 0) {
+        this.app.logger.info(`sent ${count} webhook deliveries`)
+      }
+    } catch (e) {
+      this.app.logger.error('webhook dispatcher error', e)
+    } finally {
+      this.isRunning = false
+    }
+
+    return count
+  }
+}
@@ -31,6 +31,7 @@ async function selectEnvironment(app) {
 
   app.set('redisdb', config.database)
   app.set('port', process.env.PORT || config.port)
+  app.set('trust proxy', config.trustProxy)
 
   await selectDatabase()
 
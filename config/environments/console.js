@@ -24,6 +24,9 @@ export function getConfig() {
     origin: 'http://localhost:3333',
     appRoot: '.',
     acceptHashedPasswordsOnly: false,
+    // IPs of the clients are taken from X-Forwarded-For if the server
+    // runs behind a proxy, see the "trust proxy" setting of express
+    trustProxy: false,
 
     logLevel: 'warn',
     recaptcha: {
@@ -49,7 +52,8 @@ export function getConfig() {
     USERNAME_STOP_LIST: ['anonymous', 'public', 'about', 'signin', 'logout',
                          'signup', 'filter', 'settings', 'account', 'groups',
                          'friends', 'list', 'search', 'summary', 'share','404',
-                         'iphone', 'attachments', 'files', 'profilepics', 'requests']
+                         'iphone', 'attachments', 'files', 'profilepics', 'requests',
+                         'tag']
   }
 
   config.media = {
@@ -96,10 +100,115 @@ export function getConfig() {
     fromName: 'Pepyatka',
     fromEmail: 'mail@pepyatka.com',
     resetPasswordMailSubject: 'Pepyatka password reset',
+    dailyDigestMailSubject: 'Pepyatka daily digest',
+    emailVerificationMailSubject: 'Pepyatka email verification',
+    emailChangedMailSubject: 'Your Pepyatka email address has been changed',
     host: config.origin,
     options: {}
   }
 
+  config.importedFeeds = {
+    // Poll external feeds in background
+    enabled: false,
+    pollInterval: 15 * 60 * 1000, // ms
+    timeout: 10000, // ms
+    maxSize: 1024 * 1024, // bytes
+    maxFeedsPerUser: 10,
+    maxEntriesPerPoll: 10
+  }
+
+  config.reactions = {
+    // 'like' is always allowed: it is the good old like
+    emoji: ['👍', '❤️', '😂', '😮', '😢', '😡']
+  }
+
+  config.scheduledPosts = {
+    // Publish pending posts in background
+    enabled: false,
+    checkInterval: 10000, // ms
+    batchSize: 100,
+    // a post which failed to publish is retried after this delay
+    retryDelay: 60 * 1000 // ms
+  }
+
+  config.emailDigest = {
+    // Send daily digests in background
+    enabled: false,
+    checkInterval: 60 * 60 * 1000, // ms
+    maxPosts: 10
+  }
+
+  config.outgoingRequests = {
+    // Webhooks and imported feeds may not point to hosts with private
+    // addresses, except these
+    allowedHosts: []
+  }
+
+  config.webhooks = {
+    // Send webhook deliveries in background
+    enabled: false,
+    checkInterval: 5000, // ms
+    batchSize: 100,
+    timeout: 10000, // ms
+    maxAttempts: 5,
+    retryDelay: 60 * 1000, // ms, doubled after each failed attempt
+    maxPerFeed: 10,
+    logSize: 100
+  }
+
+  config.eventLog = {
+    // Events kept for realtime clients which reconnect
+    size: 100, // per room
+    ttl: 60 * 60 // s
+  }
+
+  config.eventStream = {
+    heartbeatInterval: 15000, // ms
+    retryInterval: 3000 // ms
+  }
+
+  config.sessions = {
+    // Sessions are prolonged as they are used
+    ttl: 30 * 24 * 60 * 60 // s
+  }
+
+  config.twoFactor = {
+    // Name shown for the account in authenticator apps
+    issuer: 'Pepyatka',
+    challengeTTL: 5 * 60, // s, to enter the code after the password
+    maxChallengeAttempts: 5,
+    recoveryCodesCount: 10
+  }
+
+  config.oauth = {
+    // Lifetimes of what is issued to OAuth clients
+    codeTTL: 10 * 60, // s
+    accessTokenTTL: 60 * 60, // s
+    refreshTokenTTL: 90 * 24 * 60 * 60 // s
+  }
+
+  config.emailVerification = {
+    tokenTTL: 2 * 24 * 60 * 60, // s
+    // Accounts without a verified email (including those which signed up
+    // before verification was introduced) can not post when it is false
+    allowUnverifiedToPost: true
+  }
+
+  config.rateLimits = {
+    enabled: true,
+    // Each limit allows maxHits within window (s). Once the limit is
+    // exceeded, requests are rejected till the end of the window or, if
+    // there is a lockout (s), for the lockout time.
+    signInByIp:              { maxHits: 30, window: 10 * 60 },
+    signInFailures:          { maxHits: 5, window: 15 * 60, lockout: 15 * 60 },
+    passwordResetByIp:       { maxHits: 10, window: 60 * 60 },
+    passwordResetByEmail:    { maxHits: 3, window: 60 * 60, lockout: 60 * 60 },
+    signUpByIp:              { maxHits: 10, window: 60 * 60 },
+    emailVerificationByUser: { maxHits: 5, window: 60 * 60 },
+    // All requests of a signed in user or of a token, set to null to disable
+    api:                     { maxHits: 600, window: 60 }
+  }
+
   config.redis = {
     host: 'localhost',
     port: 6379,
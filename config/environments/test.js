@@ -13,6 +13,7 @@ export function getConfig() {
     origin: 'http://localhost:3333',
     appRoot: '.',
     acceptHashedPasswordsOnly: false,
+    trustProxy: false,
 
     logLevel: 'warn',
     onboardingUsername: 'welcome',
@@ -26,7 +27,8 @@ export function getConfig() {
   var defaultStopList = ['anonymous', 'public', 'about', 'signin', 'logout',
                          'signup', 'filter', 'settings', 'account', 'groups',
                          'friends', 'list', 'search', 'summary', 'share','404',
-                         'iphone', 'attachments', 'files', 'profilepics', 'requests']
+                         'iphone', 'attachments', 'files', 'profilepics', 'requests',
+                         'tag']
 
   config.application = {
     DEFAULT_STOP_LIST: defaultStopList,
@@ -59,9 +61,99 @@ export function getConfig() {
 
   config.mailer = {
     transport: stubTransport,
+    dailyDigestMailSubject: 'Pepyatka daily digest',
+    host: config.origin,
     options: {}
   }
 
+  config.importedFeeds = {
+    enabled: false,
+    pollInterval: 15 * 60 * 1000, // ms
+    timeout: 10000, // ms
+    maxSize: 1024 * 1024, // bytes
+    maxFeedsPerUser: 2,
+    maxEntriesPerPoll: 10
+  }
+
+  config.reactions = {
+    emoji: ['👍', '❤️', '😂']
+  }
+
+  config.scheduledPosts = {
+    enabled: false,
+    checkInterval: 10000, // ms
+    batchSize: 100,
+    // a post which failed to publish is retried after this delay
+    retryDelay: 60 * 1000 // ms
+  }
+
+  config.emailDigest = {
+    enabled: false,
+    checkInterval: 60 * 60 * 1000, // ms
+    maxPosts: 10
+  }
+
+  config.outgoingRequests = {
+    // Webhooks and imported feeds may not point to hosts with private
+    // addresses, except these
+    allowedHosts: ['127.0.0.1']
+  }
+
+  config.webhooks = {
+    enabled: false,
+    checkInterval: 5000, // ms
+    batchSize: 100,
+    timeout: 10000, // ms
+    maxAttempts: 5,
+    retryDelay: 60 * 1000, // ms, doubled after each failed attempt
+    maxPerFeed: 2,
+    logSize: 100
+  }
+
+  config.eventLog = {
+    size: 100, // per room
+    ttl: 60 * 60 // s
+  }
+
+  config.eventStream = {
+    heartbeatInterval: 15000, // ms
+    retryInterval: 3000 // ms
+  }
+
+  config.sessions = {
+    ttl: 30 * 24 * 60 * 60 // s
+  }
+
+  config.twoFactor = {
+    issuer: 'Pepyatka',
+    challengeTTL: 5 * 60, // s, to enter the code after the password
+    maxChallengeAttempts: 5,
+    recoveryCodesCount: 10
+  }
+
+  config.oauth = {
+    codeTTL: 10 * 60, // s
+    accessTokenTTL: 60 * 60, // s
+    refreshTokenTTL: 90 * 24 * 60 * 60 // s
+  }
+
+  config.emailVerification = {
+    tokenTTL: 2 * 24 * 60 * 60, // s
+    allowUnverifiedToPost: true
+  }
+
+  // tests come from the same IP
+  config.rateLimits = {
+    enabled: true,
+    signInByIp:              { maxHits: 10000, window: 10 * 60 },
+    signInFailures:          { maxHits: 5, window: 15 * 60, lockout: 15 * 60 },
+    passwordResetByIp:       { maxHits: 10000, window: 60 * 60 },
+    passwordResetByEmail:    { maxHits: 3, window: 60 * 60, lockout: 60 * 60 },
+    signUpByIp:              { maxHits: 10000, window: 60 * 60 },
+    emailVerificationByUser: { maxHits: 5, window: 60 * 60 },
+    api:                     { maxHits: 10000, window: 60 }
+  }
+
   config.redis = {
     host: 'localhost',
     port: 6379,
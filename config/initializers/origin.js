@@ -6,7 +6,8 @@ const config = configLoader()
 export function init(req, res, next) {
   res.setHeader('Access-Control-Allow-Origin', config.origin)
   res.setHeader('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS')
-  res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, X-Authentication-Token, Access-Control-Request-Method")
+  res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, X-Authentication-Token, Authorization, Access-Control-Request-Method")
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
 
   return next()
 }
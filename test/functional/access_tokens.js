@@ -0,0 +1,106 @@
+/*eslint-env node, mocha */
+/*global $database */
+import fetch from 'node-fetch'
+
+import { getSingleton } from '../../app/app'
+import { AccessToken } from '../../app/models'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("AccessTokensController", () => {
+  let app
+
+  before(async () => {
+    app = await getSingleton()
+  })
+
+  let luna
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+    luna = await funcTestHelper.createUserAsync('luna', 'pw')
+  })
+
+  const createAccessToken = async (scopes) => {
+    const response = await funcTestHelper.createAccessToken(luna, { name: 'Bot', scopes })
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.accessTokens
+  }
+
+  const request = (token, method, path, body) => {
+    return fetch(`${app.config.host}${path}`, {
+      method,
+      headers: {
+        'Content-Type':           'application/json',
+        'X-Authentication-Token': token
+      },
+      body: body && JSON.stringify(body)
+    })
+  }
+
+  const createPost = (token) => request(token, 'POST', '/v1/posts', { post: { body: 'Post' }, meta: { feeds: 'luna' } })
+
+  it('should be listed without the token itself', async () => {
+    const accessToken = await createAccessToken(['read'])
+    accessToken.token.should.match(/^pat_/)
+
+    const response = await funcTestHelper.getAccessTokens(luna)
+    const data = await response.json()
+
+    data.accessTokens.length.should.eql(1)
+    data.accessTokens[0].name.should.eql('Bot')
+    data.accessTokens[0].scopes.should.eql(['read'])
+    data.accessTokens[0].should.not.have.property('token')
+  })
+
+  it('should not be created with unknown scopes', async () => {
+    const response = await funcTestHelper.createAccessToken(luna, { name: 'Bot', scopes: ['read', 'admin'] })
+    response.status.should.eql(400)
+  })
+
+  it('should give access to the actions of its scopes', async () => {
+    const { token } = await createAccessToken(['read'])
+
+    let response = await request(token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.users.id.should.eql(luna.user.id)
+
+    response = await createPost(token)
+    response.status.should.eql(403)
+  })
+
+  it('should allow posting with the post scope', async () => {
+    const { token } = await createAccessToken(['post'])
+
+    const response = await createPost(token)
+    response.status.should.eql(200)
+  })
+
+  it('should not give access to actions without a scope', async () => {
+    const { token } = await createAccessToken(AccessToken.SCOPES)
+
+    const response = await request(token, 'GET', '/v1/sessions')
+    response.status.should.eql(401)
+  })
+
+  it('should be accepted in the header only', async () => {
+    const { token } = await createAccessToken(['read'])
+
+    const response = await fetch(`${app.config.host}/v1/users/whoami?authToken=${token}`)
+    response.status.should.eql(401)
+  })
+
+  it('should be revoked', async () => {
+    const accessToken = await createAccessToken(['read'])
+
+    let response = await funcTestHelper.removeAccessToken(luna, accessToken.id)
+    response.status.should.eql(200)
+
+    response = await request(accessToken.token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(401)
+  })
+})
@@ -184,6 +184,47 @@ describe("CommentsController", function() {
     })
   })
 
+  describe('#revisions()', () => {
+    let luna
+      , mars
+      , post
+      , comment
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+
+      post = await funcTestHelper.createAndReturnPost(luna, 'Post body')
+
+      const response = await funcTestHelper.createCommentAsync(mars, post.id, 'Comment body')
+      const data = await response.json()
+      comment = data.comments
+    })
+
+    it('should keep previous bodies of the comment', async () => {
+      let response = await funcTestHelper.updateCommentAsync(mars, comment.id, 'New body')
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.comments.should.have.property('editedAt')
+
+      const history = await funcTestHelper.getCommentRevisions(comment.id, luna)
+      history.history.revisions.should.have.length(1)
+      history.revisions[0].body.should.eql('Comment body')
+      history.revisions[0].createdBy.should.eql(mars.user.id)
+    })
+
+    it('should not show revisions of comments to private post to strangers', async () => {
+      await funcTestHelper.updateCommentAsync(mars, comment.id, 'New body')
+      await funcTestHelper.goPrivate(luna)
+
+      const history = await funcTestHelper.getCommentRevisions(comment.id, mars)
+      history.err.should.eql("Can't find comment")
+    })
+  })
+
   describe('#destroy()', function() {
     let lunaContext = {},
         marsContext = {},
@@ -261,4 +302,191 @@ describe("CommentsController", function() {
       response.status.should.eql(401)
     })
   })
+
+  describe('replies', () => {
+    let luna
+      , mars
+      , post
+      , parentId
+
+    const getComments = async (userContext) => {
+      const response = await funcTestHelper.readPostAsync(post.id, userContext)
+      const data = await response.json()
+
+      return data.comments || []
+    }
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+
+      post = await funcTestHelper.createAndReturnPost(luna, 'Post body')
+
+      const response = await funcTestHelper.createCommentAsync(luna, post.id, 'Parent comment')
+      const data = await response.json()
+      parentId = data.comments.id
+    })
+
+    it('should create reply to a comment', async () => {
+      const response = await funcTestHelper.createReplyAsync(mars, post.id, parentId, 'Reply')
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.comments.body.should.eql('Reply')
+      data.comments.parentCommentId.should.eql(parentId)
+
+      const comments = await getComments(luna)
+      comments.length.should.eql(2)
+      comments[0].should.not.have.property('parentCommentId')
+      comments[1].parentCommentId.should.eql(parentId)
+    })
+
+    it('should not reply to a comment of another post', async () => {
+      const anotherPost = await funcTestHelper.createAndReturnPost(mars, 'Another post')
+
+      const response = await funcTestHelper.createReplyAsync(mars, anotherPost.id, parentId, 'Reply')
+      response.status.should.eql(400)
+    })
+
+    it('should not reply to a missing comment', async () => {
+      const response = await funcTestHelper.createReplyAsync(mars, post.id, 'no-such-comment', 'Reply')
+      response.status.should.eql(400)
+    })
+
+    it('should leave tombstone when parent with replies is removed', async () => {
+      let response = await funcTestHelper.createReplyAsync(mars, post.id, parentId, 'Reply')
+      const replyId = (await response.json()).comments.id
+
+      response = await funcTestHelper.removeCommentAsync(luna, parentId)
+      response.status.should.eql(200)
+
+      const comments = await getComments(mars)
+      comments.length.should.eql(2)
+
+      comments[0].id.should.eql(parentId)
+      comments[0].isDeleted.should.eql('1')
+      comments[0].should.not.have.property('body')
+      comments[0].should.not.have.property('createdBy')
+
+      comments[1].id.should.eql(replyId)
+      comments[1].parentCommentId.should.eql(parentId)
+    })
+
+    it('should not reply to a tombstone', async () => {
+      await funcTestHelper.createReplyAsync(mars, post.id, parentId, 'Reply')
+      await funcTestHelper.removeCommentAsync(luna, parentId)
+
+      const response = await funcTestHelper.createReplyAsync(mars, post.id, parentId, 'Another reply')
+      response.status.should.eql(403)
+    })
+
+    it('should remove tombstone with its last reply', async () => {
+      let response = await funcTestHelper.createReplyAsync(mars, post.id, parentId, 'Reply')
+      const replyId = (await response.json()).comments.id
+
+      await funcTestHelper.removeCommentAsync(luna, parentId)
+      response = await funcTestHelper.removeCommentAsync(mars, replyId)
+      response.status.should.eql(200)
+
+      const comments = await getComments(luna)
+      comments.should.be.empty
+    })
+
+    it('should remove parent without replies completely', async () => {
+      const response = await funcTestHelper.removeCommentAsync(luna, parentId)
+      response.status.should.eql(200)
+
+      const comments = await getComments(luna)
+      comments.should.be.empty
+    })
+  })
+
+  describe('#like() and #unlike()', () => {
+    let luna
+      , mars
+      , jupiter
+      , post
+      , commentId
+
+    const getComment = async (userContext) => {
+      const response = await funcTestHelper.readPostAsync(post.id, userContext)
+      const data = await response.json()
+
+      return data.comments[0]
+    }
+
+    beforeEach(async () => {
+      [luna, mars, jupiter] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw'),
+        funcTestHelper.createUserAsync('jupiter', 'pw')
+      ])
+
+      post = await funcTestHelper.createAndReturnPost(luna, 'Post body')
+
+      const response = await funcTestHelper.createCommentAsync(luna, post.id, 'Good comment')
+      const data = await response.json()
+      commentId = data.comments.id
+    })
+
+    it('should not like comment if anonymous', async () => {
+      const response = await funcTestHelper.likeComment(commentId, {})
+      response.status.should.eql(401)
+    })
+
+    it('should like comment', async () => {
+      const response = await funcTestHelper.likeComment(commentId, mars)
+      response.status.should.eql(200)
+
+      const comment = await getComment(luna)
+      comment.likes.should.eql([mars.user.id])
+    })
+
+    it('should show likes of the current user first', async () => {
+      await funcTestHelper.likeComment(commentId, mars)
+      await funcTestHelper.likeComment(commentId, jupiter)
+
+      let comment = await getComment(mars)
+      comment.likes.should.eql([mars.user.id, jupiter.user.id])
+
+      comment = await getComment(jupiter)
+      comment.likes.should.eql([jupiter.user.id, mars.user.id])
+    })
+
+    it('should not like comment twice', async () => {
+      await funcTestHelper.likeComment(commentId, mars)
+
+      const response = await funcTestHelper.likeComment(commentId, mars)
+      response.status.should.eql(403)
+    })
+
+    it('should not like own comment', async () => {
+      const response = await funcTestHelper.likeComment(commentId, luna)
+      response.status.should.eql(403)
+    })
+
+    it('should not like comment in invisible post', async () => {
+      await funcTestHelper.goPrivate(luna)
+
+      const response = await funcTestHelper.likeComment(commentId, mars)
+      response.status.should.eql(404)
+    })
+
+    it('should unlike comment', async () => {
+      await funcTestHelper.likeComment(commentId, mars)
+
+      const response = await funcTestHelper.unlikeComment(commentId, mars)
+      response.status.should.eql(200)
+
+      const comment = await getComment(luna)
+      comment.should.not.have.property('likes')
+    })
+
+    it('should not unlike comment which is not liked', async () => {
+      const response = await funcTestHelper.unlikeComment(commentId, mars)
+      response.status.should.eql(403)
+    })
+  })
 })
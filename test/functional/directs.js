@@ -0,0 +1,166 @@
+/*eslint-env node, mocha */
+/*global $database, $should */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("Direct messages", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  let luna
+    , mars
+    , jupiter
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+  })
+
+  beforeEach(async () => {
+    [luna, mars, jupiter] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw'),
+      funcTestHelper.createUserAsync('jupiter', 'pw')
+    ])
+
+    await funcTestHelper.mutualSubscriptions([luna, mars, jupiter])
+  })
+
+  const sendDirect = async (userContext, recipients, body) => {
+    const response = await funcTestHelper.createPostToFeeds(userContext, recipients.map(ctx => ctx.username), body)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.posts
+  }
+
+  const getUnreadDirectsCount = async (userContext) => {
+    const data = await funcTestHelper.whoami(userContext)
+    return data.users.unreadDirectsCount
+  }
+
+  const readPost = async (postId, userContext) => {
+    const response = await funcTestHelper.readPostAsync(postId, userContext)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.posts
+  }
+
+  it('should be unread for the recipients only', async () => {
+    const post = await sendDirect(luna, [mars, jupiter], 'Direct')
+
+    const counts = await Promise.all([luna, mars, jupiter].map(getUnreadDirectsCount))
+    counts.should.eql([0, 1, 1])
+
+    const marsPost = await readPost(post.id, mars)
+    marsPost.isUnread.should.be.true
+
+    const lunaPost = await readPost(post.id, luna)
+    lunaPost.should.not.have.property('isUnread')
+  })
+
+  it('should be marked as read', async () => {
+    const post = await sendDirect(luna, [mars], 'Direct')
+
+    const response = await funcTestHelper.markPostAsRead(mars, post.id)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.unreadDirectsCount.should.eql(0)
+
+    const count = await getUnreadDirectsCount(mars)
+    count.should.eql(0)
+
+    const marsPost = await readPost(post.id, mars)
+    marsPost.should.not.have.property('isUnread')
+  })
+
+  it('should not be marked as read by outsiders', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    const response = await funcTestHelper.markPostAsRead(mars, post.id)
+    response.status.should.eql(403)
+  })
+
+  it('should become unread again after a new comment', async () => {
+    const post = await sendDirect(luna, [mars], 'Direct')
+    await funcTestHelper.markPostAsRead(mars, post.id)
+
+    await funcTestHelper.createCommentAsync(mars, post.id, 'Reply')
+
+    const counts = await Promise.all([luna, mars].map(getUnreadDirectsCount))
+    counts.should.eql([1, 0])
+  })
+
+  it('should show read receipts to the sender only', async () => {
+    const post = await sendDirect(luna, [mars, jupiter], 'Direct')
+    await funcTestHelper.markPostAsRead(mars, post.id)
+
+    const lunaPost = await readPost(post.id, luna)
+    lunaPost.readReceipts.length.should.eql(2)
+
+    const marsReceipt = lunaPost.readReceipts.find(receipt => receipt.user === mars.user.id)
+    $should.exist(marsReceipt.readAt)
+
+    const jupiterReceipt = lunaPost.readReceipts.find(receipt => receipt.user === jupiter.user.id)
+    $should.not.exist(jupiterReceipt.readAt)
+
+    const marsPost = await readPost(post.id, mars)
+    marsPost.should.not.have.property('readReceipts')
+  })
+
+  it('should be filtered by the unread state', async () => {
+    const post1 = await sendDirect(luna, [mars], 'Direct 1')
+    const post2 = await sendDirect(luna, [mars], 'Direct 2')
+    await funcTestHelper.markPostAsRead(mars, post1.id)
+
+    let data = await funcTestHelper.getDirects(mars)
+    data.timelines.posts.length.should.eql(2)
+
+    data = await funcTestHelper.getDirects(mars, { unread: '1' })
+    data.timelines.posts.should.eql([post2.id])
+  })
+
+  it('should page unread directs with cursors', async () => {
+    const post1 = await sendDirect(luna, [mars], 'Direct 1')
+    const post2 = await sendDirect(luna, [mars], 'Direct 2')
+
+    let data = await funcTestHelper.getDirects(mars, { unread: '1', limit: 1 })
+    data.timelines.posts.should.eql([post2.id])
+    const { prevCursor } = data.timelines
+
+    data = await funcTestHelper.getDirects(mars, { unread: '1', limit: 1, before: data.timelines.nextCursor })
+    data.timelines.posts.should.eql([post1.id])
+
+    // a new comment brings the post up
+    await funcTestHelper.createCommentAsync(luna, post1.id, 'Ping')
+
+    data = await funcTestHelper.getDirects(mars, { unread: '1', after: prevCursor })
+    data.timelines.posts.should.eql([post1.id])
+  })
+
+  it('should fill unread directs pages past hidden posts', async () => {
+    const post1 = await sendDirect(luna, [mars], 'Direct 1')
+    await sendDirect(jupiter, [mars], 'Direct 2')
+    const post3 = await sendDirect(luna, [mars], 'Direct 3')
+    await funcTestHelper.banUser(mars, jupiter)
+
+    let data = await funcTestHelper.getDirects(mars, { unread: '1', limit: 1 })
+    data.timelines.posts.should.eql([post3.id])
+
+    data = await funcTestHelper.getDirects(mars, { unread: '1', limit: 1, before: data.timelines.nextCursor })
+    data.timelines.posts.should.eql([post1.id])
+  })
+
+  it('should not have unread state or read receipts for other posts', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    const lunaPost = await readPost(post.id, luna)
+    lunaPost.should.not.have.property('readReceipts')
+
+    const marsPost = await readPost(post.id, mars)
+    marsPost.should.not.have.property('isUnread')
+  })
+})
@@ -0,0 +1,138 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import { mkKey } from '../../app/support/DbAdapter'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("DraftsController", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  let luna
+    , mars
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+  })
+
+  beforeEach(async () => {
+    [luna, mars] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw')
+    ])
+  })
+
+  const createDraft = async (draft, feeds) => {
+    const response = await funcTestHelper.createDraft(luna, draft, feeds)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.drafts
+  }
+
+  it('should save draft', async () => {
+    const draft = await createDraft({ body: 'Unfinished post' }, ['luna'])
+
+    const response = await funcTestHelper.getDrafts(luna)
+    const data = await response.json()
+
+    data.drafts.length.should.eql(1)
+    data.drafts[0].id.should.eql(draft.id)
+    data.drafts[0].body.should.eql('Unfinished post')
+    data.drafts[0].postedTo.length.should.eql(1)
+
+    const timeline = await funcTestHelper.getUserPostsTimeline('luna', luna)
+    timeline.should.not.have.property('posts')
+  })
+
+  it('should update draft', async () => {
+    const draft = await createDraft({ body: 'Unfinished post' }, ['luna'])
+
+    let response = await funcTestHelper.updateDraft(luna, draft.id, { body: 'Almost finished post' })
+    response.status.should.eql(200)
+
+    response = await funcTestHelper.getDraft(luna, draft.id)
+    const data = await response.json()
+
+    data.drafts.body.should.eql('Almost finished post')
+    data.drafts.postedTo.length.should.eql(1)
+  })
+
+  it('should not show draft to other users', async () => {
+    const draft = await createDraft({ body: 'Unfinished post' }, ['luna'])
+
+    let response = await funcTestHelper.getDraft(mars, draft.id)
+    response.status.should.eql(404)
+
+    response = await funcTestHelper.publishDraft(mars, draft.id)
+    response.status.should.eql(404)
+
+    response = await funcTestHelper.getDrafts(mars)
+    const data = await response.json()
+    data.drafts.should.be.empty
+  })
+
+  it('should remove draft', async () => {
+    const draft = await createDraft({ body: 'Unfinished post' }, ['luna'])
+
+    let response = await funcTestHelper.removeDraft(luna, draft.id)
+    response.status.should.eql(200)
+
+    response = await funcTestHelper.getDraft(luna, draft.id)
+    response.status.should.eql(404)
+  })
+
+  it('should publish draft', async () => {
+    const draft = await createDraft({ body: 'Finished post' }, ['luna'])
+
+    let response = await funcTestHelper.publishDraft(luna, draft.id)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.posts.body.should.eql('Finished post')
+
+    const timeline = await funcTestHelper.getUserPostsTimeline('luna', luna)
+    timeline.posts.length.should.eql(1)
+    timeline.posts[0].id.should.eql(data.posts.id)
+
+    response = await funcTestHelper.getDraft(luna, draft.id)
+    response.status.should.eql(404)
+  })
+
+  it('should keep attachments of draft', async () => {
+    const attachment = await funcTestHelper.createMockAttachmentAsync(luna)
+    const draft = await createDraft({ body: 'Post with a picture', attachments: [attachment.id] }, ['luna'])
+
+    let attrs = await $database.hgetallAsync(mkKey(['attachment', attachment.id]))
+    attrs.draftId.should.eql(draft.id)
+
+    const response = await funcTestHelper.publishDraft(luna, draft.id)
+    const data = await response.json()
+    data.posts.attachments.should.eql([attachment.id])
+
+    attrs = await $database.hgetallAsync(mkKey(['attachment', attachment.id]))
+    attrs.draftId.should.eql('')
+    attrs.postId.should.eql(data.posts.id)
+  })
+
+  it("should not use another user's attachments", async () => {
+    const attachment = await funcTestHelper.createMockAttachmentAsync(mars)
+
+    const response = await funcTestHelper.createDraft(luna, { body: 'Stolen picture', attachments: [attachment.id] }, ['luna'])
+    response.status.should.eql(400)
+  })
+
+  it("should not publish draft to a group after leaving it", async () => {
+    await funcTestHelper.createGroupAsync(mars, 'pepyatka-dev')
+    await funcTestHelper.subscribeToAsync(luna, { username: 'pepyatka-dev' })
+
+    const draft = await createDraft({ body: 'Post to the group' }, ['pepyatka-dev'])
+
+    await funcTestHelper.unsubscribeFromAsync(luna, { username: 'pepyatka-dev' })
+
+    const response = await funcTestHelper.publishDraft(luna, draft.id)
+    response.status.should.eql(403)
+  })
+})
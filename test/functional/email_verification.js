@@ -0,0 +1,119 @@
+/*eslint-env node, mocha */
+/*global $database, $should */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("Email verification", () => {
+  let app
+
+  before(async () => {
+    app = await getSingleton()
+  })
+
+  let luna
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+    luna = await funcTestHelper.createUserAsync('luna', 'pw', { email: 'luna@example.com' })
+  })
+
+  it('should verify the email given at sign up', async () => {
+    let data = await funcTestHelper.whoami(luna)
+    data.users.emailVerified.should.be.false
+
+    const response = await funcTestHelper.verifyEmail(await funcTestHelper.getEmailVerificationToken(luna))
+    response.status.should.eql(200)
+
+    data = await funcTestHelper.whoami(luna)
+    data.users.email.should.eql('luna@example.com')
+    data.users.emailVerified.should.be.true
+  })
+
+  it('should not accept a token twice', async () => {
+    const token = await funcTestHelper.getEmailVerificationToken(luna)
+
+    let response = await funcTestHelper.verifyEmail(token)
+    response.status.should.eql(200)
+
+    response = await funcTestHelper.verifyEmail(token)
+    response.status.should.eql(404)
+  })
+
+  it('should keep a new email pending until it is verified', async () => {
+    await funcTestHelper.updateUserAsync(luna, { email: 'moon@example.com' })
+
+    let data = await funcTestHelper.whoami(luna)
+    data.users.email.should.eql('luna@example.com')
+    data.users.pendingEmail.should.eql('moon@example.com')
+
+    const response = await funcTestHelper.verifyEmail(await funcTestHelper.getEmailVerificationToken(luna))
+    response.status.should.eql(200)
+
+    data = await funcTestHelper.whoami(luna)
+    data.users.email.should.eql('moon@example.com')
+    data.users.emailVerified.should.be.true
+    $should.not.exist(data.users.pendingEmail)
+  })
+
+  it('should cancel the change when the current email is set back', async () => {
+    await funcTestHelper.updateUserAsync(luna, { email: 'moon@example.com' })
+    const token = await funcTestHelper.getEmailVerificationToken(luna)
+
+    await funcTestHelper.updateUserAsync(luna, { email: 'luna@example.com' })
+
+    const response = await funcTestHelper.verifyEmail(token)
+    response.status.should.eql(404)
+
+    const data = await funcTestHelper.whoami(luna)
+    data.users.email.should.eql('luna@example.com')
+    $should.not.exist(data.users.pendingEmail)
+  })
+
+  it('should not verify an email which has been taken meanwhile', async () => {
+    await funcTestHelper.updateUserAsync(luna, { email: 'moon@example.com' })
+    const token = await funcTestHelper.getEmailVerificationToken(luna)
+
+    await funcTestHelper.createUserAsync('mars', 'pw', { email: 'moon@example.com' })
+
+    const response = await funcTestHelper.verifyEmail(token)
+    response.status.should.eql(400)
+  })
+
+  it('should resend the link to an unverified email only', async () => {
+    const token = await funcTestHelper.getEmailVerificationToken(luna)
+
+    let response = await funcTestHelper.sendEmailVerification(luna)
+    response.status.should.eql(200)
+
+    // the previous link stops working
+    response = await funcTestHelper.verifyEmail(token)
+    response.status.should.eql(404)
+
+    response = await funcTestHelper.verifyEmail(await funcTestHelper.getEmailVerificationToken(luna))
+    response.status.should.eql(200)
+
+    response = await funcTestHelper.sendEmailVerification(luna)
+    response.status.should.eql(400)
+  })
+
+  describe('when unverified accounts may not post', () => {
+    beforeEach(() => {
+      app.config.emailVerification.allowUnverifiedToPost = false
+    })
+
+    afterEach(() => {
+      app.config.emailVerification.allowUnverifiedToPost = true
+    })
+
+    it('should let post after the email is verified', async () => {
+      let response = await funcTestHelper.createPostToFeeds(luna, 'luna', 'Post')
+      response.status.should.eql(403)
+
+      await funcTestHelper.verifyEmail(await funcTestHelper.getEmailVerificationToken(luna))
+
+      response = await funcTestHelper.createPostToFeeds(luna, 'luna', 'Post')
+      response.status.should.eql(200)
+    })
+  })
+})
@@ -1,4 +1,8 @@
 /*global $database */
+import http from 'http'
+import querystring from 'querystring'
+import { parse as parseUrl } from 'url'
+
 import fetch from 'node-fetch'
 import request  from 'superagent'
 import _ from 'lodash'
@@ -247,6 +251,13 @@ export function getTimelinePaged(timelinePath, authToken, offset, limit, callbac
   }(callback)
 }
 
+export async function getTimelineByCursor(timelinePath, userContext, cursor) {
+  let url = await apiUrl(timelinePath)
+  let query = _.extend({ authToken: userContext.authToken }, cursor)
+
+  return fetch(`${url}?${querystring.stringify(query)}`)
+}
+
 export function getSubscribers(username, authToken, callback) {
   return function(done) {
     let sendParams = {};
@@ -329,6 +340,28 @@ export function like(postId, authToken) {
   return postJson(`/v1/posts/${postId}/like`, { authToken })
 }
 
+export function addReaction(postId, emoji, userContext) {
+  return postJson(`/v1/posts/${postId}/reactions/${encodeURIComponent(emoji)}`, { authToken: userContext.authToken })
+}
+
+export function removeReaction(postId, emoji, userContext) {
+  return postJson(
+    `/v1/posts/${postId}/reactions/${encodeURIComponent(emoji)}`,
+    {
+      authToken: userContext.authToken,
+      '_method': 'delete'
+    }
+  )
+}
+
+export function likeComment(commentId, userContext) {
+  return postJson(`/v1/comments/${commentId}/like`, { authToken: userContext.authToken })
+}
+
+export function unlikeComment(commentId, userContext) {
+  return postJson(`/v1/comments/${commentId}/unlike`, { authToken: userContext.authToken })
+}
+
 export function updateUserAsync(userContext, user) {
   return postJson(
     `/v1/users/${userContext.user.id}`,
@@ -362,6 +395,14 @@ export function subscribeToAsync(subscriber, victim) {
   return postJson(`/v1/users/${victim.username}/subscribe`, {authToken: subscriber.authToken})
 }
 
+export function unsubscribeFromAsync(unsubscriber, victim) {
+  return postJson(`/v1/users/${victim.username}/unsubscribe`, {authToken: unsubscriber.authToken})
+}
+
+export function createGroupAsync(userContext, username, screenName) {
+  return postJson('/v1/groups', {group: {username, screenName: screenName || username}, authToken: userContext.authToken})
+}
+
 export async function mutualSubscriptions(userContexts) {
   let promises = []
 
@@ -393,10 +434,33 @@ export async function createAndReturnPost(userContext, body) {
   return data.posts
 }
 
+export function createPostToFeeds(userContext, feeds, body) {
+  return postJson('/v1/posts', { post: { body }, meta: { feeds }, authToken: userContext.authToken })
+}
+
+export function createScheduledPost(userContext, body, publishAt, feeds = userContext.username) {
+  return postJson(
+    '/v1/posts',
+    {
+      post: { body, publishAt },
+      meta: { feeds },
+      authToken: userContext.authToken
+    }
+  )
+}
+
+export function getScheduledPosts(userContext) {
+  return getTimelineAsync('/v1/posts/scheduled', userContext)
+}
+
 export function createCommentAsync (userContext, postId, body) {
   return postJson('/v1/comments', {comment: {body, postId}, authToken: userContext.authToken})
 }
 
+export function createReplyAsync(userContext, postId, parentCommentId, body) {
+  return postJson('/v1/comments', {comment: {body, postId, parentCommentId}, authToken: userContext.authToken})
+}
+
 const getTimelineAsync = async (relativeUrl, userContext) => {
   let url = await apiUrl(relativeUrl)
 
@@ -419,6 +483,14 @@ export function getMyDiscussions(userContext) {
   return getTimelineAsync('/v1/timelines/filter/discussions', userContext)
 }
 
+export function getMentions(userContext) {
+  return getTimelineAsync('/v1/timelines/filter/mentions', userContext)
+}
+
+export function getHashtagTimeline(tag, userContext) {
+  return getTimelineAsync(`/v1/timelines/tag/${encodeURIComponent(tag)}`, userContext)
+}
+
 export function sendResetPassword(email) {
   return postJson('/v1/passwords', { email })
 }
@@ -486,3 +558,314 @@ export function updatePostAsync(context, post) {
     }
   )
 }
+
+export function updateCommentAsync(userContext, commentId, body) {
+  return postJson(
+    `/v1/comments/${commentId}`,
+    {
+      authToken: userContext.authToken,
+      comment: { body },
+      '_method': 'put'
+    }
+  )
+}
+
+export function getPostRevisions(postId, userContext) {
+  return getTimelineAsync(`/v1/posts/${postId}/revisions`, userContext)
+}
+
+export function getCommentRevisions(commentId, userContext) {
+  return getTimelineAsync(`/v1/comments/${commentId}/revisions`, userContext)
+}
+
+export function deletePostAsync(context, postId) {
+  return postJson(
+    `/v1/posts/${postId}`,
+    {
+      authToken: context.authToken,
+      '_method': 'delete'
+    }
+  )
+}
+
+export function banUser(who, whom) {
+  return postJson(`/v1/users/${whom.username}/ban`, { authToken: who.authToken })
+}
+
+export async function search(userContext, query, pageParams = {}) {
+  let url = await apiUrl('/v1/search')
+  let params = { ...pageParams, q: query }
+
+  if (!_.isUndefined(userContext)) {
+    params.authToken = userContext.authToken
+  }
+
+  return fetch(`${url}?${querystring.stringify(params)}`)
+}
+
+export async function getSyndicationFeed(username, format, userContext) {
+  let url = await apiUrl(`/v1/timelines/${username}/feed.${format}`)
+
+  if (!_.isUndefined(userContext)) {
+    let encodedToken = encodeURIComponent(userContext.authToken)
+    url = `${url}?authToken=${encodedToken}`
+  }
+
+  return fetch(url)
+}
+
+export function getUserPostsTimeline(username, userContext) {
+  return getTimelineAsync(`/v1/timelines/${username}`, userContext)
+}
+
+export function createImportedFeed(userContext, url) {
+  return postJson('/v1/importedFeeds', { importedFeed: { url }, authToken: userContext.authToken })
+}
+
+export function getImportedFeeds(userContext) {
+  return postJson('/v1/importedFeeds', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function removeImportedFeed(userContext, feedId) {
+  return postJson(`/v1/importedFeeds/${feedId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function createDraft(userContext, draft, feeds) {
+  return postJson('/v1/drafts', { draft, meta: { feeds }, authToken: userContext.authToken })
+}
+
+export function getDrafts(userContext) {
+  return postJson('/v1/drafts', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function getDraft(userContext, draftId) {
+  return postJson(`/v1/drafts/${draftId}`, { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function updateDraft(userContext, draftId, draft, feeds) {
+  return postJson(`/v1/drafts/${draftId}`, { draft, meta: { feeds }, authToken: userContext.authToken, '_method': 'put' })
+}
+
+export function removeDraft(userContext, draftId) {
+  return postJson(`/v1/drafts/${draftId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function publishDraft(userContext, draftId) {
+  return postJson(`/v1/drafts/${draftId}/publish`, { authToken: userContext.authToken })
+}
+
+export function sendRequestToSubscribe(subscriber, user) {
+  return postJson(`/v1/users/${user.username}/sendRequest`, { authToken: subscriber.authToken })
+}
+
+export function acceptRequestToSubscribe(user, subscriber) {
+  return postJson(`/v1/users/acceptRequest/${subscriber.username}`, { authToken: user.authToken })
+}
+
+export function promoteToAdmin(groupName, adminContext, userContext) {
+  return postJson(`/v1/groups/${groupName}/subscribers/${userContext.username}/admin`, { authToken: adminContext.authToken })
+}
+
+export function demoteFromAdmin(groupName, adminContext, userContext) {
+  return postJson(`/v1/groups/${groupName}/subscribers/${userContext.username}/unadmin`, { authToken: adminContext.authToken })
+}
+
+export async function getNotifications(userContext, params) {
+  let url = await apiUrl('/v1/notifications')
+  let query = querystring.stringify({ ...params, authToken: userContext.authToken })
+
+  return fetch(`${url}?${query}`)
+}
+
+export function markNotificationsAsRead(userContext, notifications) {
+  return postJson('/v1/notifications/markRead', { notifications, authToken: userContext.authToken })
+}
+
+export function signIn(username, password) {
+  return postJson('/v1/session', { username, password })
+}
+
+export function confirmSignIn(twoFactorToken, code) {
+  return postJson('/v1/session/twoFactor', { twoFactorToken, code })
+}
+
+export function getSessions(userContext) {
+  return postJson('/v1/sessions', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function removeSession(userContext, sessionId) {
+  return postJson(`/v1/sessions/${sessionId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function removeAllSessions(userContext) {
+  return postJson('/v1/sessions', { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function updatePassword(userContext, currentPassword, password) {
+  return postJson('/v1/users/updatePassword', {
+    currentPassword,
+    password,
+    passwordConfirmation: password,
+    authToken: userContext.authToken,
+    '_method': 'put'
+  })
+}
+
+export function createAccessToken(userContext, accessToken) {
+  return postJson('/v1/accessTokens', { accessToken, authToken: userContext.authToken })
+}
+
+export function getAccessTokens(userContext) {
+  return postJson('/v1/accessTokens', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function removeAccessToken(userContext, accessTokenId) {
+  return postJson(`/v1/accessTokens/${accessTokenId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function createOAuthClient(userContext, client) {
+  return postJson('/v1/oauth/clients', { client, authToken: userContext.authToken })
+}
+
+export async function getOAuthAuthorizationRequest(userContext, params) {
+  let url = await apiUrl('/v1/oauth/authorize')
+  let query = querystring.stringify({ ...params, authToken: userContext.authToken })
+
+  return fetch(`${url}?${query}`)
+}
+
+export function authorizeOAuthClient(userContext, params) {
+  return postJson('/v1/oauth/authorize', { ...params, authToken: userContext.authToken })
+}
+
+export function requestOAuthToken(params) {
+  return postJson('/v1/oauth/token', params)
+}
+
+export function getOAuthAuthorizations(userContext) {
+  return postJson('/v1/oauth/authorizations', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function removeOAuthAuthorization(userContext, authorizationId) {
+  return postJson(`/v1/oauth/authorizations/${authorizationId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function enrollTwoFactor(userContext) {
+  return postJson('/v1/users/twoFactor', { authToken: userContext.authToken })
+}
+
+export function confirmTwoFactor(userContext, code) {
+  return postJson('/v1/users/twoFactor/confirm', { code, authToken: userContext.authToken })
+}
+
+export function regenerateRecoveryCodes(userContext, code) {
+  return postJson('/v1/users/twoFactor/recoveryCodes', { code, authToken: userContext.authToken })
+}
+
+export function disableTwoFactor(userContext, password, code) {
+  return postJson('/v1/users/twoFactor/disable', { password, code, authToken: userContext.authToken })
+}
+
+export function sendEmailVerification(userContext) {
+  return postJson('/v1/users/emailVerification', { authToken: userContext.authToken })
+}
+
+export function verifyEmail(token) {
+  return postJson('/v1/users/emailVerification/confirm', { token })
+}
+
+// the token which has been mailed to the user
+export function getEmailVerificationToken(userContext) {
+  return $database.hgetAsync(mkKey(['user', userContext.user.id]), 'emailVerificationToken')
+}
+
+export async function changeEmail(userContext, email) {
+  await updateUserAsync(userContext, { email })
+  return verifyEmail(await getEmailVerificationToken(userContext))
+}
+
+export function markPostAsRead(userContext, postId) {
+  return postJson(`/v1/posts/${postId}/markRead`, { authToken: userContext.authToken })
+}
+
+export async function getDirects(userContext, params) {
+  let url = await apiUrl('/v1/timelines/filter/directs')
+  let query = querystring.stringify({ ...params, authToken: userContext.authToken })
+
+  let response = await fetch(`${url}?${query}`)
+  return response.json()
+}
+
+export async function whoami(userContext) {
+  let url = await apiUrl('/v1/users/whoami')
+  let query = querystring.stringify({ authToken: userContext.authToken })
+
+  let response = await fetch(`${url}?${query}`)
+  return response.json()
+}
+
+export function createWebhook(userContext, webhook) {
+  return postJson('/v1/webhooks', { webhook, authToken: userContext.authToken })
+}
+
+export function getWebhooks(userContext) {
+  return postJson('/v1/webhooks', { authToken: userContext.authToken, '_method': 'get' })
+}
+
+export function removeWebhook(userContext, webhookId) {
+  return postJson(`/v1/webhooks/${webhookId}`, { authToken: userContext.authToken, '_method': 'delete' })
+}
+
+export function getWebhookDeliveries(userContext, webhookId) {
+  return postJson(`/v1/webhooks/${webhookId}/deliveries`, { authToken: userContext.authToken, '_method': 'get' })
+}
+
+/**
+ * Opens /v1/stream and collects the received events into `stream.events`
+ */
+export async function openEventStream(userContext, params, lastEventId) {
+  let url = await apiUrl('/v1/stream')
+  let headers = {}
+
+  if (userContext) {
+    headers['X-Authentication-Token'] = userContext.authToken
+  }
+
+  if (lastEventId) {
+    headers['Last-Event-ID'] = lastEventId
+  }
+
+  return new Promise((resolve, reject) => {
+    let req = http.get({ ...parseUrl(`${url}?${querystring.stringify(params)}`), headers }, (res) => {
+      let stream = { status: res.statusCode, events: [], isEnded: false, close: () => req.abort() }
+      let buffer = ''
+
+      res.setEncoding('utf8')
+      res.on('end', () => { stream.isEnded = true })
+      res.on('data', (chunk) => {
+        let messages = (buffer + chunk).split('\n\n')
+        buffer = messages.pop()
+
+        messages.forEach((message) => {
+          let event = {}
+
+          message.split('\n').forEach((line) => {
+            let [, field, value] = line.match(/^(\w*):\s?(.*)$/) || []
+
+            if (field) {
+              event[field] = value
+            }
+          })
+
+          if (event.event) {
+            stream.events.push({ id: event.id, type: event.event, data: JSON.parse(event.data) })
+          }
+        })
+      })
+
+      resolve(stream)
+    })
+
+    req.on('error', reject)
+  })
+}
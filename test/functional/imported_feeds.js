@@ -0,0 +1,208 @@
+/*eslint-env node, mocha */
+/*global $database, $should */
+import http from 'http'
+
+import { promisifyAll } from 'bluebird'
+
+import { getSingleton } from '../../app/app'
+import { dbAdapter } from '../../app/models'
+import * as funcTestHelper from './functional_test_helper'
+
+
+promisifyAll(http)
+
+const rssFeed = (items) => `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Luna's blog</title>
+    <link>http://example.com/</link>
+    ${items.map(item => `<item>
+      <guid>${item.guid}</guid>
+      <title>${item.title}</title>
+      <link>http://example.com/${item.guid}</link>
+    </item>`).join('')}
+  </channel>
+</rss>`
+
+describe("ImportedFeedsController", () => {
+  let fixtureServer
+    , fixtureUrl
+    , fixture
+
+  before(async () => {
+    await getSingleton()
+
+    fixtureServer = http.createServer((req, res) => {
+      if (req.url === '/redirect.rss') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' })
+        res.end()
+        return
+      }
+
+      if (req.url !== '/feed.rss') {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml' })
+      res.end(fixture)
+    })
+
+    await fixtureServer.listenAsync(0, '127.0.0.1')
+    fixtureUrl = `http://127.0.0.1:${fixtureServer.address().port}/feed.rss`
+  })
+
+  after(() => {
+    fixtureServer.close()
+  })
+
+  let luna
+    , mars
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+
+    fixture = rssFeed([
+      { guid: 'second', title: 'Second entry' },
+      { guid: 'first', title: 'First entry' }
+    ])
+
+    luna = await funcTestHelper.createUserAsync('luna', 'pw')
+    mars = await funcTestHelper.createUserAsync('mars', 'pw')
+  })
+
+  describe('#create()', () => {
+    it('should reject unauthenticated users', async () => {
+      const response = await funcTestHelper.createImportedFeed({}, fixtureUrl)
+      response.status.should.eql(401)
+    })
+
+    it('should reject invalid URLs', async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, 'ftp://example.com/feed.rss')
+      response.status.should.eql(400)
+    })
+
+    it('should add feed and import its entries as posts', async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.should.have.property('importedFeeds')
+      data.importedFeeds.url.should.eql(fixtureUrl)
+      data.importedFeeds.title.should.eql("Luna's blog")
+      data.importedFeeds.lastError.should.eql('')
+
+      const timeline = await funcTestHelper.getUserPostsTimeline('luna', luna)
+      timeline.posts.length.should.eql(2)
+      timeline.posts[0].body.should.eql('Second entry - http://example.com/second')
+      timeline.posts[1].body.should.eql('First entry - http://example.com/first')
+    })
+
+    it('should not import the same entries twice', async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+      const data = await response.json()
+
+      fixture = rssFeed([
+        { guid: 'third', title: 'Third entry' },
+        { guid: 'second', title: 'Second entry (edited)' },
+        { guid: 'first', title: 'First entry' }
+      ])
+
+      const feed = await dbAdapter.getImportedFeedById(data.importedFeeds.id)
+      const posts = await feed.poll()
+      posts.length.should.eql(1)
+      posts[0].body.should.eql('Third entry - http://example.com/third')
+
+      const timeline = await funcTestHelper.getUserPostsTimeline('luna', luna)
+      timeline.posts.length.should.eql(3)
+    })
+
+    it('should save error of unavailable feed', async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl.replace('feed.rss', 'missing.rss'))
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.importedFeeds.lastError.should.eql("Can't fetch or parse the feed")
+    })
+
+    it('should reject feeds of internal hosts', async () => {
+      const urls = [
+        fixtureUrl.replace('127.0.0.1', 'localhost'),
+        'http://10.0.0.1/feed.rss',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/feed.rss'
+      ]
+
+      for (let url of urls) {
+        const response = await funcTestHelper.createImportedFeed(luna, url)
+        response.status.should.eql(400)
+      }
+    })
+
+    it('should not follow redirects', async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl.replace('feed.rss', 'redirect.rss'))
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.importedFeeds.lastError.should.eql("Can't fetch or parse the feed")
+    })
+
+    it('should not add the same feed twice', async () => {
+      await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+      response.status.should.eql(400)
+    })
+
+    it('should limit number of feeds per user', async () => {
+      await funcTestHelper.createImportedFeed(luna, `${fixtureUrl}?1`)
+      await funcTestHelper.createImportedFeed(luna, `${fixtureUrl}?2`)
+
+      const response = await funcTestHelper.createImportedFeed(luna, `${fixtureUrl}?3`)
+      response.status.should.eql(403)
+    })
+  })
+
+  describe('#index()', () => {
+    it('should list feeds of the current user only', async () => {
+      await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+
+      let response = await funcTestHelper.getImportedFeeds(luna)
+      let data = await response.json()
+      data.importedFeeds.length.should.eql(1)
+      data.importedFeeds[0].url.should.eql(fixtureUrl)
+
+      response = await funcTestHelper.getImportedFeeds(mars)
+      data = await response.json()
+      data.importedFeeds.should.be.empty
+    })
+  })
+
+  describe('#destroy()', () => {
+    let feedId
+
+    beforeEach(async () => {
+      const response = await funcTestHelper.createImportedFeed(luna, fixtureUrl)
+      const data = await response.json()
+      feedId = data.importedFeeds.id
+    })
+
+    it('should not allow to remove feed of another user', async () => {
+      const response = await funcTestHelper.removeImportedFeed(mars, feedId)
+      response.status.should.eql(403)
+    })
+
+    it('should remove feed', async () => {
+      let response = await funcTestHelper.removeImportedFeed(luna, feedId)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.getImportedFeeds(luna)
+      const data = await response.json()
+      data.importedFeeds.should.be.empty
+
+      const feed = await dbAdapter.getImportedFeedById(feedId)
+      $should.not.exist(feed)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("Mentions", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  let luna
+    , mars
+    , jupiter
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+  })
+
+  beforeEach(async () => {
+    [luna, mars, jupiter] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw'),
+      funcTestHelper.createUserAsync('jupiter', 'pw')
+    ])
+  })
+
+  it('should return mention entities of post', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Hello @Mars and @nobody')
+
+    post.mentions.should.eql([
+      { id: mars.user.id, username: 'mars', offset: 6, length: 5 }
+    ])
+  })
+
+  it('should add post to Mentions timeline of mentioned user', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Hello @mars')
+
+    const timeline = await funcTestHelper.getMentions(mars)
+    timeline.posts.length.should.eql(1)
+    timeline.posts[0].id.should.eql(post.id)
+
+    const lunaTimeline = await funcTestHelper.getMentions(luna)
+    lunaTimeline.should.not.have.property('posts')
+  })
+
+  it('should add post to Mentions timeline when user is mentioned in comment', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Hello')
+
+    const response = await funcTestHelper.createCommentAsync(jupiter, post.id, 'What do you think, @mars?')
+    const data = await response.json()
+    data.comments.mentions.should.eql([
+      { id: mars.user.id, username: 'mars', offset: 19, length: 5 }
+    ])
+
+    const timeline = await funcTestHelper.getMentions(mars)
+    timeline.posts.length.should.eql(1)
+    timeline.posts[0].id.should.eql(post.id)
+  })
+
+  it('should notify users who are mentioned in edited post', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Hello @mars')
+    luna.post = post
+
+    await funcTestHelper.updatePostAsync(luna, { body: 'Hello @mars and @jupiter' })
+
+    const timeline = await funcTestHelper.getMentions(jupiter)
+    timeline.posts.length.should.eql(1)
+    timeline.posts[0].id.should.eql(post.id)
+  })
+
+  it('should not notify users who can not read the post', async () => {
+    await funcTestHelper.goPrivate(luna)
+    await funcTestHelper.createAndReturnPost(luna, 'Hello @mars')
+
+    const timeline = await funcTestHelper.getMentions(mars)
+    timeline.should.not.have.property('posts')
+  })
+
+  it('should not notify users who banned the author', async () => {
+    await funcTestHelper.banUser(mars, luna)
+    await funcTestHelper.createAndReturnPost(luna, 'Hello @mars')
+
+    const timeline = await funcTestHelper.getMentions(mars)
+    timeline.should.not.have.property('posts')
+  })
+
+  it('should not show Mentions timeline to anonymous', async () => {
+    const response = await funcTestHelper.getMentions()
+    response.err.should.eql('Not found')
+  })
+})
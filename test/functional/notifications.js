@@ -0,0 +1,200 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("NotificationsController", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  let luna
+    , mars
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+  })
+
+  beforeEach(async () => {
+    [luna, mars] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw')
+    ])
+  })
+
+  const getNotifications = async (userContext, params) => {
+    const response = await funcTestHelper.getNotifications(userContext, params)
+    response.status.should.eql(200)
+
+    return response.json()
+  }
+
+  it('should notify author about likes of the post', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    await funcTestHelper.like(post.id, mars.authToken)
+
+    const data = await getNotifications(luna)
+
+    data.unreadCount.should.eql(1)
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('like')
+    data.notifications[0].isRead.should.eql('0')
+    data.notifications[0].actor.should.eql(mars.user.id)
+    data.notifications[0].postId.should.eql(post.id)
+    data.users.map(user => user.id).should.eql([mars.user.id])
+  })
+
+  it('should notify author about comments to the post', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    const response = await funcTestHelper.createCommentAsync(mars, post.id, 'Comment')
+    const { comments } = await response.json()
+
+    const data = await getNotifications(luna)
+
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('comment')
+    data.notifications[0].actor.should.eql(mars.user.id)
+    data.notifications[0].postId.should.eql(post.id)
+    data.notifications[0].commentId.should.eql(comments.id)
+  })
+
+  it('should not notify users about their own actions', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    await funcTestHelper.like(post.id, luna.authToken)
+    await funcTestHelper.createCommentAsync(luna, post.id, 'Comment')
+
+    const data = await getNotifications(luna)
+
+    data.unreadCount.should.eql(0)
+    data.should.not.have.property('notifications')
+  })
+
+  it('should not notify users about actions of banned users', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    await funcTestHelper.createCommentAsync(mars, post.id, 'Comment')
+    await funcTestHelper.banUser(luna, mars)
+    await funcTestHelper.markNotificationsAsRead(luna)
+    await funcTestHelper.createCommentAsync(mars, post.id, 'Another comment')
+
+    const data = await getNotifications(luna)
+
+    data.unreadCount.should.eql(0)
+    data.notifications.map(notification => notification.type).should.eql(['banned_user', 'comment'])
+  })
+
+  it('should notify about subscription requests', async () => {
+    await funcTestHelper.goPrivate(luna)
+    await funcTestHelper.sendRequestToSubscribe(mars, luna)
+
+    let data = await getNotifications(luna)
+
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('subscription_request')
+    data.notifications[0].actor.should.eql(mars.user.id)
+
+    await funcTestHelper.acceptRequestToSubscribe(luna, mars)
+
+    data = await getNotifications(mars)
+
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('subscription_request_approved')
+    data.notifications[0].actor.should.eql(luna.user.id)
+  })
+
+  it('should notify about becoming a group administrator', async () => {
+    const response = await funcTestHelper.createGroupAsync(luna, 'pepyatka-dev')
+    const { groups } = await response.json()
+
+    await funcTestHelper.promoteToAdmin('pepyatka-dev', luna, mars)
+
+    const data = await getNotifications(mars)
+
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('group_admin_promoted')
+    data.notifications[0].actor.should.eql(luna.user.id)
+    data.notifications[0].group.should.eql(groups.id)
+  })
+
+  it('should keep bans as read notifications of the user who banned', async () => {
+    await funcTestHelper.banUser(luna, mars)
+
+    let data = await getNotifications(luna)
+
+    data.unreadCount.should.eql(0)
+    data.notifications.length.should.eql(1)
+    data.notifications[0].type.should.eql('banned_user')
+    data.notifications[0].isRead.should.eql('1')
+    data.notifications[0].targetUser.should.eql(mars.user.id)
+
+    data = await getNotifications(mars)
+    data.should.not.have.property('notifications')
+  })
+
+  it('should return the most recent notifications first', async () => {
+    const posts = []
+
+    for (let i = 0; i < 3; i++) {
+      const post = await funcTestHelper.createAndReturnPost(luna, `Post ${i}`)
+      await funcTestHelper.like(post.id, mars.authToken)
+      posts.push(post)
+    }
+
+    const data = await getNotifications(luna, { offset: 1, limit: 1 })
+
+    data.unreadCount.should.eql(3)
+    data.notifications.length.should.eql(1)
+    data.notifications[0].postId.should.eql(posts[1].id)
+  })
+
+  describe('#markRead()', () => {
+    let posts
+
+    beforeEach(async () => {
+      posts = [
+        await funcTestHelper.createAndReturnPost(luna, 'First post'),
+        await funcTestHelper.createAndReturnPost(luna, 'Second post')
+      ]
+
+      await funcTestHelper.like(posts[0].id, mars.authToken)
+      await funcTestHelper.like(posts[1].id, mars.authToken)
+    })
+
+    it('should mark the given notifications as read', async () => {
+      let data = await getNotifications(luna)
+      const notificationId = data.notifications[0].id
+
+      const response = await funcTestHelper.markNotificationsAsRead(luna, [notificationId])
+      response.status.should.eql(200)
+
+      data = await response.json()
+      data.unreadCount.should.eql(1)
+
+      data = await getNotifications(luna)
+      data.unreadCount.should.eql(1)
+      data.notifications[0].isRead.should.eql('1')
+      data.notifications[1].isRead.should.eql('0')
+    })
+
+    it('should mark all notifications as read', async () => {
+      await funcTestHelper.markNotificationsAsRead(luna)
+
+      const data = await getNotifications(luna)
+      data.unreadCount.should.eql(0)
+      data.notifications.map(notification => notification.isRead).should.eql(['1', '1'])
+    })
+
+    it("should not mark notifications of other users", async () => {
+      const data = await getNotifications(luna)
+      await funcTestHelper.markNotificationsAsRead(mars, [data.notifications[0].id])
+
+      const { unreadCount } = await getNotifications(luna)
+      unreadCount.should.eql(2)
+    })
+
+    it('should reject invalid ids', async () => {
+      const response = await funcTestHelper.markNotificationsAsRead(luna, 'all')
+      response.status.should.eql(400)
+    })
+  })
+})
@@ -0,0 +1,266 @@
+/*eslint-env node, mocha */
+/*global $database, $should */
+import crypto from 'crypto'
+import { parse as parseUrl } from 'url'
+
+import fetch from 'node-fetch'
+
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("OAuthController", () => {
+  let app
+
+  before(async () => {
+    app = await getSingleton()
+  })
+
+  const redirectUri = 'com.example.app:/oauth/callback'
+  const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+  let luna, client
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+    luna = await funcTestHelper.createUserAsync('luna', 'pw')
+
+    const response = await funcTestHelper.createOAuthClient(luna, { name: 'Mobile app', redirectUris: [redirectUri] })
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    client = data.oauthClients
+  })
+
+  const authorizationParams = (scope) => ({
+    response_type:         'code',
+    client_id:             client.id,
+    redirect_uri:          redirectUri,
+    scope,
+    state:                 'xyz',
+    code_challenge:        codeChallenge,
+    code_challenge_method: 'S256'
+  })
+
+  const getCode = async (scope = 'read') => {
+    const response = await funcTestHelper.authorizeOAuthClient(luna, { ...authorizationParams(scope), approve: true })
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    const { query } = parseUrl(data.redirectUri, true)
+    query.state.should.eql('xyz')
+
+    return query.code
+  }
+
+  const exchangeCode = (code, verifier = codeVerifier) => funcTestHelper.requestOAuthToken({
+    grant_type:    'authorization_code',
+    client_id:     client.id,
+    redirect_uri:  redirectUri,
+    code,
+    code_verifier: verifier
+  })
+
+  const getTokens = async (scope) => {
+    const response = await exchangeCode(await getCode(scope))
+    response.status.should.eql(200)
+
+    return response.json()
+  }
+
+  const request = (token, method, path, body) => {
+    return fetch(`${app.config.host}${path}`, {
+      method,
+      headers: {
+        'Content-Type':  'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: body && JSON.stringify(body)
+    })
+  }
+
+  it('should register a public client without a secret', async () => {
+    client.name.should.eql('Mobile app')
+    client.redirectUris.should.eql([redirectUri])
+    client.isConfidential.should.be.false
+    client.should.not.have.property('secret')
+  })
+
+  it('should not register a client without redirect URIs', async () => {
+    const response = await funcTestHelper.createOAuthClient(luna, { name: 'Mobile app', redirectUris: [] })
+    response.status.should.eql(400)
+  })
+
+  it('should not register redirect URIs with dangerous schemes', async () => {
+    const redirectUris = [
+      'javascript:alert(document.cookie)',
+      'JavaScript://example.com/%0Aalert(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'vbscript:msgbox(1)',
+      'file:///etc/passwd'
+    ]
+
+    for (let uri of redirectUris) {
+      const response = await funcTestHelper.createOAuthClient(luna, { name: 'Evil app', redirectUris: [uri] })
+      response.status.should.eql(400)
+    }
+  })
+
+  it('should accept http redirect URIs of loopback hosts only', async () => {
+    let response = await funcTestHelper.createOAuthClient(luna, { name: 'Desktop app', redirectUris: ['http://127.0.0.1:8000/callback'] })
+    response.status.should.eql(200)
+
+    response = await funcTestHelper.createOAuthClient(luna, { name: 'Web app', redirectUris: ['http://example.com/callback'] })
+    response.status.should.eql(400)
+
+    response = await funcTestHelper.createOAuthClient(luna, { name: 'Web app', redirectUris: ['https://example.com/callback'] })
+    response.status.should.eql(200)
+  })
+
+  it('should accept private-use schemes of reverse domain names only', async () => {
+    const response = await funcTestHelper.createOAuthClient(luna, { name: 'Mobile app', redirectUris: ['myapp://callback'] })
+    response.status.should.eql(400)
+  })
+
+  it('should describe the authorization request', async () => {
+    const response = await funcTestHelper.getOAuthAuthorizationRequest(luna, authorizationParams('read post'))
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.client.name.should.eql('Mobile app')
+    data.scopes.should.eql(['read', 'post'])
+    data.grantedScopes.should.eql([])
+  })
+
+  it('should reject authorization requests without PKCE', async () => {
+    const params = authorizationParams('read')
+    delete params.code_challenge
+
+    const response = await funcTestHelper.getOAuthAuthorizationRequest(luna, params)
+    response.status.should.eql(400)
+  })
+
+  it('should reject unregistered redirect URIs', async () => {
+    const params = { ...authorizationParams('read'), redirect_uri: 'https://evil.example.com/' }
+
+    const response = await funcTestHelper.getOAuthAuthorizationRequest(luna, params)
+    response.status.should.eql(400)
+  })
+
+  it('should redirect with an error when the user denies access', async () => {
+    const response = await funcTestHelper.authorizeOAuthClient(luna, authorizationParams('read'))
+    const data = await response.json()
+
+    const { query } = parseUrl(data.redirectUri, true)
+    query.error.should.eql('access_denied')
+    $should.not.exist(query.code)
+  })
+
+  it('should exchange the code for tokens', async () => {
+    const tokens = await getTokens('read')
+
+    tokens.token_type.should.eql('Bearer')
+    tokens.scope.should.eql('read')
+    tokens.expires_in.should.eql(app.config.oauth.accessTokenTTL)
+    $should.exist(tokens.refresh_token)
+
+    const response = await request(tokens.access_token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.users.id.should.eql(luna.user.id)
+  })
+
+  it('should not exchange the code with a wrong verifier', async () => {
+    const response = await exchangeCode(await getCode(), 'wrong-verifier-wrong-verifier-wrong-verifier')
+    response.status.should.eql(400)
+
+    const data = await response.json()
+    data.error.should.eql('invalid_grant')
+  })
+
+  it('should not exchange the code twice', async () => {
+    const code = await getCode()
+
+    let response = await exchangeCode(code)
+    response.status.should.eql(200)
+
+    response = await exchangeCode(code)
+    response.status.should.eql(400)
+  })
+
+  it('should rotate refresh tokens', async () => {
+    const tokens = await getTokens('read')
+    const params = { grant_type: 'refresh_token', client_id: client.id, refresh_token: tokens.refresh_token }
+
+    let response = await funcTestHelper.requestOAuthToken(params)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    data.refresh_token.should.not.eql(tokens.refresh_token)
+
+    response = await funcTestHelper.requestOAuthToken(params)
+    response.status.should.eql(400)
+  })
+
+  it('should limit access tokens to the granted scopes', async () => {
+    const tokens = await getTokens('read')
+
+    let response = await request(tokens.access_token, 'POST', '/v1/posts', { post: { body: 'Post' }, meta: { feeds: 'luna' } })
+    response.status.should.eql(403)
+
+    response = await request(tokens.access_token, 'GET', '/v1/sessions')
+    response.status.should.eql(401)
+  })
+
+  it('should list and revoke authorizations', async () => {
+    const tokens = await getTokens('read')
+
+    let response = await funcTestHelper.getOAuthAuthorizations(luna)
+    const data = await response.json()
+
+    data.oauthAuthorizations.length.should.eql(1)
+    data.oauthAuthorizations[0].clientName.should.eql('Mobile app')
+    data.oauthAuthorizations[0].scopes.should.eql(['read'])
+
+    response = await funcTestHelper.removeOAuthAuthorization(luna, data.oauthAuthorizations[0].id)
+    response.status.should.eql(200)
+
+    response = await request(tokens.access_token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(401)
+
+    response = await funcTestHelper.requestOAuthToken({ grant_type: 'refresh_token', client_id: client.id, refresh_token: tokens.refresh_token })
+    response.status.should.eql(400)
+  })
+
+  it('should revoke authorizations when the user signs out everywhere', async () => {
+    const tokens = await getTokens('read')
+
+    let response = await funcTestHelper.removeAllSessions(luna)
+    response.status.should.eql(200)
+
+    response = await request(tokens.access_token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(401)
+
+    response = await funcTestHelper.requestOAuthToken({ grant_type: 'refresh_token', client_id: client.id, refresh_token: tokens.refresh_token })
+    response.status.should.eql(400)
+  })
+
+  it('should revoke authorizations when the password is changed', async () => {
+    const tokens = await getTokens('read')
+
+    let response = await funcTestHelper.updatePassword(luna, 'pw', 'new-pw')
+    response.status.should.eql(200)
+
+    const { authToken } = await response.json()
+
+    response = await request(tokens.access_token, 'GET', '/v1/users/whoami')
+    response.status.should.eql(401)
+
+    response = await funcTestHelper.getOAuthAuthorizations({ ...luna, authToken })
+    const data = await response.json()
+    data.oauthAuthorizations.should.eql([])
+  })
+})
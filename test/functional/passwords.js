@@ -43,7 +43,14 @@ describe("PasswordsController", function() {
 
       await funcTestHelper.updateUserAsync(context, { email })
 
-      let errResponse = await funcTestHelper.sendResetPassword(oldEmail)
+      // the new email is pending until it is verified
+      let errResponse = await funcTestHelper.sendResetPassword(email)
+      errResponse.status.should.equal(404)
+
+      const verifyResponse = await funcTestHelper.verifyEmail(await funcTestHelper.getEmailVerificationToken(context))
+      verifyResponse.status.should.equal(200)
+
+      errResponse = await funcTestHelper.sendResetPassword(oldEmail)
       errResponse.status.should.equal(404)
 
       let response = await funcTestHelper.sendResetPassword(email)
@@ -57,7 +64,7 @@ describe("PasswordsController", function() {
     it('should generate resetToken by email with capital letters', async () => {
       let email = "Luna@example.com"
 
-      await funcTestHelper.updateUserAsync(context, { email })
+      await funcTestHelper.changeEmail(context, email)
 
       let response = await funcTestHelper.sendResetPassword(email)
       response.status.should.equal(200, `failed to reset password for ${email} email`)
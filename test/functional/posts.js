@@ -5,6 +5,8 @@ import _ from 'lodash'
 import fetch from 'node-fetch'
 
 import { getSingleton } from '../../app/app'
+import { Post, Timeline } from '../../app/models'
+import PostScheduler from '../../app/post-scheduler'
 import * as funcTestHelper from './functional_test_helper'
 
 
@@ -917,6 +919,69 @@ describe("PostsController", function() {
    })
   })
 
+  describe('#revisions()', () => {
+    let luna
+      , mars
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+
+      luna.post = await funcTestHelper.createAndReturnPost(luna, 'Post body')
+    })
+
+    it('should not mark post as edited until its body changes', async () => {
+      const response = await funcTestHelper.readPostAsync(luna.post.id, luna)
+      const data = await response.json()
+      data.posts.should.not.have.property('editedAt')
+
+      const history = await funcTestHelper.getPostRevisions(luna.post.id, luna)
+      history.history.revisions.should.be.empty
+    })
+
+    it('should keep previous bodies of the post', async () => {
+      let response = await funcTestHelper.updatePostAsync(luna, { body: 'Second body' })
+      response.status.should.eql(200)
+
+      let data = await response.json()
+      data.posts.should.have.property('editedAt')
+
+      await funcTestHelper.updatePostAsync(luna, { body: 'Third body' })
+
+      const history = await funcTestHelper.getPostRevisions(luna.post.id, mars)
+      history.history.id.should.eql(luna.post.id)
+      history.history.revisions.should.have.length(2)
+      history.revisions.map(revision => revision.body).should.eql(['Post body', 'Second body'])
+      history.revisions[0].diff.should.eql([
+        { type: 'delete', text: 'Post' },
+        { type: 'insert', text: 'Second' },
+        { type: 'equal', text: ' body' }
+      ])
+      history.revisions[1].diff.should.eql([
+        { type: 'delete', text: 'Second' },
+        { type: 'insert', text: 'Third' },
+        { type: 'equal', text: ' body' }
+      ])
+      history.revisions[0].createdBy.should.eql(luna.user.id)
+      history.users[0].username.should.eql('luna')
+    })
+
+    it('should not show revisions of private post to strangers', async () => {
+      await funcTestHelper.updatePostAsync(luna, { body: 'Second body' })
+      await funcTestHelper.goPrivate(luna)
+
+      const history = await funcTestHelper.getPostRevisions(luna.post.id, mars)
+      history.should.have.property('err')
+    })
+
+    it('should return 404 given an invalid post ID', async () => {
+      const history = await funcTestHelper.getPostRevisions('123_no_such_id', luna)
+      history.err.should.eql("Can't find post")
+    })
+  })
+
   describe('#show()', function() {
     var context = {}
 
@@ -1108,4 +1173,322 @@ describe("PostsController", function() {
           })
     })
   })
+
+  describe('#addReaction() and #removeReaction()', () => {
+    let luna
+      , mars
+      , jupiter
+      , post
+
+    const readPost = async (userContext) => {
+      const response = await funcTestHelper.readPostAsync(post.id, userContext)
+      const data = await response.json()
+
+      return data.posts
+    }
+
+    beforeEach(async () => {
+      [luna, mars, jupiter] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw'),
+        funcTestHelper.createUserAsync('jupiter', 'pw')
+      ])
+
+      post = await funcTestHelper.createAndReturnPost(luna, 'Post body')
+    })
+
+    it('should add reactions', async () => {
+      let response = await funcTestHelper.addReaction(post.id, '😂', mars)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.addReaction(post.id, '😂', jupiter)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.addReaction(post.id, '👍', mars)
+      response.status.should.eql(200)
+
+      const data = await readPost(mars)
+      data.reactions.should.eql([
+        { emoji: '👍', count: 1 },
+        { emoji: '😂', count: 2 }
+      ])
+      data.myReactions.should.eql(['👍', '😂'])
+    })
+
+    it('should treat likes as a reaction', async () => {
+      let response = await funcTestHelper.addReaction(post.id, 'like', mars)
+      response.status.should.eql(200)
+
+      await funcTestHelper.addReaction(post.id, '👍', jupiter)
+
+      let data = await readPost(mars)
+      data.likes.should.eql([mars.user.id])
+      data.reactions.should.eql([
+        { emoji: 'like', count: 1 },
+        { emoji: '👍', count: 1 }
+      ])
+      data.myReactions.should.eql(['like'])
+
+      response = await funcTestHelper.removeReaction(post.id, 'like', mars)
+      response.status.should.eql(200)
+
+      data = await readPost(mars)
+      data.should.not.have.property('likes')
+      data.reactions.should.eql([{ emoji: '👍', count: 1 }])
+    })
+
+    it('should reject unknown reactions', async () => {
+      const response = await funcTestHelper.addReaction(post.id, '🦄', mars)
+      response.status.should.eql(400)
+    })
+
+    it('should not add the same reaction twice', async () => {
+      await funcTestHelper.addReaction(post.id, '👍', mars)
+
+      const response = await funcTestHelper.addReaction(post.id, '👍', mars)
+      response.status.should.eql(403)
+    })
+
+    it('should not react to invisible post', async () => {
+      await funcTestHelper.goPrivate(luna)
+
+      const response = await funcTestHelper.addReaction(post.id, '👍', mars)
+      response.status.should.eql(404)
+    })
+
+    it('should remove reaction', async () => {
+      await funcTestHelper.addReaction(post.id, '👍', mars)
+
+      let response = await funcTestHelper.removeReaction(post.id, '👍', mars)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.removeReaction(post.id, '👍', mars)
+      response.status.should.eql(403)
+
+      const data = await readPost(mars)
+      data.reactions.should.be.empty
+      data.myReactions.should.be.empty
+    })
+
+    it('should remove reaction which is not allowed anymore', async () => {
+      const emoji = app.config.reactions.emoji
+
+      await funcTestHelper.addReaction(post.id, '😂', mars)
+      app.config.reactions.emoji = _.without(emoji, '😂')
+
+      try {
+        let response = await funcTestHelper.addReaction(post.id, '😂', jupiter)
+        response.status.should.eql(400)
+
+        response = await funcTestHelper.removeReaction(post.id, '😂', mars)
+        response.status.should.eql(200)
+      } finally {
+        app.config.reactions.emoji = emoji
+      }
+
+      const data = await readPost(mars)
+      data.reactions.should.be.empty
+    })
+
+    it('should not react if anonymous', async () => {
+      const response = await funcTestHelper.addReaction(post.id, '👍', {})
+      response.status.should.eql(401)
+    })
+  })
+
+  describe('#scheduled()', () => {
+    let luna
+      , mars
+      , publishAt
+
+    const createScheduledPost = async () => {
+      const response = await funcTestHelper.createScheduledPost(luna, 'Post from the future', publishAt)
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      return data.posts
+    }
+
+    const publishDuePosts = async (time) => {
+      const scheduler = new PostScheduler(app)
+      scheduler.stop()
+
+      return scheduler.publishDuePosts(time)
+    }
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+
+      await funcTestHelper.subscribeToAsync(mars, luna)
+
+      publishAt = new Date().getTime() + 60 * 60 * 1000
+    })
+
+    it('should keep scheduled post out of timelines', async () => {
+      const post = await createScheduledPost()
+      post.publishAt.should.eql(publishAt)
+
+      const timeline = await funcTestHelper.getUserPostsTimeline('luna', luna)
+      timeline.should.not.have.property('posts')
+
+      const riverOfNews = await funcTestHelper.getRiverOfNews(mars)
+      riverOfNews.should.not.have.property('posts')
+
+      const response = await funcTestHelper.readPostAsync(post.id, mars)
+      response.status.should.eql(403)
+    })
+
+    it('should list scheduled posts to their author only', async () => {
+      const post = await createScheduledPost()
+
+      let data = await funcTestHelper.getScheduledPosts(luna)
+      data.scheduled.posts.should.eql([post.id])
+      data.posts[0].body.should.eql('Post from the future')
+
+      data = await funcTestHelper.getScheduledPosts(mars)
+      data.scheduled.should.not.have.property('posts')
+    })
+
+    it('should not schedule post to the past', async () => {
+      const response = await funcTestHelper.createScheduledPost(luna, 'Post from the past', new Date().getTime() - 1000)
+      response.status.should.eql(400)
+    })
+
+    it('should publish scheduled post in time', async () => {
+      const post = await createScheduledPost()
+
+      let count = await publishDuePosts(publishAt - 1000)
+      count.should.eql(0)
+
+      count = await publishDuePosts(publishAt)
+      count.should.eql(1)
+
+      const riverOfNews = await funcTestHelper.getRiverOfNews(mars)
+      riverOfNews.posts.length.should.eql(1)
+      riverOfNews.posts[0].id.should.eql(post.id)
+      riverOfNews.posts[0].should.not.have.property('publishAt')
+
+      const data = await funcTestHelper.getScheduledPosts(luna)
+      data.scheduled.should.not.have.property('posts')
+
+      count = await publishDuePosts(publishAt)
+      count.should.eql(0)
+    })
+
+    it('should cancel scheduled post', async () => {
+      const post = await createScheduledPost()
+
+      const response = await funcTestHelper.deletePostAsync(luna, post.id)
+      response.status.should.eql(200)
+
+      const data = await funcTestHelper.getScheduledPosts(luna)
+      data.scheduled.should.not.have.property('posts')
+
+      const count = await publishDuePosts(publishAt)
+      count.should.eql(0)
+    })
+
+    it('should keep pending post which the author can not publish anymore', async () => {
+      await funcTestHelper.subscribeToAsync(luna, mars)
+
+      const response = await funcTestHelper.createScheduledPost(luna, 'Direct from the future', publishAt, ['mars'])
+      response.status.should.eql(200)
+      const { posts: post } = await response.json()
+
+      await funcTestHelper.unsubscribeFromAsync(mars, luna)
+
+      let count = await publishDuePosts(publishAt)
+      count.should.eql(0)
+
+      const directs = await funcTestHelper.getDirects(mars)
+      directs.timelines.should.not.have.property('posts')
+
+      const data = await funcTestHelper.getScheduledPosts(luna)
+      data.scheduled.posts.should.eql([post.id])
+
+      // and it is not retried
+      count = await publishDuePosts(publishAt + app.config.scheduledPosts.retryDelay)
+      count.should.eql(0)
+    })
+
+    it('should retry post which failed to publish', async () => {
+      const response = await funcTestHelper.createScheduledPost(luna, 'Post from the future for @mars', publishAt)
+      response.status.should.eql(200)
+      const { posts: post } = await response.json()
+
+      const { publishPost } = Timeline
+      const { notifyMentionedUsers, markDirectAsUnread } = Post.prototype
+
+      let publishCount = 0
+        , notifyCount = 0
+
+      Timeline.publishPost = async function(...args) {
+        publishCount++
+        return publishPost.apply(this, args)
+      }
+      Post.prototype.notifyMentionedUsers = async function(...args) {
+        notifyCount++
+        return notifyMentionedUsers.apply(this, args)
+      }
+      Post.prototype.markDirectAsUnread = async () => { throw new Error('Redis is down') }
+
+      try {
+        let count = await publishDuePosts(publishAt)
+        count.should.eql(0)
+
+        const data = await funcTestHelper.getScheduledPosts(luna)
+        data.scheduled.should.not.have.property('posts')
+
+        let riverOfNews = await funcTestHelper.getRiverOfNews(mars)
+        const { createdAt } = riverOfNews.posts[0]
+
+        Post.prototype.markDirectAsUnread = markDirectAsUnread
+
+        count = await publishDuePosts(new Date().getTime() + app.config.scheduledPosts.retryDelay)
+        count.should.eql(1)
+
+        riverOfNews = await funcTestHelper.getRiverOfNews(mars)
+        riverOfNews.posts.length.should.eql(1)
+        riverOfNews.posts[0].id.should.eql(post.id)
+        riverOfNews.posts[0].createdAt.should.eql(createdAt)
+      } finally {
+        Timeline.publishPost = publishPost
+        Post.prototype.notifyMentionedUsers = notifyMentionedUsers
+        Post.prototype.markDirectAsUnread = markDirectAsUnread
+      }
+
+      publishCount.should.eql(1)
+      notifyCount.should.eql(1)
+
+      const mentions = await funcTestHelper.getMentions(mars)
+      mentions.posts.length.should.eql(1)
+    })
+
+    it('should not publish post which was deleted meanwhile', async () => {
+      const post = await createScheduledPost()
+      const { updateSearchIndex } = Post.prototype
+
+      // the author deletes the post while it is being published
+      Post.prototype.updateSearchIndex = async function() {
+        await funcTestHelper.deletePostAsync(luna, post.id)
+        return updateSearchIndex.apply(this)
+      }
+
+      let count
+
+      try {
+        count = await publishDuePosts(publishAt)
+      } finally {
+        Post.prototype.updateSearchIndex = updateSearchIndex
+      }
+
+      count.should.eql(0)
+
+      const riverOfNews = await funcTestHelper.getRiverOfNews(mars)
+      riverOfNews.should.not.have.property('posts')
+    })
+  })
 })
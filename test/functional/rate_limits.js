@@ -0,0 +1,130 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import { dbAdapter } from '../../app/models'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("Rate limits", () => {
+  let app
+
+  before(async () => {
+    app = await getSingleton()
+  })
+
+  let luna
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+    luna = await funcTestHelper.createUserAsync('luna', 'pw', { email: 'luna@example.com' })
+  })
+
+  describe('sign in', () => {
+    const failSignIn = async (times) => {
+      for (let i = 0; i < times; i++) {
+        const response = await funcTestHelper.signIn('luna', 'wrong')
+        response.status.should.eql(401)
+      }
+    }
+
+    it('should lock the username out after too many failures', async () => {
+      const { maxHits, lockout } = app.config.rateLimits.signInFailures
+
+      await failSignIn(maxHits)
+
+      let response = await funcTestHelper.signIn('luna', 'wrong')
+      response.status.should.eql(429)
+      response.headers.get('Retry-After').should.eql(`${lockout}`)
+
+      // even the right password does not help
+      response = await funcTestHelper.signIn('Luna', 'pw')
+      response.status.should.eql(429)
+    })
+
+    it('should forget failures after a successful sign in', async () => {
+      const { maxHits } = app.config.rateLimits.signInFailures
+
+      await failSignIn(maxHits)
+
+      let response = await funcTestHelper.signIn('luna', 'pw')
+      response.status.should.eql(200)
+
+      await failSignIn(maxHits)
+
+      response = await funcTestHelper.signIn('luna', 'pw')
+      response.status.should.eql(200)
+    })
+
+    it('should not lock other users out', async () => {
+      await funcTestHelper.createUserAsync('mars', 'pw')
+      await failSignIn(app.config.rateLimits.signInFailures.maxHits)
+
+      let response = await funcTestHelper.signIn('luna', 'wrong')
+      response.status.should.eql(429)
+
+      response = await funcTestHelper.signIn('mars', 'pw')
+      response.status.should.eql(200)
+    })
+  })
+
+  describe('password reset', () => {
+    it('should limit reset emails per address', async () => {
+      const { maxHits } = app.config.rateLimits.passwordResetByEmail
+
+      for (let i = 0; i < maxHits; i++) {
+        const response = await funcTestHelper.sendResetPassword('luna@example.com')
+        response.status.should.eql(200)
+      }
+
+      const response = await funcTestHelper.sendResetPassword('LUNA@example.com')
+      response.status.should.eql(429)
+      response.headers.get('Retry-After').should.be.ok
+    })
+  })
+
+  describe('API', () => {
+    let apiLimit
+
+    beforeEach(() => {
+      apiLimit = app.config.rateLimits.api
+      app.config.rateLimits.api = { maxHits: 3, window: 60 }
+    })
+
+    afterEach(() => {
+      app.config.rateLimits.api = apiLimit
+    })
+
+    it('should limit requests of a user', async () => {
+      for (let i = 0; i < 3; i++) {
+        const data = await funcTestHelper.whoami(luna)
+        data.users.id.should.eql(luna.user.id)
+      }
+
+      const response = await funcTestHelper.getSessions(luna)
+      response.status.should.eql(429)
+      response.headers.get('Retry-After').should.be.ok
+    })
+
+    it('should not limit requests when disabled', async () => {
+      app.config.rateLimits.api = null
+
+      for (let i = 0; i < 5; i++) {
+        const response = await funcTestHelper.getSessions(luna)
+        response.status.should.eql(200)
+      }
+    })
+  })
+
+  describe('hits counter', () => {
+    it('should expire with the window started by the first hit', async () => {
+      let hits = await dbAdapter.addRateLimitHit('test', luna.user.id, 60)
+      hits.should.eql(1)
+
+      hits = await dbAdapter.addRateLimitHit('test', luna.user.id, 3600)
+      hits.should.eql(2)
+
+      const ttl = await dbAdapter.getRateLimitWindowTTL('test', luna.user.id)
+      ttl.should.be.within(1, 60)
+    })
+  })
+})
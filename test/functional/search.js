@@ -0,0 +1,154 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("SearchController", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+  })
+
+  describe("#search()", () => {
+    let luna
+      , mars
+
+    const searchPostIds = async (userContext, query, pageParams) => {
+      const response = await funcTestHelper.search(userContext, query, pageParams)
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.should.have.property('search')
+      data.search.query.should.eql(query)
+
+      return data.search.posts || []
+    }
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+    })
+
+    it('should find posts containing all the words', async () => {
+      const post1 = await funcTestHelper.createAndReturnPost(luna, 'Cute kittens and puppies')
+      const post2 = await funcTestHelper.createAndReturnPost(luna, 'Kittens only')
+
+      let postIds = await searchPostIds(mars, 'kittens')
+      postIds.should.eql([post2.id, post1.id])
+
+      postIds = await searchPostIds(mars, 'KITTENS puppies')
+      postIds.should.eql([post1.id])
+
+      postIds = await searchPostIds(mars, 'elephants')
+      postIds.should.be.empty
+    })
+
+    it('should find posts containing exact phrase', async () => {
+      const post1 = await funcTestHelper.createAndReturnPost(luna, 'Cute kittens are here')
+      await funcTestHelper.createAndReturnPost(luna, 'Kittens are cute')
+
+      const postIds = await searchPostIds(mars, '"cute kittens"')
+      postIds.should.eql([post1.id])
+    })
+
+    it('should find posts by comments', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Look at this')
+      await funcTestHelper.createCommentAsync(mars, post.id, 'What a lovely kitten')
+
+      const postIds = await searchPostIds(luna, 'kitten')
+      postIds.should.eql([post.id])
+    })
+
+    it('should filter results with from: operator', async () => {
+      const post1 = await funcTestHelper.createAndReturnPost(luna, 'Kittens by Luna')
+      const post2 = await funcTestHelper.createAndReturnPost(mars, 'Kittens by Mars')
+      await funcTestHelper.createCommentAsync(mars, post1.id, 'Kittens again')
+
+      let postIds = await searchPostIds(mars, 'kittens from:luna')
+      postIds.should.eql([post1.id])
+
+      postIds = await searchPostIds(mars, 'kittens from:mars')
+      postIds.should.eql([post1.id, post2.id])
+
+      postIds = await searchPostIds(mars, 'from:mars')
+      postIds.should.eql([post2.id])
+    })
+
+    it('should filter results with in: operator', async () => {
+      const post1 = await funcTestHelper.createAndReturnPost(luna, 'Kittens by Luna')
+      await funcTestHelper.createAndReturnPost(mars, 'Kittens by Mars')
+
+      const postIds = await searchPostIds(mars, 'kittens in:luna')
+      postIds.should.eql([post1.id])
+    })
+
+    it('should not show posts of private feeds to strangers', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Secret kittens')
+      await funcTestHelper.goPrivate(luna)
+
+      let postIds = await searchPostIds(mars, 'kittens')
+      postIds.should.be.empty
+
+      postIds = await searchPostIds(undefined, 'kittens')
+      postIds.should.be.empty
+
+      postIds = await searchPostIds(luna, 'kittens')
+      postIds.should.eql([post.id])
+    })
+
+    it('should not show posts of banned users', async () => {
+      await funcTestHelper.createAndReturnPost(luna, 'Kittens by Luna')
+      await funcTestHelper.banUser(mars, luna)
+
+      let postIds = await searchPostIds(mars, 'kittens')
+      postIds.should.be.empty
+
+      postIds = await searchPostIds(luna, 'kittens')
+      postIds.should.not.be.empty
+    })
+
+    it('should reindex updated posts', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Kittens')
+      await funcTestHelper.updatePostAsync({ authToken: luna.authToken, post }, { body: 'Puppies' })
+
+      let postIds = await searchPostIds(mars, 'kittens')
+      postIds.should.be.empty
+
+      postIds = await searchPostIds(mars, 'puppies')
+      postIds.should.eql([post.id])
+    })
+
+    it('should not find deleted posts', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Kittens')
+      await funcTestHelper.deletePostAsync(luna, post.id)
+
+      const postIds = await searchPostIds(mars, 'kittens')
+      postIds.should.be.empty
+    })
+
+    it('should page merged post and comment matches', async () => {
+      const post1 = await funcTestHelper.createAndReturnPost(luna, 'Kittens')
+      const post2 = await funcTestHelper.createAndReturnPost(luna, 'Puppies')
+      const post3 = await funcTestHelper.createAndReturnPost(luna, 'Kittens again')
+      await funcTestHelper.createCommentAsync(luna, post2.id, 'Kittens too')
+      await funcTestHelper.createCommentAsync(mars, post3.id, 'More kittens')
+
+      let postIds = await searchPostIds(mars, 'kittens', { limit: 2 })
+      postIds.should.eql([post3.id, post2.id])
+
+      postIds = await searchPostIds(mars, 'kittens', { offset: 2, limit: 2 })
+      postIds.should.eql([post1.id])
+    })
+
+    it('should reject blank query', async () => {
+      const response = await funcTestHelper.search(mars, '   ')
+      response.status.should.eql(400)
+    })
+  })
+})
@@ -5,6 +5,7 @@ import fetch from 'node-fetch'
 
 import { getSingleton } from '../../app/app'
 import { User } from '../../app/models'
+import { generateCode, getTimeStep } from '../../app/support/totp'
 import * as funcTestHelper from './functional_test_helper'
 
 
@@ -77,4 +78,247 @@ describe("SessionController", () => {
       data.should.have.property('err')
     })
   })
+
+  describe("sessions", () => {
+    let luna
+
+    beforeEach(async () => {
+      luna = await funcTestHelper.createUserAsync('luna', 'pw')
+    })
+
+    const signIn = async () => {
+      const response = await funcTestHelper.signIn('luna', 'pw')
+      const data = await response.json()
+
+      return { ...luna, authToken: data.authToken }
+    }
+
+    const getSessions = async (userContext) => {
+      const response = await funcTestHelper.getSessions(userContext)
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      return data.sessions
+    }
+
+    const expectSignedOut = async (userContext) => {
+      const response = await funcTestHelper.getSessions(userContext)
+      response.status.should.eql(401)
+    }
+
+    it('should be listed with the current one marked', async () => {
+      const lunaOnPhone = await signIn()
+
+      const sessions = await getSessions(lunaOnPhone)
+      sessions.length.should.eql(2)
+      sessions[0].isCurrent.should.be.true
+      sessions[1].isCurrent.should.be.false
+      sessions[0].should.have.property('ip')
+      sessions[0].should.have.property('lastUsedAt')
+    })
+
+    it('should be removed', async () => {
+      const lunaOnPhone = await signIn()
+      const [phoneSession] = await getSessions(lunaOnPhone)
+
+      const response = await funcTestHelper.removeSession(luna, phoneSession.id)
+      response.status.should.eql(200)
+
+      await expectSignedOut(lunaOnPhone)
+
+      const sessions = await getSessions(luna)
+      sessions.length.should.eql(1)
+    })
+
+    it('should not be removed by other users', async () => {
+      const mars = await funcTestHelper.createUserAsync('mars', 'pw')
+      const [lunaSession] = await getSessions(luna)
+
+      const response = await funcTestHelper.removeSession(mars, lunaSession.id)
+      response.status.should.eql(404)
+    })
+
+    it('should sign out everywhere', async () => {
+      const lunaOnPhone = await signIn()
+
+      const response = await funcTestHelper.removeAllSessions(luna)
+      response.status.should.eql(200)
+
+      await expectSignedOut(luna)
+      await expectSignedOut(lunaOnPhone)
+    })
+
+    it('should be revoked by password change', async () => {
+      const lunaOnPhone = await signIn()
+
+      const response = await funcTestHelper.updatePassword(luna, 'pw', 'new password')
+      response.status.should.eql(200)
+
+      await expectSignedOut(luna)
+      await expectSignedOut(lunaOnPhone)
+
+      const data = await response.json()
+      const sessions = await getSessions({ ...luna, authToken: data.authToken })
+      sessions.length.should.eql(1)
+    })
+  })
+
+  describe("two-factor authentication", () => {
+    let luna
+      , secret
+
+    // codes can be used only once, so every code is taken from the next
+    // time step, which is still accepted
+    let step
+    const nextCode = () => generateCode(secret, ++step)
+
+    beforeEach(async () => {
+      luna = await funcTestHelper.createUserAsync('luna', 'pw')
+
+      const response = await funcTestHelper.enrollTwoFactor(luna)
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.otpauthUrl.should.match(/^otpauth:\/\/totp\//)
+      secret = data.secret
+      step = getTimeStep(new Date().getTime()) - 1
+    })
+
+    const enable = async () => {
+      const response = await funcTestHelper.confirmTwoFactor(luna, nextCode())
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      return data.recoveryCodes
+    }
+
+    const startSignIn = async () => {
+      const response = await funcTestHelper.signIn('luna', 'pw')
+      response.status.should.eql(401)
+
+      const data = await response.json()
+      data.should.not.have.property('authToken')
+      data.twoFactorRequired.should.be.true
+
+      return data.twoFactorToken
+    }
+
+    it('should not be enabled by an invalid code', async () => {
+      let response = await funcTestHelper.confirmTwoFactor(luna, '000000')
+      response.status.should.eql(400)
+
+      response = await funcTestHelper.signIn('luna', 'pw')
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.should.have.property('authToken')
+      data.users.twoFactorEnabled.should.be.false
+    })
+
+    it('should give recovery codes once enabled', async () => {
+      const recoveryCodes = await enable()
+      recoveryCodes.length.should.eql(app.config.twoFactor.recoveryCodesCount)
+
+      const data = await funcTestHelper.whoami(luna)
+      data.users.twoFactorEnabled.should.be.true
+    })
+
+    it('should require a code to sign in', async () => {
+      await enable()
+
+      const twoFactorToken = await startSignIn()
+
+      let response = await funcTestHelper.confirmSignIn(twoFactorToken, '000000')
+      response.status.should.eql(401)
+
+      response = await funcTestHelper.confirmSignIn(twoFactorToken, nextCode())
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.should.have.property('authToken')
+      data.users.id.should.eql(luna.user.id)
+
+      // the token can not be used twice
+      response = await funcTestHelper.confirmSignIn(twoFactorToken, nextCode())
+      response.status.should.eql(401)
+    })
+
+    it('should not accept a code twice', async () => {
+      await enable()
+
+      const code = nextCode()
+
+      let response = await funcTestHelper.confirmSignIn(await startSignIn(), code)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.confirmSignIn(await startSignIn(), code)
+      response.status.should.eql(401)
+    })
+
+    it('should not accept concurrent confirmations of one sign-in attempt', async () => {
+      await enable()
+
+      const twoFactorToken = await startSignIn()
+      const code = nextCode()
+
+      const responses = await Promise.all([
+        funcTestHelper.confirmSignIn(twoFactorToken, code),
+        funcTestHelper.confirmSignIn(twoFactorToken, code)
+      ])
+
+      responses.map(response => response.status).sort().should.eql([200, 401])
+    })
+
+    it('should accept each recovery code once', async () => {
+      const [recoveryCode] = await enable()
+
+      let response = await funcTestHelper.confirmSignIn(await startSignIn(), recoveryCode.toUpperCase())
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.confirmSignIn(await startSignIn(), recoveryCode)
+      response.status.should.eql(401)
+    })
+
+    it('should expire the sign-in attempt after too many invalid codes', async () => {
+      await enable()
+
+      const twoFactorToken = await startSignIn()
+
+      for (let i = 0; i < app.config.twoFactor.maxChallengeAttempts; i++) {
+        await funcTestHelper.confirmSignIn(twoFactorToken, 'wrong')
+      }
+
+      const response = await funcTestHelper.confirmSignIn(twoFactorToken, nextCode())
+      response.status.should.eql(401)
+
+      const data = await response.json()
+      data.err.should.eql('Your sign-in attempt has expired, please sign in again')
+    })
+
+    it('should replace recovery codes', async () => {
+      const [oldCode] = await enable()
+
+      let response = await funcTestHelper.regenerateRecoveryCodes(luna, nextCode())
+      response.status.should.eql(200)
+
+      const data = await response.json()
+      data.recoveryCodes.should.not.include(oldCode)
+
+      response = await funcTestHelper.confirmSignIn(await startSignIn(), oldCode)
+      response.status.should.eql(401)
+    })
+
+    it('should be disabled with the password and a code', async () => {
+      const [recoveryCode] = await enable()
+
+      let response = await funcTestHelper.disableTwoFactor(luna, 'wrong', recoveryCode)
+      response.status.should.eql(403)
+
+      response = await funcTestHelper.disableTwoFactor(luna, 'pw', recoveryCode)
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.signIn('luna', 'pw')
+      response.status.should.eql(200)
+    })
+  })
 })
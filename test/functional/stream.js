@@ -0,0 +1,332 @@
+/*eslint-env node, mocha */
+/*global $database */
+import { getSingleton } from '../../app/app'
+import * as funcTestHelper from './functional_test_helper'
+
+
+describe("StreamController", () => {
+  before(async () => {
+    await getSingleton()
+  })
+
+  let luna
+    , mars
+    , lunaTimelineId
+    , streams
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+    streams = []
+  })
+
+  beforeEach(async () => {
+    [luna, mars] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw')
+    ])
+
+    const { timelines } = await funcTestHelper.getUserPostsTimeline('luna', luna)
+    lunaTimelineId = timelines.id
+  })
+
+  afterEach(() => {
+    streams.forEach(stream => stream.close())
+  })
+
+  const openStream = async (userContext, params, lastEventId) => {
+    const stream = await funcTestHelper.openEventStream(userContext, params, lastEventId)
+    streams.push(stream)
+
+    return stream
+  }
+
+  const waitForEvent = async (stream, type) => {
+    for (let i = 0; i < 200; i++) {
+      const event = stream.events.find(event => event.type === type)
+
+      if (event) {
+        return event
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+
+    throw new Error(`${type} event is not received`)
+  }
+
+  const waitForEnd = async (stream) => {
+    for (let i = 0; i < 200; i++) {
+      if (stream.isEnded) {
+        return
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+
+    throw new Error('the stream has not ended')
+  }
+
+  it('should require timelines or posts', async () => {
+    const stream = await openStream(null, {})
+    stream.status.should.eql(400)
+  })
+
+  it('should stream new posts of the timeline', async () => {
+    const stream = await openStream(null, { timelines: lunaTimelineId })
+    stream.status.should.eql(200)
+
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    const event = await waitForEvent(stream, 'post:new')
+    event.data.posts.id.should.eql(post.id)
+  })
+
+  it('should stream updates of the post', async () => {
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    const stream = await openStream(mars, { posts: post.id })
+
+    await funcTestHelper.createCommentAsync(luna, post.id, 'Comment')
+
+    const event = await waitForEvent(stream, 'comment:new')
+    event.data.comments.body.should.eql('Comment')
+  })
+
+  it('should not stream private posts to those who cannot read them', async () => {
+    await funcTestHelper.goPrivate(luna)
+
+    const marsStream = await openStream(mars, { timelines: lunaTimelineId })
+    marsStream.status.should.eql(403)
+  })
+
+  it('should not stream personal timelines of other users', async () => {
+    const { timelines } = await funcTestHelper.getRiverOfNews(luna)
+
+    let stream = await openStream(mars, { timelines: timelines.id })
+    stream.status.should.eql(403)
+
+    stream = await openStream(luna, { timelines: timelines.id })
+    stream.status.should.eql(200)
+  })
+
+  it('should stop streaming the feed which became private', async () => {
+    const stream = await openStream(mars, { timelines: lunaTimelineId })
+    stream.status.should.eql(200)
+
+    await funcTestHelper.goPrivate(luna)
+
+    const event = await waitForEvent(stream, 'subscribe:error')
+    event.data.should.eql({ channel: 'timeline', id: lunaTimelineId, message: 'Access denied' })
+  })
+
+  it('should stop streaming only the posts of the feed which became private', async () => {
+    const lunaPost = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    const marsPost = await funcTestHelper.createAndReturnPost(mars, 'Post')
+
+    const stream = await openStream(mars, { posts: `${lunaPost.id},${marsPost.id}` })
+    stream.status.should.eql(200)
+
+    await funcTestHelper.goPrivate(luna)
+
+    const event = await waitForEvent(stream, 'subscribe:error')
+    event.data.should.eql({ channel: 'post', id: lunaPost.id, message: 'Access denied' })
+
+    await funcTestHelper.createCommentAsync(mars, marsPost.id, 'Comment')
+    await waitForEvent(stream, 'comment:new')
+    stream.events.filter(event => event.type === 'subscribe:error').length.should.eql(1)
+  })
+
+  it('should stop streaming the feed to the banned user', async () => {
+    await funcTestHelper.goPrivate(luna)
+    await funcTestHelper.sendRequestToSubscribe(mars, luna)
+    await funcTestHelper.acceptRequestToSubscribe(luna, mars)
+
+    const { timelines: marsTimeline } = await funcTestHelper.getUserPostsTimeline('mars', mars)
+
+    const stream = await openStream(mars, { timelines: `${lunaTimelineId},${marsTimeline.id}` })
+    stream.status.should.eql(200)
+
+    await funcTestHelper.banUser(luna, mars)
+
+    const event = await waitForEvent(stream, 'subscribe:error')
+    event.data.id.should.eql(lunaTimelineId)
+
+    await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    // events are delivered in order, so once the event of the later post
+    // is here, the one of Luna's post would have been here too
+    const marsPost = await funcTestHelper.createAndReturnPost(mars, 'Post')
+    const marsEvent = await waitForEvent(stream, 'post:new')
+    marsEvent.data.posts.id.should.eql(marsPost.id)
+
+    stream.events.filter(event => event.type === 'post:new').length.should.eql(1)
+  })
+
+  it('should end the streams of the removed session', async () => {
+    const response = await funcTestHelper.getSessions(luna)
+    const { sessions: [lunaSession] } = await response.json()
+
+    const [lunaStream, marsStream] = await Promise.all([
+      openStream(luna, { timelines: lunaTimelineId }),
+      openStream(mars, { timelines: lunaTimelineId })
+    ])
+
+    await funcTestHelper.removeSession(luna, lunaSession.id)
+    await waitForEnd(lunaStream)
+
+    // the stream of another user goes on
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    const event = await waitForEvent(marsStream, 'post:new')
+    event.data.posts.id.should.eql(post.id)
+    marsStream.isEnded.should.be.false
+  })
+
+  it('should end the streams of the user who signed out everywhere', async () => {
+    const stream = await openStream(luna, { timelines: lunaTimelineId })
+    stream.status.should.eql(200)
+
+    await funcTestHelper.removeAllSessions(luna)
+    await waitForEnd(stream)
+  })
+
+  describe('#replayEvents()', () => {
+    let app
+
+    before(async () => {
+      app = await getSingleton()
+    })
+
+    const createSocket = (userContext) => {
+      const socket = { id: 'socket', user: { id: userContext ? userContext.user.id : null }, events: [] }
+      socket.emit = (type, json) => socket.events.push({ type, json })
+
+      return socket
+    }
+
+    it('should replay missed events of the rooms in order', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      const rooms = [`post:${post.id}`]
+
+      await funcTestHelper.createCommentAsync(mars, post.id, 'First comment')
+      const [first] = await app.pubsub.getMissedEvents(rooms, 0)
+
+      await funcTestHelper.like(post.id, mars.authToken)
+      await funcTestHelper.createCommentAsync(mars, post.id, 'Second comment')
+
+      const socket = createSocket(luna)
+      const lastEventId = await app.pubsub.replayEvents(socket, rooms, first.id)
+
+      socket.events.map(event => event.type).should.eql(['like:new', 'comment:new'])
+      socket.events[1].json.comments.body.should.eql('Second comment')
+      socket.events[1].json.eventId.should.be.above(socket.events[0].json.eventId)
+      lastEventId.should.eql(socket.events[1].json.eventId)
+    })
+
+    it('should not replay events of posts the user cannot read', async () => {
+      await funcTestHelper.goPrivate(luna)
+      await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+      const socket = createSocket(mars)
+      await app.pubsub.replayEvents(socket, [`timeline:${lunaTimelineId}`], 0)
+
+      socket.events.length.should.eql(0)
+    })
+
+    it('should keep only the latest events of the room', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      const size = app.config.eventLog.size
+
+      app.config.eventLog.size = 2
+
+      try {
+        for (let i = 0; i < 3; i++) {
+          await funcTestHelper.createCommentAsync(mars, post.id, `Comment ${i}`)
+        }
+      } finally {
+        app.config.eventLog.size = size
+      }
+
+      const events = await app.pubsub.getMissedEvents([`post:${post.id}`], 0)
+      events.map(event => event.json.comments.body).should.eql(['Comment 1', 'Comment 2'])
+    })
+  })
+
+  describe('#canJoin()', () => {
+    let app
+
+    before(async () => {
+      app = await getSingleton()
+    })
+
+    it('should let users join only their own user room', async () => {
+      const flags = await Promise.all([
+        app.pubsub.canJoin(luna.user.id, `user:${luna.user.id}`),
+        app.pubsub.canJoin(mars.user.id, `user:${luna.user.id}`),
+        app.pubsub.canJoin(null, `user:${luna.user.id}`)
+      ])
+
+      flags.should.eql([true, false, false])
+    })
+
+    it('should let users join rooms of the posts they can read', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      await funcTestHelper.goPrivate(luna)
+
+      const flags = await Promise.all([
+        app.pubsub.canJoin(luna.user.id, `post:${post.id}`),
+        app.pubsub.canJoin(mars.user.id, `post:${post.id}`)
+      ])
+
+      flags.should.eql([true, false])
+    })
+
+    it('should not let users join unknown rooms', async () => {
+      const flags = await Promise.all([
+        app.pubsub.canJoin(luna.user.id, 'timeline:unknown'),
+        app.pubsub.canJoin(luna.user.id, `feed:${luna.user.id}`)
+      ])
+
+      flags.should.eql([false, false])
+    })
+  })
+
+  describe('#onConnect()', () => {
+    let app
+
+    before(async () => {
+      app = await getSingleton()
+    })
+
+    const connectSocket = async () => {
+      const socket = { id: 'socket', handshake: { query: {} }, handlers: {}, events: [], rooms: [] }
+      socket.on = (type, handler) => { socket.handlers[type] = handler }
+      socket.emit = (type, json) => socket.events.push({ type, json })
+      socket.join = room => socket.rooms.push(room)
+
+      await app.pubsub.onConnect(socket)
+
+      return socket
+    }
+
+    it('should reject subscriptions which are not objects', async () => {
+      const socket = await connectSocket()
+
+      await socket.handlers.subscribe(null)
+      await socket.handlers.subscribe('timeline')
+
+      socket.events.map(event => event.type).should.eql(['subscribe:error', 'subscribe:error'])
+      socket.rooms.should.be.empty
+    })
+
+    it('should reject ids which are not arrays', async () => {
+      const socket = await connectSocket()
+
+      await socket.handlers.subscribe({ timeline: lunaTimelineId, post: { id: 'post' } })
+
+      socket.events.map(event => event.json.channel).should.eql(['timeline', 'post'])
+      socket.rooms.should.be.empty
+
+      await socket.handlers.subscribe({ timeline: [lunaTimelineId] })
+      socket.rooms.should.eql([`timeline:${lunaTimelineId}`])
+    })
+  })
+})
@@ -89,6 +89,180 @@ describe("TimelinesController", function() {
     })
   })
 
+  describe('#atom() and #rss()', () => {
+    let luna
+      , mars
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+    })
+
+    it('should render public posts timeline as Atom feed', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Kittens & <puppies>')
+
+      const response = await funcTestHelper.getSyndicationFeed('luna', 'atom')
+      response.status.should.eql(200)
+      response.headers.get('content-type').should.match(/^application\/atom\+xml/)
+
+      const xml = await response.text()
+      xml.should.include('<feed xmlns="http://www.w3.org/2005/Atom">')
+      xml.should.include(`/luna/${post.id}</id>`)
+      xml.should.include('Kittens &amp; &lt;puppies&gt;')
+    })
+
+    it('should render public posts timeline as RSS feed', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Kittens')
+
+      const response = await funcTestHelper.getSyndicationFeed('luna', 'rss')
+      response.status.should.eql(200)
+      response.headers.get('content-type').should.match(/^application\/rss\+xml/)
+
+      const xml = await response.text()
+      xml.should.include('<rss version="2.0"')
+      xml.should.include(`/luna/${post.id}</guid>`)
+      xml.should.include('<description>Kittens</description>')
+    })
+
+    it('should include attachments as enclosures', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Kittens')
+      const attachment = await funcTestHelper.createMockAttachmentAsync(luna)
+      await funcTestHelper.updatePostAsync({ authToken: luna.authToken, post }, { body: post.body, attachments: [attachment.id] })
+
+      let response = await funcTestHelper.getSyndicationFeed('luna', 'atom')
+      let xml = await response.text()
+      xml.should.match(new RegExp(`<link rel="enclosure"[^>]+${attachment.id}`))
+
+      response = await funcTestHelper.getSyndicationFeed('luna', 'rss')
+      xml = await response.text()
+      xml.should.match(new RegExp(`<enclosure url="[^"]+${attachment.id}`))
+    })
+
+    it('should return 404 for unknown feed', async () => {
+      const response = await funcTestHelper.getSyndicationFeed('nobody', 'atom')
+      response.status.should.eql(404)
+    })
+
+    it('should return 403 for private feed', async () => {
+      await funcTestHelper.createAndReturnPost(luna, 'Secret kittens')
+      await funcTestHelper.goPrivate(luna)
+
+      let response = await funcTestHelper.getSyndicationFeed('luna', 'atom')
+      response.status.should.eql(403)
+
+      response = await funcTestHelper.getSyndicationFeed('luna', 'rss', mars)
+      response.status.should.eql(403)
+
+      response = await funcTestHelper.getSyndicationFeed('luna', 'rss', luna)
+      response.status.should.eql(200)
+    })
+  })
+
+  describe('#tag()', () => {
+    let luna
+      , mars
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw'),
+        funcTestHelper.createUserAsync('mars', 'pw')
+      ])
+    })
+
+    it('should return posts with the hashtag', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Version 1.0 is out #Release')
+      await funcTestHelper.createAndReturnPost(luna, 'Servers are down #incident')
+
+      const timeline = await funcTestHelper.getHashtagTimeline('#release', mars)
+      timeline.timelines.name.should.eql('release')
+      timeline.posts.length.should.eql(1)
+      timeline.posts[0].id.should.eql(post.id)
+    })
+
+    it('should update index when post is edited', async () => {
+      luna.post = await funcTestHelper.createAndReturnPost(luna, 'Version 1.0 is out #release')
+      await funcTestHelper.updatePostAsync(luna, { body: 'Servers are down #incident' })
+
+      let timeline = await funcTestHelper.getHashtagTimeline('release', mars)
+      timeline.should.not.have.property('posts')
+
+      timeline = await funcTestHelper.getHashtagTimeline('incident', mars)
+      timeline.posts.length.should.eql(1)
+    })
+
+    it('should remove post from index when it is destroyed', async () => {
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Version 1.0 is out #release')
+      await funcTestHelper.deletePostAsync(luna, post.id)
+
+      const timeline = await funcTestHelper.getHashtagTimeline('release', mars)
+      timeline.should.not.have.property('posts')
+    })
+
+    it('should not show private posts to strangers', async () => {
+      await funcTestHelper.goPrivate(luna)
+      await funcTestHelper.createAndReturnPost(luna, 'Version 1.0 is out #release')
+
+      let timeline = await funcTestHelper.getHashtagTimeline('release', mars)
+      timeline.should.not.have.property('posts')
+
+      timeline = await funcTestHelper.getHashtagTimeline('release', luna)
+      timeline.posts.length.should.eql(1)
+    })
+
+    it('should not show posts of users who banned the reader', async () => {
+      await funcTestHelper.createAndReturnPost(luna, 'Version 1.0 is out #release')
+      await funcTestHelper.banUser(luna, mars)
+
+      const timeline = await funcTestHelper.getHashtagTimeline('release', mars)
+      timeline.should.not.have.property('posts')
+    })
+
+    it('should page posts with cursors', async () => {
+      await funcTestHelper.createAndReturnPost(luna, 'One #release')
+      await funcTestHelper.createAndReturnPost(luna, 'Two #release')
+
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { limit: 1 })
+      let data = await response.json()
+      data.posts[0].body.should.eql('Two #release')
+      const { prevCursor } = data.timelines
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { limit: 1, before: data.timelines.nextCursor })
+      data = await response.json()
+      data.posts[0].body.should.eql('One #release')
+
+      await funcTestHelper.createAndReturnPost(luna, 'Three #release')
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { after: prevCursor })
+      data = await response.json()
+      data.posts.length.should.eql(1)
+      data.posts[0].body.should.eql('Three #release')
+    })
+
+    it('should fill pages past hidden posts', async () => {
+      const venus = await funcTestHelper.createUserAsync('venus', 'pw')
+      await funcTestHelper.goPrivate(venus)
+
+      await funcTestHelper.createAndReturnPost(luna, 'One #release')
+      await funcTestHelper.createAndReturnPost(venus, 'Hidden one #release')
+      await funcTestHelper.createAndReturnPost(venus, 'Hidden two #release')
+      await funcTestHelper.createAndReturnPost(luna, 'Two #release')
+
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { limit: 1 })
+      let data = await response.json()
+      data.posts.map(post => post.body).should.eql(['Two #release'])
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { limit: 1, before: data.timelines.nextCursor })
+      data = await response.json()
+      data.posts.map(post => post.body).should.eql(['One #release'])
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/tag/release', mars, { limit: 1, offset: 1 })
+      data = await response.json()
+      data.posts.map(post => post.body).should.eql(['One #release'])
+    })
+  })
+
   describe('#pagination', function() {
     var context = {}
 
@@ -129,6 +303,65 @@ describe("TimelinesController", function() {
         })
     })
 
+    it('should return cursors along with posts', async () => {
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { limit: 2 })
+      let data = await response.json()
+
+      data.timelines.posts.length.should.eql(2)
+      data.timelines.should.have.property('nextCursor')
+      data.timelines.should.have.property('prevCursor')
+    })
+
+    it('should not return next cursor on the last page', async () => {
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { limit: 5 })
+      let data = await response.json()
+
+      data.timelines.posts.length.should.eql(3)
+      data.timelines.should.not.have.property('nextCursor')
+      data.timelines.should.have.property('prevCursor')
+    })
+
+    it('should return older posts with "before" cursor', async () => {
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { limit: 1 })
+      let data = await response.json()
+      data.posts[0].body.should.eql('Post three')
+
+      // offset-based pagination would shift after this post
+      await funcTestHelper.createAndReturnPost(context, 'Post four')
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { limit: 1, before: data.timelines.nextCursor })
+      data = await response.json()
+      data.posts[0].body.should.eql('Post two')
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { limit: 1, before: data.timelines.nextCursor })
+      data = await response.json()
+      data.posts[0].body.should.eql('Post one')
+    })
+
+    it('should return newer posts with "after" cursor', async () => {
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, {})
+      let data = await response.json()
+      let prevCursor = data.timelines.prevCursor
+
+      await funcTestHelper.createAndReturnPost(context, 'Post four')
+      await funcTestHelper.createAndReturnPost(context, 'Post five')
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { after: prevCursor })
+      data = await response.json()
+      data.posts.length.should.eql(2)
+      data.timelines.posts.length.should.eql(2)
+      data.posts.map(post => post.body).should.have.members(['Post four', 'Post five'])
+
+      response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { after: data.timelines.prevCursor })
+      data = await response.json()
+      data.timelines.should.not.have.property('posts')
+      data.timelines.should.have.property('prevCursor')
+    })
+
+    it('should reject invalid cursor', async () => {
+      let response = await funcTestHelper.getTimelineByCursor('/v1/timelines/' + context.username, context, { before: 'invalid' })
+      response.status.should.eql(400)
+    })
   })
 
   describe('#likes()', function() {
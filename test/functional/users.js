@@ -3,9 +3,11 @@
 import async from 'async'
 import _ from 'lodash'
 import mkdirp from 'mkdirp'
+import nodemailer from 'nodemailer'
 import request from 'superagent'
 
 import { getSingleton } from '../../app/app'
+import DigestMailer from '../../app/digest-mailer'
 import { load as configLoader } from '../../config/config'
 import * as funcTestHelper from './functional_test_helper'
 
@@ -751,15 +753,12 @@ describe("UsersController", function() {
         })
       })
 
-      it('should let user to use email, which was used by other user, but not used anymore', function(done) {
-        funcTestHelper.updateUserCtx(marsContext, {email: 'other@example.org'})(function (err, response) {
-          $should.not.exist(err)
+      it('should let user to use email, which was used by other user, but not used anymore', async () => {
+        const verifyResponse = await funcTestHelper.changeEmail(marsContext, 'other@example.org')
+        verifyResponse.status.should.eql(200)
 
-          funcTestHelper.updateUserCtx(lunaContext, {email: marsContext.attributes.email})(function (err2, response2) {
-            $should.not.exist(err2)
-            done()
-          })
-        })
+        const response = await funcTestHelper.updateUserAsync(lunaContext, { email: marsContext.attributes.email })
+        response.status.should.eql(200)
       })
     })
   })
@@ -1206,4 +1205,212 @@ describe("UsersController", function() {
       })
     })
   })
+
+  describe('email notifications', function() {
+    let luna
+      , mars
+
+    beforeEach(async () => {
+      [luna, mars] = await Promise.all([
+        funcTestHelper.createUserAsync('luna', 'pw', { email: 'luna@example.org' }),
+        funcTestHelper.createUserAsync('mars', 'pw', { email: 'mars@example.org' })
+      ])
+
+      await Promise.all([luna, mars].map(async (userContext) => {
+        const token = await funcTestHelper.getEmailVerificationToken(userContext)
+        await funcTestHelper.verifyEmail(token)
+      }))
+    })
+
+    let sentMessages
+      , createTransport
+
+    // the stub transport does not keep the messages, so they are caught
+    // on their way to it
+    beforeEach(() => {
+      sentMessages = []
+      createTransport = nodemailer.createTransport
+
+      nodemailer.createTransport = (...args) => {
+        const transporter = createTransport.apply(nodemailer, args)
+        const sendMail = transporter.sendMail
+
+        transporter.sendMail = function(message, ...rest) {
+          sentMessages.push(message)
+          return sendMail.call(this, message, ...rest)
+        }
+
+        return transporter
+      }
+    })
+
+    afterEach(() => {
+      nodemailer.createTransport = createTransport
+    })
+
+    // notifications and direct messages are mailed without waiting for SMTP
+    const waitForMessages = async (count) => {
+      for (let i = 0; i < 200 && sentMessages.length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+
+      sentMessages.length.should.eql(count)
+      return sentMessages
+    }
+
+    it('should be disabled by default', async () => {
+      const response = await funcTestHelper.updateUserAsync(luna, { description: 'Moon' })
+      const data = await response.json()
+
+      data.users.emailNotifications.should.eql({ directs: '0', subscriptionRequests: '0', comments: '0', dailyDigest: '0' })
+    })
+
+    it('should update preferences', async () => {
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { directs: '1', comments: '1' } })
+      const response = await funcTestHelper.updateUserAsync(luna, { emailNotifications: { comments: '0' } })
+      const data = await response.json()
+
+      data.users.emailNotifications.should.eql({ directs: '1', subscriptionRequests: '0', comments: '0', dailyDigest: '0' })
+    })
+
+    it('should reject unknown preferences', async () => {
+      let response = await funcTestHelper.updateUserAsync(luna, { emailNotifications: { likes: '1' } })
+      response.status.should.eql(422)
+
+      response = await funcTestHelper.updateUserAsync(luna, { emailNotifications: { comments: 'yes' } })
+      response.status.should.eql(422)
+    })
+
+    it('should not break posting and commenting', async () => {
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { directs: '1', comments: '1' } })
+      await funcTestHelper.mutualSubscriptions([luna, mars])
+
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      let response = await funcTestHelper.createCommentAsync(mars, post.id, 'Comment')
+      response.status.should.eql(200)
+
+      response = await funcTestHelper.createPostToFeeds(mars, [luna.username], 'Direct message')
+      response.status.should.eql(200)
+    })
+
+    it('should mail comments to the post author', async () => {
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { comments: '1' } })
+
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      await funcTestHelper.createCommentAsync(mars, post.id, 'Nice post')
+
+      const [message] = await waitForMessages(1)
+      message.to.should.eql('luna <luna@example.org>')
+      message.subject.should.eql('mars commented on your post')
+      message.text.should.include('mars (@mars) commented on your post:')
+      message.text.should.include('Nice post')
+      message.text.should.include(`/luna/${post.id}`)
+    })
+
+    it('should mail subscription requests', async () => {
+      await funcTestHelper.goPrivate(luna)
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { subscriptionRequests: '1' } })
+
+      await funcTestHelper.sendRequestToSubscribe(mars, luna)
+
+      const [message] = await waitForMessages(1)
+      message.to.should.eql('luna <luna@example.org>')
+      message.subject.should.eql('mars wants to subscribe to you')
+      message.text.should.include('mars (@mars) wants to subscribe to')
+      message.text.should.include('/requests')
+    })
+
+    it('should mail direct messages', async () => {
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { directs: '1' } })
+      await funcTestHelper.mutualSubscriptions([luna, mars])
+
+      const response = await funcTestHelper.createPostToFeeds(mars, [luna.username], 'Direct message')
+      const { posts: post } = await response.json()
+
+      const [message] = await waitForMessages(1)
+      message.to.should.eql('luna <luna@example.org>')
+      message.subject.should.eql('Direct message from mars')
+      message.text.should.include('mars (@mars) sent you a direct message:')
+      message.text.should.include('Direct message')
+      message.text.should.include(`/mars/${post.id}`)
+    })
+
+    it('should not mail what the user has not asked for', async () => {
+      await funcTestHelper.updateUserAsync(luna, { emailNotifications: { comments: '0', directs: '1' } })
+      await funcTestHelper.mutualSubscriptions([luna, mars])
+
+      const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+      let response = await funcTestHelper.createCommentAsync(mars, post.id, 'Comment')
+      response.status.should.eql(200)
+
+      // the direct message is mailed after the comment would have been
+      response = await funcTestHelper.createPostToFeeds(mars, [luna.username], 'Direct message')
+      response.status.should.eql(200)
+
+      const [message] = await waitForMessages(1)
+      message.subject.should.eql('Direct message from mars')
+
+      // and no one else is mailed
+      await new Promise(resolve => setTimeout(resolve, 100))
+      sentMessages.length.should.eql(1)
+    })
+
+    describe('daily digest', function() {
+      const sendDueDigests = (time) => {
+        const digestMailer = new DigestMailer(app)
+        digestMailer.stop()
+
+        return digestMailer.sendDueDigests(time)
+      }
+
+      beforeEach(async () => {
+        await funcTestHelper.subscribeToAsync(luna, mars)
+        await funcTestHelper.updateUserAsync(luna, { emailNotifications: { dailyDigest: '1' } })
+      })
+
+      it('should be sent once a day', async () => {
+        await funcTestHelper.createAndReturnPost(mars, 'Post')
+
+        const time = new Date().getTime()
+        const count = await sendDueDigests(time)
+        count.should.eql(1)
+
+        sentMessages.length.should.eql(1)
+        sentMessages[0].to.should.eql('luna <luna@example.org>')
+        sentMessages[0].subject.should.eql(app.config.mailer.dailyDigestMailSubject)
+        sentMessages[0].text.should.include('mars (@mars):')
+        sentMessages[0].text.should.include(`Post\n${app.config.mailer.host}/mars/`)
+
+        const countSoon = await sendDueDigests(time + 60 * 60 * 1000)
+        countSoon.should.eql(0)
+        sentMessages.length.should.eql(1)
+      })
+
+      it('should not be sent to an unverified email', async () => {
+        const jupiter = await funcTestHelper.createUserAsync('jupiter', 'pw', { email: 'jupiter@example.org' })
+        await funcTestHelper.subscribeToAsync(jupiter, mars)
+        await funcTestHelper.updateUserAsync(jupiter, { emailNotifications: { dailyDigest: '1' } })
+
+        await funcTestHelper.createAndReturnPost(mars, 'Post')
+
+        // Luna's one only
+        const count = await sendDueDigests()
+        count.should.eql(1)
+      })
+
+      it('should not be sent without new posts', async () => {
+        const count = await sendDueDigests()
+        count.should.eql(0)
+      })
+
+      it('should not be sent after unsubscribing', async () => {
+        await funcTestHelper.createAndReturnPost(mars, 'Post')
+        await funcTestHelper.updateUserAsync(luna, { emailNotifications: { dailyDigest: '0' } })
+
+        const count = await sendDueDigests()
+        count.should.eql(0)
+        sentMessages.should.be.empty
+      })
+    })
+  })
 })
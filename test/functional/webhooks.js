@@ -0,0 +1,256 @@
+/*eslint-env node, mocha */
+/*global $database */
+import crypto from 'crypto'
+import http from 'http'
+
+import { promisifyAll } from 'bluebird'
+
+import { getSingleton } from '../../app/app'
+import WebhookDispatcher from '../../app/webhook-dispatcher'
+import * as funcTestHelper from './functional_test_helper'
+
+
+promisifyAll(http)
+
+describe("WebhooksController", () => {
+  let app
+    , receiver
+    , receiverUrl
+    , requests
+    , responseStatus
+    , redirectTo
+
+  before(async () => {
+    app = await getSingleton()
+
+    receiver = http.createServer((req, res) => {
+      let body = ''
+
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body })
+
+        res.writeHead(responseStatus, redirectTo ? { Location: redirectTo } : {})
+        res.end()
+      })
+    })
+
+    await receiver.listenAsync(0, '127.0.0.1')
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`
+  })
+
+  after(() => {
+    receiver.close()
+  })
+
+  let luna
+    , mars
+
+  beforeEach(async () => {
+    await $database.flushdbAsync()
+
+    requests = []
+    responseStatus = 200
+    redirectTo = null
+  })
+
+  beforeEach(async () => {
+    [luna, mars] = await Promise.all([
+      funcTestHelper.createUserAsync('luna', 'pw'),
+      funcTestHelper.createUserAsync('mars', 'pw')
+    ])
+  })
+
+  const createWebhook = async (userContext, webhook) => {
+    const response = await funcTestHelper.createWebhook(userContext, webhook)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.webhooks
+  }
+
+  const getDeliveries = async (userContext, webhookId) => {
+    const response = await funcTestHelper.getWebhookDeliveries(userContext, webhookId)
+    response.status.should.eql(200)
+
+    const data = await response.json()
+    return data.deliveries
+  }
+
+  const sendDueDeliveries = (time) => {
+    const dispatcher = new WebhookDispatcher(app)
+    dispatcher.stop()
+
+    return dispatcher.sendDueDeliveries(time)
+  }
+
+  it('should register webhook for all events by default', async () => {
+    const webhook = await createWebhook(luna, { url: receiverUrl })
+
+    webhook.feedId.should.eql(luna.user.id)
+    webhook.url.should.eql(receiverUrl)
+    webhook.events.should.include('post:new')
+    webhook.events.should.include('like:remove')
+    webhook.secret.should.have.length(64)
+
+    const response = await funcTestHelper.getWebhooks(luna)
+    const data = await response.json()
+
+    data.webhooks.length.should.eql(1)
+    data.webhooks[0].id.should.eql(webhook.id)
+    data.webhooks[0].should.not.have.property('secret')
+  })
+
+  it('should reject invalid webhooks', async () => {
+    let response = await funcTestHelper.createWebhook(luna, { url: 'ftp://example.com/' })
+    response.status.should.eql(400)
+
+    response = await funcTestHelper.createWebhook(luna, { url: receiverUrl, events: ['post:hide'] })
+    response.status.should.eql(400)
+  })
+
+  it('should reject webhooks of internal hosts', async () => {
+    const urls = [
+      receiverUrl.replace('127.0.0.1', 'localhost'),
+      'http://10.0.0.1/hook',
+      'http://192.168.1.1/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/hook'
+    ]
+
+    for (let url of urls) {
+      const response = await funcTestHelper.createWebhook(luna, { url })
+      response.status.should.eql(400)
+    }
+  })
+
+  it("should not register webhooks for other users' feeds", async () => {
+    const response = await funcTestHelper.createWebhook(luna, { url: receiverUrl, feed: 'mars' })
+    response.status.should.eql(403)
+  })
+
+  it('should register webhooks for groups administered by the user', async () => {
+    const response = await funcTestHelper.createGroupAsync(luna, 'pepyatka-dev')
+    const { groups } = await response.json()
+
+    const webhook = await createWebhook(luna, { url: receiverUrl, feed: 'pepyatka-dev' })
+    webhook.feedId.should.eql(groups.id)
+
+    const forbidden = await funcTestHelper.createWebhook(mars, { url: receiverUrl, feed: 'pepyatka-dev' })
+    forbidden.status.should.eql(403)
+  })
+
+  it('should deliver signed events', async () => {
+    const webhook = await createWebhook(luna, { url: receiverUrl })
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    const count = await sendDueDeliveries()
+    count.should.eql(1)
+
+    requests.length.should.eql(1)
+
+    const { headers, body } = requests[0]
+    const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')
+
+    headers['x-freefeed-event'].should.eql('post:new')
+    headers['x-freefeed-signature'].should.eql(`sha256=${signature}`)
+
+    const payload = JSON.parse(body)
+    payload.event.should.eql('post:new')
+    payload.webhookId.should.eql(webhook.id)
+    payload.data.posts.id.should.eql(post.id)
+
+    const deliveries = await getDeliveries(luna, webhook.id)
+    deliveries.length.should.eql(1)
+    deliveries[0].id.should.eql(headers['x-freefeed-delivery'])
+    deliveries[0].status.should.eql('delivered')
+    deliveries[0].attempts.should.eql('1')
+  })
+
+  it('should deliver only the chosen events', async () => {
+    await createWebhook(luna, { url: receiverUrl, events: ['comment:new'] })
+    const post = await funcTestHelper.createAndReturnPost(luna, 'Post')
+    await funcTestHelper.createCommentAsync(mars, post.id, 'Comment')
+
+    await sendDueDeliveries()
+
+    requests.length.should.eql(1)
+    requests[0].headers['x-freefeed-event'].should.eql('comment:new')
+  })
+
+  it('should retry failed deliveries with backoff', async () => {
+    const webhook = await createWebhook(luna, { url: receiverUrl })
+    await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    responseStatus = 500
+
+    let count = await sendDueDeliveries()
+    count.should.eql(0)
+
+    let deliveries = await getDeliveries(luna, webhook.id)
+    deliveries[0].status.should.eql('pending')
+    deliveries[0].attempts.should.eql('1')
+    deliveries[0].responseStatus.should.eql('500')
+
+    // too early for the next attempt
+    count = await sendDueDeliveries()
+    count.should.eql(0)
+    requests.length.should.eql(1)
+
+    responseStatus = 200
+
+    count = await sendDueDeliveries(new Date().getTime() + app.config.webhooks.retryDelay + 1000)
+    count.should.eql(1)
+
+    deliveries = await getDeliveries(luna, webhook.id)
+    deliveries[0].status.should.eql('delivered')
+    deliveries[0].attempts.should.eql('2')
+  })
+
+  it('should not follow redirects', async () => {
+    const webhook = await createWebhook(luna, { url: receiverUrl })
+    await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    responseStatus = 302
+    redirectTo = 'http://169.254.169.254/latest/meta-data/'
+
+    const count = await sendDueDeliveries()
+    count.should.eql(0)
+    requests.length.should.eql(1)
+
+    const deliveries = await getDeliveries(luna, webhook.id)
+    deliveries[0].status.should.eql('pending')
+    deliveries[0].lastError.should.not.be.empty
+  })
+
+  it('should not deliver events to users who do not manage the feed anymore', async () => {
+    await funcTestHelper.createGroupAsync(luna, 'pepyatka-dev')
+    await funcTestHelper.promoteToAdmin('pepyatka-dev', luna, mars)
+
+    await createWebhook(mars, { url: receiverUrl, feed: 'pepyatka-dev' })
+    await funcTestHelper.demoteFromAdmin('pepyatka-dev', luna, mars)
+    await funcTestHelper.createPostToFeeds(luna, ['pepyatka-dev'], 'Post')
+
+    const count = await sendDueDeliveries()
+    count.should.eql(0)
+    requests.length.should.eql(0)
+  })
+
+  it('should remove webhook', async () => {
+    const webhook = await createWebhook(luna, { url: receiverUrl })
+
+    let response = await funcTestHelper.removeWebhook(mars, webhook.id)
+    response.status.should.eql(404)
+
+    response = await funcTestHelper.removeWebhook(luna, webhook.id)
+    response.status.should.eql(200)
+
+    await funcTestHelper.createAndReturnPost(luna, 'Post')
+
+    const count = await sendDueDeliveries()
+    count.should.eql(0)
+
+    response = await funcTestHelper.getWebhookDeliveries(luna, webhook.id)
+    response.status.should.eql(404)
+  })
+})
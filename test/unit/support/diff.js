@@ -0,0 +1,42 @@
+/*eslint-env node, mocha */
+import { addRevisionDiffs, diffWords } from '../../../app/support/diff'
+
+
+describe('support/diff', () => {
+  describe('diffWords()', () => {
+    it('should find changed words', () => {
+      diffWords('Cute kittens are here', 'Cute puppies are here too').should.eql([
+        { type: 'equal', text: 'Cute ' },
+        { type: 'delete', text: 'kittens' },
+        { type: 'insert', text: 'puppies' },
+        { type: 'equal', text: ' are here' },
+        { type: 'insert', text: ' too' }
+      ])
+    })
+
+    it('should give both texts back', () => {
+      const oldText = 'One two  three\nfour five'
+      const newText = 'Zero one two three\n\nfive six'
+      const parts = diffWords(oldText, newText)
+
+      parts.filter(part => part.type !== 'insert').map(part => part.text).join('').should.eql(oldText)
+      parts.filter(part => part.type !== 'delete').map(part => part.text).join('').should.eql(newText)
+    })
+
+    it('should handle empty texts', () => {
+      diffWords('', '').should.be.empty
+      diffWords(undefined, 'New').should.eql([{ type: 'insert', text: 'New' }])
+      diffWords('Old', '').should.eql([{ type: 'delete', text: 'Old' }])
+    })
+  })
+
+  describe('addRevisionDiffs()', () => {
+    it('should diff every revision against the next body', () => {
+      const revisions = addRevisionDiffs([{ id: '1', body: 'One' }, { id: '2', body: 'Two' }], 'Three')
+
+      revisions.map(revision => revision.id).should.eql(['1', '2'])
+      revisions[0].diff.should.eql([{ type: 'delete', text: 'One' }, { type: 'insert', text: 'Two' }])
+      revisions[1].diff.should.eql([{ type: 'delete', text: 'Two' }, { type: 'insert', text: 'Three' }])
+    })
+  })
+})
@@ -0,0 +1,68 @@
+/*eslint-env node, mocha */
+/*global $should */
+import { parseFeed } from '../../../app/support/feedParser'
+
+
+describe('support/feedParser', () => {
+  describe('parseFeed()', () => {
+    it('should parse RSS 2.0 document', () => {
+      const feed = parseFeed(`<?xml version="1.0"?>
+        <rss version="2.0">
+          <channel>
+            <title>Kittens &amp; puppies</title>
+            <item>
+              <title><![CDATA[Cute <b>kittens</b>]]></title>
+              <link>http://example.com/kittens</link>
+              <guid isPermaLink="false">kittens-1</guid>
+              <description>&lt;p&gt;First&lt;/p&gt;&lt;p&gt;Second&lt;/p&gt;</description>
+              <pubDate>Mon, 01 Feb 2016 10:00:00 GMT</pubDate>
+            </item>
+            <item>
+              <title>Puppies</title>
+              <link>http://example.com/puppies</link>
+            </item>
+          </channel>
+        </rss>`)
+
+      feed.title.should.eql('Kittens & puppies')
+      feed.entries.length.should.eql(2)
+
+      feed.entries[0].guid.should.eql('kittens-1')
+      feed.entries[0].title.should.eql('Cute kittens')
+      feed.entries[0].link.should.eql('http://example.com/kittens')
+      feed.entries[0].text.should.eql('First\nSecond')
+      feed.entries[0].publishedAt.should.eql(Date.UTC(2016, 1, 1, 10))
+
+      feed.entries[1].guid.should.eql('http://example.com/puppies')
+      $should.not.exist(feed.entries[1].publishedAt)
+    })
+
+    it('should parse Atom document', () => {
+      const feed = parseFeed(`<?xml version="1.0" encoding="utf-8"?>
+        <feed xmlns="http://www.w3.org/2005/Atom">
+          <title>Kittens &#x263A;</title>
+          <link rel="self" href="http://example.com/feed.atom"/>
+          <entry>
+            <id>tag:example.com,2016:1</id>
+            <title type="html">&lt;i&gt;Cute&lt;/i&gt; kittens</title>
+            <link rel="enclosure" href="http://example.com/kittens.mp3"/>
+            <link href="http://example.com/kittens"/>
+            <updated>2016-02-01T10:00:00Z</updated>
+            <summary>Kittens are cute</summary>
+          </entry>
+        </feed>`)
+
+      feed.title.should.eql('Kittens ☺')
+      feed.entries.length.should.eql(1)
+      feed.entries[0].guid.should.eql('tag:example.com,2016:1')
+      feed.entries[0].title.should.eql('Cute kittens')
+      feed.entries[0].link.should.eql('http://example.com/kittens')
+      feed.entries[0].text.should.eql('Kittens are cute')
+      feed.entries[0].publishedAt.should.eql(Date.UTC(2016, 1, 1, 10))
+    })
+
+    it('should reject documents of unknown format', () => {
+      $should.Throw(() => parseFeed('<html><body>Not a feed</body></html>'), Error)
+    })
+  })
+})
@@ -0,0 +1,34 @@
+/*eslint-env node, mocha */
+import { getHashtags, normalizeHashtag } from '../../../app/support/hashtags'
+
+
+describe('support/hashtags', () => {
+  describe('getHashtags()', () => {
+    it('should return unique lowercased tags', () => {
+      getHashtags('New #Release and #incident, #release again').should.eql(['release', 'incident'])
+    })
+
+    it('should keep non-latin tags', () => {
+      getHashtags('#релиз').should.eql(['релиз'])
+    })
+
+    it('should ignore # inside words, URLs and HTML entities', () => {
+      getHashtags('C# http://example.com/#top &#123;').should.be.empty
+    })
+
+    it('should ignore numbers', () => {
+      getHashtags('#1 #2016 #2016q1').should.eql(['2016q1'])
+    })
+
+    it('should return empty list for empty text', () => {
+      getHashtags('').should.be.empty
+      getHashtags(null).should.be.empty
+    })
+  })
+
+  describe('normalizeHashtag()', () => {
+    it('should strip # and lowercase tag', () => {
+      normalizeHashtag('#Release').should.eql('release')
+    })
+  })
+})
@@ -0,0 +1,39 @@
+/*eslint-env node, mocha */
+import { getMentions, getMentionedUsernames } from '../../../app/support/mentions'
+
+
+describe('support/mentions', () => {
+  describe('getMentions()', () => {
+    it('should find mentions with their positions', () => {
+      getMentions('Hi @Luna and @pepyatka-dev!').should.eql([
+        { username: 'luna', offset: 3, length: 5 },
+        { username: 'pepyatka-dev', offset: 13, length: 13 }
+      ])
+    })
+
+    it('should find mention at the start of text', () => {
+      getMentions('@luna, look').should.eql([
+        { username: 'luna', offset: 0, length: 5 }
+      ])
+    })
+
+    it('should ignore emails and @ inside words', () => {
+      getMentions('mail luna@example.com or mars@@jupiter').should.be.empty
+    })
+
+    it('should not include trailing dash', () => {
+      getMentions('@luna- and @mars').map(mention => mention.username).should.eql(['luna', 'mars'])
+    })
+
+    it('should return empty list for empty text', () => {
+      getMentions('').should.be.empty
+      getMentions(null).should.be.empty
+    })
+  })
+
+  describe('getMentionedUsernames()', () => {
+    it('should return unique usernames', () => {
+      getMentionedUsernames('@luna @Luna @mars').should.eql(['luna', 'mars'])
+    })
+  })
+})
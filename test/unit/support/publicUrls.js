@@ -0,0 +1,60 @@
+/*eslint-env node, mocha */
+import { isPrivateAddress, isPublicUrl, publicLookup } from '../../../app/support/publicUrls'
+
+
+describe('support/publicUrls', () => {
+  describe('isPrivateAddress()', () => {
+    it('should detect loopback, private and link-local IPv4 addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '224.0.0.1']
+        .forEach(address => isPrivateAddress(address).should.be.true)
+    })
+
+    it('should detect loopback, private and link-local IPv6 addresses', () => {
+      ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1']
+        .forEach(address => isPrivateAddress(address).should.be.true)
+    })
+
+    it('should pass public addresses', () => {
+      ['8.8.8.8', '172.32.0.1', '192.169.0.1', '2001:db8::1', '::ffff:8.8.8.8']
+        .forEach(address => isPrivateAddress(address).should.be.false)
+    })
+
+    it('should treat non-addresses as private', () => {
+      isPrivateAddress('example.com').should.be.true
+    })
+  })
+
+  describe('isPublicUrl()', () => {
+    it('should reject non-http URLs', async () => {
+      const results = await Promise.all(['ftp://8.8.8.8/', 'file:///etc/passwd'].map(isPublicUrl))
+      results.should.eql([false, false])
+    })
+
+    it('should reject URLs of internal hosts', async () => {
+      const urls = ['http://localhost/', 'http://10.0.0.1/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]:8080/']
+      const results = await Promise.all(urls.map(isPublicUrl))
+      results.should.eql([false, false, false, false])
+    })
+
+    it('should pass URLs of public hosts', async () => {
+      const result = await isPublicUrl('https://8.8.8.8/')
+      result.should.be.true
+    })
+  })
+
+  describe('publicLookup()', () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+      publicLookup(hostname, options, (err, address) => err ? reject(err) : resolve(address))
+    })
+
+    it('should fail on hosts which resolve to private addresses', async () => {
+      const results = await Promise.all([lookup('localhost', {}), lookup('localhost', { all: true })].map(promise => promise.then(() => 'resolved', () => 'failed')))
+      results.should.eql(['failed', 'failed'])
+    })
+
+    it('should resolve public addresses', async () => {
+      const address = await lookup('8.8.8.8', {})
+      address.should.eql('8.8.8.8')
+    })
+  })
+})
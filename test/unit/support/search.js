@@ -0,0 +1,54 @@
+/*eslint-env node, mocha */
+/*global $should */
+import { getWords, parseQuery } from '../../../app/support/search'
+
+
+describe('support/search', () => {
+  describe('getWords()', () => {
+    it('should split text into unique lowercased words', () => {
+      getWords('Hello, World! hello world.').should.eql(['hello', 'world'])
+    })
+
+    it('should keep non-latin words', () => {
+      getWords('Привет, мир!').should.eql(['привет', 'мир'])
+    })
+
+    it('should return empty list for empty text', () => {
+      getWords('').should.eql([])
+      getWords(null).should.eql([])
+      getWords('...').should.eql([])
+    })
+  })
+
+  describe('parseQuery()', () => {
+    it('should parse plain words', () => {
+      const query = parseQuery('Kittens  puppies kittens')
+
+      query.words.should.eql(['kittens', 'puppies'])
+      query.phrases.should.be.empty
+      $should.not.exist(query.from)
+      $should.not.exist(query.in)
+    })
+
+    it('should parse quoted phrases', () => {
+      const query = parseQuery('"Cute   Kittens" puppies')
+
+      query.phrases.should.eql(['cute kittens'])
+      query.words.should.eql(['cute', 'kittens', 'puppies'])
+    })
+
+    it('should accept unterminated phrase', () => {
+      const query = parseQuery('"cute kittens')
+
+      query.phrases.should.eql(['cute kittens'])
+    })
+
+    it('should parse from: and in: operators', () => {
+      const query = parseQuery('kittens from:Luna in:Pepyatka-Group')
+
+      query.words.should.eql(['kittens'])
+      query.from.should.eql('luna')
+      query.in.should.eql('pepyatka-group')
+    })
+  })
+})
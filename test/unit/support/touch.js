@@ -0,0 +1,35 @@
+/*eslint-env node, mocha */
+import { touch } from '../../../app/support/touch'
+
+
+describe('support/touch', () => {
+  describe('touch()', () => {
+    it('should save lastUsedAt of a record which was not used yet', async () => {
+      const record = {}
+      const saved = []
+
+      await touch(record, lastUsedAt => saved.push(lastUsedAt))
+
+      saved.length.should.eql(1)
+      record.lastUsedAt.toString().should.eql(saved[0])
+    })
+
+    it('should not save lastUsedAt of a record which was used just now', async () => {
+      const record = { lastUsedAt: (new Date().getTime() - 1000).toString() }
+      const saved = []
+
+      await touch(record, lastUsedAt => saved.push(lastUsedAt))
+
+      saved.should.be.empty
+    })
+
+    it('should save lastUsedAt of a record which was used long ago', async () => {
+      const record = { lastUsedAt: (new Date().getTime() - 60 * 60 * 1000).toString() }
+      const saved = []
+
+      await touch(record, lastUsedAt => saved.push(lastUsedAt))
+
+      saved.length.should.eql(1)
+    })
+  })
+})
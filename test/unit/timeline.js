@@ -102,6 +102,20 @@ describe('Timeline', function() {
     })
   })
 
+  describe('cursors', function() {
+    it('should decode encoded cursor', function() {
+      var postId = uuid.v4()
+      var cursor = Timeline.encodeCursor(1453897563123, postId)
+
+      Timeline.decodeCursor(cursor).should.eql({ score: 1453897563123, postId: postId })
+    })
+
+    it('should not decode malformed cursor', function() {
+      $should.Throw(function() { Timeline.decodeCursor('malformed') })
+      $should.Throw(function() { Timeline.decodeCursor(new Buffer('no-score').toString('base64')) })
+    })
+  })
+
   describe('#getPosts()', function() {
     it('should return an empty list for an empty timeline', function(done) {
       var user = new User({
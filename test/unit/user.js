@@ -1007,4 +1007,53 @@ describe('User', function() {
         })
     })
   })
+
+  describe('#getDigestPosts()', function() {
+    let luna
+      , mars
+      , jupiter
+
+    const createPost = async (author, body) => {
+      const post = await author.newPost({ body })
+      return post.create()
+    }
+
+    beforeEach(async () => {
+      luna = new User({ username: 'Luna', password: 'password' })
+      mars = new User({ username: 'Mars', password: 'password' })
+      jupiter = new User({ username: 'Jupiter', password: 'password' })
+
+      await Promise.all([luna.create(), mars.create(), jupiter.create()])
+      await luna.subscribeTo(await mars.getPostsTimelineId())
+    })
+
+    it('should return the most popular posts first', async () => {
+      const quietPost = await createPost(mars, 'Quiet post')
+      const popularPost = await createPost(mars, 'Popular post')
+      await popularPost.addLike(jupiter)
+
+      const posts = await luna.getDigestPosts(0, 10)
+      posts.map(post => post.id).should.eql([popularPost.id, quietPost.id])
+    })
+
+    it('should skip own and already liked posts', async () => {
+      const post = await createPost(mars, 'New post')
+      const likedPost = await createPost(mars, 'Liked post')
+      await likedPost.addLike(luna)
+      await createPost(luna, 'Own post')
+
+      const posts = await luna.getDigestPosts(0, 10)
+      posts.map(post => post.id).should.eql([post.id])
+    })
+
+    it('should skip posts older than the given time', async () => {
+      await createPost(mars, 'Old post')
+      const since = new Date().getTime()
+      await new Promise(resolve => setTimeout(resolve, 5))
+      const post = await createPost(mars, 'New post')
+
+      const posts = await luna.getDigestPosts(since, 10)
+      posts.map(post => post.id).should.eql([post.id])
+    })
+  })
 })